@@ -1,6 +1,11 @@
 const express = require('express');
 const cors = require('cors');
 const jobRoutes = require('./routes/jobRoutes');
+const configRoutes = require('./routes/configRoutes');
+const scraperRoutes = require('./routes/scraperRoutes');
+const runRoutes = require('./routes/runRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const statsRoutes = require('./routes/statsRoutes');
 
 const app = express();
 
@@ -10,6 +15,11 @@ app.use(express.json());
 
 // Routes
 app.use('/api/jobs', jobRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/scraper', scraperRoutes);
+app.use('/api/runs', runRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/stats', statsRoutes);
 
 // Health check
 app.get('/health', (_req, res) => {
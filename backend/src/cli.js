@@ -2,41 +2,25 @@
 
 require('dotenv').config({ quiet: true });
 
-const fs = require('fs');
-const path = require('path');
-const { program } = require('commander');
+const { program, Argument, Option } = require('commander');
 const chalk = require('chalk');
 const { connectDB, closeDB } = require('./config/database');
 const Job = require('./models/Job');
-const NaukriScraper = require('./scraper/naukriScraper');
+const ScrapeRun = require('./models/ScrapeRun');
+const { runSingleScrape, runFromConfig } = require('./services/scrapeService');
+const scheduler = require('./services/scheduler');
+const { BACKFILLS, runBackfill } = require('./services/backfillService');
+const { detectDuplicates } = require('./services/duplicateService');
+const { verifyJobs } = require('./services/verifyService');
+const { acquireRunLock } = require('./services/runLock');
+const { DUPLICATE_THRESHOLD } = require('./utils/jobSimilarity');
+const { loadConfig, validateConfig } = require('./config/scraperConfig');
+const { SORT_FIELDS, MATCH_MODES, buildJobQuery, applyProfileMatches } = require('./utils/jobQuery');
+const { WORK_MODES, SALARY_BANDS, COMPANY_TYPES, SEARCH_SORTS } = require('./utils/searchFilters');
 
 // Package info
 const packageInfo = require('../package.json');
 
-// Config file path
-const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
-
-/**
- * Load configuration from config.json
- * @returns {Object} Configuration object
- */
-function loadConfig() {
-    try {
-        if (fs.existsSync(CONFIG_PATH)) {
-            const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-            return JSON.parse(configData);
-        }
-    } catch (error) {
-        console.error(chalk.red(`Error loading config.json: ${error.message}`));
-    }
-    return {
-        keywords: [],
-        skills: [],
-        experience: null,
-        scraping: { pagesPerKeyword: 3, delayBetweenKeywords: 5000, scrapeJobDetails: true }
-    };
-}
-
 /**
  * Display a styled banner
  */
@@ -47,220 +31,76 @@ function showBanner() {
 }
 
 /**
- * Delay helper function
- * @param {number} ms - Milliseconds to wait
- */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Scrape jobs and save to MongoDB
- * @param {Object} scraper - Initialized scraper instance
- * @param {string} keyword - Search keyword
- * @param {number} pages - Number of pages to scrape
- * @param {Object} [config] - Configuration object with skills, experience, scrapeJobDetails
- * @returns {Object} - Results summary
+ * Run a command's work holding the run lock shared with the API server, the
+ * daemon and other CLI processes, so scrapes, verifications and rematches
+ * never overlap. Needs a database connection.
+ * @param {string} mode - What the run does: 'config', 'keyword', 'verify' or 'rematch'
+ * @param {Function} task - Async work to run
+ * @returns {Promise<*>} - What `task` returns
+ * @throws {Error} error.code === 'RUN_IN_PROGRESS' when another process holds the lock
  */
-async function scrapeAndSave(scraper, keyword, pages, config = {}) {
-    // Scrape jobs (pass config for experience/skills/detail scraping)
-    const jobs = await scraper.scrapeJobs(keyword, pages, {
-        experience: config.experience || null,
-        skills: config.skills || [],
-        scrapeJobDetails: config.scraping?.scrapeJobDetails !== false
-    });
-
-    if (jobs.length === 0) {
-        console.log(chalk.yellow('\n⚠️  No jobs found for the given keyword.'));
-        return { found: 0, saved: 0, duplicates: 0, matched: 0 };
+async function withRunLock(mode, task) {
+    const lock = await acquireRunLock(mode);
+    if (!lock) {
+        const error = new Error('Another scrape run, verification or rematch is in progress (API server, daemon or another CLI command). Try again when it has finished.');
+        error.code = 'RUN_IN_PROGRESS';
+        throw error;
     }
 
-    // Save to MongoDB
-    console.log(chalk.blue('\n💾 Saving jobs to MongoDB...'));
-
-    let savedCount = 0;
-    let duplicateCount = 0;
-    let matchedCount = 0;
-
-    for (const jobData of jobs) {
-        try {
-            // Track matched jobs
-            if (jobData.matchedSkills && jobData.matchedSkills.length > 0) {
-                matchedCount++;
-            }
-
-            // Use upsert to avoid duplicates
-            const result = await Job.findOneAndUpdate(
-                { jobUrl: jobData.jobUrl },
-                jobData,
-                { upsert: true, new: true, setDefaultsOnInsert: true }
-            );
-
-            if (result.isNew !== false) {
-                savedCount++;
-            } else {
-                duplicateCount++;
-            }
-        } catch (error) {
-            if (error.code === 11000) {
-                duplicateCount++;
-            } else {
-                console.error(chalk.red(`Error saving job: ${error.message}`));
-            }
-        }
+    try {
+        return await task();
+    } finally {
+        await lock.release();
     }
-
-    return { found: jobs.length, saved: savedCount, duplicates: duplicateCount, matched: matchedCount };
 }
 
 /**
- * Run scraper for a single keyword (legacy command)
- * @param {string} keyword - Search keyword
- * @param {number} pages - Number of pages to scrape
- * @param {boolean} withLogin - Whether to login first
+ * Split a comma-separated option value
+ * @param {string} value
+ * @returns {string[]}
  */
-async function runSingleScrape(keyword, pages, withLogin = false) {
-    const config = loadConfig();
-    const scraper = new NaukriScraper();
-
-    try {
-        // Initialize browser
-        await scraper.initBrowser();
-
-        // Login if credentials provided
-        if (withLogin) {
-            const email = process.env.NAUKRI_EMAIL;
-            const password = process.env.NAUKRI_PASSWORD;
-            await scraper.login(email, password);
-        }
-
-        // Scrape jobs (pass config for experience/skills)
-        const results = await scrapeAndSave(scraper, keyword, pages, config);
-
-        // Summary
-        console.log(chalk.green('\n✅ Scraping Complete!'));
-        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-        console.log(chalk.blue(`📊 Jobs Found: ${results.found}`));
-        console.log(chalk.green(`💾 New Jobs Saved: ${results.saved}`));
-        console.log(chalk.yellow(`🔄 Duplicates Skipped: ${results.duplicates}`));
-        if (config.skills && config.skills.length > 0) {
-            console.log(chalk.magenta(`🎯 Jobs Matched by Skills: ${results.matched}`));
-        }
-        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
-
-    } finally {
-        await scraper.closeBrowser();
-    }
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
 }
 
 /**
- * Run scraper for all keywords from config file
+ * Search filter overrides given to the scrape command, validated like config.json
+ * @param {Object} options - Parsed command options
+ * @returns {{ locations?: string[], searchFilters: Object }}
+ * @throws {Error} When an option value is invalid
  */
-async function runFromConfig() {
-    const config = loadConfig();
-    const keywords = config.keywords || [];
-    const skills = config.skills || [];
-    const experience = config.experience || null;
-    const pagesPerKeyword = config.scraping?.pagesPerKeyword || 3;
-    const delayBetweenKeywords = config.scraping?.delayBetweenKeywords || 5000;
-    const scrapeJobDetails = config.scraping?.scrapeJobDetails !== false;
-
-    if (keywords.length === 0) {
-        console.log(chalk.yellow('\n⚠️  No keywords found in config.json'));
-        console.log(chalk.white('Please add keywords to config.json:'));
-        console.log(chalk.gray(`  {\n    "keywords": ["nodejs developer", "react developer"]\n  }`));
-        return;
-    }
-
-    console.log(chalk.blue(`\n📋 Found ${keywords.length} keywords in config.json`));
-    console.log(chalk.white(`   Keywords: ${keywords.join(', ')}`));
-    console.log(chalk.white(`   Pages per keyword: ${pagesPerKeyword}`));
-
-    if (skills.length > 0) {
-        console.log(chalk.magenta(`   🔧 Skills to match: ${skills.join(', ')}`));
-    }
-    if (experience) {
-        console.log(chalk.magenta(`   📋 Experience filter: ${experience.min || 0}-${experience.max || 'any'} years`));
-    }
-    if (scrapeJobDetails) {
-        console.log(chalk.gray(`   📝 Detail scraping: enabled (will visit each job page)`));
-    }
-
-    const scraper = new NaukriScraper();
-    let totalStats = { found: 0, saved: 0, duplicates: 0, matched: 0 };
-
-    try {
-        // Initialize browser
-        await scraper.initBrowser();
-
-        // Login with Naukri credentials
-        const email = process.env.NAUKRI_EMAIL;
-        const password = process.env.NAUKRI_PASSWORD;
-        await scraper.login(email, password);
-
-        // Scrape each keyword
-        for (let i = 0; i < keywords.length; i++) {
-            const keyword = keywords[i];
-            console.log(chalk.cyan(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
-            console.log(chalk.cyan.bold(`📌 Keyword ${i + 1}/${keywords.length}: "${keyword}"`));
-            console.log(chalk.cyan(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
-
-            const results = await scrapeAndSave(scraper, keyword, pagesPerKeyword, config);
-
-            totalStats.found += results.found;
-            totalStats.saved += results.saved;
-            totalStats.duplicates += results.duplicates;
-            totalStats.matched += results.matched;
-
-            // Delay between keywords
-            if (i < keywords.length - 1) {
-                console.log(chalk.gray(`\n⏳ Waiting ${delayBetweenKeywords / 1000}s before next keyword...`));
-                await delay(delayBetweenKeywords);
-            }
-        }
-
-        // Final summary
-        console.log(chalk.green('\n\n╔════════════════════════════════════════╗'));
-        console.log(chalk.green('║        🎉 ALL SCRAPING COMPLETE!       ║'));
-        console.log(chalk.green('╚════════════════════════════════════════╝'));
-        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-        console.log(chalk.blue(`🔑 Keywords Processed: ${keywords.length}`));
-        console.log(chalk.blue(`📊 Total Jobs Found: ${totalStats.found}`));
-        console.log(chalk.green(`💾 Total New Jobs Saved: ${totalStats.saved}`));
-        console.log(chalk.yellow(`🔄 Total Duplicates Skipped: ${totalStats.duplicates}`));
-        if (skills.length > 0) {
-            console.log(chalk.magenta(`🎯 Total Jobs Matched by Skills: ${totalStats.matched}`));
-        }
-        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
-
-    } finally {
-        await scraper.closeBrowser();
+function searchFilterOptions(options) {
+    const input = { searchFilters: {} };
+    if (options.location) input.locations = splitList(options.location);
+    if (options.workMode) input.searchFilters.workModes = splitList(options.workMode);
+    if (options.freshness) input.searchFilters.freshnessDays = Number(options.freshness);
+    if (options.salary) input.searchFilters.salaryBands = splitList(options.salary);
+    if (options.companyType) input.searchFilters.companyTypes = splitList(options.companyType);
+    if (options.sortBy) input.searchFilters.sortBy = options.sortBy;
+
+    const { value, errors } = validateConfig(input);
+    if (Object.keys(errors).length > 0) {
+        Object.entries(errors).forEach(([field, message]) => {
+            console.error(chalk.red(`   ${field}: ${message}`));
+        });
+        throw new Error('Invalid search filter options');
     }
+    return value;
 }
 
 /**
  * List jobs from MongoDB
- * @param {string} keyword - Optional filter by keyword
+ * @param {Object} query - Search parameters accepted by buildJobQuery
  * @param {number} limit - Maximum number of jobs to display
  */
-async function listJobs(keyword, limit = 20) {
-    let query = {};
-
-    if (keyword) {
-        query = {
-            $or: [
-                { searchKeyword: new RegExp(keyword, 'i') },
-                { title: new RegExp(keyword, 'i') },
-                { skills: { $in: [new RegExp(keyword, 'i')] } },
-                { keySkills: { $in: [new RegExp(keyword, 'i')] } },
-                { matchedSkills: { $in: [new RegExp(keyword, 'i')] } }
-            ]
-        };
-    }
+async function listJobs(query = {}, limit = 20) {
+    const { filter, sort, projection } = buildJobQuery(query);
 
-    const jobs = await Job.find(query)
-        .sort({ scrapedAt: -1 })
-        .limit(limit);
+    const jobs = (await Job.find(filter, projection)
+        .sort(sort)
+        .limit(limit)
+        .lean())
+        .map(job => applyProfileMatches(job, query.profile));
 
     if (jobs.length === 0) {
         console.log(chalk.yellow('\n⚠️  No jobs found in the database.'));
@@ -287,6 +127,11 @@ async function listJobs(keyword, limit = 20) {
             console.log(chalk.magenta(`   🎯 Matched Skills: ${job.matchedSkills.join(', ')}`));
         }
 
+        if (job.matchScore !== null && job.matchScore !== undefined) {
+            const parts = Object.entries(job.matchBreakdown || {}).map(([name, part]) => `${name} ${part.score}`);
+            console.log(chalk.magenta(`   ⭐ Match Score: ${job.matchScore}/100 (${parts.join(', ')})`));
+        }
+
         if (job.industryTypes && job.industryTypes.length > 0) {
             console.log(chalk.white(`   🏭 Industry: ${job.industryTypes.join(', ')}`));
         }
@@ -295,8 +140,15 @@ async function listJobs(keyword, limit = 20) {
             console.log(chalk.white(`   👥 Vacancies: ${job.totalVacancy}`));
         }
 
+        if (job.lifecycleStatus && job.lifecycleStatus !== 'active') {
+            console.log(chalk.red(`   ⌛ Status: ${job.lifecycleStatus}${job.expiredAt ? ` since ${new Date(job.expiredAt).toLocaleDateString()}` : ''}`));
+        }
+
         console.log(chalk.gray(`   🔗 ${job.jobUrl}`));
-        console.log(chalk.gray(`   📅 Posted: ${job.jobPostedAt || job.postedDate} | Scraped: ${new Date(job.scrapedAt).toLocaleDateString()}`));
+        const posted = job.postedAt
+            ? `${new Date(job.postedAt).toLocaleDateString()} (${job.jobPostedAt || job.postedDate})`
+            : job.jobPostedAt || job.postedDate;
+        console.log(chalk.gray(`   📅 Posted: ${posted} | Scraped: ${new Date(job.scrapedAt).toLocaleDateString()}`));
     });
 
     console.log(chalk.white('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
@@ -317,6 +169,80 @@ async function showStats() {
     console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
 }
 
+/**
+ * Summarise a run's records per extraction strategy, e.g. "listings api 40 | details api 38, dom 2"
+ * @param {Object} [extraction] - ScrapeRun extraction counters
+ * @returns {string} - Empty when nothing was extracted
+ */
+function describeExtraction(extraction) {
+    const parts = [];
+    for (const [label, counts] of [['listings', extraction?.listing], ['details', extraction?.details]]) {
+        const used = Object.entries(counts || {}).filter(([, count]) => count > 0);
+        if (used.length > 0) {
+            parts.push(`${label} ${used.map(([strategy, count]) => `${strategy} ${count}`).join(', ')}`);
+        }
+    }
+    return parts.join(' | ');
+}
+
+/**
+ * Show recent scrape runs
+ * @param {number} limit - Maximum number of runs to display
+ */
+async function showRuns(limit = 10) {
+    const runs = await ScrapeRun.findRecent(limit).lean();
+
+    if (runs.length === 0) {
+        console.log(chalk.yellow('\n⚠️  No scrape runs recorded yet.'));
+        return;
+    }
+
+    const statusColors = { completed: chalk.green, failed: chalk.red, running: chalk.yellow };
+
+    console.log(chalk.green(`\n🕒 Last ${runs.length} scrape runs:\n`));
+    console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+
+    runs.forEach((run, index) => {
+        const color = statusColors[run.status] || chalk.white;
+        const duration = run.finishedAt
+            ? `${Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000)}s`
+            : 'in progress';
+
+        console.log(chalk.cyan.bold(`\n${index + 1}. ${new Date(run.startedAt).toLocaleString()}`) + ' ' + color(`[${run.status}]`));
+        console.log(chalk.white(`   🆔 ${run._id} | Trigger: ${run.trigger} | Profile: ${run.profile || 'default'} | Duration: ${duration}`));
+        console.log(chalk.white(`   🔑 Keywords: ${run.keywords.join(', ') || 'None'}`));
+        console.log(chalk.white(`   📄 Pages visited: ${run.pagesVisited}`));
+        const extraction = describeExtraction(run.extraction);
+        if (extraction) {
+            console.log(chalk.white(`   🧩 Extracted from: ${extraction}`));
+        }
+        console.log(chalk.blue(`   📊 Found: ${run.totals.found} | Saved: ${run.totals.saved} | Duplicates: ${run.totals.duplicates} | Matched: ${run.totals.matched}`));
+        if (run.totals.missing) {
+            console.log(chalk.yellow(`   👻 Flagged missing: ${run.totals.missing}`));
+        }
+        if (run.resumedAt?.length) {
+            console.log(chalk.white(`   ⏩ Resumed: ${run.resumedAt.map(date => new Date(date).toLocaleString()).join(', ')}`));
+        }
+        if (run.mode === 'config' && run.status !== 'running' && run.keywordStats?.some(stats => stats.status && stats.status !== 'completed')) {
+            console.log(chalk.yellow('   ⏸️  Unfinished keywords - continue with "run --resume"'));
+        }
+        if (run.login?.attempted) {
+            console.log(chalk.white(`   🔐 Login: ${run.login.success ? 'success' : 'failed'}`));
+        }
+        if (run.selectors?.overrides?.length) {
+            console.log(chalk.white(`   🎯 Selectors: v${run.selectors.version}, overridden: ${run.selectors.overrides.join(', ')}`));
+        }
+        for (const { field, rate, baseline } of run.driftWarnings || []) {
+            console.log(chalk.red.bold(`   🚨 Selector drift: ${field} filled in ${Math.round(rate * 100)}% of jobs (usually ${Math.round(baseline * 100)}%)`));
+        }
+        run.errorLog.forEach(err => {
+            console.log(chalk.red(`   ❌ ${err.keyword ? `[${err.keyword}] ` : ''}${err.message}`));
+        });
+    });
+
+    console.log(chalk.white('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+}
+
 // Setup CLI
 program
     .name('naukri-scraper')
@@ -327,12 +253,14 @@ program
 program
     .command('run')
     .description('Run scraper for all keywords in config.json (with Naukri login)')
-    .action(async () => {
+    .option('-P, --profile <name>', 'Search profile to run (default: the top-level keywords and skills)')
+    .option('--resume', 'Continue the profile\'s last run from its last completed keyword and page', false)
+    .action(async (options) => {
         showBanner();
 
         try {
             await connectDB();
-            await runFromConfig();
+            await withRunLock('config', () => runFromConfig({ profile: options.profile, resume: options.resume }));
         } catch (error) {
             console.error(chalk.red(`\n❌ Error: ${error.message}`));
             process.exit(1);
@@ -348,12 +276,23 @@ program
     .requiredOption('-k, --keyword <keyword>', 'Job keyword to search for (e.g., "nodejs developer")')
     .option('-p, --pages <number>', 'Number of pages to scrape', '3')
     .option('-l, --login', 'Login to Naukri before scraping', false)
+    .option('-P, --profile <name>', 'Search profile whose filters and skills to use')
+    .option('--location <cities>', 'Comma-separated cities to search in')
+    .option('--work-mode <modes>', `Comma-separated work modes: ${Object.keys(WORK_MODES).join(', ')}`)
+    .option('--freshness <days>', 'Only jobs posted in the last 1, 3, 7, 15 or 30 days')
+    .option('--salary <bands>', `Comma-separated salary bands in LPA: ${SALARY_BANDS.join(', ')}`)
+    .option('--company-type <types>', `Comma-separated company types: ${Object.keys(COMPANY_TYPES).join(', ')}`)
+    .addOption(new Option('--sort-by <order>', 'Order of search results').choices(Object.keys(SEARCH_SORTS)))
     .action(async (options) => {
         showBanner();
 
         try {
+            const filters = searchFilterOptions(options);
             await connectDB();
-            await runSingleScrape(options.keyword, parseInt(options.pages, 10), options.login);
+            await withRunLock('keyword', () => runSingleScrape(options.keyword, parseInt(options.pages, 10), options.login, {
+                profile: options.profile,
+                ...filters
+            }));
         } catch (error) {
             console.error(chalk.red(`\n❌ Error: ${error.message}`));
             process.exit(1);
@@ -365,14 +304,48 @@ program
 program
     .command('list')
     .description('List stored jobs from MongoDB')
-    .option('-k, --keyword <keyword>', 'Filter jobs by keyword')
+    .option('-k, --keyword <text>', 'Full-text search over title, description and skills')
+    .option('-s, --search-keyword <keyword>', 'Only jobs found with this search keyword')
+    .option('-P, --profile <name>', 'Only jobs found by this search profile, with its match scores')
+    .option('--company <name>', 'Company name contains')
+    .option('--location <name>', 'Location contains')
+    .option('--industry <name>', 'Any industry type contains')
+    .option('--skills <list>', 'Comma-separated skills the job must mention (any of them)')
+    .option('--all-skills', 'Require all of --skills instead of any')
+    .option('--matched', 'Only jobs that matched at least one config skill')
+    .option('--min-score <score>', 'Only jobs with at least this match score (0-100)')
+    .addOption(new Option('--match <mode>', 'How text filters are matched').choices(MATCH_MODES).default('literal'))
+    .option('--min-exp <years>', 'Only jobs whose experience range reaches at least this many years')
+    .option('--max-exp <years>', 'Only jobs whose experience range starts at or below this many years')
+    .addOption(new Option('--sort <field>', 'Sort field (default: relevance with --keyword, otherwise scrapedAt)').choices(SORT_FIELDS))
+    .option('--asc', 'Sort ascending instead of descending')
+    .option('--include-hidden', 'Include duplicates that were merged or hidden')
+    .option('--include-expired', 'Include postings that expired, were removed or closed')
     .option('-l, --limit <number>', 'Maximum number of jobs to display', '20')
     .action(async (options) => {
         showBanner();
 
         try {
             await connectDB();
-            await listJobs(options.keyword, parseInt(options.limit, 10));
+            await listJobs({
+                q: options.keyword,
+                profile: options.profile,
+                match: options.match,
+                keyword: options.searchKeyword,
+                company: options.company,
+                location: options.location,
+                industry: options.industry,
+                skills: options.skills,
+                skillsMode: options.allSkills ? 'all' : 'any',
+                matchedOnly: Boolean(options.matched),
+                minScore: options.minScore,
+                minExp: options.minExp,
+                maxExp: options.maxExp,
+                sortBy: options.sort || (options.keyword ? 'relevance' : 'scrapedAt'),
+                order: options.asc ? 'asc' : 'desc',
+                includeHidden: Boolean(options.includeHidden),
+                includeExpired: Boolean(options.includeExpired)
+            }, parseInt(options.limit, 10));
         } catch (error) {
             console.error(chalk.red(`\n❌ Error: ${error.message}`));
             process.exit(1);
@@ -398,6 +371,170 @@ program
         }
     });
 
+program
+    .command('runs')
+    .description('Show history of recent scrape runs')
+    .option('-l, --limit <number>', 'Maximum number of runs to display', '10')
+    .action(async (options) => {
+        showBanner();
+
+        try {
+            await connectDB();
+            await showRuns(parseInt(options.limit, 10));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await closeDB();
+        }
+    });
+
+program
+    .command('daemon')
+    .description('Run scheduled scrapes from the "schedule" section of config.json')
+    .action(async () => {
+        showBanner();
+
+        try {
+            const config = loadConfig();
+            const { errors } = validateConfig({ schedule: config.schedule || { enabled: false, jobs: [] } });
+            if (Object.keys(errors).length > 0) {
+                Object.entries(errors).forEach(([field, message]) => {
+                    console.error(chalk.red(`   ${field}: ${message}`));
+                });
+                throw new Error('Invalid schedule in config.json');
+            }
+            if (!config.schedule?.enabled) {
+                throw new Error('Scheduling is disabled. Set "schedule.enabled" to true in config.json');
+            }
+
+            await connectDB();
+            scheduler.start(config);
+
+            const { jobs, timezone } = await scheduler.describe(config);
+            console.log(chalk.green(`\n⏰ Scheduler running with ${jobs.length} job(s)${timezone ? ` (${timezone})` : ''}:`));
+            jobs.forEach(job => {
+                const keywords = job.keywords.length > 0 ? job.keywords.join(', ') : 'all config keywords';
+                console.log(chalk.white(`   • ${job.name} [${job.cron}] → ${keywords}`));
+                console.log(chalk.gray(`     Next run: ${job.nextRunAt ? job.nextRunAt.toLocaleString() : 'never'}`));
+            });
+            console.log(chalk.gray('\nPress Ctrl+C to stop.\n'));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            await closeDB();
+            process.exit(1);
+        }
+    });
+
+program
+    .command('backfill')
+    .description('Re-parse structured fields for jobs already stored')
+    .addArgument(new Argument('<target>', 'What to backfill').choices(Object.keys(BACKFILLS)))
+    .action(async (target) => {
+        showBanner();
+
+        try {
+            await connectDB();
+            console.log(chalk.blue(`\n🔁 Backfilling ${target}: ${BACKFILLS[target].description}`));
+
+            const result = await runBackfill(target, {
+                onProgress: ({ processed, total }) => {
+                    console.log(chalk.gray(`   Processed ${processed}/${total} jobs...`));
+                }
+            });
+
+            console.log(chalk.green(`\n✅ Backfill complete: ${result.updated} of ${result.processed} jobs updated\n`));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await closeDB();
+        }
+    });
+
+program
+    .command('rematch')
+    .description('Recompute matchedSkills and matchScore of stored jobs from the current config')
+    .action(async () => {
+        showBanner();
+
+        try {
+            await connectDB();
+            const result = await withRunLock('rematch', () => {
+                console.log(chalk.blue('\n🎯 Rematching stored jobs against config.json...'));
+                return runBackfill('matches', {
+                    onProgress: ({ processed, updated, total }) => {
+                        console.log(chalk.gray(`   Processed ${processed}/${total} jobs (${updated} changed)...`));
+                    }
+                });
+            });
+
+            console.log(chalk.green(`\n✅ Rematch complete: ${result.updated} of ${result.processed} jobs updated\n`));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await closeDB();
+        }
+    });
+
+program
+    .command('verify')
+    .description('Revisit stored job pages and mark expired, removed or closed postings')
+    .option('-l, --limit <number>', 'Maximum jobs to check, least recently verified first', '50')
+    .option('--missing', 'Only check jobs flagged as missing from search results')
+    .action(async (options) => {
+        showBanner();
+
+        try {
+            await connectDB();
+            const result = await withRunLock('verify', () => verifyJobs({
+                limit: parseInt(options.limit, 10),
+                statuses: options.missing ? ['missing'] : ['active', 'missing']
+            }));
+
+            console.log(chalk.green('\n✅ Verification Complete!'));
+            console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+            console.log(chalk.blue(`📊 Jobs Checked: ${result.checked}`));
+            console.log(chalk.green(`✅ Still Active: ${result.active}`));
+            console.log(chalk.red(`⌛ Expired: ${result.expired} | Removed: ${result.removed} | Closed: ${result.closed}`));
+            console.log(chalk.gray(`❔ Could not tell: ${result.unknown}`));
+            console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await closeDB();
+        }
+    });
+
+program
+    .command('dedupe')
+    .description('Link probable duplicate jobs (reposts at the same company)')
+    .option('-t, --threshold <score>', 'Minimum similarity score between 0 and 1', String(DUPLICATE_THRESHOLD))
+    .action(async (options) => {
+        showBanner();
+
+        try {
+            const threshold = parseFloat(options.threshold);
+            if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) {
+                throw new Error('--threshold must be a number between 0 and 1');
+            }
+
+            await connectDB();
+            console.log(chalk.blue('\n🧬 Looking for duplicate jobs...'));
+
+            const result = await detectDuplicates({ threshold });
+
+            console.log(chalk.green(`\n✅ Checked ${result.checked} jobs: ${result.linked} newly linked, ${result.unlinked} unlinked\n`));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Error: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await closeDB();
+        }
+    });
+
 // Parse arguments
 program.parse();
 
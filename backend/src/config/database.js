@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Job = require('../models/Job');
 
 /**
  * Connect to MongoDB using the URI from environment variables
@@ -15,6 +16,12 @@ async function connectDB() {
     await mongoose.connect(uri);
     
     console.log('✅ Connected to MongoDB successfully');
+
+    // Jobs stored before keywords were collected only have searchKeyword
+    const seeded = await Job.seedSearchKeywords();
+    if (seeded > 0) {
+      console.log(`🔑 Seeded searchKeywords for ${seeded} older job(s)`);
+    }
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
@@ -0,0 +1,573 @@
+const fs = require('fs');
+const path = require('path');
+const { Cron } = require('croner');
+const { DEFAULT_WEIGHTS } = require('../utils/matchScorer');
+const { SKILL_CATEGORIES, compactSkill } = require('../utils/skillTaxonomy');
+const { WORK_MODES, FRESHNESS_DAYS, SALARY_BANDS, COMPANY_TYPES, SEARCH_SORTS } = require('../utils/searchFilters');
+const { DEFAULT_SELECTORS } = require('../scraper/selectors');
+
+// Config file path
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'config.json');
+
+// Name of the profile made of the top-level keywords, skills and experience
+const DEFAULT_PROFILE = 'default';
+
+// Profile names are used in URLs and as field names, so only simple characters are allowed
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Settings a profile can override; the rest is shared by every profile
+const PROFILE_FIELDS = ['keywords', 'skills', 'experience', 'locations', 'searchFilters', 'matching', 'pagesPerKeyword'];
+
+// Fallback used when config.json is missing or unreadable
+const DEFAULT_CONFIG = {
+    keywords: [],
+    skills: [],
+    experience: null,
+    scraping: { pagesPerKeyword: 3, delayBetweenKeywords: 5000, scrapeJobDetails: true, missingAfterRuns: 3, detailConcurrency: 3, detailRequestInterval: 1500, retries: 2, retryBaseDelay: 2000 }
+};
+
+/**
+ * Load configuration from config.json
+ * @returns {Object} Configuration object
+ */
+function loadConfig() {
+    try {
+        if (fs.existsSync(CONFIG_PATH)) {
+            const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
+            return JSON.parse(configData);
+        }
+    } catch (error) {
+        console.error(`Error loading config.json: ${error.message}`);
+    }
+    return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+}
+
+/**
+ * Names of all search profiles, the default profile first
+ * @param {Object} config - Configuration object
+ * @returns {string[]}
+ */
+function listProfiles(config) {
+    return [DEFAULT_PROFILE, ...(config.profiles || []).map(profile => profile.name)];
+}
+
+/**
+ * Configuration to scrape and match with for a search profile.
+ * A named profile's keywords, skills, experience, locations, searchFilters,
+ * matching and pagesPerKeyword replace the top-level ones; settings it leaves out are
+ * inherited. The result carries the profile name as `profile`.
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} [name] - Profile name (default: the default profile)
+ * @returns {Object}
+ * @throws {Error} error.code === 'UNKNOWN_PROFILE' when there is no such profile
+ */
+function resolveProfile(config, name = DEFAULT_PROFILE) {
+    if (!name || name === DEFAULT_PROFILE) {
+        return { ...config, locations: config.locations || [], profile: DEFAULT_PROFILE };
+    }
+
+    const profile = (config.profiles || []).find(p => p.name === name);
+    if (!profile) {
+        const error = new Error(`Unknown profile "${name}" (available: ${listProfiles(config).join(', ')})`);
+        error.code = 'UNKNOWN_PROFILE';
+        throw error;
+    }
+
+    const resolved = { ...config, locations: config.locations || [], profile: name };
+    for (const field of PROFILE_FIELDS) {
+        if (profile[field] === undefined || field === 'pagesPerKeyword') continue;
+        resolved[field] = profile[field];
+    }
+    if (profile.pagesPerKeyword !== undefined) {
+        resolved.scraping = { ...config.scraping, pagesPerKeyword: profile.pagesPerKeyword };
+    }
+    return resolved;
+}
+
+/**
+ * Write configuration back to config.json
+ * @param {Object} config - Configuration object
+ */
+function saveConfig(config) {
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 4) + '\n', 'utf8');
+}
+
+/**
+ * Validate a list of non-empty strings, returning the trimmed, de-duplicated list
+ * @param {*} value - Value to validate
+ * @param {string} field - Field name used in error messages
+ * @param {Object} errors - Error map to populate
+ * @returns {string[]|undefined}
+ */
+function validateStringList(value, field, errors) {
+    if (!Array.isArray(value)) {
+        errors[field] = `${field} must be an array of strings`;
+        return undefined;
+    }
+
+    const items = [];
+    for (const item of value) {
+        if (typeof item !== 'string' || !item.trim()) {
+            errors[field] = `${field} must only contain non-empty strings`;
+            return undefined;
+        }
+        if (!items.some(existing => existing.toLowerCase() === item.trim().toLowerCase())) {
+            items.push(item.trim());
+        }
+    }
+    return items;
+}
+
+/**
+ * Validate an integer within a range
+ * @param {*} value - Value to validate
+ * @param {string} field - Field name used in error messages
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {Object} errors - Error map to populate
+ * @returns {number|undefined}
+ */
+function validateInteger(value, field, min, max, errors) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors[field] = `${field} must be a whole number between ${min} and ${max}`;
+        return undefined;
+    }
+    return value;
+}
+
+/**
+ * Validate the `matching` section (preferences behind matchScore)
+ * @param {*} matching - Value to validate
+ * @param {Object} errors - Error map to populate
+ * @returns {Object|undefined}
+ */
+function validateMatching(matching, errors) {
+    if (!matching || typeof matching !== 'object' || Array.isArray(matching)) {
+        errors.matching = 'matching must be an object';
+        return undefined;
+    }
+
+    const value = {};
+    for (const field of ['mustHaveSkills', 'locations', 'titleKeywords']) {
+        value[field] = matching[field] === undefined ? [] : validateStringList(matching[field], `matching.${field}`, errors);
+    }
+
+    if (matching.minSalary === undefined || matching.minSalary === null) {
+        value.minSalary = null;
+    } else if (typeof matching.minSalary !== 'number' || !(matching.minSalary >= 0 && matching.minSalary <= 500)) {
+        errors['matching.minSalary'] = 'matching.minSalary must be a number of LPA between 0 and 500';
+    } else {
+        value.minSalary = matching.minSalary;
+    }
+
+    if (matching.weights !== undefined) {
+        if (!matching.weights || typeof matching.weights !== 'object' || Array.isArray(matching.weights)) {
+            errors['matching.weights'] = 'matching.weights must be an object';
+        } else {
+            value.weights = {};
+            for (const [name, weight] of Object.entries(matching.weights)) {
+                if (!Object.hasOwn(DEFAULT_WEIGHTS, name)) {
+                    errors['matching.weights'] = `Unknown weight "${name}" (expected: ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`;
+                    continue;
+                }
+                value.weights[name] = validateInteger(weight, `matching.weights.${name}`, 0, 100, errors);
+            }
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Validate a `searchFilters` section (Naukri search filters besides experience and location)
+ * @param {*} filters - Value to validate
+ * @param {string} field - Field name used in error messages
+ * @param {Object} errors - Error map to populate
+ * @returns {Object|undefined}
+ */
+function validateSearchFilters(filters, field, errors) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        errors[field] = `${field} must be an object`;
+        return undefined;
+    }
+
+    const value = {};
+    const lists = [
+        ['workModes', Object.keys(WORK_MODES)],
+        ['salaryBands', SALARY_BANDS],
+        ['companyTypes', Object.keys(COMPANY_TYPES)]
+    ];
+    for (const [name, allowed] of lists) {
+        if (filters[name] === undefined) continue;
+        const items = validateStringList(filters[name], `${field}.${name}`, errors);
+        const unknown = items?.find(item => !allowed.includes(item));
+        if (unknown) {
+            errors[`${field}.${name}`] = `Unknown ${field}.${name} value "${unknown}" (expected: ${allowed.join(', ')})`;
+        } else {
+            value[name] = items;
+        }
+    }
+
+    if (filters.freshnessDays === null) {
+        value.freshnessDays = null;
+    } else if (filters.freshnessDays !== undefined) {
+        if (!FRESHNESS_DAYS.includes(filters.freshnessDays)) {
+            errors[`${field}.freshnessDays`] = `${field}.freshnessDays must be one of: ${FRESHNESS_DAYS.join(', ')} (or null)`;
+        } else {
+            value.freshnessDays = filters.freshnessDays;
+        }
+    }
+
+    if (filters.sortBy !== undefined) {
+        if (typeof filters.sortBy !== 'string' || !Object.hasOwn(SEARCH_SORTS, filters.sortBy)) {
+            errors[`${field}.sortBy`] = `${field}.sortBy must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`;
+        } else {
+            value.sortBy = filters.sortBy;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Validate an experience range ({ min, max } or null)
+ * @param {*} experience - Value to validate
+ * @param {string} field - Field name used in error messages
+ * @param {Object} errors - Error map to populate
+ * @returns {Object|null|undefined}
+ */
+function validateExperience(experience, field, errors) {
+    if (experience === null) {
+        return null;
+    }
+    if (typeof experience !== 'object' || Array.isArray(experience)) {
+        errors[field] = `${field} must be an object with min and max`;
+        return undefined;
+    }
+
+    const min = validateInteger(experience.min, `${field}.min`, 0, 30, errors);
+    const max = validateInteger(experience.max, `${field}.max`, 0, 30, errors);
+    if (min !== undefined && max !== undefined && min > max) {
+        errors[`${field}.max`] = `${field}.max must be greater than or equal to ${field}.min`;
+    }
+    return { min, max };
+}
+
+/**
+ * Validate the `profiles` section: named search profiles
+ * @param {*} profiles - Value to validate
+ * @param {Object} errors - Error map to populate
+ * @returns {Object[]|undefined}
+ */
+function validateProfiles(profiles, errors) {
+    if (!Array.isArray(profiles)) {
+        errors.profiles = 'profiles must be an array';
+        return undefined;
+    }
+
+    const names = new Set([DEFAULT_PROFILE]);
+    return profiles.map((profile, i) => {
+        const prefix = `profiles.${i}`;
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            errors[prefix] = 'Each profile must be an object';
+            return undefined;
+        }
+
+        const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            errors[`${prefix}.name`] = 'name must be 1-40 letters, digits, "-" or "_"';
+        } else if (names.has(name)) {
+            errors[`${prefix}.name`] = name === DEFAULT_PROFILE ? `"${DEFAULT_PROFILE}" is reserved` : `Duplicate profile "${name}"`;
+        }
+        names.add(name);
+
+        const value = { name };
+        if (profile.keywords !== undefined) {
+            value.keywords = validateStringList(profile.keywords, `${prefix}.keywords`, errors);
+            if (value.keywords && value.keywords.length === 0) {
+                errors[`${prefix}.keywords`] = 'At least one keyword is required';
+            }
+        }
+        for (const field of ['skills', 'locations']) {
+            if (profile[field] !== undefined) {
+                value[field] = validateStringList(profile[field], `${prefix}.${field}`, errors);
+            }
+        }
+        if (profile.searchFilters !== undefined) {
+            value.searchFilters = validateSearchFilters(profile.searchFilters, `${prefix}.searchFilters`, errors);
+        }
+        if (profile.experience !== undefined) {
+            value.experience = validateExperience(profile.experience, `${prefix}.experience`, errors);
+        }
+        if (profile.matching !== undefined) {
+            const matchingErrors = {};
+            value.matching = validateMatching(profile.matching, matchingErrors);
+            for (const [field, message] of Object.entries(matchingErrors)) {
+                errors[`${prefix}.${field}`] = message;
+            }
+        }
+        if (profile.pagesPerKeyword !== undefined) {
+            value.pagesPerKeyword = validateInteger(profile.pagesPerKeyword, `${prefix}.pagesPerKeyword`, 1, 20, errors);
+        }
+        return value;
+    });
+}
+
+/**
+ * Validate the `skillTaxonomy` section: custom skills added to (or
+ * overriding) the built-in taxonomy
+ * @param {*} taxonomy - Value to validate
+ * @param {Object} errors - Error map to populate
+ * @returns {Object[]|undefined}
+ */
+function validateSkillTaxonomy(taxonomy, errors) {
+    if (!Array.isArray(taxonomy)) {
+        errors.skillTaxonomy = 'skillTaxonomy must be an array';
+        return undefined;
+    }
+
+    const names = new Set();
+    return taxonomy.map((entry, i) => {
+        const prefix = `skillTaxonomy.${i}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors[prefix] = 'Each skill must be an object';
+            return undefined;
+        }
+
+        const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+        if (!name) {
+            errors[`${prefix}.name`] = 'name is required';
+        } else if (names.has(compactSkill(name))) {
+            errors[`${prefix}.name`] = `Duplicate skill "${name}"`;
+        }
+        names.add(compactSkill(name));
+
+        if (!SKILL_CATEGORIES.includes(entry.category)) {
+            errors[`${prefix}.category`] = `category must be one of: ${SKILL_CATEGORIES.join(', ')}`;
+        }
+
+        const aliases = entry.aliases === undefined ? [] : validateStringList(entry.aliases, `${prefix}.aliases`, errors);
+        return { name, category: entry.category, aliases };
+    });
+}
+
+/**
+ * Validate the `selectors` section: selector lists replacing built-in ones
+ * (see scraper/selectors), plus an optional version number for the set
+ * @param {*} selectors - Value to validate
+ * @param {Object} errors - Error map to populate
+ * @returns {Object|undefined}
+ */
+function validateSelectors(selectors, errors) {
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        errors.selectors = 'selectors must be an object';
+        return undefined;
+    }
+
+    const value = {};
+    for (const [group, fields] of Object.entries(selectors)) {
+        if (group === 'version') {
+            value.version = validateInteger(fields, 'selectors.version', 1, 1000000, errors);
+            continue;
+        }
+        if (!Object.hasOwn(DEFAULT_SELECTORS, group)) {
+            errors[`selectors.${group}`] = `Unknown selector group "${group}" (expected one of: ${Object.keys(DEFAULT_SELECTORS).join(', ')})`;
+            continue;
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            errors[`selectors.${group}`] = `selectors.${group} must be an object`;
+            continue;
+        }
+
+        value[group] = {};
+        for (const [field, list] of Object.entries(fields)) {
+            const key = `selectors.${group}.${field}`;
+            if (!Object.hasOwn(DEFAULT_SELECTORS[group], field)) {
+                errors[key] = `Unknown field "${field}" (expected one of: ${Object.keys(DEFAULT_SELECTORS[group]).join(', ')})`;
+                continue;
+            }
+            value[group][field] = validateStringList(list, key, errors);
+            if (value[group][field] && value[group][field].length === 0) {
+                errors[key] = `${key} needs at least one selector`;
+            }
+        }
+    }
+    return value;
+}
+
+/**
+ * Validate the `schedule` section
+ * @param {*} schedule - Value to validate
+ * @param {Object} errors - Error map to populate
+ * @returns {Object|undefined}
+ */
+function validateSchedule(schedule, errors) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        errors.schedule = 'schedule must be an object';
+        return undefined;
+    }
+
+    const value = { enabled: schedule.enabled, jobs: [] };
+
+    if (typeof schedule.enabled !== 'boolean') {
+        errors['schedule.enabled'] = 'schedule.enabled must be true or false';
+    }
+
+    if (schedule.timezone !== undefined && schedule.timezone !== null) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+            value.timezone = schedule.timezone;
+        } catch {
+            errors['schedule.timezone'] = `Unknown timezone "${schedule.timezone}"`;
+        }
+    }
+
+    if (!Array.isArray(schedule.jobs)) {
+        errors['schedule.jobs'] = 'schedule.jobs must be an array';
+        return value;
+    }
+
+    const names = new Set();
+    schedule.jobs.forEach((job, i) => {
+        const prefix = `schedule.jobs.${i}`;
+        if (!job || typeof job !== 'object') {
+            errors[prefix] = 'Each schedule entry must be an object';
+            return;
+        }
+
+        const name = typeof job.name === 'string' ? job.name.trim() : '';
+        if (!name) {
+            errors[`${prefix}.name`] = 'name is required';
+        } else if (names.has(name)) {
+            errors[`${prefix}.name`] = `Duplicate schedule name "${name}"`;
+        }
+        names.add(name);
+
+        try {
+            new Cron(job.cron, { paused: true });
+        } catch (error) {
+            errors[`${prefix}.cron`] = `Invalid cron expression: ${error.message}`;
+        }
+
+        const entry = { name, cron: job.cron };
+        if (job.keywords !== undefined) {
+            entry.keywords = validateStringList(job.keywords, `${prefix}.keywords`, errors);
+        }
+        if (job.profile !== undefined && job.profile !== null) {
+            if (typeof job.profile !== 'string' || !PROFILE_NAME_PATTERN.test(job.profile)) {
+                errors[`${prefix}.profile`] = 'profile must be a profile name';
+            } else {
+                entry.profile = job.profile;
+            }
+        }
+        value.jobs.push(entry);
+    });
+
+    return value;
+}
+
+/**
+ * Validate the user-editable parts of the configuration.
+ * Only the sections present in `input` are checked and returned.
+ *
+ * @param {Object} input - Partial configuration (keywords, skills, skillTaxonomy, experience, locations,
+ *                         searchFilters, matching, profiles, scraping, schedule, selectors)
+ * @returns {{ value: Object, errors: Object }} - Normalised values and per-field errors
+ */
+function validateConfig(input) {
+    const errors = {};
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: { config: 'Configuration must be an object' } };
+    }
+
+    if (input.keywords !== undefined) {
+        value.keywords = validateStringList(input.keywords, 'keywords', errors);
+        if (value.keywords && value.keywords.length === 0) {
+            errors.keywords = 'At least one keyword is required';
+        }
+    }
+
+    if (input.skills !== undefined) {
+        value.skills = validateStringList(input.skills, 'skills', errors);
+    }
+
+    if (input.skillTaxonomy !== undefined) {
+        value.skillTaxonomy = validateSkillTaxonomy(input.skillTaxonomy, errors);
+    }
+
+    if (input.experience !== undefined) {
+        value.experience = validateExperience(input.experience, 'experience', errors);
+    }
+
+    if (input.locations !== undefined) {
+        value.locations = validateStringList(input.locations, 'locations', errors);
+    }
+
+    if (input.searchFilters !== undefined) {
+        value.searchFilters = validateSearchFilters(input.searchFilters, 'searchFilters', errors);
+    }
+
+    if (input.profiles !== undefined) {
+        value.profiles = validateProfiles(input.profiles, errors);
+    }
+
+    if (input.matching !== undefined) {
+        value.matching = validateMatching(input.matching, errors);
+    }
+
+    if (input.scraping !== undefined) {
+        const scraping = input.scraping;
+        if (!scraping || typeof scraping !== 'object' || Array.isArray(scraping)) {
+            errors.scraping = 'scraping must be an object';
+        } else {
+            value.scraping = {
+                pagesPerKeyword: validateInteger(scraping.pagesPerKeyword, 'scraping.pagesPerKeyword', 1, 20, errors),
+                delayBetweenKeywords: validateInteger(scraping.delayBetweenKeywords, 'scraping.delayBetweenKeywords', 0, 60000, errors),
+                scrapeJobDetails: scraping.scrapeJobDetails
+            };
+            if (typeof scraping.scrapeJobDetails !== 'boolean') {
+                errors['scraping.scrapeJobDetails'] = 'scraping.scrapeJobDetails must be true or false';
+            }
+            if (scraping.missingAfterRuns !== undefined) {
+                value.scraping.missingAfterRuns = validateInteger(scraping.missingAfterRuns, 'scraping.missingAfterRuns', 1, 50, errors);
+            }
+            if (scraping.detailConcurrency !== undefined) {
+                value.scraping.detailConcurrency = validateInteger(scraping.detailConcurrency, 'scraping.detailConcurrency', 1, 8, errors);
+            }
+            if (scraping.detailRequestInterval !== undefined) {
+                value.scraping.detailRequestInterval = validateInteger(scraping.detailRequestInterval, 'scraping.detailRequestInterval', 0, 30000, errors);
+            }
+            if (scraping.retries !== undefined) {
+                value.scraping.retries = validateInteger(scraping.retries, 'scraping.retries', 0, 5, errors);
+            }
+            if (scraping.retryBaseDelay !== undefined) {
+                value.scraping.retryBaseDelay = validateInteger(scraping.retryBaseDelay, 'scraping.retryBaseDelay', 500, 60000, errors);
+            }
+        }
+    }
+
+    if (input.schedule !== undefined) {
+        value.schedule = validateSchedule(input.schedule, errors);
+    }
+
+    if (input.selectors !== undefined) {
+        value.selectors = validateSelectors(input.selectors, errors);
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    CONFIG_PATH,
+    DEFAULT_CONFIG,
+    DEFAULT_PROFILE,
+    PROFILE_NAME_PATTERN,
+    loadConfig,
+    saveConfig,
+    listProfiles,
+    resolveProfile,
+    validateConfig
+};
@@ -0,0 +1,134 @@
+const Job = require('../models/Job');
+const { APPLICATION_STATUSES } = Job;
+const { buildJobQuery } = require('../utils/jobQuery');
+
+/**
+ * Validate an application update body
+ * @param {Object} body - { status, followUpAt, note }
+ * @returns {{ value: Object, errors: Object }}
+ */
+function validateApplicationUpdate(body = {}) {
+    const errors = {};
+    const value = {};
+
+    if (body.status !== undefined) {
+        if (!APPLICATION_STATUSES.includes(body.status)) {
+            errors.status = `status must be one of: ${APPLICATION_STATUSES.join(', ')}`;
+        } else {
+            value.status = body.status;
+        }
+    }
+
+    if (body.followUpAt !== undefined) {
+        const followUpAt = body.followUpAt === null || body.followUpAt === '' ? null : new Date(body.followUpAt);
+        if (followUpAt && Number.isNaN(followUpAt.getTime())) {
+            errors.followUpAt = 'followUpAt must be a date or null';
+        } else {
+            value.followUpAt = followUpAt;
+        }
+    }
+
+    if (body.note !== undefined && body.note !== null) {
+        if (typeof body.note !== 'string') {
+            errors.note = 'note must be a string';
+        } else if (body.note.trim()) {
+            value.note = body.note.trim();
+        }
+    }
+
+    if (Object.keys(errors).length === 0 && Object.keys(value).length === 0) {
+        errors.application = 'Provide at least one of status, followUpAt or note';
+    }
+
+    return { value, errors };
+}
+
+/**
+ * PATCH /api/jobs/:id/application
+ * Change the application status, follow-up date and/or add a note.
+ *
+ * Body:
+ *   status     - new | saved | applied | interviewing | offer | rejected | archived
+ *   followUpAt - ISO date, or null to clear
+ *   note       - Note to add (also attached to the status change, if any)
+ */
+async function updateApplication(req, res) {
+    try {
+        const { value, errors } = validateApplicationUpdate(req.body);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid application update',
+                errors
+            });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        await job.updateApplication(value);
+
+        return res.json({
+            success: true,
+            data: job.application
+        });
+    } catch (error) {
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid job ID format'
+            });
+        }
+
+        console.error('Error updating application:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * GET /api/jobs/board
+ * Jobs grouped into one column per application status.
+ * Accepts the same filters as GET /api/jobs (sorting and pagination excluded).
+ * Expired postings are always included: an application outlives its posting.
+ *
+ * Query params:
+ *   perColumn - Jobs returned per column (default: 50, max: 200)
+ */
+async function getBoard(req, res) {
+    try {
+        const perColumn = Math.min(200, Math.max(1, parseInt(req.query.perColumn, 10) || 50));
+        const { status: _status, ...query } = req.query;
+        const { filter } = buildJobQuery({ ...query, includeExpired: true });
+
+        const columns = await Job.getApplicationBoard(filter, perColumn);
+
+        return res.json({
+            success: true,
+            data: columns
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_QUERY') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error fetching board:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+module.exports = { updateApplication, getBoard };
@@ -0,0 +1,82 @@
+const { loadConfig, saveConfig, validateConfig } = require('../config/scraperConfig');
+const scheduler = require('../services/scheduler');
+
+// Sections of config.json that can be edited through the API
+const EDITABLE_SECTIONS = ['keywords', 'skills', 'skillTaxonomy', 'experience', 'locations', 'searchFilters', 'matching', 'profiles', 'scraping', 'schedule', 'selectors'];
+
+/**
+ * GET /api/config
+ * Get the current scraper configuration from config.json.
+ */
+async function getConfig(req, res) {
+    try {
+        const config = loadConfig();
+        return res.json({
+            success: true,
+            data: config
+        });
+    } catch (error) {
+        console.error('Error fetching config:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * PUT /api/config
+ * Validate and persist keywords, skills, skill taxonomy, experience, locations, search filters,
+ * matching, search profiles, scraping and schedule options, and selector overrides.
+ *
+ * Body: any subset of { keywords, skills, skillTaxonomy, experience, locations, searchFilters, matching,
+ * profiles, scraping, schedule, selectors }.
+ * Sections not sent are left untouched. Validation errors are returned
+ * per field, e.g. { "experience.max": "..." }.
+ */
+async function updateConfig(req, res) {
+    try {
+        const input = {};
+        for (const section of EDITABLE_SECTIONS) {
+            if (req.body?.[section] !== undefined) {
+                input[section] = req.body[section];
+            }
+        }
+
+        const { value, errors } = validateConfig(input);
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid configuration',
+                errors
+            });
+        }
+
+        const current = loadConfig();
+        const updated = { ...current, ...value };
+        if (value.scraping) {
+            updated.scraping = { ...current.scraping, ...value.scraping };
+        }
+
+        saveConfig(updated);
+
+        // Pick up schedule changes if this process hosts the scheduler
+        if (value.schedule && scheduler.hosted) {
+            scheduler.start(updated);
+        }
+
+        return res.json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error saving config:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+module.exports = { getConfig, updateConfig };
@@ -0,0 +1,141 @@
+const Job = require('../models/Job');
+const { DUPLICATE_ACTIONS, detectDuplicates, resolveDuplicate, listDuplicateGroups } = require('../services/duplicateService');
+
+// Statuses that can be listed as groups (dismissed jobs are not linked to anything)
+const LISTED_STATUSES = ['probable', 'merged', 'hidden'];
+
+/**
+ * GET /api/jobs/duplicates
+ * Duplicates grouped under the job they duplicate.
+ *
+ * Query params:
+ *   status - "probable" (default), "merged" or "hidden"
+ */
+async function getDuplicates(req, res) {
+    try {
+        const status = req.query.status || 'probable';
+        if (!LISTED_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${LISTED_STATUSES.join(', ')}`
+            });
+        }
+
+        const groups = await listDuplicateGroups(status);
+
+        return res.json({
+            success: true,
+            data: groups
+        });
+    } catch (error) {
+        console.error('Error fetching duplicates:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * POST /api/jobs/duplicates/detect
+ * Re-run duplicate detection over all stored jobs.
+ */
+async function runDetection(req, res) {
+    try {
+        const result = await detectDuplicates();
+
+        return res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error detecting duplicates:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * PATCH /api/jobs/:id/duplicate
+ * Merge, hide, dismiss or restore a duplicate.
+ *
+ * Body:
+ *   action - merge | hide | dismiss | restore
+ *   into   - Job ID to merge into (merge only; defaults to the linked job)
+ */
+async function updateDuplicate(req, res) {
+    try {
+        const { action, into } = req.body || {};
+        if (!DUPLICATE_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: `action must be one of: ${DUPLICATE_ACTIONS.join(', ')}`
+            });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        let target = null;
+        if (action === 'merge') {
+            const targetId = into || job.duplicateOf;
+            if (!targetId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Provide "into": this job is not linked to another job'
+                });
+            }
+
+            target = await Job.findById(targetId);
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job to merge into not found'
+                });
+            }
+            // Merging into one of this job's own duplicates would re-link that duplicate to itself
+            const isOwnDuplicate = Boolean(target.duplicateOf && target.duplicateOf.equals(job._id));
+            if (target._id.equals(job._id) || isOwnDuplicate || Job.HIDDEN_DUPLICATE_STATUSES.includes(target.duplicateStatus)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot merge into this job itself, into one of its duplicates or into a merged or hidden job'
+                });
+            }
+        }
+
+        await resolveDuplicate(job, action, target);
+
+        return res.json({
+            success: true,
+            data: {
+                _id: job._id,
+                duplicateOf: job.duplicateOf,
+                duplicateScore: job.duplicateScore,
+                duplicateStatus: job.duplicateStatus
+            }
+        });
+    } catch (error) {
+        // Handle invalid ObjectId format (job or "into")
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid job ID format'
+            });
+        }
+
+        console.error('Error updating duplicate:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+module.exports = { getDuplicates, runDetection, updateDuplicate };
@@ -1,44 +1,49 @@
 const Job = require('../models/Job');
+const JobChange = require('../models/JobChange');
+const { buildJobQuery, applyProfileMatches } = require('../utils/jobQuery');
 
 /**
  * GET /api/jobs
- * List all jobs with pagination, search, and sorting.
+ * List all jobs with pagination, search, filters and sorting.
  *
  * Query params:
- *   page    - Page number (default: 1)
- *   limit   - Items per page (default: 20, max: 100)
- *   keyword - Filter by searchKeyword field (exact match, case-insensitive)
- *   search  - Search on title (like SQL LIKE %search%)
+ *   profile     - Only jobs found by this search profile, with the profile's match results
+ *   page        - Page number (default: 1)
+ *   limit       - Items per page (default: 20, max: 100)
+ *   q           - Full-text search over title, description and skills (ranked by relevance)
+ *   match       - How text filters are matched: "literal" (default), "prefix" or "regex"
+ *   keyword     - Any keyword that found the job (whole value, case-insensitive)
+ *   search      - Search on title (like SQL LIKE %search%)
+ *   company     - Company name contains
+ *   location    - Location contains
+ *   industry    - Any industry type contains
+ *   skills      - Comma-separated skills matched against skills/keySkills
+ *   skillsMode  - "any" (default) or "all"
+ *   matchedOnly - "true" to only return jobs matching at least one config skill
+ *   minScore    - Only jobs with at least this match score (0-100)
+ *   status      - Comma-separated application statuses
+ *   minSalary   - Only jobs whose salary range reaches at least this many LPA
+ *   maxSalary   - Only jobs whose salary range starts at or below this many LPA
+ *   minExp      - Only jobs whose experience range reaches at least this many years
+ *   maxExp      - Only jobs whose experience range starts at or below this many years
+ *   postedSince - Only jobs posted on or after this ISO date
+ *   includeHidden - "true" to include duplicates that were merged or hidden
+ *   includeExpired - "true" to include postings that expired, were removed or closed
+ *   sortBy      - "createdAt" (default), "scrapedAt", "salary", "postedAt", "matchScore" or "relevance" (default with q)
+ *   order       - "desc" (default) or "asc"
  */
 async function getJobs(req, res) {
     try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
-        const keyword = req.query.keyword?.trim();
-        const search = req.query.search?.trim();
-
-        // Build filter
-        let filter = {};
-        const conditions = [];
-
-        if (keyword) {
-            conditions.push({ searchKeyword: new RegExp(`^${keyword}$`, 'i') });
-        }
-
-        if (search) {
-            conditions.push({ title: new RegExp(search, 'i') });
-        }
-
-        if (conditions.length > 0) {
-            filter = conditions.length === 1 ? conditions[0] : { $and: conditions };
-        }
+        const { filter, sort, projection } = buildJobQuery(req.query);
 
         const skip = (page - 1) * limit;
 
         // Run query and count in parallel
         const [jobs, totalJobs] = await Promise.all([
-            Job.find(filter)
-                .sort({ createdAt: -1 })
+            Job.find(filter, projection)
+                .sort(sort)
                 .skip(skip)
                 .limit(limit)
                 .lean(),
@@ -49,7 +54,7 @@ async function getJobs(req, res) {
 
         return res.json({
             success: true,
-            data: jobs,
+            data: jobs.map(job => applyProfileMatches(job, req.query.profile)),
             pagination: {
                 page,
                 limit,
@@ -60,6 +65,14 @@ async function getJobs(req, res) {
             }
         });
     } catch (error) {
+        // Bad parameter values and rejected regex patterns
+        if (error.code === 'INVALID_QUERY') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Error fetching jobs:', error.message);
         return res.status(500).json({
             success: false,
@@ -71,10 +84,17 @@ async function getJobs(req, res) {
 /**
  * GET /api/jobs/:id
  * Get a single job by its MongoDB _id.
+ * `duplicateOf` is populated with the job's title and company, and
+ * `duplicates` lists the jobs linked to this one as duplicates.
+ *
+ * Query params:
+ *   profile - Show the match results of this search profile
  */
 async function getJobById(req, res) {
     try {
-        const job = await Job.findById(req.params.id).lean();
+        const job = await Job.findById(req.params.id)
+            .populate('duplicateOf', 'title company location jobUrl')
+            .lean();
 
         if (!job) {
             return res.status(404).json({
@@ -83,9 +103,14 @@ async function getJobById(req, res) {
             });
         }
 
+        job.duplicates = await Job.find({ duplicateOf: job._id })
+            .select('title company location jobUrl searchKeywords duplicateScore duplicateStatus')
+            .sort({ duplicateScore: -1 })
+            .lean();
+
         return res.json({
             success: true,
-            data: job
+            data: applyProfileMatches(job, req.query.profile)
         });
     } catch (error) {
         // Handle invalid ObjectId format
@@ -104,13 +129,51 @@ async function getJobById(req, res) {
     }
 }
 
+/**
+ * GET /api/jobs/:id/history
+ * Changes to scraped fields (salary, vacancies, description...) detected on re-scrapes, newest first.
+ */
+async function getJobHistory(req, res) {
+    try {
+        const job = await Job.findById(req.params.id).select('_id').lean();
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const history = await JobChange.findForJob(job._id).lean();
+
+        return res.json({
+            success: true,
+            data: history
+        });
+    } catch (error) {
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid job ID format'
+            });
+        }
+
+        console.error('Error fetching job history:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
 /**
  * GET /api/jobs/keywords
  * Get all unique search keywords for the filter dropdown.
  */
 async function getKeywords(req, res) {
     try {
-        const keywords = await Job.distinct('searchKeyword');
+        const keywords = await Job.distinct('searchKeywords');
         return res.json({
             success: true,
             data: keywords.sort()
@@ -124,4 +187,4 @@ async function getKeywords(req, res) {
     }
 }
 
-module.exports = { getJobs, getJobById, getKeywords };
+module.exports = { getJobs, getJobById, getJobHistory, getKeywords };
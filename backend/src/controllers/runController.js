@@ -0,0 +1,122 @@
+const ScrapeRun = require('../models/ScrapeRun');
+
+/**
+ * Read an optional enum filter from the query string
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @param {string[]} allowed - Accepted values
+ * @returns {{ value: string|null, error: string|null }} - error for repeated, nested or unknown values
+ */
+function enumParam(query, name, allowed) {
+    const raw = query[name];
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (value === undefined || value === '') {
+        return { value: null, error: null };
+    }
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+        return { value: null, error: `${name} must be one of: ${allowed.join(', ')}` };
+    }
+    return { value, error: null };
+}
+
+/**
+ * GET /api/runs
+ * List scrape runs, most recent first.
+ *
+ * Query params:
+ *   page    - Page number (default: 1)
+ *   limit   - Items per page (default: 20, max: 100)
+ *   trigger - Filter by trigger (cli, api, schedule)
+ *   status  - Filter by status (running, completed, failed, skipped)
+ *
+ * Unknown, repeated or nested trigger and status values return 400.
+ */
+async function getRuns(req, res) {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const trigger = enumParam(req.query, 'trigger', ScrapeRun.RUN_TRIGGERS);
+        const status = enumParam(req.query, 'status', ScrapeRun.RUN_STATUSES);
+        const invalid = trigger.error || status.error;
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        const filter = {};
+        if (trigger.value) filter.trigger = trigger.value;
+        if (status.value) filter.status = status.value;
+
+        const skip = (page - 1) * limit;
+
+        const [runs, totalRuns] = await Promise.all([
+            ScrapeRun.find(filter)
+                .sort({ startedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            ScrapeRun.countDocuments(filter)
+        ]);
+
+        const totalPages = Math.ceil(totalRuns / limit);
+
+        return res.json({
+            success: true,
+            data: runs,
+            pagination: {
+                page,
+                limit,
+                totalRuns,
+                totalPages,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching runs:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * GET /api/runs/:id
+ * Get a single scrape run with its per-keyword statistics.
+ */
+async function getRunById(req, res) {
+    try {
+        const run = await ScrapeRun.findById(req.params.id).lean();
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                message: 'Run not found'
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid run ID format'
+            });
+        }
+
+        console.error('Error fetching run:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+module.exports = { getRuns, getRunById };
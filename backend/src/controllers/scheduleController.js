@@ -0,0 +1,24 @@
+const scheduler = require('../services/scheduler');
+const { loadConfig } = require('../config/scraperConfig');
+
+/**
+ * GET /api/schedule
+ * Get the configured schedule with next and last fire times per entry.
+ */
+async function getSchedule(req, res) {
+    try {
+        const schedule = await scheduler.describe(loadConfig());
+        return res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+module.exports = { getSchedule };
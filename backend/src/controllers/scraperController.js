@@ -0,0 +1,128 @@
+const runManager = require('../services/runManager');
+
+/**
+ * POST /api/scraper/run
+ * Start a scrape run in the background.
+ *
+ * Body (all optional):
+ *   keyword - Scrape a single keyword instead of every keyword of the profile
+ *   pages   - Pages to scrape for a single keyword (default: 3, max: 20)
+ *   login   - Login to Naukri before a single-keyword scrape (default: false)
+ *   profile - Search profile to scrape with (default: "default")
+ */
+async function startRun(req, res) {
+    try {
+        const keyword = typeof req.body?.keyword === 'string' ? req.body.keyword.trim() : '';
+        const pages = Math.min(20, Math.max(1, parseInt(req.body?.pages, 10) || 3));
+        const login = req.body?.login === true;
+        const profile = typeof req.body?.profile === 'string' ? req.body.profile.trim() : undefined;
+
+        const run = await runManager.start(keyword ? { keyword, pages, login, profile } : { profile });
+
+        return res.status(202).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                data: runManager.getStatus()
+            });
+        }
+        if (error.code === 'UNKNOWN_PROFILE') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error starting scrape run:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * POST /api/scraper/verify
+ * Revisit stored job pages in the background and mark postings that expired,
+ * were removed or stopped accepting applications. Shares the one-run-at-a-time
+ * limit with scrape runs; progress is reported by GET /api/scraper/status.
+ *
+ * Body (all optional):
+ *   limit - Maximum jobs to check, least recently verified first (default: 50, max: 500)
+ */
+async function startVerify(req, res) {
+    try {
+        const limit = Math.min(500, Math.max(1, parseInt(req.body?.limit, 10) || 50));
+
+        const run = await runManager.startVerify({ limit });
+
+        return res.status(202).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                data: runManager.getStatus()
+            });
+        }
+
+        console.error('Error starting verification:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * POST /api/scraper/rematch
+ * Recompute matchedSkills and matchScore of every stored job from the
+ * current config in the background (e.g. after editing skills). Shares the
+ * one-run-at-a-time limit with scrape runs; progress is reported by
+ * GET /api/scraper/status.
+ */
+async function startRematch(req, res) {
+    try {
+        const run = await runManager.startRematch();
+
+        return res.status(202).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                data: runManager.getStatus()
+            });
+        }
+
+        console.error('Error starting rematch:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+}
+
+/**
+ * GET /api/scraper/status
+ * Get the status and per-keyword progress of the current (or last) run.
+ */
+async function getRunStatus(req, res) {
+    return res.json({
+        success: true,
+        data: runManager.getStatus()
+    });
+}
+
+module.exports = { startRun, startVerify, startRematch, getRunStatus };
@@ -0,0 +1,196 @@
+const Job = require('../models/Job');
+const { DEFAULT_PROFILE, PROFILE_NAME_PATTERN, loadConfig } = require('../config/scraperConfig');
+const { SKILL_CATEGORIES, getTaxonomy } = require('../utils/skillTaxonomy');
+const { HIDDEN_DUPLICATE_STATUSES } = Job;
+
+/**
+ * Build the job filter shared by all stats endpoints.
+ * Merged and hidden duplicates are never counted.
+ *
+ * Query params:
+ *   from    - Only jobs scraped on/after this date (ISO 8601)
+ *   to      - Only jobs scraped on/before this date (ISO 8601)
+ *   keyword - Only jobs found by this search keyword (exact match)
+ *   profile - Only jobs found by this search profile
+ *
+ * @param {Object} query - Express request query
+ * @returns {{ filter: Object, error: string|null }}
+ */
+function buildStatsFilter(query) {
+    const filter = { duplicateStatus: { $nin: HIDDEN_DUPLICATE_STATUSES } };
+    const scrapedAt = {};
+
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        const value = query[param]?.trim();
+        if (!value) continue;
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { filter, error: `Invalid "${param}" date: ${value}` };
+        }
+        // A bare date for "to" should include the whole day
+        if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        scrapedAt[operator] = date;
+    }
+
+    if (Object.keys(scrapedAt).length > 0) {
+        filter.scrapedAt = scrapedAt;
+    }
+
+    const keyword = query.keyword?.trim();
+    if (keyword) {
+        filter.searchKeywords = keyword;
+    }
+
+    const profile = query.profile?.trim();
+    if (profile) {
+        if (!PROFILE_NAME_PATTERN.test(profile)) {
+            return { filter, error: `Invalid profile: ${profile}` };
+        }
+        // Jobs stored before profiles existed belong to the default profile
+        filter.profiles = profile === DEFAULT_PROFILE ? { $in: [DEFAULT_PROFILE, [], null] } : profile;
+    }
+
+    return { filter, error: null };
+}
+
+/**
+ * Wrap a stats handler with filter parsing and the standard error responses
+ * @param {Function} handler - async (filter, req) => data
+ * @returns {Function} Express handler
+ */
+function statsHandler(handler) {
+    return async (req, res) => {
+        const { filter, error } = buildStatsFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        try {
+            const data = await handler(filter, req);
+            return res.json({
+                success: true,
+                data
+            });
+        } catch (err) {
+            if (err.code === 'INVALID_QUERY') {
+                return res.status(400).json({
+                    success: false,
+                    message: err.message
+                });
+            }
+
+            console.error('Error fetching stats:', err.message);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    };
+}
+
+/**
+ * Parse the `limit` query param for top-N endpoints
+ * @param {Object} req - Express request
+ * @param {number} fallback - Default limit
+ * @returns {number}
+ */
+function parseLimit(req, fallback) {
+    return Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || fallback));
+}
+
+/**
+ * Rename the generic { value, count } groups to the key the UI expects
+ * @param {Array} groups - Result of Job.countBy
+ * @param {string} key - Property name for the group value
+ * @returns {Array}
+ */
+function labelGroups(groups, key) {
+    return groups.map(({ value, count }) => ({ [key]: value, count }));
+}
+
+/**
+ * GET /api/stats
+ * Totals: jobs, companies, keywords, skill matches, vacancies.
+ */
+const getOverview = statsHandler(filter => Job.getStats(filter));
+
+/**
+ * GET /api/stats/keywords
+ * Job counts per search keyword.
+ */
+const getKeywordStats = statsHandler(async filter =>
+    labelGroups(await Job.countBy('searchKeywords', { filter, unwind: true }), 'keyword'));
+
+/**
+ * GET /api/stats/companies
+ * Companies with the most listings. Query: limit (default: 8)
+ */
+const getCompanyStats = statsHandler(async (filter, req) =>
+    labelGroups(await Job.countBy('company', { filter, limit: parseLimit(req, 8) }), 'company'));
+
+/**
+ * GET /api/stats/skills
+ * Most demanded key skills, grouped by canonical skill name so spellings
+ * not yet backfilled ("NodeJS", "node js") count as one skill.
+ * Query: limit (default: 10), category (language, framework, database, cloud, tool, other)
+ */
+const getSkillStats = statsHandler(async (filter, req) => {
+    const category = req.query.category?.trim();
+    if (category && !SKILL_CATEGORIES.includes(category)) {
+        const error = new Error(`Invalid category "${category}" (expected one of: ${SKILL_CATEGORIES.join(', ')})`);
+        error.code = 'INVALID_QUERY';
+        throw error;
+    }
+
+    const taxonomy = getTaxonomy(loadConfig().skillTaxonomy);
+    const counts = new Map();
+    for (const { value, count } of await Job.countBy('keySkills', { filter, unwind: true })) {
+        const skill = taxonomy.canonical(value);
+        const entry = counts.get(skill) || { skill, category: taxonomy.category(skill), count: 0 };
+        entry.count += count;
+        counts.set(skill, entry);
+    }
+
+    return [...counts.values()]
+        .filter(entry => !category || entry.category === category)
+        .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill))
+        .slice(0, parseLimit(req, 10));
+});
+
+/**
+ * GET /api/stats/locations
+ * Job counts per city (first part of the location).
+ */
+const getLocationStats = statsHandler(async (filter, req) => {
+    const city = { $trim: { input: { $arrayElemAt: [{ $split: ['$location', ','] }, 0] } } };
+    return labelGroups(await Job.countBy(city, { filter, limit: parseLimit(req, 10) }), 'location');
+});
+
+/**
+ * GET /api/stats/industries
+ * Job counts per industry type. Query: limit (default: 8)
+ */
+const getIndustryStats = statsHandler(async (filter, req) =>
+    labelGroups(await Job.countBy('industryTypes', { filter, unwind: true, limit: parseLimit(req, 8) }), 'industry'));
+
+/**
+ * GET /api/stats/salaries
+ * Job counts per salary range.
+ */
+const getSalaryStats = statsHandler(filter => Job.getSalaryDistribution(filter));
+
+module.exports = {
+    getOverview,
+    getKeywordStats,
+    getCompanyStats,
+    getSkillStats,
+    getLocationStats,
+    getIndustryStats,
+    getSalaryStats
+};
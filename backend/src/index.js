@@ -2,6 +2,8 @@ require('dotenv').config({ quiet: true });
 
 const app = require('./app');
 const { connectDB } = require('./config/database');
+const { loadConfig } = require('./config/scraperConfig');
+const scheduler = require('./services/scheduler');
 
 const PORT = process.env.PORT || 3000;
 
@@ -15,6 +17,12 @@ async function startServer() {
             console.log(`🚀 Naukri Scraper API running on http://localhost:${PORT}`);
             console.log(`📋 Jobs endpoint: http://localhost:${PORT}/api/jobs`);
         });
+
+        // Host the scrape scheduler in the API process when asked to
+        if (process.env.RUN_SCHEDULER === 'true') {
+            const count = scheduler.start(loadConfig());
+            console.log(`⏰ Scheduler started with ${count} scheduled scrape(s)`);
+        }
     } catch (error) {
         console.error(`❌ Failed to start server: ${error.message}`);
         process.exit(1);
@@ -1,4 +1,79 @@
 const mongoose = require('mongoose');
+const { buildMatcher } = require('../utils/regex');
+
+// Application pipeline, in board order
+const APPLICATION_STATUSES = ['new', 'saved', 'applied', 'interviewing', 'offer', 'rejected', 'archived'];
+
+// probable: linked by the duplicate detector; merged/hidden: resolved by the user and
+// left out of job lists; dismissed: the user said it is not a duplicate
+const DUPLICATE_STATUSES = ['probable', 'merged', 'hidden', 'dismissed'];
+const HIDDEN_DUPLICATE_STATUSES = ['merged', 'hidden'];
+
+// How the scraper read a job: from an intercepted Naukri API response, from
+// JSON embedded in the page, or from the page's DOM (see scraper/naukriData)
+const EXTRACTION_STRATEGIES = ['api', 'embedded', 'dom'];
+
+// active: listed on Naukri; missing: absent from search results for several runs;
+// expired/removed/closed: confirmed by visiting the job page (see services/verifyService)
+const LIFECYCLE_STATUSES = ['active', 'missing', 'expired', 'removed', 'closed'];
+const ENDED_STATUSES = ['expired', 'removed', 'closed'];
+
+const applicationNoteSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const statusChangeSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: APPLICATION_STATUSES
+    },
+    to: {
+        type: String,
+        enum: APPLICATION_STATUSES,
+        required: true
+    },
+    note: {
+        type: String,
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// User-owned tracking data; never part of scraped data, so re-scrapes leave it alone
+const applicationSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: APPLICATION_STATUSES,
+        default: 'new'
+    },
+    followUpAt: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: [applicationNoteSchema],
+        default: []
+    },
+    history: {
+        type: [statusChangeSchema],
+        default: []
+    },
+    updatedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
     // Job basic info
@@ -24,6 +99,15 @@ const jobSchema = new mongoose.Schema({
         trim: true,
         default: 'Not specified'
     },
+    // Experience normalised to years (null bound when open-ended / not specified)
+    experienceMin: {
+        type: Number,
+        default: null
+    },
+    experienceMax: {
+        type: Number,
+        default: null
+    },
     salary: {
         type: String,
         trim: true,
@@ -34,6 +118,19 @@ const jobSchema = new mongoose.Schema({
         trim: true,
         default: 'Not disclosed'
     },
+    // Salary normalised to lakhs per annum (null when not disclosed / open-ended)
+    salaryMin: {
+        type: Number,
+        default: null
+    },
+    salaryMax: {
+        type: Number,
+        default: null
+    },
+    salaryDisclosed: {
+        type: Boolean,
+        default: false
+    },
     skills: {
         type: [String],
         default: []
@@ -69,6 +166,17 @@ const jobSchema = new mongoose.Schema({
         trim: true,
         default: 'Not specified'
     },
+    // Absolute posting date: Naukri's timestamp when the job data has one,
+    // otherwise derived from postedDate/jobPostedAt relative to scrapedAt
+    postedAt: {
+        type: Date,
+        default: null
+    },
+    postedAtAccuracy: {
+        type: String,
+        enum: ['exact', 'day', 'approximate', 'atLeast', 'unknown'],
+        default: 'unknown'
+    },
 
     // Industry & vacancy
     industryTypes: {
@@ -91,26 +199,124 @@ const jobSchema = new mongoose.Schema({
         trim: true,
         default: ''
     },
+    // Search filters (cities, work modes, freshness, salary bands, company types, sort) of the latest scrape that found the job
+    searchFilters: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Relevance to the configured preferences, 0-100 (see utils/matchScorer)
+    matchScore: {
+        type: Number,
+        default: null
+    },
+    // Per-component { score, weight, ... } behind matchScore
+    matchBreakdown: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Match results of named search profiles: { [profile]: { matchedSkills, matchScore, matchBreakdown } }.
+    // The top-level match fields belong to the default profile.
+    profileMatches: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
 
     // Scraping metadata
+    // Keyword of the latest scrape that found the job
     searchKeyword: {
         type: String,
         required: true,
         trim: true
     },
+    // Every keyword that has found the job
+    searchKeywords: {
+        type: [String],
+        default: []
+    },
+    // Every search profile that has found the job ("default" for the top-level config)
+    profiles: {
+        type: [String],
+        default: []
+    },
     scrapedAt: {
         type: Date,
         default: Date.now
+    },
+    // Extraction strategy of the latest scrape, for the listing and the detail page (null: details not scraped)
+    extraction: {
+        listing: { type: String, enum: EXTRACTION_STRATEGIES, default: null },
+        details: { type: String, enum: EXTRACTION_STRATEGIES, default: null }
+    },
+    // Last re-scrape that changed a tracked field (see JobChange)
+    lastChangedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Posting lifecycle
+    lifecycleStatus: {
+        type: String,
+        enum: LIFECYCLE_STATUSES,
+        default: 'active'
+    },
+    // Last time the job was in search results or its page was verified as live
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Consecutive scrapes of its keywords that did not return the job
+    missedRuns: {
+        type: Number,
+        default: 0
+    },
+    lastVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // When the posting was found expired, removed or closed
+    expiredAt: {
+        type: Date,
+        default: null
+    },
+
+    // Application tracking
+    application: {
+        type: applicationSchema,
+        default: () => ({})
+    },
+
+    // Duplicate detection (see services/duplicateService)
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+    },
+    duplicateScore: {
+        type: Number,
+        default: null
+    },
+    duplicateStatus: {
+        type: String,
+        enum: [...DUPLICATE_STATUSES, null],
+        default: null
     }
 }, {
     timestamps: true
 });
 
 // Create indexes for better query performance
-jobSchema.index({ searchKeyword: 1 });
+jobSchema.index({ searchKeywords: 1 });
+jobSchema.index({ profiles: 1 });
+jobSchema.index({ duplicateStatus: 1, duplicateOf: 1 });
+jobSchema.index({ lifecycleStatus: 1, lastVerifiedAt: 1 });
 jobSchema.index({ company: 1 });
 jobSchema.index({ scrapedAt: -1 });
 jobSchema.index({ matchedSkills: 1 });
+jobSchema.index({ matchScore: -1 });
+jobSchema.index({ salaryDisclosed: -1, salaryMin: -1 });
+jobSchema.index({ experienceMin: 1, experienceMax: 1 });
+jobSchema.index({ postedAt: -1 });
+jobSchema.index({ 'application.status': 1, 'application.updatedAt': -1 });
 
 // Text index for full-text search
 jobSchema.index({
@@ -121,35 +327,185 @@ jobSchema.index({
     keySkills: 'text'
 });
 
-// Static method to find jobs by keyword
-jobSchema.statics.findByKeyword = function (keyword) {
+// Static method to seed searchKeywords from searchKeyword for jobs stored
+// before keywords were collected, so keyword filters and stats find them.
+// Only jobs without any searchKeywords are touched, so it is safe to run on every start.
+jobSchema.statics.seedSearchKeywords = async function () {
+    const result = await this.updateMany(
+        {
+            searchKeyword: { $type: 'string' },
+            $or: [{ searchKeywords: { $exists: false } }, { searchKeywords: null }, { searchKeywords: { $size: 0 } }]
+        },
+        [{ $set: { searchKeywords: ['$searchKeyword'] } }],
+        { updatePipeline: true }
+    );
+    return result.modifiedCount;
+};
+
+// Static method to find jobs by keyword (plain text unless mode is "prefix"/"regex")
+jobSchema.statics.findByKeyword = function (keyword, mode = 'literal') {
     return this.find({
-        searchKeyword: new RegExp(keyword, 'i')
+        searchKeywords: buildMatcher(keyword, mode, { field: 'keyword' })
     }).sort({ scrapedAt: -1 });
 };
 
-// Static method to find jobs by matched skills
-jobSchema.statics.findByMatchedSkills = function (skill) {
+// Static method to find jobs by matched skills (plain text unless mode is "prefix"/"regex")
+jobSchema.statics.findByMatchedSkills = function (skill, mode = 'literal') {
     return this.find({
-        matchedSkills: new RegExp(skill, 'i')
+        matchedSkills: buildMatcher(skill, mode, { field: 'skill' })
     }).sort({ scrapedAt: -1 });
 };
 
 // Static method to get job statistics
-jobSchema.statics.getStats = async function () {
-    const totalJobs = await this.countDocuments();
-    const uniqueCompanies = await this.distinct('company');
-    const keywords = await this.distinct('searchKeyword');
-    const jobsWithMatchedSkills = await this.countDocuments({ matchedSkills: { $exists: true, $not: { $size: 0 } } });
+jobSchema.statics.getStats = async function (filter = {}) {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const [totalJobs, uniqueCompanies, keywords, jobsWithMatchedSkills, jobsLast7Days, vacancies] = await Promise.all([
+        this.countDocuments(filter),
+        this.distinct('company', filter),
+        this.distinct('searchKeywords', filter),
+        this.countDocuments({ ...filter, matchedSkills: { $exists: true, $not: { $size: 0 } } }),
+        this.countDocuments({ $and: [filter, { scrapedAt: { $gte: weekAgo } }] }),
+        this.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: null,
+                    total: {
+                        $sum: { $convert: { input: '$totalVacancy', to: 'int', onError: 0, onNull: 0 } }
+                    }
+                }
+            }
+        ])
+    ]);
 
     return {
         totalJobs,
         uniqueCompanies: uniqueCompanies.length,
         keywordsSearched: keywords,
-        jobsWithMatchedSkills
+        jobsWithMatchedSkills,
+        jobsLast7Days,
+        totalVacancies: vacancies[0]?.total || 0
     };
 };
 
+/**
+ * Static method to count jobs grouped by a field.
+ * Array fields (keySkills, industryTypes) are unwound so each value counts once per job.
+ *
+ * @param {string|Object} groupBy - Field name, or an aggregation expression for the group key
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Match stage applied first
+ * @param {boolean} [options.unwind] - Unwind the field before grouping (for array fields)
+ * @param {number} [options.limit] - Maximum number of groups to return
+ * @returns {Promise<Array<{ value: string, count: number }>>}
+ */
+jobSchema.statics.countBy = function (groupBy, { filter = {}, unwind = false, limit } = {}) {
+    const key = typeof groupBy === 'string' ? `$${groupBy}` : groupBy;
+    const pipeline = [{ $match: filter }];
+
+    if (unwind) {
+        pipeline.push({ $unwind: key });
+    }
+
+    pipeline.push(
+        { $group: { _id: key, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } }
+    );
+
+    if (limit) {
+        pipeline.push({ $limit: limit });
+    }
+
+    pipeline.push({ $project: { _id: 0, value: '$_id', count: 1 } });
+
+    return this.aggregate(pipeline);
+};
+
+// Static method to bucket jobs by the lower bound of their salary (in LPA)
+jobSchema.statics.getSalaryDistribution = async function (filter = {}) {
+    const buckets = await this.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: {
+                    $switch: {
+                        branches: [
+                            { case: { $ne: ['$salaryDisclosed', true] }, then: 'Not disclosed' },
+                            { case: { $lt: [{ $ifNull: ['$salaryMin', '$salaryMax'] }, 10] }, then: '< ₹10 LPA' },
+                            { case: { $lt: [{ $ifNull: ['$salaryMin', '$salaryMax'] }, 20] }, then: '₹10-20 LPA' },
+                            { case: { $lt: [{ $ifNull: ['$salaryMin', '$salaryMax'] }, 30] }, then: '₹20-30 LPA' }
+                        ],
+                        default: '₹30+ LPA'
+                    }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const order = ['Not disclosed', '< ₹10 LPA', '₹10-20 LPA', '₹20-30 LPA', '₹30+ LPA'];
+    return order
+        .map(range => ({ range, count: buckets.find(b => b._id === range)?.count || 0 }))
+        .filter(b => b.count > 0);
+};
+
+/**
+ * Update the application status, follow-up date and/or add a note.
+ * A status change is appended to application.history (with the note, if any).
+ *
+ * @param {Object} changes
+ * @param {string} [changes.status] - One of APPLICATION_STATUSES
+ * @param {Date|null} [changes.followUpAt] - Follow-up date, null to clear
+ * @param {string} [changes.note] - Note to add
+ * @returns {Promise<Object>} - Saved job
+ */
+jobSchema.methods.updateApplication = function ({ status, followUpAt, note } = {}) {
+    const application = this.application;
+    const now = new Date();
+
+    if (status !== undefined && status !== application.status) {
+        application.history.push({ from: application.status, to: status, note: note || null, changedAt: now });
+        application.status = status;
+    }
+
+    if (followUpAt !== undefined) {
+        application.followUpAt = followUpAt;
+    }
+
+    if (note) {
+        application.notes.push({ text: note, createdAt: now });
+    }
+
+    application.updatedAt = now;
+    return this.save();
+};
+
+// Static method to group jobs into board columns by application status
+jobSchema.statics.getApplicationBoard = async function (filter = {}, perColumn = 50) {
+    const columns = await Promise.all(APPLICATION_STATUSES.map(async status => {
+        // Jobs stored before application tracking have no status and count as "new"
+        const statusFilter = { ...filter, 'application.status': status === 'new' ? { $in: ['new', null] } : status };
+        const [jobs, count] = await Promise.all([
+            this.find(statusFilter)
+                .select('title company location experience salary salaryOffered salaryMin salaryMax salaryDisclosed searchKeywords matchedSkills postedAt postedAtAccuracy postedDate application.status application.followUpAt application.updatedAt')
+                .sort({ 'application.updatedAt': -1, createdAt: -1 })
+                .limit(perColumn)
+                .lean(),
+            this.countDocuments(statusFilter)
+        ]);
+        return { status, count, jobs };
+    }));
+
+    return columns;
+};
+
 const Job = mongoose.model('Job', jobSchema);
 
 module.exports = Job;
+module.exports.APPLICATION_STATUSES = APPLICATION_STATUSES;
+module.exports.DUPLICATE_STATUSES = DUPLICATE_STATUSES;
+module.exports.HIDDEN_DUPLICATE_STATUSES = HIDDEN_DUPLICATE_STATUSES;
+module.exports.LIFECYCLE_STATUSES = LIFECYCLE_STATUSES;
+module.exports.ENDED_STATUSES = ENDED_STATUSES;
+module.exports.EXTRACTION_STRATEGIES = EXTRACTION_STRATEGIES;
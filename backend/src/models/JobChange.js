@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    to: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+// One re-scrape that changed at least one tracked field of a job
+const jobChangeSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    jobUrl: {
+        type: String,
+        required: true
+    },
+    searchKeyword: {
+        type: String,
+        default: null
+    },
+    changes: {
+        type: [fieldChangeSchema],
+        default: []
+    },
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false
+});
+
+jobChangeSchema.index({ job: 1, detectedAt: -1 });
+jobChangeSchema.index({ detectedAt: -1 });
+
+// Static method to get the change history of a job, newest first
+jobChangeSchema.statics.findForJob = function (jobId) {
+    return this.find({ job: jobId }).sort({ detectedAt: -1 });
+};
+
+const JobChange = mongoose.model('JobChange', jobChangeSchema);
+
+module.exports = JobChange;
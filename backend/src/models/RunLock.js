@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A lease held by the process running a scrape, verification or rematch.
+// The API server, the daemon and the CLI share it, so only one run executes at
+// a time across processes. A holder that dies stops renewing and the lease expires.
+const runLockSchema = new mongoose.Schema({
+    // Lock name
+    _id: {
+        type: String,
+        required: true
+    },
+    // host:pid:random id of the holder
+    owner: {
+        type: String,
+        required: true
+    },
+    // What the holder runs: 'config', 'keyword', 'verify' or 'rematch'
+    mode: {
+        type: String,
+        default: null
+    },
+    acquiredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+const RunLock = mongoose.model('RunLock', runLockSchema);
+
+module.exports = RunLock;
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const { EXTRACTION_STRATEGIES } = require('./Job');
+
+// Per-keyword result counters, summed into `totals`:
+//   saved      - new jobs inserted
+//   updated    - existing jobs whose scraped fields changed
+//   unchanged  - existing jobs seen again without changes
+//   duplicates - updated + unchanged + listings repeated within the scrape
+//   failed     - jobs rejected by validation or the database
+//   missing    - stored jobs newly flagged as missing from search results
+const RESULT_KEYS = ['found', 'saved', 'updated', 'unchanged', 'duplicates', 'failed', 'missing', 'matched'];
+
+// Run lifecycle ('skipped': a scheduled fire while another run was in progress)
+const RUN_STATUSES = ['running', 'completed', 'failed', 'skipped'];
+
+// What started the run
+const RUN_TRIGGERS = ['cli', 'api', 'schedule'];
+
+const keywordStatsSchema = new mongoose.Schema({
+    keyword: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // 'pending' until the keyword finishes; pending and failed keywords are scraped again by a resume.
+    // A keyword whose later search page failed to load is 'failed' too, with the pages it saved
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'pending'
+    },
+    pagesVisited: {
+        type: Number,
+        default: 0
+    },
+    found: {
+        type: Number,
+        default: 0
+    },
+    saved: {
+        type: Number,
+        default: 0
+    },
+    updated: {
+        type: Number,
+        default: 0
+    },
+    unchanged: {
+        type: Number,
+        default: 0
+    },
+    duplicates: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    missing: {
+        type: Number,
+        default: 0
+    },
+    matched: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    // Last page saved while the keyword was not completed, where a resume picks it up
+    checkpoint: {
+        pagesDone: { type: Number, default: 0 },
+        // Jobs already saved, so results seen again are not saved twice
+        jobUrls: { type: [String], default: [] },
+        // Keyword results so far (RESULT_KEYS counters)
+        results: { type: mongoose.Schema.Types.Mixed, default: () => ({}) }
+    }
+}, { _id: false });
+
+const scrapeRunSchema = new mongoose.Schema({
+    // Run lifecycle
+    status: {
+        type: String,
+        enum: RUN_STATUSES,
+        default: 'running'
+    },
+    trigger: {
+        type: String,
+        enum: RUN_TRIGGERS,
+        required: true
+    },
+    mode: {
+        type: String,
+        enum: ['config', 'keyword'],
+        default: 'config'
+    },
+    scheduleName: {
+        type: String,
+        default: null
+    },
+    // Search profile the run scraped with
+    profile: {
+        type: String,
+        default: 'default'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    // Refreshed while the run's process is working on it; a 'running' run that stopped
+    // being refreshed was interrupted
+    heartbeatAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Times the run was resumed (`run --resume`)
+    resumedAt: {
+        type: [Date],
+        default: []
+    },
+
+    // What was scraped
+    keywords: {
+        type: [String],
+        default: []
+    },
+    pagesVisited: {
+        type: Number,
+        default: 0
+    },
+    keywordStats: {
+        type: [keywordStatsSchema],
+        default: []
+    },
+    totals: Object.fromEntries(RESULT_KEYS.map(key => [key, { type: Number, default: 0 }])),
+
+    // Records per extraction strategy: listings from search pages, details from job pages
+    extraction: {
+        listing: Object.fromEntries(EXTRACTION_STRATEGIES.map(key => [key, { type: Number, default: 0 }])),
+        details: Object.fromEntries(EXTRACTION_STRATEGIES.map(key => [key, { type: Number, default: 0 }]))
+    },
+
+    // Scraped jobs with each field filled, to spot selectors that stopped matching (see utils/fillRates)
+    fieldStats: {
+        jobs: { type: Number, default: 0 },
+        detailJobs: { type: Number, default: 0 },
+        filled: { type: mongoose.Schema.Types.Mixed, default: () => ({}) }
+    },
+    // Fields whose fill rate dropped sharply compared to earlier runs
+    driftWarnings: {
+        type: [{
+            _id: false,
+            field: { type: String, required: true },
+            rate: { type: Number, required: true },
+            baseline: { type: Number, required: true }
+        }],
+        default: []
+    },
+    // Selector set the run scraped with (see scraper/selectors)
+    selectors: {
+        version: { type: Number, default: null },
+        customVersion: { type: Number, default: null },
+        overrides: { type: [String], default: [] }
+    },
+
+    // Problems encountered (`errors` is reserved by Mongoose)
+    errorLog: {
+        type: [{
+            _id: false,
+            keyword: { type: String, default: null },
+            message: { type: String, required: true },
+            occurredAt: { type: Date, default: Date.now }
+        }],
+        default: []
+    },
+
+    // Naukri login outcome
+    login: {
+        attempted: { type: Boolean, default: false },
+        success: { type: Boolean, default: false }
+    }
+}, {
+    timestamps: true
+});
+
+scrapeRunSchema.index({ startedAt: -1 });
+scrapeRunSchema.index({ trigger: 1, startedAt: -1 });
+scrapeRunSchema.index({ scheduleName: 1, startedAt: -1 });
+scrapeRunSchema.index({ profile: 1, startedAt: -1 });
+
+// Static method to get the most recent runs
+scrapeRunSchema.statics.findRecent = function (limit = 10) {
+    return this.find().sort({ startedAt: -1 }).limit(limit);
+};
+
+const ScrapeRun = mongoose.model('ScrapeRun', scrapeRunSchema);
+
+module.exports = ScrapeRun;
+module.exports.RESULT_KEYS = RESULT_KEYS;
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.RUN_TRIGGERS = RUN_TRIGGERS;
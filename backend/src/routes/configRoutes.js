@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getConfig, updateConfig } = require('../controllers/configController');
+
+// GET /api/config - Get the current scraper configuration
+router.get('/', getConfig);
+
+// PUT /api/config - Validate and save the scraper configuration
+router.put('/', updateConfig);
+
+module.exports = router;
@@ -1,14 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const { getJobs, getJobById, getKeywords } = require('../controllers/jobController');
+const { getJobs, getJobById, getJobHistory, getKeywords } = require('../controllers/jobController');
+const { updateApplication, getBoard } = require('../controllers/applicationController');
+const { getDuplicates, runDetection, updateDuplicate } = require('../controllers/duplicateController');
 
 // GET /api/jobs/keywords - Get unique search keywords (must be before /:id)
 router.get('/keywords', getKeywords);
 
+// GET /api/jobs/board - Jobs grouped by application status (must be before /:id)
+router.get('/board', getBoard);
+
+// GET /api/jobs/duplicates - Duplicates grouped by the job they duplicate (must be before /:id)
+router.get('/duplicates', getDuplicates);
+
+// POST /api/jobs/duplicates/detect - Re-run duplicate detection
+router.post('/duplicates/detect', runDetection);
+
 // GET /api/jobs - List all jobs (paginated, searchable)
 router.get('/', getJobs);
 
 // GET /api/jobs/:id - Get job details by ID
 router.get('/:id', getJobById);
 
+// GET /api/jobs/:id/history - Changes detected on re-scrapes
+router.get('/:id/history', getJobHistory);
+
+// PATCH /api/jobs/:id/application - Update application status, follow-up date, notes
+router.patch('/:id/application', updateApplication);
+
+// PATCH /api/jobs/:id/duplicate - Merge, hide, dismiss or restore a duplicate
+router.patch('/:id/duplicate', updateDuplicate);
+
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getRuns, getRunById } = require('../controllers/runController');
+
+// GET /api/runs - List scrape run history (paginated)
+router.get('/', getRuns);
+
+// GET /api/runs/:id - Get a scrape run by ID
+router.get('/:id', getRunById);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getSchedule } = require('../controllers/scheduleController');
+
+// GET /api/schedule - Scheduled scrapes with next/last fire times
+router.get('/', getSchedule);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { startRun, startVerify, startRematch, getRunStatus } = require('../controllers/scraperController');
+
+// POST /api/scraper/run - Start a background scrape run
+router.post('/run', startRun);
+
+// POST /api/scraper/verify - Check stored job postings for expiry in the background
+router.post('/verify', startVerify);
+
+// POST /api/scraper/rematch - Recompute skill matches and match scores from the current config
+router.post('/rematch', startRematch);
+
+// GET /api/scraper/status - Progress of the current or last run
+router.get('/status', getRunStatus);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getOverview,
+    getKeywordStats,
+    getCompanyStats,
+    getSkillStats,
+    getLocationStats,
+    getIndustryStats,
+    getSalaryStats
+} = require('../controllers/statsController');
+
+// All stats endpoints accept ?from=&to=&keyword= filters
+
+// GET /api/stats - Overall totals
+router.get('/', getOverview);
+
+// GET /api/stats/keywords - Jobs per search keyword
+router.get('/keywords', getKeywordStats);
+
+// GET /api/stats/companies - Top companies
+router.get('/companies', getCompanyStats);
+
+// GET /api/stats/skills - Top key skills
+router.get('/skills', getSkillStats);
+
+// GET /api/stats/locations - Jobs per city
+router.get('/locations', getLocationStats);
+
+// GET /api/stats/industries - Jobs per industry
+router.get('/industries', getIndustryStats);
+
+// GET /api/stats/salaries - Jobs per salary range
+router.get('/salaries', getSalaryStats);
+
+module.exports = router;
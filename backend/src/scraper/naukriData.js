@@ -0,0 +1,250 @@
+/**
+ * Map Naukri's own job data onto scraper records.
+ *
+ * Naukri's pages render from JSON: the search page fetches its listings from
+ * the job search API and a job page fetches the posting from the job API,
+ * and job pages embed a schema.org JobPosting. Reading that data survives
+ * the frequent renames of Naukri's hashed CSS classes; the DOM selectors in
+ * NaukriScraper are only used when none of it is available.
+ */
+
+// API responses the search page and job pages fetch
+const SEARCH_API_PATTERN = /\/jobapi\/v\d+\/search\b/;
+const JOB_API_PATTERN = /\/jobapi\/v\d+\/job\/\d+/;
+
+const NAUKRI_ORIGIN = 'https://www.naukri.com';
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+/**
+ * Plain text of an HTML fragment (API descriptions are HTML)
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/<(br|\/p|\/li|\/div|\/h\d)\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#?\w+);/g, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+/**
+ * Posting time of a Naukri timestamp
+ * @param {number|string} value - Timestamp (ms), numeric string, or ISO date-time
+ * @returns {Date|null} - null when the value is not a date, or a date without a time of day
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        // A bare day is left to the posting text, which is day-accurate
+        return null;
+    }
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Posting time as the relative text Naukri shows ("Today", "3 days ago", "30+ days ago"),
+ * for display next to the exact posting date
+ * @param {number|string} value - Timestamp (ms) or date string
+ * @param {Date} [reference] - "Now"
+ * @returns {string|null} - null when the value is not a date
+ */
+function toPostedText(value, reference = new Date()) {
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+        return null;
+    }
+    const days = Math.max(0, Math.floor((reference - date) / 86400000));
+    if (days === 0) return 'Today';
+    if (days > 30) return '30+ days ago';
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Exact posting date fields of a Naukri timestamp, to keep it from being
+ * re-derived from the relative posting text (see parseJobPostedDate)
+ * @param {number|string} value - Timestamp (ms) or ISO date-time
+ * @returns {Object} - { postedAt, postedAtAccuracy: 'exact' }, or {} when there is no timestamp
+ */
+function exactPostedAt(value) {
+    const postedAt = toTimestamp(value);
+    return postedAt ? { postedAt, postedAtAccuracy: 'exact' } : {};
+}
+
+/**
+ * Salary text from an API salary range in rupees per year, e.g. "6-10 Lacs PA"
+ * @param {Object} [salary] - { minimumSalary, maximumSalary, hideSalary, label }
+ * @returns {string|null} - null when the range is missing
+ */
+function toSalaryText(salary) {
+    if (!salary) return null;
+    if (salary.hideSalary) return 'Not disclosed';
+    if (salary.label) return salary.label;
+
+    const lakhs = amount => Math.round((amount / 100000) * 100) / 100;
+    const min = Number(salary.minimumSalary) || 0;
+    const max = Number(salary.maximumSalary) || 0;
+    if (!min && !max) return null;
+    return min && max && min !== max ? `${lakhs(min)}-${lakhs(max)} Lacs PA` : `${lakhs(max || min)} Lacs PA`;
+}
+
+/**
+ * Labels of a list of strings or `{ label }` objects, or of a comma-separated string
+ * @param {string|Array} value
+ * @returns {string[]}
+ */
+function toLabels(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items
+        .map(item => (typeof item === 'string' ? item : item?.label || item?.name || ''))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Origin the scraper loads Naukri pages from. NAUKRI_BASE_URL points it at
+ * another server, e.g. a local server with saved copies of Naukri pages.
+ * @returns {string} - Without a trailing slash
+ */
+function naukriOrigin() {
+    return (process.env.NAUKRI_BASE_URL || NAUKRI_ORIGIN).replace(/\/+$/, '');
+}
+
+/**
+ * Absolute URL of a job page from an API path
+ * @param {string} url
+ * @returns {string}
+ */
+function toJobUrl(url) {
+    if (!url) return '';
+    return url.startsWith('http') ? url : `${naukriOrigin()}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * Map a search API response (or embedded search state) to listing records,
+ * in the shape NaukriScraper#extractJobCards returns
+ * @param {Object} body - Object with a `jobDetails` array
+ * @param {string} keyword - Search keyword
+ * @returns {Object[]|null} - null when the body holds no job list
+ */
+function mapSearchResults(body, keyword) {
+    if (!Array.isArray(body?.jobDetails)) {
+        return null;
+    }
+
+    const jobs = [];
+    for (const item of body.jobDetails) {
+        const placeholder = type => item.placeholders?.find(p => p.type === type)?.label;
+        const job = {
+            title: item.title?.trim() || '',
+            company: (item.companyName || item.companyDetail?.name || '').trim(),
+            location: placeholder('location') || toLabels(item.locations).join(', ') || 'Not specified',
+            experience: placeholder('experience') || item.experienceText || 'Not specified',
+            salary: placeholder('salary') || toSalaryText(item.salaryDetail) || 'Not disclosed',
+            skills: toLabels(item.tagsAndSkills),
+            description: htmlToText(item.jobDescription),
+            jobUrl: toJobUrl(item.jdURL || item.staticUrl),
+            postedDate: item.footerPlaceholderLabel || toPostedText(item.createdDate) || 'Not specified',
+            ...exactPostedAt(item.createdDate),
+            searchKeyword: keyword,
+            scrapedAt: new Date().toISOString()
+        };
+        // Same essential fields as the DOM extraction
+        if (job.title && job.company && job.jobUrl) {
+            jobs.push(job);
+        }
+    }
+    return jobs;
+}
+
+/**
+ * Map a job API response (or embedded job state) to detail fields,
+ * in the shape NaukriScraper#scrapeJobDetails returns
+ * @param {Object} body - Object with a `jobDetails` object
+ * @returns {Object|null} - null when the body holds no job
+ */
+function mapJobDetails(body) {
+    const job = body?.jobDetails;
+    if (!job || Array.isArray(job) || typeof job !== 'object' || !job.description) {
+        return null;
+    }
+
+    const keySkills = [...toLabels(job.keySkills?.preferred), ...toLabels(job.keySkills?.other)];
+    return {
+        fullDescription: htmlToText(job.description),
+        keySkills: keySkills.length > 0 ? [...new Set(keySkills)] : toLabels(job.tagsAndSkills),
+        industryTypes: toLabels(job.industry),
+        jobPostedAt: toPostedText(job.createdDate) || 'Not specified',
+        ...exactPostedAt(job.createdDate),
+        salaryOffered: toSalaryText(job.salaryDetail) || 'Not disclosed',
+        totalVacancy: job.vacancy ? String(job.vacancy) : 'Not specified'
+    };
+}
+
+/**
+ * Map a schema.org JobPosting (embedded as JSON-LD) to detail fields
+ * @param {Object} posting
+ * @returns {Object|null} - null when it is not a JobPosting with a description
+ */
+function mapJobPosting(posting) {
+    if (posting?.['@type'] !== 'JobPosting' || !posting.description) {
+        return null;
+    }
+
+    const value = posting.baseSalary?.value || {};
+    const salary = value.minValue || value.maxValue
+        ? toSalaryText({ minimumSalary: value.minValue, maximumSalary: value.maxValue })
+        : null;
+
+    return {
+        fullDescription: htmlToText(posting.description),
+        keySkills: toLabels(posting.skills),
+        industryTypes: toLabels(posting.industry),
+        jobPostedAt: toPostedText(posting.datePosted) || 'Not specified',
+        ...exactPostedAt(posting.datePosted),
+        salaryOffered: salary || 'Not disclosed',
+        totalVacancy: posting.totalJobOpenings ? String(posting.totalJobOpenings) : 'Not specified'
+    };
+}
+
+/**
+ * Find the first object in a JSON tree that `mapper` can map
+ * (embedded page state nests the API data at varying depths)
+ * @param {*} value - Parsed JSON
+ * @param {Function} mapper - Returns a result, or null when the object does not match
+ * @param {number} [depth] - Levels left to search
+ * @returns {*|null}
+ */
+function findMapped(value, mapper, depth = 6) {
+    if (!value || typeof value !== 'object' || depth < 0) {
+        return null;
+    }
+    if (!Array.isArray(value)) {
+        const mapped = mapper(value);
+        if (mapped) return mapped;
+    }
+    for (const child of Object.values(value)) {
+        const mapped = findMapped(child, mapper, depth - 1);
+        if (mapped) return mapped;
+    }
+    return null;
+}
+
+module.exports = {
+    SEARCH_API_PATTERN,
+    JOB_API_PATTERN,
+    naukriOrigin,
+    htmlToText,
+    toPostedText,
+    mapSearchResults,
+    mapJobDetails,
+    mapJobPosting,
+    findMapped
+};
@@ -1,4 +1,23 @@
 const puppeteer = require('puppeteer');
+const { parseJobSalary } = require('../utils/salaryParser');
+const { parseJobExperience } = require('../utils/experienceParser');
+const { parseJobPostedDate } = require('../utils/postedDateParser');
+const { scoreJob } = require('../utils/matchScorer');
+const { getTaxonomy, normalizeJobSkills } = require('../utils/skillTaxonomy');
+const { normalizeSearchFilters, buildSearchParams, describeSearchFilters } = require('../utils/searchFilters');
+const DomainRateLimiter = require('../utils/rateLimiter');
+const PagePool = require('./pagePool');
+const { getSelectors } = require('./selectors');
+const { withRetry, backoffDelay } = require('../utils/retry');
+const {
+    SEARCH_API_PATTERN,
+    JOB_API_PATTERN,
+    naukriOrigin,
+    mapSearchResults,
+    mapJobDetails,
+    mapJobPosting,
+    findMapped
+} = require('./naukriData');
 
 // List of user agents for rotation
 const USER_AGENTS = [
@@ -29,33 +48,33 @@ function randomDelay(min = 1000, max = 3000) {
 }
 
 /**
- * Match job skills against config skills (case-insensitive)
- * @param {string[]} jobSkills - Skills extracted from a job listing
- * @param {string[]} configSkills - Skills from config.json
- * @returns {string[]} - Array of matched skills
+ * Selector lists of a group joined into one CSS selector per field
+ * @param {Object} group - e.g. selectors.searchResults
+ * @returns {Object<string, string>}
  */
-function matchSkills(jobSkills, configSkills) {
-    if (!configSkills || configSkills.length === 0 || !jobSkills || jobSkills.length === 0) {
-        return [];
-    }
-
-    const normalizedConfigSkills = configSkills.map(s => s.toLowerCase().trim());
-
-    return jobSkills.filter(skill => {
-        const normalizedSkill = skill.toLowerCase().trim();
-        return normalizedConfigSkills.some(configSkill =>
-            normalizedSkill.includes(configSkill) || configSkill.includes(normalizedSkill)
-        );
-    });
+function joinSelectors(group) {
+    return Object.fromEntries(Object.entries(group).map(([field, list]) => [field, list.join(', ')]));
 }
 
 /**
  * NaukriScraper class for scraping job listings from Naukri.com
  */
 class NaukriScraper {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.selectors] - Selector overrides from config.json (see scraper/selectors)
+     * @param {Object} [options.retry] - Navigation retry policy: { retries, baseDelay } (see utils/retry)
+     */
+    constructor(options = {}) {
+        this.selectors = getSelectors(options.selectors);
+        this.retry = {
+            retries: options.retry?.retries ?? 2,
+            baseDelay: options.retry?.baseDelay ?? 2000
+        };
         this.browser = null;
         this.page = null;
+        this.detailPool = null;
+        this.limiter = null;
     }
 
     /**
@@ -117,6 +136,8 @@ class NaukriScraper {
     async closeBrowser() {
         if (this.browser) {
             await this.browser.close();
+            this.detailPool = null;
+            this.limiter = null;
             console.log('🔒 Browser closed');
         }
     }
@@ -137,19 +158,20 @@ class NaukriScraper {
 
         try {
             // Open login page
-            await this.page.goto('https://www.naukri.com/nlogin/login', {
+            await this.page.goto(`${naukriOrigin()}/nlogin/login`, {
                 waitUntil: 'networkidle2',
                 timeout: 30000
             });
 
             await randomDelay(1500, 2500);
 
+            const selectors = this.selectors.login;
+
             // Wait for email field
-            await this.page.waitForSelector('input[type="text"], input[placeholder*="Email"]');
+            await this.page.waitForSelector(selectors.form.join(', '));
 
             // Type email
-            // const emailInput = await this.page.$('input[type="text"], input[placeholder*="Email"]');
-            const emailInput = await this.page.waitForSelector('#usernameField');
+            const emailInput = await this.page.waitForSelector(selectors.email.join(', '));
             await emailInput.click({ clickCount: 3 });
             await emailInput.type(email, { delay: 50 });
 
@@ -158,7 +180,7 @@ class NaukriScraper {
             await randomDelay(500, 1000);
 
             // Type password
-            const passwordInput = await this.page.$('input[type="password"]');
+            const passwordInput = await this.page.$(selectors.password.join(', '));
             await passwordInput.click();
             await passwordInput.type(password, { delay: 50 });
 
@@ -167,7 +189,7 @@ class NaukriScraper {
             await randomDelay(500, 1000);
 
             // Find login button
-            const loginButton = await this.page.$('button[type="submit"]:not(.otpButton)');
+            const loginButton = await this.page.$(selectors.submit.join(', '));
 
             if (!loginButton) {
                 throw new Error("Login button not found");
@@ -185,7 +207,6 @@ class NaukriScraper {
             const loginRequest = await loginRequestPromise;
 
             console.log("🚀 LOGIN API:", loginRequest.url());
-            console.log("📦 LOGIN PAYLOAD:", loginRequest.postData());
 
             // capture screenshot
             /*
@@ -206,7 +227,7 @@ class NaukriScraper {
 
             // Check if logged in
             try {
-                await this.page.waitForSelector('.nI-gNb-drawer, .user-name, [class*="profile"]', {
+                await this.page.waitForSelector(selectors.loggedIn.join(', '), {
                     timeout: 10000
                 });
 
@@ -216,7 +237,7 @@ class NaukriScraper {
 
             } catch {
 
-                const errorMsg = await this.page.$('.error-msg, .error, [class*="error"]');
+                const errorMsg = await this.page.$(selectors.error.join(', '));
 
                 if (errorMsg) {
                     const text = await this.page.evaluate(el => el.textContent, errorMsg);
@@ -236,21 +257,23 @@ class NaukriScraper {
 
 
     /**
-     * Build the Naukri search URL for a keyword with optional experience filter
+     * Build the Naukri search URL for a keyword with optional experience and search filters
      * @param {string} keyword - Search keyword
      * @param {number} pageNum - Page number (1-indexed)
      * @param {Object} [experience] - Experience filter { min, max }
+     * @param {Object} [filters] - Search filters: cities, work modes, freshness, salary bands,
+     *                             company types and sort order (see utils/searchFilters)
      * @returns {string}
      */
-    buildSearchUrl(keyword, pageNum = 1, experience = null) {
+    buildSearchUrl(keyword, pageNum = 1, experience = null, filters = {}) {
         const encodedKeyword = encodeURIComponent(keyword.toLowerCase().replace(/\s+/g, '-'));
         const searchParam = encodeURIComponent(keyword);
 
         let url;
         if (pageNum === 1) {
-            url = `https://www.naukri.com/${encodedKeyword}-jobs?k=${searchParam}`;
+            url = `${naukriOrigin()}/${encodedKeyword}-jobs?k=${searchParam}`;
         } else {
-            url = `https://www.naukri.com/${encodedKeyword}-jobs-${pageNum}?k=${searchParam}`;
+            url = `${naukriOrigin()}/${encodedKeyword}-jobs-${pageNum}?k=${searchParam}`;
         }
 
         // Append experience filter if provided
@@ -263,57 +286,197 @@ class NaukriScraper {
             }
         }
 
+        // Append search filters if provided
+        for (const [param, value] of buildSearchParams(filters)) {
+            url += `&${param}=${encodeURIComponent(value)}`;
+        }
+
         return url;
     }
 
     /**
-     * Extract job listings from the current page
+     * Per-host rate limiter shared by all tabs, created on first use
+     * @param {number} [minInterval] - Minimum gap (ms) between requests to one host; replaces the current one
+     * @returns {DomainRateLimiter}
+     */
+    requestLimiter(minInterval) {
+        if (!this.limiter) {
+            this.limiter = new DomainRateLimiter(minInterval !== undefined ? { minInterval } : {});
+        } else if (minInterval !== undefined) {
+            this.limiter.minInterval = minInterval;
+        }
+        return this.limiter;
+    }
+
+    /**
+     * Navigate a tab, retrying timeouts and network errors with exponential backoff.
+     * Each retry also waits for a slot of the per-host rate limiter.
+     * @param {Object} page - Puppeteer page
+     * @param {string} url
+     * @returns {Promise<Object|null>} - Puppeteer response
+     */
+    async gotoWithRetry(page, url) {
+        return withRetry(async attempt => {
+            if (attempt > 0) {
+                await this.requestLimiter().wait(url);
+            }
+            return page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: 30000
+            });
+        }, {
+            ...this.retry,
+            onRetry: (error, attempt, delay) => {
+                console.log(`   🔁 ${error.message} - retry ${attempt}/${this.retry.retries} in ${Math.round(delay / 1000)}s: ${url}`);
+            }
+        });
+    }
+
+    /**
+     * Keep the latest JSON response whose URL matches `pattern` while a page loads
+     * @param {Object} page - Puppeteer page
+     * @param {RegExp} pattern - Response URL pattern
+     * @returns {{ latest: Function, stop: Function }} - `latest()` returns the parsed body or null;
+     *          call `stop()` once the page has loaded
+     */
+    watchJson(page, pattern) {
+        let body = null;
+        const listener = async (response) => {
+            if (!pattern.test(response.url()) || !response.ok()) return;
+            try {
+                body = await response.json();
+            } catch (error) {
+                // Not JSON, or the page navigated away before the body arrived
+            }
+        };
+
+        page.on('response', listener);
+        return {
+            latest: () => body,
+            stop: () => page.off('response', listener)
+        };
+    }
+
+    /**
+     * Read the JSON a page embeds: its initial state and schema.org JSON-LD
+     * @param {Object} page - Puppeteer page
+     * @returns {Promise<{ states: Object[], jsonLd: Object[] }>}
+     */
+    async readEmbeddedJson(page) {
+        return page.evaluate(() => {
+            const parse = (text) => {
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            const states = [window._initialState, window.__INITIAL_STATE__]
+                .filter(state => state && typeof state === 'object')
+                .map(state => parse(JSON.stringify(state)));
+            document.querySelectorAll('script#__NEXT_DATA__, script[type="application/json"]').forEach(script => {
+                states.push(parse(script.textContent));
+            });
+
+            const jsonLd = [];
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                const data = parse(script.textContent);
+                jsonLd.push(...(Array.isArray(data) ? data : [data]));
+            });
+
+            return { states: states.filter(Boolean), jsonLd: jsonLd.filter(Boolean) };
+        }).catch(() => ({ states: [], jsonLd: [] }));
+    }
+
+    /**
+     * Extract job listings from the current search page: from the search API
+     * response the page fetched, else from the page's embedded state, else
+     * from the job cards in the DOM. Each job records the strategy used in
+     * `extraction.listing`.
+     * @param {string} keyword - The search keyword used
+     * @param {Object|null} [searchResponse] - Search API response captured while the page loaded
+     * @returns {Promise<Array>} - Empty when the page has no jobs
+     */
+    async extractJobCards(keyword, searchResponse = null) {
+        let strategy = 'api';
+        let jobs = mapSearchResults(searchResponse, keyword) || [];
+
+        if (jobs.length === 0) {
+            strategy = 'embedded';
+            const { states } = await this.readEmbeddedJson(this.page);
+            jobs = findMapped(states, body => mapSearchResults(body, keyword)) || [];
+        }
+
+        if (jobs.length === 0) {
+            strategy = 'dom';
+            jobs = await this.extractJobCardsFromDom(keyword);
+        }
+
+        for (const job of jobs) {
+            job.extraction = { listing: strategy, details: null };
+        }
+        return jobs;
+    }
+
+    /**
+     * Extract job listings from the job cards on the current page (fallback when no JSON is available)
      * @param {string} keyword - The search keyword used
      * @returns {Promise<Array>}
      */
-    async extractJobCards(keyword) {
-        return await this.page.evaluate((searchKeyword) => {
+    async extractJobCardsFromDom(keyword) {
+        const selectors = joinSelectors(this.selectors.searchResults);
+
+        try {
+            await this.page.waitForSelector(selectors.card, {
+                timeout: 10000
+            });
+        } catch (e) {
+            return [];
+        }
+
+        return await this.page.evaluate((searchKeyword, selectors) => {
             const jobs = [];
 
             // Select all job cards - Naukri uses various selectors
-            const jobCards = document.querySelectorAll('.srp-jobtuple-wrapper, .jobTuple, [data-job-id], .cust-job-tuple');
+            const jobCards = document.querySelectorAll(selectors.card);
 
             jobCards.forEach((card) => {
                 try {
                     // Extract job title
-                    const titleElement = card.querySelector('.title, .jobTitle, a.title, [class*="title"]');
+                    const titleElement = card.querySelector(selectors.title);
                     const title = titleElement?.textContent?.trim() || '';
 
                     // Extract job URL
-                    const linkElement = card.querySelector('a.title, a[class*="title"], .title a');
+                    const linkElement = card.querySelector(selectors.link);
                     let jobUrl = linkElement?.href || '';
 
                     // Extract company name
-                    const companyElement = card.querySelector('.comp-name, .companyInfo, [class*="company"], .subTitle');
+                    const companyElement = card.querySelector(selectors.company);
                     const company = companyElement?.textContent?.trim() || '';
 
                     // Extract location
-                    const locationElement = card.querySelector('.loc-wrap, .location, [class*="location"], .locWdth');
+                    const locationElement = card.querySelector(selectors.location);
                     const location = locationElement?.textContent?.trim() || 'Not specified';
 
                     // Extract experience
-                    const expElement = card.querySelector('.exp-wrap, .experience, [class*="exp"], .expwdth');
+                    const expElement = card.querySelector(selectors.experience);
                     const experience = expElement?.textContent?.trim() || 'Not specified';
 
                     // Extract salary
-                    const salaryElement = card.querySelector('.sal-wrap, .salary, [class*="salary"], .salWrap');
+                    const salaryElement = card.querySelector(selectors.salary);
                     const salary = salaryElement?.textContent?.trim() || 'Not disclosed';
 
                     // Extract skills/tags
-                    const skillElements = card.querySelectorAll('.tag-li, .skill, [class*="skill"], .tags-gt li');
+                    const skillElements = card.querySelectorAll(selectors.skills);
                     const skills = Array.from(skillElements).map(el => el.textContent?.trim()).filter(Boolean);
 
                     // Extract description/snippet
-                    const descElement = card.querySelector('.job-desc, .description, [class*="desc"], .row2');
+                    const descElement = card.querySelector(selectors.description);
                     const description = descElement?.textContent?.trim() || '';
 
                     // Extract posted date
-                    const dateElement = card.querySelector('.job-post-day, .date, [class*="date"], .fleft.grey-text');
+                    const dateElement = card.querySelector(selectors.postedDate);
                     const postedDate = dateElement?.textContent?.trim() || 'Not specified';
 
                     // Only add if we have essential fields
@@ -338,315 +501,458 @@ class NaukriScraper {
             });
 
             return jobs;
-        }, keyword);
+        }, keyword, selectors);
     }
 
     /**
-     * Scrape detailed information from an individual job page
+     * Scrape detailed information from an individual job page: from the job
+     * API response the page fetched, else from its embedded state or JSON-LD,
+     * else from the DOM
      * @param {string} jobUrl - URL of the job detail page
-     * @returns {Promise<Object>} - Detailed job data
+     * @param {Object} detailPage - Tab to load the page in (see getDetailPool)
+     * @returns {Promise<Object>} - Detailed job data, with the strategy used in `extractionStrategy`
+     * @throws {Error} When the page cannot be loaded or read
      */
-    async scrapeJobDetails(jobUrl) {
-        const details = {
-            fullDescription: '',
-            keySkills: [],
-            industryTypes: [],
-            jobPostedAt: 'Not specified',
-            salaryOffered: 'Not disclosed',
-            totalVacancy: 'Not specified'
-        };
-
+    async scrapeJobDetails(jobUrl, detailPage) {
+        const jobApi = this.watchJson(detailPage, JOB_API_PATTERN);
         try {
-            // Open job detail page in a new tab
-            const detailPage = await this.browser.newPage();
-            await detailPage.setUserAgent(getRandomUserAgent());
-            await detailPage.setViewport({ width: 1920, height: 1080 });
-
-            await detailPage.goto(jobUrl, {
-                waitUntil: 'networkidle2',
-                timeout: 30000
-            });
+            await this.gotoWithRetry(detailPage, jobUrl);
 
             await randomDelay(1500, 3000);
+        } finally {
+            jobApi.stop();
+        }
 
-            // Extract details from the job page
-            const pageDetails = await detailPage.evaluate(() => {
-                const result = {
-                    fullDescription: '',
-                    keySkills: [],
-                    industryTypes: [],
-                    jobPostedAt: 'Not specified',
-                    salaryOffered: 'Not disclosed',
-                    totalVacancy: 'Not specified'
-                };
-
-                // --- Full description ---
-                // Try multiple selectors that Naukri uses for job description
-                const descSelectors = [
-                    '.styles_JDC__dang-inner-html__h0K4t',
-                    '.job-desc',
-                    '.dang-inner-html',
-                    '[class*="job-desc"]',
-                    '[class*="JobDescription"]',
-                    '.jd-desc',
-                    'section.styles_job-desc-container__txpYf',
-                    '.description'
-                ];
-                for (const sel of descSelectors) {
-                    const el = document.querySelector(sel);
-                    if (el && el.textContent.trim().length > 50) {
-                        result.fullDescription = el.textContent.trim();
-                        break;
+        const fromApi = mapJobDetails(jobApi.latest());
+        if (fromApi) {
+            return { ...fromApi, extractionStrategy: 'api' };
+        }
+
+        const { states, jsonLd } = await this.readEmbeddedJson(detailPage);
+        const embedded = findMapped(states, mapJobDetails) || jsonLd.map(mapJobPosting).find(Boolean);
+        if (embedded) {
+            return { ...embedded, extractionStrategy: 'embedded' };
+        }
+
+        return { ...await this.extractDetailsFromDom(detailPage), extractionStrategy: 'dom' };
+    }
+
+    /**
+     * Extract job details from a loaded job page's DOM (fallback when no JSON is available)
+     * @param {Object} detailPage - Tab with the job page loaded
+     * @returns {Promise<Object>}
+     */
+    async extractDetailsFromDom(detailPage) {
+        return detailPage.evaluate((selectors) => {
+            const result = {
+                fullDescription: '',
+                keySkills: [],
+                industryTypes: [],
+                jobPostedAt: 'Not specified',
+                salaryOffered: 'Not disclosed',
+                totalVacancy: 'Not specified'
+            };
+
+            // --- Full description ---
+            // Try multiple selectors that Naukri uses for job description
+            for (const sel of selectors.description) {
+                const el = document.querySelector(sel);
+                if (el && el.textContent.trim().length > 50) {
+                    result.fullDescription = el.textContent.trim();
+                    break;
+                }
+            }
+
+            // --- Key skills ---
+            const skillSet = new Set();
+            for (const sel of selectors.keySkills) {
+                const elements = document.querySelectorAll(sel);
+                if (elements.length > 0) {
+                    elements.forEach(el => {
+                        const text = el.textContent?.trim();
+                        if (text && text.length < 100) {
+                            skillSet.add(text);
+                        }
+                    });
+                    break;
+                }
+            }
+            result.keySkills = Array.from(skillSet);
+
+            // --- Industry types ---
+            // Look for industry/department info in the job details section
+            const allLabels = document.querySelectorAll(selectors.labels.join(', '));
+
+            allLabels.forEach(label => {
+                const labelText = label.textContent?.trim().toLowerCase() || '';
+                const parentEl = label.closest('div') || label.parentElement;
+                const siblingOrValue = parentEl?.querySelector('span:not(:first-child), a, .value') || parentEl;
+                const valueText = siblingOrValue?.textContent?.trim() || '';
+
+                if (labelText.includes('industry')) {
+                    result.industryTypes = valueText
+                        .split(/[,/]/)
+                        .map(s => s.trim())
+                        .filter(s => s && !s.toLowerCase().includes('industry'));
+                }
+
+                if (labelText.includes('vacancy') || labelText.includes('opening')) {
+                    const vacancyMatch = valueText.match(/\d+/);
+                    if (vacancyMatch) {
+                        result.totalVacancy = vacancyMatch[0];
                     }
                 }
+            });
 
-                // --- Key skills ---
-                const skillSelectors = [
-                    '.key-skill a',
-                    '.chip',
-                    'a.chip',
-                    '.styles_key-skill__GIPn_ a',
-                    '[class*="key-skill"] a',
-                    '[class*="chip"]',
-                    '.tag-li',
-                    '.skill-list a',
-                    '.keyskill-chip'
-                ];
-                const skillSet = new Set();
-                for (const sel of skillSelectors) {
-                    const elements = document.querySelectorAll(sel);
-                    if (elements.length > 0) {
-                        elements.forEach(el => {
-                            const text = el.textContent?.trim();
-                            if (text && text.length < 100) {
-                                skillSet.add(text);
-                            }
-                        });
+            // --- Salary from detail page ---
+            for (const sel of selectors.salary) {
+                const el = document.querySelector(sel);
+                if (el) {
+                    const text = el.textContent?.trim();
+                    if (text && text !== '' && !text.toLowerCase().includes('not disclosed')) {
+                        result.salaryOffered = text;
                         break;
                     }
                 }
-                result.keySkills = Array.from(skillSet);
-
-                // --- Industry types ---
-                // Look for industry/department info in the job details section
-                const allTextBlocks = document.querySelectorAll('.styles_details__Y424J .styles_details__Y424J, .other-details .details, .detail-row, [class*="detail"]');
-                const allLabels = document.querySelectorAll('label, .label, [class*="label"], .styles_jhc__jd-stats__KrNRW span, .styles_other-details__oEN4O span');
-
-                allLabels.forEach(label => {
-                    const labelText = label.textContent?.trim().toLowerCase() || '';
-                    const parentEl = label.closest('div') || label.parentElement;
-                    const siblingOrValue = parentEl?.querySelector('span:not(:first-child), a, .value') || parentEl;
-                    const valueText = siblingOrValue?.textContent?.trim() || '';
-
-                    if (labelText.includes('industry')) {
-                        result.industryTypes = valueText
-                            .split(/[,/]/)
-                            .map(s => s.trim())
-                            .filter(s => s && !s.toLowerCase().includes('industry'));
-                    }
+            }
 
-                    if (labelText.includes('vacancy') || labelText.includes('opening')) {
-                        const vacancyMatch = valueText.match(/\d+/);
-                        if (vacancyMatch) {
-                            result.totalVacancy = vacancyMatch[0];
-                        }
+            // --- Posted date from detail page ---
+            for (const sel of selectors.postedDate) {
+                const elements = document.querySelectorAll(sel);
+                elements.forEach(el => {
+                    const text = el.textContent?.trim().toLowerCase() || '';
+                    if (text.includes('ago') || text.includes('posted') || text.includes('day') || text.includes('today') || text.includes('just now')) {
+                        result.jobPostedAt = el.textContent.trim();
                     }
                 });
+            }
 
-                // --- Salary from detail page ---
-                const salarySelectors = [
-                    '.styles_jhc__salary__jdfEC',
-                    '.salary',
-                    '[class*="salary"]',
-                    '.sal'
-                ];
-                for (const sel of salarySelectors) {
-                    const el = document.querySelector(sel);
-                    if (el) {
-                        const text = el.textContent?.trim();
-                        if (text && text !== '' && !text.toLowerCase().includes('not disclosed')) {
-                            result.salaryOffered = text;
-                            break;
-                        }
+            // --- Vacancy: also try the "Openings" label pattern ---
+            const infoSpans = document.querySelectorAll('span, div');
+            infoSpans.forEach(el => {
+                const text = el.textContent?.trim() || '';
+                if (/openings?/i.test(text) && /\d+/.test(text) && text.length < 30) {
+                    const match = text.match(/(\d+)\s*openings?/i);
+                    if (match) {
+                        result.totalVacancy = match[1];
                     }
                 }
+            });
 
-                // --- Posted date from detail page ---
-                const dateSelectors = [
-                    '.styles_jhc__jd-stats__KrNRW .styles_jhc__stat__PgY67',
-                    '.jd-stats .stat',
-                    '.post-date',
-                    '[class*="posted"]',
-                    '.job-post-day'
-                ];
-                for (const sel of dateSelectors) {
-                    const elements = document.querySelectorAll(sel);
-                    elements.forEach(el => {
-                        const text = el.textContent?.trim().toLowerCase() || '';
-                        if (text.includes('ago') || text.includes('posted') || text.includes('day') || text.includes('today') || text.includes('just now')) {
-                            result.jobPostedAt = el.textContent.trim();
-                        }
-                    });
-                }
-
-                // --- Vacancy: also try the "Openings" label pattern ---
-                const infoSpans = document.querySelectorAll('span, div');
-                infoSpans.forEach(el => {
-                    const text = el.textContent?.trim() || '';
-                    if (/openings?/i.test(text) && /\d+/.test(text) && text.length < 30) {
-                        const match = text.match(/(\d+)\s*openings?/i);
-                        if (match) {
-                            result.totalVacancy = match[1];
-                        }
+            // --- Industry: also try the detail-page info sections ---
+            if (result.industryTypes.length === 0) {
+                const detailSections = document.querySelectorAll(selectors.detailSections.join(', '));
+                detailSections.forEach(section => {
+                    const heading = section.querySelector('label, .label, span:first-child');
+                    const headText = heading?.textContent?.trim().toLowerCase() || '';
+                    if (headText.includes('industry')) {
+                        const values = section.querySelectorAll('a, span:not(:first-child)');
+                        values.forEach(v => {
+                            const t = v.textContent?.trim();
+                            if (t && t.length < 100 && !t.toLowerCase().includes('industry')) {
+                                result.industryTypes.push(t);
+                            }
+                        });
                     }
                 });
+            }
 
-                // --- Industry: also try the detail-page info sections ---
-                if (result.industryTypes.length === 0) {
-                    const detailSections = document.querySelectorAll('.styles_other-details__oEN4O .styles_details__Y424J, .other-details .detail');
-                    detailSections.forEach(section => {
-                        const heading = section.querySelector('label, .label, span:first-child');
-                        const headText = heading?.textContent?.trim().toLowerCase() || '';
-                        if (headText.includes('industry')) {
-                            const values = section.querySelectorAll('a, span:not(:first-child)');
-                            values.forEach(v => {
-                                const t = v.textContent?.trim();
-                                if (t && t.length < 100 && !t.toLowerCase().includes('industry')) {
-                                    result.industryTypes.push(t);
-                                }
-                            });
-                        }
-                    });
-                }
+            return result;
+        }, this.selectors.jobDetails);
+    }
 
-                return result;
+    /**
+     * Tabs for detail pages, opened on first use and reused for every keyword
+     * @param {number} size - Number of tabs (used when the pool is created)
+     * @returns {PagePool}
+     */
+    getDetailPool(size) {
+        if (!this.detailPool) {
+            this.detailPool = new PagePool(this.browser, {
+                size,
+                setupPage: async (page) => {
+                    await page.setUserAgent(getRandomUserAgent());
+                    await page.setViewport({ width: 1920, height: 1080 });
+                }
             });
+        }
+        return this.detailPool;
+    }
+
+    /**
+     * Scrape the detail pages of a page of jobs with a pool of tabs, and
+     * merge the details into the jobs. Requests to Naukri are spaced out
+     * across all tabs. Pages that fail are queued and tried once more after
+     * the others (unless retries are off); a job whose page still fails keeps
+     * its listing data.
+     * @param {Object[]} jobs - Jobs from extractJobCards, updated in place
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Tabs scraping at once
+     * @param {number} [options.requestInterval] - Minimum gap (ms) between detail page requests
+     * @param {Function} [options.onProgress] - Called with { done, total, failed, strategy?, error? } as each job
+     *                                          finishes; `strategy` is the extraction strategy when it succeeded,
+     *                                          `error` ({ jobUrl, title, message }) when it failed for good
+     * @returns {Promise<Array<{ jobUrl: string, title: string, message: string }>>} - Jobs whose details failed
+     */
+    async scrapeDetailsForJobs(jobs, { concurrency = 3, requestInterval = 1500, onProgress = () => {} } = {}) {
+        const limiter = this.requestLimiter(requestInterval);
+        const pool = this.getDetailPool(concurrency);
+        const results = new Array(jobs.length);
+        const errors = [];
+        let done = 0;
+
+        const scrape = async (index, page) => {
+            await limiter.wait(jobs[index].jobUrl);
+            return this.scrapeJobDetails(jobs[index].jobUrl, page);
+        };
+        const settle = (index, result, final) => {
+            results[index] = result;
+            if (result.error && !final) return;
+
+            done += 1;
+            let error;
+            if (result.error) {
+                const job = jobs[index];
+                error = { jobUrl: job.jobUrl, title: job.title, message: result.error.message };
+                errors.push(error);
+                console.error(`   ⚠️  Error scraping details for ${job.jobUrl}: ${error.message}`);
+            }
+            onProgress({ done, total: jobs.length, failed: errors.length, strategy: result.value?.extractionStrategy, error });
+        };
 
-            Object.assign(details, pageDetails);
+        const canRetry = this.retry.retries > 0;
+        const all = jobs.map((job, index) => index);
+        await pool.map(all, scrape, (result, i) => settle(all[i], result, !canRetry));
 
-            await detailPage.close();
-        } catch (error) {
-            console.error(`  ⚠️  Error scraping details for ${jobUrl}: ${error.message}`);
+        const queued = all.filter(index => results[index].error);
+        if (canRetry && queued.length > 0) {
+            const delay = backoffDelay(1, this.retry.baseDelay, 30000);
+            console.log(`   🔁 Retrying ${queued.length} failed job page(s) in ${Math.round(delay / 1000)}s...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            await pool.map(queued, scrape, (result, i) => settle(queued[i], result, true));
         }
 
-        return details;
+        jobs.forEach((job, index) => {
+            const details = results[index].value || {};
+            job.fullDescription = details.fullDescription || '';
+            job.keySkills = details.keySkills?.length > 0 ? details.keySkills : job.skills;
+            job.industryTypes = details.industryTypes || [];
+            job.jobPostedAt = details.jobPostedAt || job.postedDate;
+            if (details.postedAt) {
+                // Exact posting date from the job's own data
+                job.postedAt = details.postedAt;
+                job.postedAtAccuracy = details.postedAtAccuracy;
+            }
+            job.salaryOffered = details.salaryOffered || job.salary;
+            job.totalVacancy = details.totalVacancy || 'Not specified';
+            job.extraction = { ...job.extraction, details: details.extractionStrategy || null };
+        });
+
+        return errors;
+    }
+
+    /**
+     * Visit a stored job page and work out whether the posting is still live
+     * @param {string} jobUrl - URL of the job detail page
+     * @returns {Promise<{ status: string, reason: string }>} - status is 'active', 'expired',
+     *          'removed', 'closed' or 'unknown' (page could not be loaded or recognised)
+     */
+    async checkJobStatus(jobUrl) {
+        let detailPage = null;
+
+        try {
+            detailPage = await this.browser.newPage();
+            await detailPage.setUserAgent(getRandomUserAgent());
+            await detailPage.setViewport({ width: 1920, height: 1080 });
+
+            const response = await this.gotoWithRetry(detailPage, jobUrl);
+
+            if (response && [404, 410].includes(response.status())) {
+                return { status: 'removed', reason: `HTTP ${response.status()}` };
+            }
+
+            await randomDelay(1000, 2000);
+
+            return await detailPage.evaluate((originalUrl, contentSelector) => {
+                const text = document.body ? document.body.innerText.toLowerCase() : '';
+
+                // Notices Naukri shows on postings that are no longer open
+                const notices = [
+                    ['expired', ['this job has expired', 'job has expired', 'job is expired']],
+                    ['closed', ['no longer accepting applications', 'not accepting applications', 'applications are closed', 'hiring for this job has been closed']],
+                    ['removed', ['no longer available', 'job not found', 'page not found', 'has been removed']]
+                ];
+                for (const [status, phrases] of notices) {
+                    const phrase = phrases.find(p => text.includes(p));
+                    if (phrase) {
+                        return { status, reason: `Page says "${phrase}"` };
+                    }
+                }
+
+                // Removed postings redirect to a search or home page
+                if (window.location.pathname !== new URL(originalUrl).pathname) {
+                    return { status: 'removed', reason: `Redirected to ${window.location.href}` };
+                }
+
+                const hasJobContent = document.querySelector(contentSelector);
+                return hasJobContent
+                    ? { status: 'active', reason: 'Job page loaded' }
+                    : { status: 'unknown', reason: 'Job page not recognised' };
+            }, jobUrl, this.selectors.jobStatus.content.join(', '));
+        } catch (error) {
+            return { status: 'unknown', reason: error.message };
+        } finally {
+            if (detailPage) {
+                await detailPage.close().catch(() => {});
+            }
+        }
     }
 
     /**
      * Scrape jobs for a specific keyword across multiple pages
      * @param {string} keyword - Search keyword
      * @param {number} maxPages - Maximum number of pages to scrape
-     * @param {Object} [config] - Configuration object with skills, experience, scrapeJobDetails
+     * @param {Object} [config] - Configuration object with skills, experience, searchFilters, matching, skillTaxonomy, scrapeJobDetails
+     * @param {number} [config.detailConcurrency] - Tabs scraping detail pages at once (default 3)
+     * @param {number} [config.detailRequestInterval] - Minimum gap (ms) between detail page requests
+     * @param {number} [config.startPage] - Page to start from, e.g. when resuming a keyword (default 1)
+     * @param {Function} [config.onPageScraped] - Awaited with (jobs, pageNum) once a page's jobs are scraped and
+     *                                            scored; errors it throws fail the keyword
+     * @param {Function} [config.onProgress] - Called with { pageNum, maxPages, jobsFound, strategy?, pageJobs?, error? }
+     *                                         after each page visited; `strategy` is how the page's `pageJobs` listings
+     *                                         were extracted, `error` why a page could not be loaded
+     * @param {Function} [config.onDetailProgress] - Called with { pageNum, done, total, failed, error? } as each
+     *                                               detail page finishes (see scrapeDetailsForJobs)
      * @returns {Promise<Array>}
      */
     async scrapeJobs(keyword, maxPages = 3, config = {}) {
         const allJobs = [];
         const experience = config.experience || null;
+        const searchFilters = normalizeSearchFilters(config.searchFilters);
+        const filtersLabel = describeSearchFilters(searchFilters);
         const configSkills = config.skills || [];
+        const taxonomy = getTaxonomy(config.skillTaxonomy);
         const shouldScrapeDetails = config.scrapeJobDetails !== false;
+        const detailConcurrency = config.detailConcurrency || 3;
+        const startPage = Math.max(1, config.startPage || 1);
+        const onPageScraped = config.onPageScraped || (async () => {});
+        const onProgress = config.onProgress || (() => {});
+        const onDetailProgress = config.onDetailProgress || (() => {});
         const experienceLabel = experience ? `${experience.min || 0}-${experience.max || 'any'} yrs` : '';
 
         console.log(`\n🔍 Searching for "${keyword}" jobs on Naukri.com...`);
         if (experience) {
             console.log(`   📋 Experience filter: ${experienceLabel}`);
         }
+        if (filtersLabel) {
+            console.log(`   📍 Search filters: ${filtersLabel}`);
+        }
         if (configSkills.length > 0) {
             console.log(`   🔧 Matching skills: ${configSkills.join(', ')}`);
         }
 
-        for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
+        if (startPage > 1) {
+            console.log(`   ⏩ Resuming from page ${startPage}`);
+        }
+
+        for (let pageNum = startPage; pageNum <= maxPages; pageNum++) {
+            let jobs;
             try {
-                const url = this.buildSearchUrl(keyword, pageNum, experience);
+                const url = this.buildSearchUrl(keyword, pageNum, experience, searchFilters);
                 console.log(`\n📄 Scraping page ${pageNum}/${maxPages}...`);
                 console.log(`   🔗 URL: ${url}`);
 
-                // Navigate to the search page
-                await this.page.goto(url, {
-                    waitUntil: 'networkidle2',
-                    timeout: 30000
-                });
-
-                // Wait for job listings to load
-                await randomDelay(2000, 4000);
-
-                // Try to wait for job cards
+                // Navigate to the search page, keeping the search API response it fetches
+                const searchApi = this.watchJson(this.page, SEARCH_API_PATTERN);
                 try {
-                    await this.page.waitForSelector('.srp-jobtuple-wrapper, .jobTuple, [data-job-id], .cust-job-tuple', {
-                        timeout: 10000
-                    });
-                } catch (e) {
-                    console.log(`⚠️  No job cards found on page ${pageNum}, might be end of results`);
-                    break;
-                }
+                    await this.gotoWithRetry(this.page, url);
 
-                // Extract jobs from this page
-                const jobs = await this.extractJobCards(keyword);
+                    // Wait for job listings to load
+                    await randomDelay(2000, 4000);
 
-                if (jobs.length === 0) {
-                    console.log(`⚠️  No jobs extracted from page ${pageNum}, stopping pagination`);
-                    break;
+                    // Extract jobs from this page
+                    jobs = await this.extractJobCards(keyword, searchApi.latest());
+                } finally {
+                    searchApi.stop();
                 }
+            } catch (error) {
+                console.error(`❌ Error scraping page ${pageNum}:`, error.message);
 
-                console.log(`✅ Found ${jobs.length} jobs on page ${pageNum}`);
-
-                // Enrich each job with detailed data from individual pages
-                if (shouldScrapeDetails) {
-                    console.log(`   📝 Scraping detailed info for each job...`);
+                // If first page fails, throw error. Otherwise, continue with what we have
+                if (pageNum === startPage) {
+                    throw new Error(`Failed to scrape jobs: ${error.message}`);
+                }
+                onProgress({ pageNum, maxPages, jobsFound: allJobs.length, error: error.message });
+                break;
+            }
 
-                    for (let i = 0; i < jobs.length; i++) {
-                        const job = jobs[i];
-                        console.log(`   📄 [${i + 1}/${jobs.length}] Scraping details for: ${job.title}`);
+            if (jobs.length === 0) {
+                console.log(`⚠️  No jobs found on page ${pageNum}, might be end of results`);
+                onProgress({ pageNum, maxPages, jobsFound: allJobs.length });
+                break;
+            }
 
-                        const details = await this.scrapeJobDetails(job.jobUrl);
+            const listingStrategy = jobs[0].extraction.listing;
+            console.log(`✅ Found ${jobs.length} jobs on page ${pageNum} (from ${listingStrategy})`);
 
-                        // Merge detail data
-                        job.fullDescription = details.fullDescription || '';
-                        job.keySkills = details.keySkills.length > 0 ? details.keySkills : job.skills;
-                        job.industryTypes = details.industryTypes || [];
-                        job.jobPostedAt = details.jobPostedAt || job.postedDate;
-                        job.salaryOffered = details.salaryOffered || job.salary;
-                        job.totalVacancy = details.totalVacancy || 'Not specified';
+            // Enrich each job with detailed data from individual pages
+            if (shouldScrapeDetails) {
+                console.log(`   📝 Scraping details for ${jobs.length} jobs with ${detailConcurrency} tab(s)...`);
+                const startedAt = Date.now();
 
-                        // Match skills
-                        const allJobSkills = [...new Set([...job.skills, ...job.keySkills])];
-                        job.matchedSkills = matchSkills(allJobSkills, configSkills);
-                        job.experienceFilter = experienceLabel;
+                const detailErrors = await this.scrapeDetailsForJobs(jobs, {
+                    concurrency: detailConcurrency,
+                    requestInterval: config.detailRequestInterval,
+                    onProgress: progress => onDetailProgress({ pageNum, ...progress })
+                });
+                for (const job of jobs) {
+                    job.experienceFilter = experienceLabel;
+                    job.searchFilters = searchFilters;
+                }
 
-                        // Random delay between detail page visits
-                        if (i < jobs.length - 1) {
-                            await randomDelay(1000, 2000);
-                        }
-                    }
-                } else {
-                    // Even without detail scraping, still do skill matching
-                    for (const job of jobs) {
-                        job.matchedSkills = matchSkills(job.skills, configSkills);
-                        job.experienceFilter = experienceLabel;
-                        job.fullDescription = '';
-                        job.keySkills = job.skills;
-                        job.industryTypes = [];
-                        job.jobPostedAt = job.postedDate;
-                        job.salaryOffered = job.salary;
-                        job.totalVacancy = 'Not specified';
+                const failedLabel = detailErrors.length > 0 ? ` (${detailErrors.length} failed)` : '';
+                const strategyCounts = {};
+                for (const job of jobs) {
+                    if (job.extraction.details) {
+                        strategyCounts[job.extraction.details] = (strategyCounts[job.extraction.details] || 0) + 1;
                     }
                 }
-
-                allJobs.push(...jobs);
-
-                // Add delay between pages to avoid rate limiting
-                if (pageNum < maxPages) {
-                    console.log('⏳ Waiting before next page...');
-                    await randomDelay(3000, 5000);
+                const strategyLabel = Object.entries(strategyCounts).map(([strategy, count]) => `${count} from ${strategy}`).join(', ');
+                console.log(`   ✅ Details scraped for ${jobs.length - detailErrors.length}/${jobs.length} jobs${failedLabel} in ${Math.round((Date.now() - startedAt) / 1000)}s${strategyLabel ? ` · ${strategyLabel}` : ''}`);
+            } else {
+                // Listing data only; skills are still matched and scored below
+                for (const job of jobs) {
+                    job.experienceFilter = experienceLabel;
+                    job.searchFilters = searchFilters;
+                    job.fullDescription = '';
+                    job.keySkills = job.skills;
+                    job.industryTypes = [];
+                    job.jobPostedAt = job.postedDate;
+                    job.salaryOffered = job.salary;
+                    job.totalVacancy = 'Not specified';
                 }
+            }
 
-            } catch (error) {
-                console.error(`❌ Error scraping page ${pageNum}:`, error.message);
+            // Normalise salary (LPA), experience (years), posting date text and skill names, then score
+            for (const job of jobs) {
+                Object.assign(job, parseJobSalary(job), parseJobExperience(job), parseJobPostedDate(job), normalizeJobSkills(job, taxonomy));
+                // Skill matches and relevance score (needs the parsed fields above)
+                Object.assign(job, scoreJob(job, {
+                    skills: configSkills,
+                    experience,
+                    matching: config.matching,
+                    skillTaxonomy: config.skillTaxonomy
+                }));
+            }
 
-                // If first page fails, throw error. Otherwise, continue with what we have
-                if (pageNum === 1) {
-                    throw new Error(`Failed to scrape jobs: ${error.message}`);
-                }
-                break;
+            allJobs.push(...jobs);
+            onProgress({ pageNum, maxPages, jobsFound: allJobs.length, strategy: listingStrategy, pageJobs: jobs.length });
+            await onPageScraped(jobs, pageNum);
+
+            // Add delay between pages to avoid rate limiting
+            if (pageNum < maxPages) {
+                console.log('⏳ Waiting before next page...');
+                await randomDelay(3000, 5000);
             }
         }
 
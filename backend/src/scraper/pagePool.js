@@ -0,0 +1,107 @@
+/**
+ * A fixed number of reusable browser tabs shared by concurrent workers.
+ * Tabs are opened on first use and kept open until `close`, so visiting
+ * many pages does not pay for a new tab each time.
+ */
+class PagePool {
+    /**
+     * @param {Object} browser - Puppeteer browser
+     * @param {Object} [options]
+     * @param {number} [options.size] - Maximum number of open tabs
+     * @param {Function} [options.setupPage] - Called with each new tab before first use
+     */
+    constructor(browser, { size = 3, setupPage = async () => {} } = {}) {
+        this.browser = browser;
+        this.size = size;
+        this.setupPage = setupPage;
+        this.pages = [];
+        this.idle = [];
+        this.waiting = [];
+        this.opening = 0;
+    }
+
+    /**
+     * Take a tab, opening one if the pool is not full, otherwise waiting for one to be released
+     * @returns {Promise<Object>} - Puppeteer page
+     */
+    async acquire() {
+        if (this.idle.length > 0) {
+            return this.idle.pop();
+        }
+        if (this.opening + this.pages.length < this.size) {
+            // Counted while opening, so concurrent callers cannot overfill the pool
+            this.opening += 1;
+            let page = null;
+            try {
+                page = await this.browser.newPage();
+                await this.setupPage(page);
+            } catch (error) {
+                if (page) await page.close().catch(() => {});
+                throw error;
+            } finally {
+                this.opening -= 1;
+            }
+            this.pages.push(page);
+            return page;
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    /**
+     * Hand a tab back to the pool
+     * @param {Object} page - Page returned by acquire
+     */
+    release(page) {
+        const next = this.waiting.shift();
+        if (next) {
+            next(page);
+        } else {
+            this.idle.push(page);
+        }
+    }
+
+    /**
+     * Run `worker` on every item with at most `size` tabs at once.
+     * Results keep the order of `items`; an item whose worker throws gets
+     * `{ error }` instead of `{ value }` and the others carry on.
+     * @param {Array} items
+     * @param {Function} worker - Called with (item, page, index), returns a promise
+     * @param {Function} [onSettled] - Called with (result, index) as each item finishes
+     * @returns {Promise<Array<{ value?: *, error?: Error }>>}
+     */
+    async map(items, worker, onSettled = () => {}) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runWorker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                let page = null;
+                try {
+                    page = await this.acquire();
+                    results[index] = { value: await worker(items[index], page, index) };
+                } catch (error) {
+                    results[index] = { error };
+                } finally {
+                    if (page) this.release(page);
+                }
+                onSettled(results[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.size, items.length) }, runWorker));
+        return results;
+    }
+
+    /**
+     * Close every tab the pool opened
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await Promise.all(this.pages.map(page => page.close().catch(() => {})));
+        this.pages = [];
+        this.idle = [];
+    }
+}
+
+module.exports = PagePool;
@@ -0,0 +1,116 @@
+/**
+ * CSS selectors the scraper reads Naukri's pages with.
+ *
+ * Every field lists selectors to try; Naukri renames its hashed classes
+ * (`styles_..._h0K4t`) with most site releases, so a field keeps older and
+ * more generic selectors after the current one. Fields can be overridden
+ * from config.json (`selectors`) without a code change. Bump
+ * SELECTORS_VERSION whenever the built-in lists change, so run records show
+ * which set produced their data.
+ */
+
+const SELECTORS_VERSION = 1;
+
+const DEFAULT_SELECTORS = {
+    login: {
+        form: ['input[type="text"]', 'input[placeholder*="Email"]'],
+        email: ['#usernameField'],
+        password: ['input[type="password"]'],
+        submit: ['button[type="submit"]:not(.otpButton)'],
+        loggedIn: ['.nI-gNb-drawer', '.user-name', '[class*="profile"]'],
+        error: ['.error-msg', '.error', '[class*="error"]']
+    },
+    // Job cards on a search results page; the other fields are looked up inside a card
+    searchResults: {
+        card: ['.srp-jobtuple-wrapper', '.jobTuple', '[data-job-id]', '.cust-job-tuple'],
+        title: ['.title', '.jobTitle', 'a.title', '[class*="title"]'],
+        link: ['a.title', 'a[class*="title"]', '.title a'],
+        company: ['.comp-name', '.companyInfo', '[class*="company"]', '.subTitle'],
+        location: ['.loc-wrap', '.location', '[class*="location"]', '.locWdth'],
+        experience: ['.exp-wrap', '.experience', '[class*="exp"]', '.expwdth'],
+        salary: ['.sal-wrap', '.salary', '[class*="salary"]', '.salWrap'],
+        skills: ['.tag-li', '.skill', '[class*="skill"]', '.tags-gt li'],
+        description: ['.job-desc', '.description', '[class*="desc"]', '.row2'],
+        postedDate: ['.job-post-day', '.date', '[class*="date"]', '.fleft.grey-text']
+    },
+    jobDetails: {
+        // First selector whose text is long enough wins
+        description: [
+            '.styles_JDC__dang-inner-html__h0K4t',
+            '.job-desc',
+            '.dang-inner-html',
+            '[class*="job-desc"]',
+            '[class*="JobDescription"]',
+            '.jd-desc',
+            'section.styles_job-desc-container__txpYf',
+            '.description'
+        ],
+        // First selector that matches any element wins
+        keySkills: [
+            '.key-skill a',
+            '.chip',
+            'a.chip',
+            '.styles_key-skill__GIPn_ a',
+            '[class*="key-skill"] a',
+            '[class*="chip"]',
+            '.tag-li',
+            '.skill-list a',
+            '.keyskill-chip'
+        ],
+        // Labels ("Industry Type", "Openings") whose sibling holds the value
+        labels: [
+            'label',
+            '.label',
+            '[class*="label"]',
+            '.styles_jhc__jd-stats__KrNRW span',
+            '.styles_other-details__oEN4O span'
+        ],
+        // Heading + values blocks, used for the industry when no label matched
+        detailSections: ['.styles_other-details__oEN4O .styles_details__Y424J', '.other-details .detail'],
+        salary: ['.styles_jhc__salary__jdfEC', '.salary', '[class*="salary"]', '.sal'],
+        postedDate: [
+            '.styles_jhc__jd-stats__KrNRW .styles_jhc__stat__PgY67',
+            '.jd-stats .stat',
+            '.post-date',
+            '[class*="posted"]',
+            '.job-post-day'
+        ]
+    },
+    jobStatus: {
+        // Present on a live job page
+        content: ['.job-desc', '.dang-inner-html', '[class*="job-desc"]', '[class*="JobDescription"]', '[class*="jd-header"]']
+    }
+};
+
+/**
+ * Selectors with config overrides applied. An overridden field replaces the
+ * built-in list; `overrides` names the fields that were replaced.
+ * @param {Object} [custom] - config.selectors: { version?, <group>: { <field>: string[] } }
+ * @returns {Object} - DEFAULT_SELECTORS shape plus { version, customVersion, overrides }
+ */
+function getSelectors(custom = {}) {
+    const selectors = { version: SELECTORS_VERSION, customVersion: custom?.version ?? null, overrides: [] };
+
+    for (const [group, fields] of Object.entries(DEFAULT_SELECTORS)) {
+        selectors[group] = { ...fields };
+        for (const [field, list] of Object.entries(custom?.[group] || {})) {
+            if (Object.hasOwn(fields, field) && Array.isArray(list) && list.length > 0) {
+                selectors[group][field] = list;
+                selectors.overrides.push(`${group}.${field}`);
+            }
+        }
+    }
+
+    return selectors;
+}
+
+/**
+ * Which selector set a scraper uses, for run records
+ * @param {Object} selectors - From getSelectors
+ * @returns {{ version: number, customVersion: number|null, overrides: string[] }}
+ */
+function selectorInfo(selectors) {
+    return { version: selectors.version, customVersion: selectors.customVersion, overrides: selectors.overrides };
+}
+
+module.exports = { SELECTORS_VERSION, DEFAULT_SELECTORS, getSelectors, selectorInfo };
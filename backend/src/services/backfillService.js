@@ -0,0 +1,115 @@
+const Job = require('../models/Job');
+const { parseJobSalary } = require('../utils/salaryParser');
+const { parseJobExperience } = require('../utils/experienceParser');
+const { parseJobPostedDate } = require('../utils/postedDateParser');
+const { getTaxonomy, normalizeJobSkills } = require('../utils/skillTaxonomy');
+const { scoreJob } = require('../utils/matchScorer');
+const { DEFAULT_PROFILE, loadConfig, listProfiles, resolveProfile } = require('../config/scraperConfig');
+
+/**
+ * Backfill targets: re-derive structured fields for jobs already stored.
+ * `fields` are the raw fields loaded for each job, `derive` returns the
+ * structured values to store. An optional `setup` runs once before the
+ * backfill and its result is passed to `derive` as the second argument.
+ */
+const BACKFILLS = {
+    salary: {
+        description: 'Parse salary text into salaryMin/salaryMax (LPA) and salaryDisclosed',
+        fields: ['salary', 'salaryOffered', 'salaryMin', 'salaryMax', 'salaryDisclosed'],
+        derive: job => parseJobSalary(job)
+    },
+    experience: {
+        description: 'Parse experience text into experienceMin/experienceMax (years)',
+        fields: ['experience', 'experienceMin', 'experienceMax'],
+        derive: job => parseJobExperience(job)
+    },
+    posted: {
+        description: 'Convert posting text into postedAt/postedAtAccuracy relative to scrapedAt (exact timestamps are kept)',
+        fields: ['postedDate', 'jobPostedAt', 'scrapedAt', 'postedAt', 'postedAtAccuracy'],
+        derive: job => parseJobPostedDate(job)
+    },
+    keywords: {
+        description: 'Seed searchKeywords from searchKeyword for jobs stored before keywords were collected',
+        fields: ['searchKeyword', 'searchKeywords'],
+        derive: job => ({ searchKeywords: [...new Set([...(job.searchKeywords || []), job.searchKeyword])] })
+    },
+    skills: {
+        description: 'Rename skills/keySkills to their canonical names from the skill taxonomy',
+        fields: ['skills', 'keySkills'],
+        setup: () => getTaxonomy(loadConfig().skillTaxonomy),
+        derive: (job, taxonomy) => normalizeJobSkills(job, taxonomy)
+    },
+    matches: {
+        description: 'Recompute matchedSkills and matchScore of every search profile from the current config (same as `rematch`)',
+        fields: [
+            'title', 'location', 'skills', 'keySkills', 'experienceMin', 'experienceMax',
+            'salaryMin', 'salaryMax', 'matchedSkills', 'matchScore', 'matchBreakdown', 'profiles', 'profileMatches'
+        ],
+        setup: () => {
+            const config = loadConfig();
+            return new Map(listProfiles(config).map(name => [name, resolveProfile(config, name)]));
+        },
+        derive: (job, profiles) => {
+            // Named profiles are scored for the jobs they found; deleted profiles are dropped
+            const profileMatches = {};
+            for (const name of job.profiles || []) {
+                if (name !== DEFAULT_PROFILE && profiles.has(name)) {
+                    profileMatches[name] = scoreJob(job, profiles.get(name));
+                }
+            }
+            return { ...scoreJob(job, profiles.get(DEFAULT_PROFILE)), profileMatches };
+        }
+    }
+};
+
+/**
+ * Re-derive structured fields for every stored job
+ * @param {string} target - Key of BACKFILLS
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Jobs per bulk write (default: 500)
+ * @param {Function} [options.onProgress] - Called with { processed, updated, total } after each batch
+ * @returns {Promise<{ processed: number, updated: number }>}
+ */
+async function runBackfill(target, { batchSize = 500, onProgress = () => {} } = {}) {
+    const backfill = BACKFILLS[target];
+    if (!backfill) {
+        throw new Error(`Unknown backfill target "${target}". Available: ${Object.keys(BACKFILLS).join(', ')}`);
+    }
+
+    const context = backfill.setup ? backfill.setup() : undefined;
+    const total = await Job.countDocuments();
+    const cursor = Job.find({}, backfill.fields.join(' ')).lean().cursor();
+
+    let processed = 0;
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+        if (operations.length > 0) {
+            const result = await Job.bulkWrite(operations, { ordered: false });
+            updated += result.modifiedCount;
+            operations = [];
+        }
+        onProgress({ processed, updated, total });
+    };
+
+    for await (const job of cursor) {
+        const values = backfill.derive(job, context);
+        const changed = Object.keys(values).some(key =>
+            JSON.stringify(values[key]) !== JSON.stringify(job[key] ?? null));
+
+        if (changed) {
+            operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: values } } });
+        }
+
+        processed++;
+        if (processed % batchSize === 0) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return { processed, updated };
+}
+
+module.exports = { BACKFILLS, runBackfill };
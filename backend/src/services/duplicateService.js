@@ -0,0 +1,179 @@
+const Job = require('../models/Job');
+const { DUPLICATE_THRESHOLD, normalizeCompany, compareJobs } = require('../utils/jobSimilarity');
+
+// Actions accepted by resolveDuplicate
+const DUPLICATE_ACTIONS = ['merge', 'hide', 'dismiss', 'restore'];
+
+/**
+ * Link probable duplicates: reposts of the same job under a new URL.
+ *
+ * Jobs are grouped by normalised company and compared oldest first; a job
+ * scoring at least `threshold` against an older job of the group (see
+ * compareJobs) is linked to it with duplicateStatus "probable". Jobs the user
+ * already merged, hid or dismissed are left alone, and probable links that
+ * no longer score high enough are removed.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only check companies with a job scraped on/after this date
+ * @param {number} [options.threshold] - Minimum score (default: DUPLICATE_THRESHOLD)
+ * @returns {Promise<{ checked: number, linked: number, unlinked: number }>}
+ */
+async function detectDuplicates({ since = null, threshold = DUPLICATE_THRESHOLD } = {}) {
+    const jobs = await Job.find()
+        .select('title company location createdAt scrapedAt duplicateOf duplicateScore duplicateStatus')
+        .lean();
+
+    const groups = new Map();
+    for (const job of jobs) {
+        const company = normalizeCompany(job.company);
+        if (!groups.has(company)) groups.set(company, []);
+        groups.get(company).push(job);
+    }
+
+    const candidates = [...groups.values()].filter(group =>
+        group.length > 1 && (!since || group.some(job => job.scrapedAt >= since)));
+
+    // Descriptions are only loaded for jobs that have something to be compared with
+    const ids = candidates.flat().map(job => job._id);
+    const descriptions = new Map((await Job.find({ _id: { $in: ids } }).select('description fullDescription').lean())
+        .map(job => [job._id.toString(), job]));
+
+    const operations = [];
+    let checked = 0;
+    let linked = 0;
+    let unlinked = 0;
+
+    for (const group of candidates) {
+        group.sort((a, b) => a.createdAt - b.createdAt);
+        const originals = [];
+
+        for (const job of group) {
+            Object.assign(job, descriptions.get(job._id.toString()));
+
+            if (job.duplicateStatus && job.duplicateStatus !== 'probable') {
+                if (job.duplicateStatus === 'dismissed') originals.push(job);
+                continue;
+            }
+
+            checked++;
+            let best = null;
+            for (const original of originals) {
+                const { score } = compareJobs(job, original);
+                if (score >= threshold && (!best || score > best.score)) {
+                    best = { original, score };
+                }
+            }
+
+            if (best) {
+                if (!best.original._id.equals(job.duplicateOf) || best.score !== job.duplicateScore) {
+                    operations.push({
+                        updateOne: {
+                            filter: { _id: job._id },
+                            update: { $set: { duplicateOf: best.original._id, duplicateScore: best.score, duplicateStatus: 'probable' } }
+                        }
+                    });
+                    if (!best.original._id.equals(job.duplicateOf)) linked++;
+                }
+            } else {
+                originals.push(job);
+                if (job.duplicateStatus === 'probable') {
+                    operations.push({
+                        updateOne: {
+                            filter: { _id: job._id },
+                            update: { $set: { duplicateOf: null, duplicateScore: null, duplicateStatus: null } }
+                        }
+                    });
+                    unlinked++;
+                }
+            }
+        }
+    }
+
+    if (operations.length > 0) {
+        await Job.bulkWrite(operations, { ordered: false });
+    }
+
+    return { checked, linked, unlinked };
+}
+
+/**
+ * Whether a job has application data worth keeping
+ * @param {Object} application
+ * @returns {boolean}
+ */
+function hasApplicationData(application) {
+    return Boolean(application && ((application.status && application.status !== 'new')
+        || application.followUpAt || application.notes?.length || application.history?.length));
+}
+
+/**
+ * Apply the user's decision on a (probable) duplicate.
+ *
+ *   merge   - Hide the job and fold it into `target`: its search keywords are
+ *             added to the target, and its application data moves over when the
+ *             target has none. Jobs merged into this one are re-pointed to the target.
+ *   hide    - Hide the job from job lists and stats.
+ *   dismiss - Not a duplicate; the detector will not link it again.
+ *   restore - Undo merge/hide/dismiss. Keywords and application data already
+ *             copied by a merge stay on the target.
+ *
+ * @param {Object} job - Job document
+ * @param {string} action - One of DUPLICATE_ACTIONS
+ * @param {Object} [target] - Job document to merge into (merge only)
+ * @returns {Promise<Object>} - Saved job
+ */
+async function resolveDuplicate(job, action, target = null) {
+    switch (action) {
+        case 'merge': {
+            target.searchKeywords = [...new Set([...target.searchKeywords, ...job.searchKeywords])];
+            if (!hasApplicationData(target.application) && hasApplicationData(job.application)) {
+                target.application = job.application.toObject();
+            }
+            await target.save();
+            await Job.updateMany({ duplicateOf: job._id }, { $set: { duplicateOf: target._id } });
+
+            job.duplicateOf = target._id;
+            job.duplicateStatus = 'merged';
+            break;
+        }
+        case 'hide':
+            job.duplicateStatus = 'hidden';
+            break;
+        case 'dismiss':
+            job.duplicateOf = null;
+            job.duplicateScore = null;
+            job.duplicateStatus = 'dismissed';
+            break;
+        case 'restore':
+            job.duplicateStatus = job.duplicateOf ? 'probable' : null;
+            break;
+    }
+
+    return job.save();
+}
+
+/**
+ * Duplicates grouped under the job they duplicate
+ * @param {string} status - "probable", "merged" or "hidden"
+ * @returns {Promise<Array<{ job: Object, duplicates: Object[] }>>}
+ */
+async function listDuplicateGroups(status = 'probable') {
+    const fields = 'title company location experience salary salaryOffered salaryMin salaryMax salaryDisclosed jobUrl searchKeywords postedAt postedAtAccuracy postedDate scrapedAt application.status duplicateOf duplicateScore duplicateStatus';
+
+    const duplicates = await Job.find({ duplicateStatus: status, duplicateOf: { $ne: null } })
+        .select(fields)
+        .sort({ duplicateScore: -1 })
+        .lean();
+
+    const originals = await Job.find({ _id: { $in: duplicates.map(job => job.duplicateOf) } })
+        .select(fields)
+        .sort({ createdAt: -1 })
+        .lean();
+
+    return originals.map(job => ({
+        job,
+        duplicates: duplicates.filter(duplicate => duplicate.duplicateOf.equals(job._id))
+    }));
+}
+
+module.exports = { DUPLICATE_ACTIONS, detectDuplicates, resolveDuplicate, listDuplicateGroups };
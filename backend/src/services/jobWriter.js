@@ -0,0 +1,235 @@
+const Job = require('../models/Job');
+const JobChange = require('../models/JobChange');
+const { mergeScraped } = require('../utils/jobDiff');
+const { DEFAULT_PROFILE } = require('../config/scraperConfig');
+
+/**
+ * Map the outcome of an unordered Job.bulkWrite back to the operations sent.
+ *
+ * Mongoose drops operations that fail casting before calling the driver, so
+ * driver indexes (upsertedIds, writeErrors) refer to the remaining
+ * operations; `mongoose.results` lists the cast failures by original index.
+ *
+ * @param {number} count - Number of operations passed to bulkWrite
+ * @param {Object} outcome - BulkWriteResult, or the MongoBulkWriteError thrown
+ * @returns {{ upserted: Set<number>, failures: Map<number, string> }}
+ */
+function mapBulkOutcome(count, outcome) {
+    const failures = new Map();
+    const castResults = outcome.mongoose?.results || [];
+
+    const sent = [];
+    for (let i = 0; i < count; i++) {
+        if (castResults[i] instanceof Error) {
+            failures.set(i, castResults[i].message);
+        } else {
+            sent.push(i);
+        }
+    }
+
+    for (const writeError of outcome.writeErrors || []) {
+        failures.set(sent[writeError.index], writeError.errmsg || writeError.message);
+    }
+
+    const upsertedIds = outcome.upsertedIds || {};
+    const upserted = new Set(Object.keys(upsertedIds).map(index => sent[Number(index)]));
+
+    return { upserted, failures };
+}
+
+/**
+ * Save one batch of scraped jobs with a single bulkWrite
+ * @param {Object[]} batch - Scraped jobs (unique jobUrl)
+ * @param {Object} context
+ * @param {string|null} context.searchKeyword - Keyword recorded on change history
+ * @param {string} context.profile - Search profile added to the job's profiles
+ * @param {Object} summary - Counters to update
+ * @returns {Promise<void>}
+ */
+async function saveBatch(batch, { searchKeyword, profile }, summary) {
+    const fail = (jobData, message) => {
+        summary.failed++;
+        summary.errors.push({ jobUrl: jobData.jobUrl || null, title: jobData.title || null, message });
+    };
+
+    const existingJobs = await Job.find({ jobUrl: { $in: batch.map(job => job.jobUrl) } })
+        .select('-application')
+        .lean();
+    const existingByUrl = new Map(existingJobs.map(job => [job.jobUrl, job]));
+
+    const now = new Date();
+    const planned = [];
+    const operations = [];
+
+    for (const jobData of batch) {
+        const existing = existingByUrl.get(jobData.jobUrl) || null;
+        const { update, changes } = mergeScraped(existing, jobData);
+
+        // Inserts must be complete documents; updates only touch scraped fields
+        if (!existing) {
+            const validationError = new Job({ ...update, searchKeywords: [jobData.searchKeyword], profiles: [profile] }).validateSync();
+            if (validationError) {
+                fail(jobData, validationError.message);
+                continue;
+            }
+        }
+
+        if (changes.length > 0) {
+            update.lastChangedAt = now;
+        }
+
+        // Listed in search results, so the posting is live
+        Object.assign(update, { lifecycleStatus: 'active', lastSeenAt: now, missedRuns: 0, expiredAt: null });
+
+        // Only replace the match results of the profiles scraped, not those of other profiles
+        if (existing && update.profileMatches) {
+            for (const [name, matches] of Object.entries(update.profileMatches)) {
+                update[`profileMatches.${name}`] = matches;
+            }
+            delete update.profileMatches;
+        }
+
+        planned.push({ jobData, existing, changes });
+        operations.push({
+            updateOne: {
+                filter: { jobUrl: jobData.jobUrl },
+                // $addToSet even for new jobs: another writer may insert the job between the lookup
+                // and this write, and its keywords and profiles must not be overwritten
+                update: { $set: update, $addToSet: { searchKeywords: jobData.searchKeyword, profiles: profile } },
+                upsert: true,
+                setDefaultsOnInsert: true
+            }
+        });
+    }
+
+    if (operations.length === 0) {
+        return;
+    }
+
+    let outcome;
+    try {
+        outcome = await Job.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        // Per-document failures: the remaining operations were still applied
+        if (!error.writeErrors) throw error;
+        outcome = error;
+    }
+
+    const { upserted, failures } = mapBulkOutcome(operations.length, outcome);
+    const changeEntries = [];
+
+    planned.forEach(({ jobData, existing, changes }, i) => {
+        if (failures.has(i)) {
+            fail(jobData, failures.get(i));
+        } else if (upserted.has(i)) {
+            summary.inserted++;
+        } else if (existing && changes.length > 0) {
+            summary.updated++;
+            changeEntries.push({ job: existing._id, jobUrl: jobData.jobUrl, searchKeyword, changes, detectedAt: now });
+        } else {
+            // Also covers a job inserted by a concurrent run after we looked it up
+            summary.unchanged++;
+        }
+    });
+
+    if (changeEntries.length > 0) {
+        try {
+            await JobChange.insertMany(changeEntries, { ordered: false });
+        } catch (error) {
+            console.error(`Error recording job changes: ${error.message}`);
+        }
+    }
+
+    // A job merged into another still gets scraped under its own URL; credit its keyword to the job it was merged into
+    const mergedInto = planned
+        .filter(({ existing }) => existing?.duplicateStatus === 'merged' && existing.duplicateOf)
+        .map(({ jobData, existing }) => ({
+            updateOne: {
+                filter: { _id: existing.duplicateOf },
+                update: { $addToSet: { searchKeywords: jobData.searchKeyword } }
+            }
+        }));
+    if (mergedInto.length > 0) {
+        try {
+            await Job.bulkWrite(mergedInto, { ordered: false });
+        } catch (error) {
+            console.error(`Error updating merged jobs: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Insert or update scraped jobs in batches of unordered bulk upserts.
+ *
+ * Only scraped fields are written (see mergeScraped), so user-owned data
+ * survives re-scrapes. The job's keyword is added to searchKeywords and the
+ * search profile to profiles. Every job ends up in exactly one counter:
+ *   inserted  - new job
+ *   updated   - existing job where a tracked field changed (recorded as JobChange)
+ *   unchanged - existing job seen again without tracked changes
+ *   failed    - rejected by validation or the database (see `errors`)
+ * A jobUrl repeated within `jobs` is saved once (last occurrence wins) and
+ * counted in `repeated`.
+ *
+ * @param {Object[]} jobs - Scraped jobs
+ * @param {Object} [options]
+ * @param {string} [options.searchKeyword] - Keyword recorded on change history
+ * @param {string} [options.profile] - Search profile that scraped the jobs (default: "default")
+ * @param {number} [options.batchSize] - Jobs per bulkWrite (default: 200)
+ * @returns {Promise<{ inserted: number, updated: number, unchanged: number, failed: number, repeated: number, errors: Array<{ jobUrl: string, title: string, message: string }> }>}
+ */
+async function saveJobs(jobs, { searchKeyword = null, profile = DEFAULT_PROFILE, batchSize = 200 } = {}) {
+    const summary = { inserted: 0, updated: 0, unchanged: 0, failed: 0, repeated: 0, errors: [] };
+
+    const byUrl = new Map();
+    for (const jobData of jobs) {
+        if (!jobData.jobUrl) {
+            summary.failed++;
+            summary.errors.push({ jobUrl: null, title: jobData.title || null, message: 'Missing jobUrl' });
+            continue;
+        }
+        if (byUrl.has(jobData.jobUrl)) {
+            summary.repeated++;
+        }
+        byUrl.set(jobData.jobUrl, jobData);
+    }
+
+    const unique = [...byUrl.values()];
+    for (let start = 0; start < unique.length; start += batchSize) {
+        await saveBatch(unique.slice(start, start + batchSize), { searchKeyword, profile }, summary);
+    }
+
+    return summary;
+}
+
+/**
+ * Count a missed run for stored jobs of `keyword` that a scrape did not return,
+ * and flag jobs missed `missingAfterRuns` times in a row as "missing".
+ * Only jobs of the scraped profile are counted, since profiles search with
+ * different filters. Jobs already expired, removed or closed are left alone.
+ *
+ * @param {string} keyword - Keyword that was scraped
+ * @param {string[]} seenUrls - jobUrls the scrape returned
+ * @param {number} missingAfterRuns - Consecutive misses before a job is flagged
+ * @param {string} [profile] - Search profile that scraped the keyword (default: "default")
+ * @returns {Promise<number>} - Jobs newly flagged as missing
+ */
+async function recordMissing(keyword, seenUrls, missingAfterRuns, profile = DEFAULT_PROFILE) {
+    const filter = {
+        searchKeywords: keyword,
+        // Jobs stored before profiles existed belong to the default profile
+        profiles: profile === DEFAULT_PROFILE ? { $in: [DEFAULT_PROFILE, [], null] } : profile,
+        jobUrl: { $nin: seenUrls },
+        lifecycleStatus: { $in: ['active', 'missing'] }
+    };
+
+    await Job.updateMany(filter, { $inc: { missedRuns: 1 } });
+    const result = await Job.updateMany(
+        { ...filter, lifecycleStatus: 'active', missedRuns: { $gte: missingAfterRuns } },
+        { $set: { lifecycleStatus: 'missing' } }
+    );
+
+    return result.modifiedCount;
+}
+
+module.exports = { mapBulkOutcome, saveJobs, recordMissing };
@@ -0,0 +1,56 @@
+const os = require('os');
+const crypto = require('crypto');
+const RunLock = require('../models/RunLock');
+
+const LOCK_NAME = 'scrape-run';
+
+// A lease not renewed for this long is free to take
+const LEASE_MS = 2 * 60 * 1000;
+
+// How often the holder renews its lease
+const RENEW_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Take the shared run lock, renewing it in the background until released
+ * @param {string} mode - What the run does, recorded on the lock
+ * @returns {Promise<{ owner: string, release: Function }|null>} - null when another process holds the lock
+ */
+async function acquireRunLock(mode) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const now = new Date();
+
+    try {
+        // Matches only a missing or expired lock; a live one makes the upsert insert
+        // a second document with the same _id, which fails with a duplicate key error
+        await RunLock.findOneAndUpdate(
+            { _id: LOCK_NAME, expiresAt: { $lt: now } },
+            { $set: { owner, mode, acquiredAt: now, expiresAt: new Date(now.getTime() + LEASE_MS) } },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+
+    const timer = setInterval(() => {
+        RunLock.updateOne({ _id: LOCK_NAME, owner }, { $set: { expiresAt: new Date(Date.now() + LEASE_MS) } })
+            .catch(error => console.error(`Error renewing run lock: ${error.message}`));
+    }, RENEW_INTERVAL_MS);
+    timer.unref();
+
+    return {
+        owner,
+        release: async () => {
+            clearInterval(timer);
+            try {
+                await RunLock.deleteOne({ _id: LOCK_NAME, owner });
+            } catch (error) {
+                console.error(`Error releasing run lock: ${error.message}`);
+            }
+        }
+    };
+}
+
+module.exports = { acquireRunLock };
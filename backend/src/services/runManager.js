@@ -0,0 +1,302 @@
+const { runSingleScrape, runFromConfig } = require('./scrapeService');
+const { VERIFY_RESULTS, verifyJobs } = require('./verifyService');
+const { runBackfill } = require('./backfillService');
+const { loadConfig, resolveProfile } = require('../config/scraperConfig');
+const { RESULT_KEYS } = require('../models/ScrapeRun');
+const { acquireRunLock } = require('./runLock');
+
+/**
+ * Zeroed result counters for a keyword or a whole run
+ * @returns {Object}
+ */
+function emptyResults() {
+    return Object.fromEntries(RESULT_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Tracks the scrape run (or job verification or rematch) started through the API.
+ * Only one run may execute at a time, across every process sharing the
+ * database (API server, daemon); starting another while one is running
+ * fails with error.code === 'RUN_IN_PROGRESS'.
+ */
+class RunManager {
+    constructor() {
+        this.current = null;
+        this.task = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Whether a run is currently executing
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.current?.status === 'running';
+    }
+
+    /**
+     * Get a snapshot of the current (or most recent) run
+     * @returns {Object|null}
+     */
+    getStatus() {
+        return this.current ? JSON.parse(JSON.stringify(this.current)) : null;
+    }
+
+    /**
+     * Start a scrape run in the background
+     * @param {Object} [options]
+     * @param {string} [options.keyword] - Scrape a single keyword instead of all config keywords
+     * @param {number} [options.pages] - Pages for a single-keyword run
+     * @param {boolean} [options.login] - Login before a single-keyword run
+     * @param {string[]} [options.keywords] - Subset of config keywords for a config run
+     * @param {string} [options.profile] - Search profile to scrape with (default: "default")
+     * @param {string} [options.trigger] - Recorded on the ScrapeRun (default: 'api')
+     * @param {string} [options.scheduleName] - Schedule entry that fired the run
+     * @returns {Promise<Object>} - Initial run status
+     * @throws {Error} error.code === 'UNKNOWN_PROFILE' when the profile does not exist
+     */
+    async start(options = {}) {
+        this.assertIdle();
+
+        const config = resolveProfile(loadConfig(), options.profile);
+        const mode = options.keyword ? 'keyword' : 'config';
+        const lock = await this.acquireLock(mode);
+        const keywords = mode === 'keyword'
+            ? [options.keyword]
+            : (options.keywords?.length ? options.keywords : (config.keywords || []));
+        const maxPages = mode === 'keyword' ? options.pages : (config.scraping?.pagesPerKeyword || 3);
+
+        const run = {
+            id: this.nextId++,
+            runId: null,
+            trigger: options.trigger || 'api',
+            mode,
+            profile: config.profile,
+            status: 'running',
+            startedAt: new Date(),
+            finishedAt: null,
+            loggedIn: null,
+            currentKeyword: null,
+            keywords: keywords.map(keyword => ({
+                keyword,
+                status: 'pending',
+                pagesScraped: 0,
+                maxPages,
+                details: null,
+                ...emptyResults()
+            })),
+            totals: emptyResults(),
+            error: null
+        };
+        this.current = run;
+
+        const onProgress = event => this.handleProgress(run, event);
+        const runOptions = {
+            trigger: run.trigger,
+            keywords: options.keywords,
+            profile: config.profile,
+            scheduleName: options.scheduleName,
+            onProgress
+        };
+        const task = mode === 'keyword'
+            ? runSingleScrape(options.keyword, options.pages, options.login, runOptions)
+            : runFromConfig(runOptions);
+
+        return this.track(run, task, lock);
+    }
+
+    /**
+     * Start verifying stored job postings in the background (see verifyJobs)
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum jobs to check
+     * @param {string} [options.trigger] - What started the run (default: 'api')
+     * @returns {Promise<Object>} - Initial run status
+     */
+    async startVerify(options = {}) {
+        const lock = await this.acquireLock('verify');
+
+        const run = {
+            id: this.nextId++,
+            runId: null,
+            trigger: options.trigger || 'api',
+            mode: 'verify',
+            status: 'running',
+            startedAt: new Date(),
+            finishedAt: null,
+            loggedIn: null,
+            currentKeyword: null,
+            keywords: [],
+            totals: emptyResults(),
+            verify: { total: 0, checked: 0, current: null, ...Object.fromEntries(VERIFY_RESULTS.map(result => [result, 0])) },
+            error: null
+        };
+        this.current = run;
+
+        const task = verifyJobs({ limit: options.limit, onProgress: event => this.handleProgress(run, event) });
+        return this.track(run, task, lock);
+    }
+
+    /**
+     * Recompute matchedSkills and matchScore of every stored job in the background
+     * @param {Object} [options]
+     * @param {string} [options.trigger] - What started the run (default: 'api')
+     * @returns {Promise<Object>} - Initial run status
+     */
+    async startRematch(options = {}) {
+        const lock = await this.acquireLock('rematch');
+
+        const run = {
+            id: this.nextId++,
+            runId: null,
+            trigger: options.trigger || 'api',
+            mode: 'rematch',
+            status: 'running',
+            startedAt: new Date(),
+            finishedAt: null,
+            loggedIn: null,
+            currentKeyword: null,
+            keywords: [],
+            totals: emptyResults(),
+            rematch: { processed: 0, updated: 0, total: 0 },
+            error: null
+        };
+        this.current = run;
+
+        const task = runBackfill('matches', {
+            onProgress: progress => this.handleProgress(run, { type: 'rematch-progress', ...progress })
+        });
+        return this.track(run, task, lock);
+    }
+
+    /**
+     * Fail with RUN_IN_PROGRESS if a run is executing
+     */
+    assertIdle() {
+        if (this.isRunning()) {
+            const error = new Error('A scrape run is already in progress');
+            error.code = 'RUN_IN_PROGRESS';
+            throw error;
+        }
+    }
+
+    /**
+     * Take the run lock shared with other processes
+     * @param {string} mode - What the run does
+     * @returns {Promise<Object>} - Lock to release when the run settles (see runLock)
+     * @throws {Error} error.code === 'RUN_IN_PROGRESS' if a run is executing here or in another process
+     */
+    async acquireLock(mode) {
+        this.assertIdle();
+        const lock = await acquireRunLock(mode);
+        if (!lock) {
+            const error = new Error('A scrape run is already in progress in another process');
+            error.code = 'RUN_IN_PROGRESS';
+            throw error;
+        }
+        return lock;
+    }
+
+    /**
+     * Record the outcome of a run's task when it settles, then release the run lock
+     * @param {Object} run - Run being tracked
+     * @param {Promise} task - The running scrape, verification or rematch
+     * @param {Object} lock - Run lock taken for the run
+     * @returns {Object} - Initial run status
+     */
+    track(run, task, lock) {
+        this.task = task
+            .then(() => {
+                run.status = 'completed';
+            })
+            .catch(error => {
+                console.error('Scrape run failed:', error.message);
+                run.status = 'failed';
+                run.error = error.message;
+                const active = run.keywords.find(k => k.status === 'running');
+                if (active) active.status = 'failed';
+            })
+            .finally(async () => {
+                run.finishedAt = new Date();
+                run.currentKeyword = null;
+                await lock.release();
+            });
+
+        return this.getStatus();
+    }
+
+    /**
+     * Wait for the current run (if any) to finish
+     * @returns {Promise<Object|null>} - Final run status
+     */
+    async wait() {
+        if (this.task) {
+            await this.task;
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Apply a progress event from the scrape service to a run
+     * @param {Object} run - Run being updated
+     * @param {Object} event - Progress event
+     */
+    handleProgress(run, event) {
+        const entry = run.keywords.find(k => k.keyword === event.keyword);
+
+        switch (event.type) {
+            case 'run-start':
+                run.runId = event.runId;
+                break;
+            case 'login':
+                run.loggedIn = event.success;
+                break;
+            case 'keyword-start':
+                run.currentKeyword = event.keyword;
+                if (entry) {
+                    entry.status = 'running';
+                    entry.maxPages = event.maxPages;
+                }
+                break;
+            case 'page':
+                if (entry && !event.error) {
+                    entry.pagesScraped = event.pageNum;
+                    entry.found = event.jobsFound;
+                }
+                break;
+            case 'details':
+                if (entry) {
+                    entry.details = { done: event.done, total: event.total, failed: event.failed };
+                }
+                break;
+            case 'keyword-complete':
+                if (entry) {
+                    entry.status = event.results.incomplete ? 'failed' : 'completed';
+                    entry.error = event.results.incomplete || null;
+                }
+                for (const key of RESULT_KEYS) {
+                    if (entry) entry[key] = event.results[key] || 0;
+                    run.totals[key] += event.results[key] || 0;
+                }
+                break;
+            case 'keyword-error':
+                if (entry) {
+                    entry.status = 'failed';
+                    entry.error = event.error;
+                }
+                break;
+            case 'verify-start':
+                run.verify.total = event.total;
+                break;
+            case 'verify-job':
+                run.verify.checked = event.checked;
+                run.verify.current = event.title;
+                run.verify[event.status] += 1;
+                break;
+            case 'rematch-progress':
+                run.rematch = { processed: event.processed, updated: event.updated, total: event.total };
+                break;
+        }
+    }
+}
+
+module.exports = new RunManager();
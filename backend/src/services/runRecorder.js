@@ -0,0 +1,265 @@
+const ScrapeRun = require('../models/ScrapeRun');
+const { detectDrift } = require('../utils/fillRates');
+const { RESULT_KEYS } = ScrapeRun;
+
+// Earlier runs whose fill rates make up the baseline for drift detection
+const DRIFT_BASELINE_RUNS = 5;
+
+// How often a run in progress refreshes heartbeatAt
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// A 'running' run not refreshed for this long is considered interrupted
+const HEARTBEAT_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Persists a scrape run as a ScrapeRun document.
+ * Feed it the progress events emitted by the scrape service; the record is
+ * saved after every page and keyword so a crash still leaves a partial
+ * history, and a checkpoint to resume the run from.
+ */
+class RunRecorder {
+    /**
+     * @param {Object} run - ScrapeRun document
+     */
+    constructor(run) {
+        this.run = run;
+        this.heartbeat = setInterval(() => {
+            ScrapeRun.updateOne({ _id: run._id }, { $set: { heartbeatAt: new Date() } })
+                .catch(error => console.error(`Error refreshing scrape run: ${error.message}`));
+        }, HEARTBEAT_INTERVAL_MS);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Create the ScrapeRun record for a new run
+     * @param {Object} params
+     * @param {string} params.trigger - 'cli' | 'api' | 'schedule'
+     * @param {string} params.mode - 'config' | 'keyword'
+     * @param {string[]} params.keywords - Keywords the run will scrape
+     * @param {string} [params.profile] - Search profile the run scrapes with
+     * @param {string} [params.scheduleName] - Schedule entry that fired the run
+     * @param {Object} [params.selectors] - Selector set the run scrapes with: { version, customVersion, overrides }
+     * @returns {Promise<RunRecorder>}
+     */
+    static async start({ trigger, mode, keywords, profile, scheduleName = null, selectors }) {
+        const run = await ScrapeRun.create({
+            trigger,
+            mode,
+            keywords,
+            profile,
+            scheduleName,
+            selectors,
+            keywordStats: keywords.map(keyword => ({ keyword }))
+        });
+        return new RunRecorder(run);
+    }
+
+    /**
+     * Reopen the latest run of a profile that has keywords left to scrape:
+     * interrupted, failed, or finished with failed keywords
+     * @param {Object} params
+     * @param {string} params.mode - 'config' | 'keyword'
+     * @param {string} params.profile - Search profile of the run
+     * @returns {Promise<RunRecorder|null>} - null when the latest run has nothing left to scrape
+     * @throws {Error} error.code === 'RUN_IN_PROGRESS' when another process is still running it
+     */
+    static async resume({ mode, profile }) {
+        // Read raw: runs recorded before keyword statuses existed have none, and are not resumed
+        const latest = await ScrapeRun.findOne({ mode, profile, status: { $ne: 'skipped' } })
+            .sort({ startedAt: -1 })
+            .select('keywordStats')
+            .lean();
+        if (!latest || !latest.keywordStats.some(stats => ['pending', 'failed'].includes(stats.status))) {
+            return null;
+        }
+
+        // Reopened only if no process is running it, checked and claimed in one update
+        // so two resumes cannot both take it
+        const now = new Date();
+        const run = await ScrapeRun.findOneAndUpdate(
+            {
+                _id: latest._id,
+                $or: [
+                    { status: { $ne: 'running' } },
+                    { heartbeatAt: { $not: { $gte: new Date(now.getTime() - HEARTBEAT_TIMEOUT_MS) } } }
+                ]
+            },
+            { $set: { status: 'running', finishedAt: null, heartbeatAt: now }, $push: { resumedAt: now } },
+            { new: true }
+        );
+        if (!run) {
+            const error = new Error(`Run ${latest._id} is still in progress in another process`);
+            error.code = 'RUN_IN_PROGRESS';
+            throw error;
+        }
+        return new RunRecorder(run);
+    }
+
+    /**
+     * Keywords of the run not completed yet, in order
+     * @returns {string[]}
+     */
+    get pendingKeywords() {
+        return this.run.keywordStats.filter(stats => stats.status !== 'completed').map(stats => stats.keyword);
+    }
+
+    /**
+     * Where to pick up scraping a keyword
+     * @param {string} keyword
+     * @returns {{ pagesDone: number, jobUrls: string[], results: Object }|null} - null to start from the first page
+     */
+    checkpointFor(keyword) {
+        const checkpoint = this.run.keywordStats.find(stats => stats.keyword === keyword)?.checkpoint;
+        if (!checkpoint?.pagesDone) {
+            return null;
+        }
+        return { pagesDone: checkpoint.pagesDone, jobUrls: [...checkpoint.jobUrls], results: { ...checkpoint.results } };
+    }
+
+    /**
+     * ID of the underlying ScrapeRun document
+     * @returns {string}
+     */
+    get id() {
+        return this.run._id.toString();
+    }
+
+    /**
+     * Apply a progress event to the run record
+     * @param {Object} event - Progress event from the scrape service
+     * @returns {Promise<void>}
+     */
+    async handle(event) {
+        const stats = this.run.keywordStats.find(k => k.keyword === event.keyword);
+
+        switch (event.type) {
+            case 'login':
+                this.run.login = { attempted: true, success: event.success };
+                break;
+            case 'page':
+                if (event.error) {
+                    this.run.errorLog.push({ keyword: event.keyword, message: `Could not scrape page ${event.pageNum}: ${event.error}` });
+                    break;
+                }
+                if (stats) stats.pagesVisited = event.pageNum;
+                this.run.pagesVisited += 1;
+                if (event.strategy) this.run.extraction.listing[event.strategy] += event.pageJobs;
+                break;
+            case 'details':
+                if (event.strategy) this.run.extraction.details[event.strategy] += 1;
+                if (event.error) {
+                    this.run.errorLog.push({
+                        keyword: event.keyword,
+                        message: `Could not scrape details of ${event.error.jobUrl}: ${event.error.message}`
+                    });
+                }
+                break;
+            case 'fields': {
+                const fieldStats = this.run.fieldStats;
+                fieldStats.jobs += event.jobs;
+                fieldStats.detailJobs += event.detailJobs;
+                const filled = { ...fieldStats.filled };
+                for (const [field, count] of Object.entries(event.filled)) {
+                    filled[field] = (filled[field] || 0) + count;
+                }
+                fieldStats.filled = filled;
+                this.run.markModified('fieldStats.filled');
+                break;
+            }
+            case 'checkpoint':
+                if (!stats) break;
+                stats.checkpoint = {
+                    pagesDone: event.pagesDone,
+                    jobUrls: event.jobUrls,
+                    results: event.results
+                };
+                await this.save();
+                break;
+            case 'keyword-complete':
+                // A keyword that stopped early keeps its checkpoint, so a resume scrapes its remaining pages
+                if (stats && event.results.incomplete) {
+                    stats.status = 'failed';
+                    stats.error = event.results.incomplete;
+                } else if (stats) {
+                    stats.status = 'completed';
+                    stats.error = null;
+                    stats.checkpoint = { pagesDone: 0, jobUrls: [], results: {} };
+                }
+                // Results of a resumed keyword include its earlier attempt, already in the totals
+                for (const key of RESULT_KEYS) {
+                    this.run.totals[key] += (event.results[key] || 0) - (stats?.[key] || 0);
+                    if (stats) stats[key] = event.results[key] || 0;
+                }
+                for (const failure of event.results.errors || []) {
+                    this.run.errorLog.push({
+                        keyword: event.keyword,
+                        message: `Could not save ${failure.jobUrl || failure.title}: ${failure.message}`
+                    });
+                }
+                await this.save();
+                break;
+            case 'keyword-error':
+                if (stats) {
+                    stats.status = 'failed';
+                    stats.error = event.error;
+                }
+                this.run.errorLog.push({ keyword: event.keyword, message: event.error });
+                await this.save();
+                break;
+        }
+    }
+
+    /**
+     * Mark the run as finished
+     * @param {Error} [error] - Error that aborted the run, if any
+     * @returns {Promise<void>}
+     */
+    async finish(error) {
+        clearInterval(this.heartbeat);
+        this.run.finishedAt = new Date();
+        this.run.status = error ? 'failed' : 'completed';
+        if (error) {
+            this.run.errorLog.push({ message: error.message });
+        } else {
+            await this.checkDrift();
+        }
+        await this.save();
+    }
+
+    /**
+     * Compare the run's field fill rates with recent completed runs and
+     * record the fields that dropped sharply in `driftWarnings`.
+     * Failures are logged; they never fail the run.
+     * @returns {Promise<void>}
+     */
+    async checkDrift() {
+        try {
+            const previous = await ScrapeRun.find({
+                _id: { $ne: this.run._id },
+                status: 'completed',
+                'fieldStats.jobs': { $gt: 0 }
+            })
+                .sort({ startedAt: -1 })
+                .limit(DRIFT_BASELINE_RUNS)
+                .select('fieldStats')
+                .lean();
+            this.run.driftWarnings = detectDrift(this.run.toObject().fieldStats, previous.map(run => run.fieldStats));
+        } catch (error) {
+            console.error(`Error checking field fill rates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the record, logging rather than failing the scrape on errors
+     * @returns {Promise<void>}
+     */
+    async save() {
+        try {
+            await this.run.save();
+        } catch (error) {
+            console.error(`Error saving scrape run: ${error.message}`);
+        }
+    }
+}
+
+module.exports = RunRecorder;
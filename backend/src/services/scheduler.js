@@ -0,0 +1,181 @@
+const { Cron } = require('croner');
+const runManager = require('./runManager');
+const ScrapeRun = require('../models/ScrapeRun');
+
+/**
+ * Build a paused Cron for a schedule entry (used to compute fire times)
+ * @param {Object} entry - Schedule entry { name, cron, keywords, profile }
+ * @param {string} [timezone] - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {Cron}
+ */
+function buildCron(entry, timezone) {
+    return new Cron(entry.cron, { paused: true, timezone: timezone || undefined });
+}
+
+/**
+ * Runs `runFromConfig` on the cron expressions in config.json's `schedule` section.
+ *
+ * config.json:
+ *   "schedule": {
+ *     "enabled": true,
+ *     "timezone": "Asia/Kolkata",
+ *     "jobs": [{ "name": "morning", "cron": "0 9 * * 1-5", "keywords": ["react developer"], "profile": "frontend" }]
+ *   }
+ *
+ * Entries without a profile run the default profile.
+ * A fire that happens while another run is in progress (in this process or
+ * another one sharing the database, see runLock) is skipped and recorded as
+ * a ScrapeRun with status "skipped".
+ */
+class Scheduler {
+    constructor() {
+        this.hosted = false;
+        this.timezone = null;
+        this.entries = [];
+    }
+
+    /**
+     * Whether the scheduler is running in this process
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.entries.length > 0;
+    }
+
+    /**
+     * Start cron jobs for every entry in config.schedule.jobs
+     * @param {Object} config - Configuration object
+     * @returns {number} - Number of scheduled entries
+     */
+    start(config) {
+        this.stop();
+        this.hosted = true;
+
+        const schedule = config.schedule || {};
+        if (!schedule.enabled) {
+            return 0;
+        }
+
+        this.timezone = schedule.timezone || null;
+        this.entries = (schedule.jobs || []).map(entry => {
+            const state = {
+                name: entry.name,
+                cron: entry.cron,
+                keywords: entry.keywords || [],
+                profile: entry.profile || undefined,
+                job: null
+            };
+            state.job = new Cron(entry.cron, { timezone: this.timezone || undefined }, () => this.fire(state));
+            return state;
+        });
+
+        return this.entries.length;
+    }
+
+    /**
+     * Stop all cron jobs
+     */
+    stop() {
+        for (const entry of this.entries) {
+            entry.job.stop();
+        }
+        this.entries = [];
+    }
+
+    /**
+     * Handle a cron fire for a schedule entry
+     * @param {Object} entry - Scheduler state for the entry
+     * @returns {Promise<void>}
+     */
+    async fire(entry) {
+        console.log(`⏰ Schedule "${entry.name}" fired`);
+        try {
+            await runManager.start({
+                trigger: 'schedule',
+                scheduleName: entry.name,
+                profile: entry.profile,
+                keywords: entry.keywords.length > 0 ? entry.keywords : undefined
+            });
+        } catch (error) {
+            if (error.code === 'RUN_IN_PROGRESS') {
+                await this.recordSkipped(entry);
+                return;
+            }
+            // e.g. the entry names a profile that was deleted
+            console.error(`⏰ Schedule "${entry.name}" could not start: ${error.message}`);
+            return;
+        }
+
+        const result = await runManager.wait();
+        console.log(`⏰ Schedule "${entry.name}" finished: ${result.status}`);
+    }
+
+    /**
+     * Record a fire skipped because a run was in progress, here or in another process
+     * @param {Object} entry - Scheduler state for the entry
+     * @returns {Promise<void>}
+     */
+    async recordSkipped(entry) {
+        console.log(`⏭️  Schedule "${entry.name}" skipped: another run is in progress`);
+        try {
+            await ScrapeRun.create({
+                trigger: 'schedule',
+                scheduleName: entry.name,
+                status: 'skipped',
+                keywords: entry.keywords,
+                profile: entry.profile,
+                finishedAt: new Date(),
+                errorLog: [{ message: 'Skipped: another scrape run was in progress' }]
+            });
+        } catch (error) {
+            console.error(`Error recording skipped run: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe the schedule with next/last fire times.
+     * Works whether or not the scheduler is running in this process: fire
+     * times come from the cron expressions and the last outcome from the
+     * ScrapeRun history.
+     *
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Object>}
+     */
+    async describe(config) {
+        const schedule = config.schedule || {};
+        const timezone = schedule.timezone || null;
+
+        const jobs = await Promise.all((schedule.jobs || []).map(async entry => {
+            const lastRun = await ScrapeRun.findOne({ trigger: 'schedule', scheduleName: entry.name })
+                .sort({ startedAt: -1 })
+                .lean();
+
+            let nextRunAt = null;
+            try {
+                nextRunAt = schedule.enabled ? buildCron(entry, timezone).nextRun() : null;
+            } catch {
+                nextRunAt = null;
+            }
+
+            return {
+                name: entry.name,
+                cron: entry.cron,
+                keywords: entry.keywords || [],
+                profile: entry.profile || null,
+                nextRunAt,
+                lastRunAt: lastRun?.startedAt || null,
+                lastStatus: lastRun?.status || null,
+                lastRunId: lastRun?._id || null
+            };
+        }));
+
+        return {
+            enabled: Boolean(schedule.enabled),
+            active: this.isActive(),
+            timezone,
+            jobs
+        };
+    }
+}
+
+module.exports = new Scheduler();
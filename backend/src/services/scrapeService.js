@@ -0,0 +1,448 @@
+const chalk = require('chalk');
+const NaukriScraper = require('../scraper/naukriScraper');
+const { selectorInfo } = require('../scraper/selectors');
+const RunRecorder = require('./runRecorder');
+const { RESULT_KEYS } = require('../models/ScrapeRun');
+const { DEFAULT_PROFILE, loadConfig, resolveProfile, validateConfig } = require('../config/scraperConfig');
+const { scoreJob } = require('../utils/matchScorer');
+const { describeSearchFilters } = require('../utils/searchFilters');
+const { countFilledFields } = require('../utils/fillRates');
+const { saveJobs, recordMissing } = require('./jobWriter');
+const { detectDuplicates } = require('./duplicateService');
+
+/**
+ * Delay helper function
+ * @param {number} ms - Milliseconds to wait
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Keep a named profile's match results under profileMatches and score the
+ * job's top-level match fields against the default profile instead
+ * @param {Object[]} jobs - Jobs scored by the scraper with the profile's config
+ * @param {string} profile - Named search profile
+ */
+function scopeMatchesToProfile(jobs, profile) {
+    const defaults = resolveProfile(loadConfig());
+    for (const job of jobs) {
+        const { matchedSkills, matchScore, matchBreakdown } = job;
+        job.profileMatches = { [profile]: { matchedSkills, matchScore, matchBreakdown } };
+        Object.assign(job, scoreJob(job, defaults));
+    }
+}
+
+/**
+ * Check the settings that go into the search URL. config.json is validated
+ * when saved through the API, but may have been edited by hand.
+ * @param {Object} config - Profile configuration (see resolveProfile)
+ * @throws {Error} error.code === 'INVALID_CONFIG' listing the invalid settings
+ */
+function assertSearchSettings(config) {
+    const input = {};
+    for (const field of ['experience', 'locations', 'searchFilters']) {
+        if (config[field] !== undefined) input[field] = config[field];
+    }
+
+    const messages = Object.values(validateConfig(input).errors);
+    if (messages.length > 0) {
+        const error = new Error(`Invalid search settings for profile "${config.profile}" in config.json: ${messages.join('; ')}`);
+        error.code = 'INVALID_CONFIG';
+        throw error;
+    }
+}
+
+/**
+ * Navigation retry policy of a profile's scraping settings
+ * @param {Object} config - Profile configuration (see resolveProfile)
+ * @returns {{ retries: number, baseDelay: number }}
+ */
+function retryPolicy(config) {
+    return {
+        retries: config.scraping?.retries ?? 2,
+        baseDelay: config.scraping?.retryBaseDelay ?? 2000
+    };
+}
+
+/**
+ * Scrape jobs and save to MongoDB
+ *
+ * Each page is saved as soon as it is scraped and followed by a 'checkpoint'
+ * event, so an interrupted keyword can be resumed from its last saved page.
+ *
+ * @param {Object} scraper - Initialized scraper instance
+ * @param {string} keyword - Search keyword
+ * @param {number} pages - Number of pages to scrape
+ * @param {Object} [config] - Profile configuration (see resolveProfile) with skills, experience, locations,
+ *                            searchFilters, scrapeJobDetails
+ * @param {Function} [onProgress] - Called with the keyword's 'page', 'details', 'fields' and 'checkpoint'
+ *                                  progress events (see runFromConfig)
+ * @param {Object} [resumeFrom] - Checkpoint of an interrupted scrape of the keyword: { pagesDone, jobUrls, results }
+ * @returns {Object} - Results summary; `incomplete` says why the keyword stopped before its last page
+ */
+async function scrapeAndSave(scraper, keyword, pages, config = {}, onProgress = () => {}, resumeFrom = null) {
+    const profile = config.profile || DEFAULT_PROFILE;
+    const results = { ...Object.fromEntries(RESULT_KEYS.map(key => [key, 0])), ...resumeFrom?.results, errors: [] };
+    // Jobs saved by earlier pages; a listing seen again on a later page is only counted
+    const seenUrls = new Set(resumeFrom?.jobUrls || []);
+    // Why pagination stopped before the last page, if a page could not be loaded
+    let stoppedEarly = null;
+
+    const savePage = async (jobs, pageNum) => {
+        await onProgress({ type: 'fields', ...countFilledFields(jobs) });
+
+        // Counted against the profile's skills, before they move to profileMatches
+        results.found += jobs.length;
+        results.matched += jobs.filter(job => job.matchedSkills && job.matchedSkills.length > 0).length;
+        if (profile !== DEFAULT_PROFILE) {
+            scopeMatchesToProfile(jobs, profile);
+        }
+
+        const fresh = jobs.filter(job => !seenUrls.has(job.jobUrl));
+        for (const job of fresh) {
+            seenUrls.add(job.jobUrl);
+        }
+
+        // Save to MongoDB
+        console.log(chalk.blue(`\n💾 Saving ${fresh.length} jobs from page ${pageNum} to MongoDB...`));
+
+        const summary = await saveJobs(fresh, { searchKeyword: keyword, profile });
+        for (const failure of summary.errors) {
+            console.error(chalk.red(`Error saving job ${failure.title || failure.jobUrl}: ${failure.message}`));
+        }
+
+        results.saved += summary.inserted;
+        results.updated += summary.updated;
+        results.unchanged += summary.unchanged;
+        // Already stored (updated or unchanged) or repeated within this scrape
+        results.duplicates += summary.updated + summary.unchanged + summary.repeated + jobs.length - fresh.length;
+        results.failed += summary.failed;
+        results.errors.push(...summary.errors);
+
+        const { errors, ...counts } = results;
+        await onProgress({ type: 'checkpoint', pagesDone: pageNum, jobUrls: [...seenUrls], results: counts });
+    };
+
+    // Scrape jobs (pass config for experience/search filters/skills/detail scraping)
+    await scraper.scrapeJobs(keyword, pages, {
+        experience: config.experience || null,
+        searchFilters: { ...config.searchFilters, locations: config.locations || [] },
+        skills: config.skills || [],
+        matching: config.matching,
+        skillTaxonomy: config.skillTaxonomy,
+        scrapeJobDetails: config.scraping?.scrapeJobDetails !== false,
+        detailConcurrency: config.scraping?.detailConcurrency,
+        detailRequestInterval: config.scraping?.detailRequestInterval,
+        startPage: (resumeFrom?.pagesDone || 0) + 1,
+        onPageScraped: savePage,
+        onProgress: page => {
+            if (page.error) {
+                stoppedEarly = `Stopped at page ${page.pageNum}: ${page.error}`;
+            }
+            return onProgress({ type: 'page', ...page });
+        },
+        onDetailProgress: progress => onProgress({ type: 'details', ...progress })
+    });
+
+    if (results.found === 0) {
+        console.log(chalk.yellow('\n⚠️  No jobs found for the given keyword.'));
+        return Object.fromEntries(RESULT_KEYS.map(key => [key, 0]));
+    }
+
+    // Jobs on the pages that were not loaded would wrongly count as missing
+    if (stoppedEarly) {
+        console.log(chalk.yellow(`\n⚠️  ${stoppedEarly}. Not checking for missing jobs, as the results are incomplete.`));
+        results.incomplete = stoppedEarly;
+        return results;
+    }
+
+    results.missing = await recordMissing(keyword, [...seenUrls], config.scraping?.missingAfterRuns || 3, profile);
+    if (results.missing > 0) {
+        console.log(chalk.yellow(`👻 ${results.missing} stored job(s) missing from recent "${keyword}" results`));
+    }
+
+    return results;
+}
+
+/**
+ * Link reposted jobs at the companies scraped since `since`.
+ * Failures are logged; they never fail the run.
+ * @param {Date} since - Start of the run
+ */
+async function linkDuplicates(since) {
+    try {
+        const { linked } = await detectDuplicates({ since });
+        if (linked > 0) {
+            console.log(chalk.magenta(`\n🧬 Linked ${linked} probable duplicate(s). Review them on the Duplicates page.`));
+        }
+    } catch (error) {
+        console.error(chalk.red(`\n❌ Duplicate detection failed: ${error.message}`));
+    }
+}
+
+/**
+ * Warn loudly about fields whose fill rate dropped sharply in this run
+ * @param {Array<{ field: string, rate: number, baseline: number }>} warnings - ScrapeRun driftWarnings
+ */
+function reportDrift(warnings) {
+    if (!warnings || warnings.length === 0) {
+        return;
+    }
+    const percent = rate => `${Math.round(rate * 100)}%`;
+    console.log(chalk.red.bold(`\n🚨 Possible selector drift: ${warnings.length} field(s) were filled far less often than in recent runs`));
+    for (const { field, rate, baseline } of warnings) {
+        console.log(chalk.red(`   ${field}: ${percent(rate)} of jobs (usually ${percent(baseline)})`));
+    }
+    console.log(chalk.red('   Naukri has probably changed its pages. Check the selectors (config.json "selectors") or the API mapping.'));
+}
+
+/**
+ * Run scraper for a single keyword (legacy command)
+ * @param {string} keyword - Search keyword
+ * @param {number} pages - Number of pages to scrape
+ * @param {boolean} withLogin - Whether to login first
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What started the run: 'cli' (default), 'api' or 'schedule'
+ * @param {string} [options.profile] - Search profile whose filters and skills to use (default: "default")
+ * @param {string[]} [options.locations] - Cities to search in instead of the profile's locations
+ * @param {Object} [options.searchFilters] - Search filters replacing the profile's (see utils/searchFilters)
+ * @param {Function} [options.onProgress] - Progress listener, see runFromConfig
+ * @returns {Promise<Object>} - Results summary
+ * @throws {Error} error.code === 'INVALID_CONFIG' when the search settings are invalid
+ */
+async function runSingleScrape(keyword, pages, withLogin = false, options = {}) {
+    const profileConfig = resolveProfile(loadConfig(), options.profile);
+    const config = {
+        ...profileConfig,
+        locations: options.locations || profileConfig.locations,
+        searchFilters: { ...profileConfig.searchFilters, ...options.searchFilters }
+    };
+    assertSearchSettings(config);
+    const scraper = new NaukriScraper({ selectors: config.selectors, retry: retryPolicy(config) });
+    const recorder = await RunRecorder.start({
+        trigger: options.trigger || 'cli',
+        mode: 'keyword',
+        keywords: [keyword],
+        profile: config.profile,
+        selectors: selectorInfo(scraper.selectors)
+    });
+    const onProgress = options.onProgress || (() => {});
+    const emit = event => {
+        onProgress(event);
+        return recorder.handle(event);
+    };
+
+    try {
+        emit({ type: 'run-start', runId: recorder.id });
+
+        // Initialize browser
+        await scraper.initBrowser();
+
+        // Login if credentials provided
+        if (withLogin) {
+            const email = process.env.NAUKRI_EMAIL;
+            const password = process.env.NAUKRI_PASSWORD;
+            const loggedIn = await scraper.login(email, password);
+            await emit({ type: 'login', success: loggedIn });
+        }
+
+        // Scrape jobs (pass config for experience/skills)
+        await emit({ type: 'keyword-start', keyword, index: 0, total: 1, maxPages: pages });
+        const results = await scrapeAndSave(scraper, keyword, pages, config,
+            event => emit({ ...event, keyword }));
+        await emit({ type: 'keyword-complete', keyword, results });
+        await linkDuplicates(recorder.run.startedAt);
+
+        // Summary
+        console.log(chalk.green('\n✅ Scraping Complete!'));
+        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+        console.log(chalk.blue(`📊 Jobs Found: ${results.found}`));
+        console.log(chalk.green(`💾 New Jobs Saved: ${results.saved}`));
+        console.log(chalk.yellow(`🔄 Already Stored: ${results.duplicates} (${results.updated} updated, ${results.unchanged} unchanged)`));
+        if (results.failed > 0) {
+            console.log(chalk.red(`❌ Failed to Save: ${results.failed}`));
+        }
+        if (config.skills && config.skills.length > 0) {
+            console.log(chalk.magenta(`🎯 Jobs Matched by Skills: ${results.matched}`));
+        }
+        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+        await recorder.finish();
+        reportDrift(recorder.run.driftWarnings);
+        return results;
+    } catch (error) {
+        await recorder.finish(error);
+        throw error;
+    } finally {
+        await scraper.closeBrowser();
+    }
+}
+
+/**
+ * Run scraper for all keywords of a search profile (default: the top-level config)
+ *
+ * Every run is recorded as a ScrapeRun document. A keyword that fails is
+ * logged on the run and the remaining keywords are still scraped. With
+ * `options.resume` the profile's last run is continued instead: keywords it
+ * did not complete are scraped again, the interrupted one from the page after
+ * its checkpoint.
+ *
+ * Progress events passed to `options.onProgress`:
+ *   { type: 'run-start', runId }
+ *   { type: 'login', success }
+ *   { type: 'keyword-start', keyword, index, total, maxPages }
+ *   { type: 'page', keyword, pageNum, maxPages, jobsFound, error? }  (error: page could not be loaded, the keyword stops there)
+ *   { type: 'details', keyword, pageNum, done, total, failed, error? }  (per detail page; error: { jobUrl, title, message })
+ *   { type: 'fields', keyword, jobs, detailJobs, filled }  (per page: jobs with each field filled, see utils/fillRates)
+ *   { type: 'checkpoint', keyword, pagesDone, jobUrls, results }  (after each page is saved)
+ *   { type: 'keyword-complete', keyword, results }  (results.incomplete: a later page failed; the keyword is left for a resume)
+ *   { type: 'keyword-error', keyword, error }
+ *
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What started the run: 'cli' (default), 'api' or 'schedule'
+ * @param {string} [options.profile] - Search profile to run (default: "default")
+ * @param {string[]} [options.keywords] - Scrape only these keywords instead of the profile's keywords
+ * @param {string} [options.scheduleName] - Schedule entry that fired this run
+ * @param {boolean} [options.resume] - Continue the profile's last run where it stopped
+ * @param {Function} [options.onProgress] - Progress listener
+ * @returns {Promise<Object>} - Totals across the keywords scraped
+ * @throws {Error} error.code === 'UNKNOWN_PROFILE' when the profile does not exist,
+ *                 'INVALID_CONFIG' when its search settings are invalid
+ */
+async function runFromConfig(options = {}) {
+    const config = resolveProfile(loadConfig(), options.profile);
+    assertSearchSettings(config);
+    let keywords = options.keywords?.length ? options.keywords : (config.keywords || []);
+    const skills = config.skills || [];
+    const experience = config.experience || null;
+    const pagesPerKeyword = config.scraping?.pagesPerKeyword || 3;
+    const delayBetweenKeywords = config.scraping?.delayBetweenKeywords || 5000;
+    const scrapeJobDetails = config.scraping?.scrapeJobDetails !== false;
+    const onProgress = options.onProgress || (() => {});
+    const totalStats = Object.fromEntries(RESULT_KEYS.map(key => [key, 0]));
+
+    let recorder = null;
+    if (options.resume) {
+        recorder = await RunRecorder.resume({ mode: 'config', profile: config.profile });
+        if (!recorder) {
+            console.log(chalk.yellow(`\n⚠️  Nothing to resume: the last "${config.profile}" run has no unfinished keywords`));
+            return totalStats;
+        }
+        keywords = recorder.pendingKeywords;
+        console.log(chalk.blue(`\n⏩ Resuming run ${recorder.id} from ${recorder.run.startedAt.toLocaleString()}`));
+    }
+
+    if (keywords.length === 0) {
+        console.log(chalk.yellow('\n⚠️  No keywords found in config.json'));
+        console.log(chalk.white('Please add keywords to config.json:'));
+        console.log(chalk.gray(`  {\n    "keywords": ["nodejs developer", "react developer"]\n  }`));
+        return totalStats;
+    }
+
+    console.log(chalk.blue(`\n📋 Found ${keywords.length} keywords in config.json`));
+    if (config.profile !== DEFAULT_PROFILE) {
+        console.log(chalk.white(`   Profile: ${config.profile}`));
+    }
+    console.log(chalk.white(`   Keywords: ${keywords.join(', ')}`));
+    console.log(chalk.white(`   Pages per keyword: ${pagesPerKeyword}`));
+
+    if (skills.length > 0) {
+        console.log(chalk.magenta(`   🔧 Skills to match: ${skills.join(', ')}`));
+    }
+    if (experience) {
+        console.log(chalk.magenta(`   📋 Experience filter: ${experience.min || 0}-${experience.max || 'any'} years`));
+    }
+    const filtersLabel = describeSearchFilters({ ...config.searchFilters, locations: config.locations });
+    if (filtersLabel) {
+        console.log(chalk.magenta(`   📍 Search filters: ${filtersLabel}`));
+    }
+    if (scrapeJobDetails) {
+        console.log(chalk.gray(`   📝 Detail scraping: enabled (${config.scraping?.detailConcurrency || 3} tab(s) at once)`));
+    }
+
+    const scraper = new NaukriScraper({ selectors: config.selectors, retry: retryPolicy(config) });
+    recorder = recorder || await RunRecorder.start({
+        trigger: options.trigger || 'cli',
+        mode: 'config',
+        keywords,
+        profile: config.profile,
+        scheduleName: options.scheduleName,
+        selectors: selectorInfo(scraper.selectors)
+    });
+    const emit = event => {
+        onProgress(event);
+        return recorder.handle(event);
+    };
+
+    try {
+        emit({ type: 'run-start', runId: recorder.id });
+
+        // Initialize browser
+        await scraper.initBrowser();
+
+        // Login with Naukri credentials
+        const email = process.env.NAUKRI_EMAIL;
+        const password = process.env.NAUKRI_PASSWORD;
+        const loggedIn = await scraper.login(email, password);
+        await emit({ type: 'login', success: loggedIn });
+
+        // Scrape each keyword
+        for (let i = 0; i < keywords.length; i++) {
+            const keyword = keywords[i];
+            console.log(chalk.cyan(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
+            console.log(chalk.cyan.bold(`📌 Keyword ${i + 1}/${keywords.length}: "${keyword}"`));
+            console.log(chalk.cyan(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
+
+            await emit({ type: 'keyword-start', keyword, index: i, total: keywords.length, maxPages: pagesPerKeyword });
+            try {
+                const results = await scrapeAndSave(scraper, keyword, pagesPerKeyword, config,
+                    event => emit({ ...event, keyword }), recorder.checkpointFor(keyword));
+                await emit({ type: 'keyword-complete', keyword, results });
+
+                for (const key of RESULT_KEYS) {
+                    totalStats[key] += results[key] || 0;
+                }
+            } catch (error) {
+                console.error(chalk.red(`\n❌ Keyword "${keyword}" failed: ${error.message}`));
+                await emit({ type: 'keyword-error', keyword, error: error.message });
+            }
+
+            // Delay between keywords
+            if (i < keywords.length - 1) {
+                console.log(chalk.gray(`\n⏳ Waiting ${delayBetweenKeywords / 1000}s before next keyword...`));
+                await delay(delayBetweenKeywords);
+            }
+        }
+
+        await linkDuplicates(recorder.run.startedAt);
+
+        // Final summary
+        console.log(chalk.green('\n\n╔════════════════════════════════════════╗'));
+        console.log(chalk.green('║        🎉 ALL SCRAPING COMPLETE!       ║'));
+        console.log(chalk.green('╚════════════════════════════════════════╝'));
+        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+        console.log(chalk.blue(`🔑 Keywords Processed: ${keywords.length}`));
+        console.log(chalk.blue(`📊 Total Jobs Found: ${totalStats.found}`));
+        console.log(chalk.green(`💾 Total New Jobs Saved: ${totalStats.saved}`));
+        console.log(chalk.yellow(`🔄 Total Already Stored: ${totalStats.duplicates} (${totalStats.updated} updated, ${totalStats.unchanged} unchanged)`));
+        if (totalStats.failed > 0) {
+            console.log(chalk.red(`❌ Total Failed to Save: ${totalStats.failed}`));
+        }
+        if (skills.length > 0) {
+            console.log(chalk.magenta(`🎯 Total Jobs Matched by Skills: ${totalStats.matched}`));
+        }
+        console.log(chalk.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+        await recorder.finish();
+        reportDrift(recorder.run.driftWarnings);
+        return totalStats;
+    } catch (error) {
+        await recorder.finish(error);
+        throw error;
+    } finally {
+        await scraper.closeBrowser();
+    }
+}
+
+module.exports = { scrapeAndSave, runSingleScrape, runFromConfig };
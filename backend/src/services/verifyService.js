@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const Job = require('../models/Job');
+const NaukriScraper = require('../scraper/naukriScraper');
+const { loadConfig } = require('../config/scraperConfig');
+
+// Outcomes of a job page check (see NaukriScraper#checkJobStatus)
+const VERIFY_RESULTS = ['active', 'expired', 'removed', 'closed', 'unknown'];
+
+/**
+ * Delay helper function
+ * @param {number} ms - Milliseconds to wait
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Lifecycle fields to store for a check result
+ * @param {Object} job - Stored job (lean)
+ * @param {string} status - One of VERIFY_RESULTS
+ * @param {Date} now
+ * @returns {Object}
+ */
+function lifecycleUpdate(job, status, now) {
+    if (status === 'active') {
+        return { lastVerifiedAt: now, lifecycleStatus: 'active', lastSeenAt: now, missedRuns: 0, expiredAt: null };
+    }
+    if (status === 'unknown') {
+        // Could not tell (timeout, captcha...): try again next time
+        return { lastVerifiedAt: now };
+    }
+    return { lastVerifiedAt: now, lifecycleStatus: status, expiredAt: job.expiredAt || now };
+}
+
+/**
+ * Revisit stored job pages and record whether each posting is still live.
+ * Jobs verified longest ago (or never) are checked first.
+ *
+ * Progress events passed to `onProgress`:
+ *   { type: 'verify-start', total }
+ *   { type: 'verify-job', jobUrl, title, status, reason, checked, total }
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum jobs to check (default: 50)
+ * @param {string[]} [options.statuses] - Lifecycle statuses to check (default: active, missing)
+ * @param {number} [options.delayBetweenJobs] - Delay (ms) between page visits (default: 2000)
+ * @param {Function} [options.onProgress] - Progress listener
+ * @returns {Promise<Object>} - { checked, active, expired, removed, closed, unknown }
+ */
+async function verifyJobs({ limit = 50, statuses = ['active', 'missing'], delayBetweenJobs = 2000, onProgress = () => {} } = {}) {
+    const jobs = await Job.find({ lifecycleStatus: { $in: statuses } })
+        .select('title company jobUrl lifecycleStatus expiredAt')
+        .sort({ lastVerifiedAt: 1, createdAt: 1 })
+        .limit(limit)
+        .lean();
+
+    const summary = { checked: 0, ...Object.fromEntries(VERIFY_RESULTS.map(result => [result, 0])) };
+    onProgress({ type: 'verify-start', total: jobs.length });
+
+    if (jobs.length === 0) {
+        console.log(chalk.yellow('\n⚠️  No jobs to verify.'));
+        return summary;
+    }
+
+    console.log(chalk.blue(`\n🔎 Verifying ${jobs.length} job postings...`));
+
+    const { selectors, scraping } = loadConfig();
+    const scraper = new NaukriScraper({
+        selectors,
+        retry: { retries: scraping?.retries, baseDelay: scraping?.retryBaseDelay }
+    });
+    try {
+        await scraper.initBrowser();
+
+        for (let i = 0; i < jobs.length; i++) {
+            const job = jobs[i];
+            const { status, reason } = await scraper.checkJobStatus(job.jobUrl);
+
+            await Job.updateOne({ _id: job._id }, { $set: lifecycleUpdate(job, status, new Date()) });
+
+            summary.checked++;
+            summary[status]++;
+
+            const color = status === 'active' ? chalk.green : status === 'unknown' ? chalk.gray : chalk.red;
+            console.log(color(`   [${i + 1}/${jobs.length}] ${status.padEnd(7)} ${job.title} @ ${job.company} (${reason})`));
+            onProgress({ type: 'verify-job', jobUrl: job.jobUrl, title: job.title, status, reason, checked: summary.checked, total: jobs.length });
+
+            if (i < jobs.length - 1) {
+                await delay(delayBetweenJobs);
+            }
+        }
+    } finally {
+        await scraper.closeBrowser();
+    }
+
+    return summary;
+}
+
+module.exports = { VERIFY_RESULTS, verifyJobs };
@@ -0,0 +1,63 @@
+const FRESHER_PATTERN = /fresher|no experience|entry level/i;
+const MONTHS_PATTERN = /^(months?|mos?)$/i;
+const UNIT_PATTERN = /\b(months?|mos?|years?|yrs?)\b/i;
+const UP_TO_PATTERN = /\b(up\s?to|upto|max(imum)?|below|under|less than)\b/i;
+const FROM_PATTERN = /\+|\b(above|min(imum)?|at ?least|more than|over)\b/i;
+
+/**
+ * Parse free-text experience into a numeric range in years.
+ *
+ * Handles ranges ("3-6 years", "3-6 Yrs", "2 to 5 yrs"), single values
+ * ("10 Yrs"), open ranges ("5+ years", "Up to 2 years"), months
+ * ("6 months", "6 months - 2 years") and freshers ("Fresher" → 0-0).
+ *
+ * @param {string} text - Experience text from the job card
+ * @returns {{ experienceMin: number|null, experienceMax: number|null }}
+ */
+function parseExperience(text) {
+    const unknown = { experienceMin: null, experienceMax: null };
+
+    if (!text || typeof text !== 'string') {
+        return unknown;
+    }
+
+    // Each number is in the first unit after it: "6-12 months" is all months, "6 months - 2 years" is mixed
+    const values = [...text.matchAll(/\d+(?:\.\d+)?/g)]
+        .slice(0, 2)
+        .map(match => {
+            const number = parseFloat(match[0]);
+            const unit = text.slice(match.index + match[0].length).match(UNIT_PATTERN)?.[1] || '';
+            return MONTHS_PATTERN.test(unit) ? Math.round((number / 12) * 10) / 10 : number;
+        });
+
+    if (values.length === 0) {
+        return FRESHER_PATTERN.test(text) ? { experienceMin: 0, experienceMax: 0 } : unknown;
+    }
+
+    if (values.length === 1) {
+        const [years] = values;
+        if (UP_TO_PATTERN.test(text)) {
+            return { experienceMin: 0, experienceMax: years };
+        }
+        if (FROM_PATTERN.test(text)) {
+            return { experienceMin: years, experienceMax: null };
+        }
+        return { experienceMin: years, experienceMax: years };
+    }
+
+    return {
+        experienceMin: Math.min(...values),
+        experienceMax: Math.max(...values)
+    };
+}
+
+/**
+ * Parse the experience text of a job
+ * @param {Object} job - Job data with experience
+ * @returns {{ experienceMin: number|null, experienceMax: number|null }}
+ */
+function parseJobExperience(job) {
+    return parseExperience(job.experience);
+}
+
+module.exports = { parseExperience, parseJobExperience };
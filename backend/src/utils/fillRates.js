@@ -0,0 +1,113 @@
+// Listing fields read from search results, counted over every scraped job
+const LISTING_FIELDS = ['company', 'location', 'experience', 'salary', 'skills', 'description', 'postedDate'];
+
+// Fields read from job pages, counted over jobs whose details were scraped
+const DETAIL_FIELDS = ['fullDescription', 'keySkills', 'industryTypes', 'jobPostedAt', 'salaryOffered', 'totalVacancy'];
+
+// Placeholders the scraper falls back to when a selector found nothing
+const EMPTY_VALUES = ['', 'Not specified', 'Not disclosed'];
+
+// A field is drifting when its fill rate falls below this share of its usual rate
+const DRIFT_RATIO = 0.5;
+
+// Fields usually filled less often than this are too sparse to judge
+const MIN_BASELINE_RATE = 0.3;
+
+// Runs with fewer jobs than this are too small to judge, or to use as a baseline
+const MIN_JOBS = 10;
+
+/**
+ * Whether a scraped value holds data
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFilled(value) {
+    if (value === null || value === undefined) return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return !(typeof value === 'string' && EMPTY_VALUES.includes(value.trim()));
+}
+
+/**
+ * Count how many scraped jobs have each field filled
+ * @param {Object[]} jobs - Jobs from NaukriScraper#scrapeJobs
+ * @returns {{ jobs: number, detailJobs: number, filled: Object<string, number> }}
+ */
+function countFilledFields(jobs) {
+    const counts = { jobs: jobs.length, detailJobs: 0, filled: {} };
+    for (const field of [...LISTING_FIELDS, ...DETAIL_FIELDS]) {
+        counts.filled[field] = 0;
+    }
+
+    for (const job of jobs) {
+        const hasDetails = Boolean(job.extraction?.details);
+        if (hasDetails) counts.detailJobs += 1;
+
+        for (const field of LISTING_FIELDS) {
+            if (isFilled(job[field])) counts.filled[field] += 1;
+        }
+        if (hasDetails) {
+            for (const field of DETAIL_FIELDS) {
+                if (isFilled(job[field])) counts.filled[field] += 1;
+            }
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Share (0-1) of jobs with each field filled. Detail fields are left out
+ * when no job pages were scraped.
+ * @param {Object} [stats] - Counts from countFilledFields (or summed across keywords)
+ * @returns {Object<string, number>}
+ */
+function computeFillRates(stats) {
+    const rates = {};
+    if (!stats) return rates;
+
+    for (const [fields, total] of [[LISTING_FIELDS, stats.jobs], [DETAIL_FIELDS, stats.detailJobs]]) {
+        if (!total) continue;
+        for (const field of fields) {
+            rates[field] = Math.round(((stats.filled?.[field] || 0) / total) * 1000) / 1000;
+        }
+    }
+    return rates;
+}
+
+/**
+ * Fields whose fill rate dropped sharply compared to earlier runs, which
+ * usually means Naukri changed its markup and a selector stopped matching
+ * @param {Object} current - Field stats of the run (see countFilledFields)
+ * @param {Object[]} previous - Field stats of earlier runs, newest first
+ * @returns {Array<{ field: string, rate: number, baseline: number }>}
+ */
+function detectDrift(current, previous) {
+    if (!current || current.jobs < MIN_JOBS) {
+        return [];
+    }
+
+    const rates = computeFillRates(current);
+    const baselines = previous.filter(stats => stats && stats.jobs >= MIN_JOBS).map(computeFillRates);
+    const drift = [];
+
+    for (const [field, rate] of Object.entries(rates)) {
+        const history = baselines.map(run => run[field]).filter(value => value !== undefined);
+        if (history.length === 0) continue;
+
+        const baseline = Math.round((history.reduce((sum, value) => sum + value, 0) / history.length) * 1000) / 1000;
+        if (baseline >= MIN_BASELINE_RATE && rate < baseline * DRIFT_RATIO) {
+            drift.push({ field, rate, baseline });
+        }
+    }
+
+    return drift;
+}
+
+module.exports = {
+    LISTING_FIELDS,
+    DETAIL_FIELDS,
+    isFilled,
+    countFilledFields,
+    computeFillRates,
+    detectDrift
+};
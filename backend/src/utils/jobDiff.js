@@ -0,0 +1,99 @@
+// Scraped fields whose changes are recorded as JobChange history
+const TRACKED_FIELDS = [
+    'title',
+    'company',
+    'location',
+    'experience',
+    'salary',
+    'salaryOffered',
+    'salaryMin',
+    'salaryMax',
+    'skills',
+    'keySkills',
+    'description',
+    'fullDescription',
+    'industryTypes',
+    'totalVacancy'
+];
+
+// Fields owned by the user; a re-scrape never writes them
+const USER_FIELDS = ['application'];
+
+// Fields computed from the config rather than scraped; always written, even when empty
+const DERIVED_FIELDS = ['matchedSkills', 'matchScore', 'matchBreakdown'];
+
+// Values parsed from scraped text, by the text fields they are parsed from. They are
+// written exactly when their text is, even when null: "15+ Lacs PA" has no salaryMax
+const PARSED_GROUPS = [
+    { sources: ['salary', 'salaryOffered'], fields: ['salaryMin', 'salaryMax', 'salaryDisclosed'] },
+    { sources: ['experience'], fields: ['experienceMin', 'experienceMax'] }
+];
+
+// Placeholders the scraper uses when a value was not collected (e.g. details skipped)
+const EMPTY_VALUES = ['', 'Not specified'];
+
+/**
+ * Whether a scraped value carries no information
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return typeof value === 'string' && EMPTY_VALUES.includes(value.trim());
+}
+
+/**
+ * Compare two field values (dates, arrays and primitives)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSame(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Work out what a re-scrape should write to an existing job.
+ *
+ * - User-owned fields are dropped.
+ * - Derived fields (skill matches, match score) are always written.
+ * - Empty scraped values ("", [], "Not specified") never replace a stored
+ *   value, so a listing-only scrape keeps the description and key skills
+ *   collected by an earlier detail scrape.
+ * - Parsed salary and experience bounds are written exactly when their
+ *   source text is, so an open-ended or undisclosed value clears the old
+ *   bounds, and text that was not collected keeps them.
+ * - Differences in TRACKED_FIELDS are returned as changes.
+ *
+ * @param {Object|null} existing - Stored job (lean), or null for a new job
+ * @param {Object} scraped - Job data from the scraper
+ * @returns {{ update: Object, changes: Array<{ field: string, from: *, to: * }> }}
+ */
+function mergeScraped(existing, scraped) {
+    const update = {};
+    const changes = [];
+    const alwaysWritten = new Set(DERIVED_FIELDS);
+    const kept = new Set();
+    for (const { sources, fields } of PARSED_GROUPS) {
+        const target = sources.some(source => !isEmpty(scraped[source])) ? alwaysWritten : kept;
+        fields.forEach(field => target.add(field));
+    }
+
+    for (const [field, value] of Object.entries(scraped)) {
+        if (USER_FIELDS.includes(field)) continue;
+
+        if (existing && kept.has(field) && !isEmpty(existing[field])) continue;
+        if (existing && !alwaysWritten.has(field) && isEmpty(value) && !isEmpty(existing[field])) continue;
+
+        update[field] = value;
+
+        if (existing && TRACKED_FIELDS.includes(field) && !isSame(existing[field], value)) {
+            changes.push({ field, from: existing[field] ?? null, to: value });
+        }
+    }
+
+    return { update, changes };
+}
+
+module.exports = { TRACKED_FIELDS, USER_FIELDS, DERIVED_FIELDS, mergeScraped };
@@ -0,0 +1,242 @@
+const { buildRangeConditions } = require('./rangeFilter');
+const { MATCH_MODES, invalidQuery, buildMatcher } = require('./regex');
+const { getTaxonomy } = require('./skillTaxonomy');
+const { DEFAULT_PROFILE, PROFILE_NAME_PATTERN, loadConfig } = require('../config/scraperConfig');
+const { APPLICATION_STATUSES, HIDDEN_DUPLICATE_STATUSES, ENDED_STATUSES } = require('../models/Job');
+
+// Sort orders by name; `direction` is 1 (asc) or -1 (desc), `matchPrefix` is where the profile's match fields live
+const SORTS = {
+    createdAt: direction => ({ createdAt: direction }),
+    scrapedAt: direction => ({ scrapedAt: direction }),
+    // Undisclosed salaries always sort after disclosed ones
+    salary: direction => ({ salaryDisclosed: -1, salaryMin: direction, salaryMax: direction, createdAt: -1 }),
+    postedAt: direction => ({ postedAt: direction, createdAt: -1 }),
+    matchScore: (direction, matchPrefix) => ({ [`${matchPrefix}matchScore`]: direction, createdAt: -1 }),
+    // Only meaningful together with full-text search (`q`)
+    relevance: () => ({ score: { $meta: 'textScore' }, createdAt: -1 })
+};
+
+/**
+ * Normalise a list parameter given as an array or comma-separated string
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * A single-valued text parameter, trimmed. Express parses repeated or
+ * bracketed keys (`?company=a&company=b`, `?q[x]=1`) into arrays and
+ * objects, which are rejected.
+ * @param {Object} params
+ * @param {string} name
+ * @returns {string} - "" when the parameter is missing
+ * @throws {Error} error.code === 'INVALID_QUERY' when the value is not a string
+ */
+function stringParam(params, name) {
+    const value = params[name];
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value !== 'string') {
+        throw invalidQuery(`Invalid ${name}: expected a single text value`);
+    }
+    return value.trim();
+}
+
+/**
+ * Path prefix of a profile's match fields ("" for the default profile)
+ * @param {string} [profile]
+ * @returns {string}
+ */
+function matchPrefix(profile) {
+    return profile && profile !== DEFAULT_PROFILE ? `profileMatches.${profile}.` : '';
+}
+
+/**
+ * Show a job's match results for a profile in the top-level match fields
+ * (matchedSkills, matchScore, matchBreakdown). Jobs the profile has not
+ * matched yet get empty results.
+ * @param {Object} job - Lean job
+ * @param {string} [profile] - Search profile (default profile: job returned as is)
+ * @returns {Object}
+ */
+function applyProfileMatches(job, profile) {
+    if (!matchPrefix(profile)) {
+        return job;
+    }
+    const matches = job.profileMatches?.[profile] || {};
+    return {
+        ...job,
+        matchedSkills: matches.matchedSkills || [],
+        matchScore: matches.matchScore ?? null,
+        matchBreakdown: matches.matchBreakdown || null
+    };
+}
+
+/**
+ * Build the MongoDB filter, sort and projection for a job search.
+ * Shared by GET /api/jobs and `naukri-scraper list`, so both accept the
+ * same parameters. Values may be raw query-string strings.
+ *
+ * Text filters (keyword, search, company, location, industry, skills) are
+ * matched according to `match`: as escaped plain text by default, so input
+ * like "c++" or "(" is safe.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.profile] - Only jobs found by this search profile; matchedOnly, minScore and
+ *                                   the matchScore sort then use the profile's match results
+ * @param {string} [params.q] - Full-text search over title, description and skills (ranked by relevance)
+ * @param {string} [params.match] - "literal" (default), "prefix" or "regex"; see buildMatcher
+ * @param {string} [params.keyword] - Any of searchKeywords (whole value, case-insensitive)
+ * @param {string} [params.search] - Substring of the title
+ * @param {string} [params.company] - Substring of the company name
+ * @param {string} [params.location] - Substring of the location
+ * @param {string} [params.industry] - Substring of any industry type
+ * @param {string|string[]} [params.skills] - Skills (array or comma-separated) matched against skills/keySkills,
+ *                                            by canonical name too in literal mode
+ * @param {string} [params.skillsMode] - "any" (default) or "all"
+ * @param {boolean|string} [params.matchedOnly] - Only jobs that matched at least one config skill
+ * @param {number|string} [params.minScore] - Only jobs with at least this matchScore (0-100)
+ * @param {string|string[]} [params.status] - Application statuses (array or comma-separated)
+ * @param {number|string} [params.minSalary] - LPA
+ * @param {number|string} [params.maxSalary] - LPA
+ * @param {number|string} [params.minExp] - Years
+ * @param {number|string} [params.maxExp] - Years
+ * @param {string|Date} [params.postedSince] - Only jobs posted on or after this date
+ * @param {boolean|string} [params.includeHidden] - Include duplicates that were merged or hidden
+ * @param {boolean|string} [params.includeExpired] - Include postings that expired, were removed or closed
+ * @param {string} [params.sortBy] - createdAt | scrapedAt | salary | postedAt | matchScore | relevance
+ *                                   (default: relevance with `q`, otherwise createdAt)
+ * @param {string} [params.order] - "desc" (default) or "asc"
+ * @returns {{ filter: Object, sort: Object, projection: Object }}
+ * @throws {Error} error.code === 'INVALID_QUERY' for invalid parameter values or patterns
+ */
+function buildJobQuery(params = {}) {
+    const conditions = [];
+    const mode = stringParam(params, 'match') || 'literal';
+    const matcher = (field, value, whole = false) => buildMatcher(value, mode, { field, whole });
+    const q = stringParam(params, 'q');
+    const keyword = stringParam(params, 'keyword');
+    const search = stringParam(params, 'search');
+    const skills = toList(params.skills);
+    const skillsMode = stringParam(params, 'skillsMode');
+    const profile = stringParam(params, 'profile');
+    const sortParam = stringParam(params, 'sortBy');
+
+    if (profile) {
+        if (!PROFILE_NAME_PATTERN.test(profile)) {
+            throw invalidQuery(`Invalid profile "${profile}"`);
+        }
+        // Jobs stored before profiles existed belong to the default profile
+        conditions.push({ profiles: profile === DEFAULT_PROFILE ? { $in: [DEFAULT_PROFILE, [], null] } : profile });
+    }
+    const prefix = matchPrefix(profile);
+
+    if (q) {
+        conditions.push({ $text: { $search: q } });
+    }
+
+    if (keyword) {
+        conditions.push({ searchKeywords: matcher('keyword', keyword, true) });
+    }
+
+    if (search) {
+        conditions.push({ title: matcher('search', search) });
+    }
+
+    for (const field of ['company', 'location']) {
+        const value = stringParam(params, field);
+        if (value) {
+            conditions.push({ [field]: matcher(field, value) });
+        }
+    }
+
+    const industry = stringParam(params, 'industry');
+    if (industry) {
+        conditions.push({ industryTypes: matcher('industry', industry) });
+    }
+
+    if (skills.length > 0) {
+        if (skillsMode && !['any', 'all'].includes(skillsMode)) {
+            throw invalidQuery(`Invalid skillsMode "${skillsMode}" (expected "any" or "all")`);
+        }
+        // Literal skills also match their canonical name ("nodejs" finds "Node.js")
+        const taxonomy = mode === 'literal' ? getTaxonomy(loadConfig().skillTaxonomy) : null;
+        const skillConditions = skills.map(skill => {
+            const names = taxonomy ? [...new Set([skill, taxonomy.canonical(skill)])] : [skill];
+            const patterns = names.map(name => matcher('skills', name, true));
+            return { $or: [{ skills: { $in: patterns } }, { keySkills: { $in: patterns } }] };
+        });
+        conditions.push(skillsMode === 'all' ? { $and: skillConditions } : { $or: skillConditions });
+    }
+
+    if (params.matchedOnly === true || params.matchedOnly === 'true') {
+        conditions.push({ [`${prefix}matchedSkills.0`]: { $exists: true } });
+    }
+
+    if (params.minScore !== undefined && params.minScore !== '') {
+        const minScore = Number(params.minScore);
+        if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+            throw invalidQuery(`Invalid minScore "${params.minScore}" (expected a number from 0 to 100)`);
+        }
+        conditions.push({ [`${prefix}matchScore`]: { $gte: minScore } });
+    }
+
+    const statuses = toList(params.status);
+    if (statuses.length > 0) {
+        const unknown = statuses.find(status => !APPLICATION_STATUSES.includes(status));
+        if (unknown) {
+            throw invalidQuery(`Invalid status "${unknown}" (expected one of: ${APPLICATION_STATUSES.join(', ')})`);
+        }
+        // Jobs stored before application tracking have no status and count as "new"
+        conditions.push({ 'application.status': { $in: statuses.includes('new') ? [...statuses, null] : statuses } });
+    }
+
+    conditions.push(
+        ...buildRangeConditions('salaryMin', 'salaryMax', parseFloat(params.minSalary), parseFloat(params.maxSalary)),
+        ...buildRangeConditions('experienceMin', 'experienceMax', parseFloat(params.minExp), parseFloat(params.maxExp))
+    );
+
+    if (params.postedSince) {
+        const postedSince = new Date(params.postedSince);
+        if (Number.isNaN(postedSince.getTime())) {
+            throw invalidQuery(`Invalid postedSince date "${params.postedSince}"`);
+        }
+        conditions.push({ postedAt: { $gte: postedSince } });
+    }
+
+    if (params.includeHidden !== true && params.includeHidden !== 'true') {
+        conditions.push({ duplicateStatus: { $nin: HIDDEN_DUPLICATE_STATUSES } });
+    }
+
+    if (params.includeExpired !== true && params.includeExpired !== 'true') {
+        conditions.push({ lifecycleStatus: { $nin: ENDED_STATUSES } });
+    }
+
+    // Own keys only: "__proto__" or "constructor" must not reach the prototype
+    if (sortParam && !Object.hasOwn(SORTS, sortParam)) {
+        throw invalidQuery(`Invalid sortBy "${sortParam}" (expected one of: ${Object.keys(SORTS).join(', ')})`);
+    }
+
+    let sortBy = sortParam || (q ? 'relevance' : 'createdAt');
+    if (sortBy === 'relevance' && !q) {
+        sortBy = 'createdAt';
+    }
+    const direction = stringParam(params, 'order') === 'asc' ? 1 : -1;
+
+    let filter = {};
+    if (conditions.length > 0) {
+        filter = conditions.length === 1 ? conditions[0] : { $and: conditions };
+    }
+
+    return {
+        filter,
+        sort: SORTS[sortBy](direction, prefix),
+        projection: q ? { score: { $meta: 'textScore' } } : {}
+    };
+}
+
+module.exports = { SORT_FIELDS: Object.keys(SORTS), MATCH_MODES, buildJobQuery, applyProfileMatches };
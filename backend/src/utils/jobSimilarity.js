@@ -0,0 +1,113 @@
+// Legal-form suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = new Set(['pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'corp', 'corporation', 'co']);
+
+// Weight of each component in the overall score; missing components are left out
+const WEIGHTS = { title: 0.5, location: 0.2, description: 0.3 };
+
+// Jobs at the same company scoring at least this are linked as probable duplicates
+const DUPLICATE_THRESHOLD = 0.8;
+
+// Placeholders the scraper stores when a value was not collected
+const EMPTY_VALUES = ['', 'not specified'];
+
+/**
+ * Lowercase words of a text ("Node.js / React" → ["nodejs", "react"])
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/([a-z0-9])\.(?=[a-z0-9])/g, '$1')
+        .split(/[^a-z0-9+#]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Company name used to group jobs ("Acme Technologies Pvt. Ltd." → "acme technologies")
+ * @param {string} company
+ * @returns {string}
+ */
+function normalizeCompany(company) {
+    return words(company).filter(word => !COMPANY_SUFFIXES.has(word)).join(' ');
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number|null} - 0..1, or null when either set is empty
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return null;
+    let shared = 0;
+    for (const item of a) {
+        if (b.has(item)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Word n-grams of a text, so reordered boilerplate does not look identical
+ * @param {string} text
+ * @param {number} [size] - Words per shingle (default: 3)
+ * @returns {Set<string>}
+ */
+function shingles(text, size = 3) {
+    const list = words(text);
+    if (list.length < size) return new Set(list);
+
+    const result = new Set();
+    for (let i = 0; i <= list.length - size; i++) {
+        result.add(list.slice(i, i + size).join(' '));
+    }
+    return result;
+}
+
+/**
+ * Cities of a location string ("Pune, Bengaluru / Hybrid" → {"pune", "bengaluru", "hybrid"})
+ * @param {string} location
+ * @returns {Set<string>}
+ */
+function locationSet(location) {
+    if (EMPTY_VALUES.includes(String(location || '').trim().toLowerCase())) return new Set();
+    return new Set(String(location).split(/[,/|()]+/).map(part => words(part).join(' ')).filter(Boolean));
+}
+
+/**
+ * How likely two jobs are the same posting.
+ *
+ * Jobs at different companies (after normalizeCompany) never match. For the
+ * same company the score is a weighted mix of title, location and description
+ * similarity; components missing on either job (e.g. no description because
+ * details were not scraped) are left out and the weights rescaled.
+ *
+ * @param {Object} a - Job with title, company, location, description/fullDescription
+ * @param {Object} b - Job to compare against
+ * @returns {{ score: number, title: number|null, location: number|null, description: number|null }}
+ */
+function compareJobs(a, b) {
+    if (!normalizeCompany(a.company) || normalizeCompany(a.company) !== normalizeCompany(b.company)) {
+        return { score: 0, title: null, location: null, description: null };
+    }
+
+    const parts = {
+        title: jaccard(new Set(words(a.title)), new Set(words(b.title))),
+        location: jaccard(locationSet(a.location), locationSet(b.location)),
+        description: jaccard(shingles(a.fullDescription || a.description), shingles(b.fullDescription || b.description))
+    };
+
+    let total = 0;
+    let weight = 0;
+    for (const [part, value] of Object.entries(parts)) {
+        if (value === null) continue;
+        total += value * WEIGHTS[part];
+        weight += WEIGHTS[part];
+    }
+
+    // Without a comparable title there is too little to go on
+    const score = parts.title === null ? 0 : total / weight;
+    return { score: Math.round(score * 100) / 100, ...parts };
+}
+
+module.exports = { DUPLICATE_THRESHOLD, normalizeCompany, compareJobs };
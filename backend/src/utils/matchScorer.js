@@ -0,0 +1,212 @@
+const { compactSkill, getTaxonomy } = require('./skillTaxonomy');
+
+// Default weight of each score component (they need not add up to 100)
+const DEFAULT_WEIGHTS = {
+    skills: 40,
+    experience: 20,
+    salary: 15,
+    location: 15,
+    title: 10
+};
+
+// Maximum score for a job missing any must-have skill
+const MISSING_MUST_HAVE_CAP = 50;
+
+// Fit given to a component when the job does not state the value (e.g. undisclosed salary)
+const UNKNOWN_FIT = 0.5;
+
+// Nice-to-have skills a job needs to match for full marks
+const NICE_TO_HAVE_TARGET = 3;
+
+/**
+ * Reduce a skill to the key used for matching, so "Node.js", "NodeJS",
+ * "node js" and "node" are the same skill but "java" and "javascript" are not
+ * @param {string} skill
+ * @param {Object} [taxonomy] - See utils/skillTaxonomy (default: built-in skills)
+ * @returns {string}
+ */
+function skillKey(skill, taxonomy = getTaxonomy()) {
+    return compactSkill(taxonomy.canonical(skill));
+}
+
+/**
+ * Match job skills against config skills (case-insensitive, aliases allowed).
+ * Whole skills are compared, so "java" does not match "javascript".
+ * @param {string[]} jobSkills - Skills extracted from a job listing
+ * @param {string[]} configSkills - Skills from config.json
+ * @param {Object} [taxonomy] - See utils/skillTaxonomy (default: built-in skills)
+ * @returns {string[]} - Job skills that matched, one per distinct skill
+ */
+function matchSkills(jobSkills, configSkills, taxonomy = getTaxonomy()) {
+    if (!configSkills || configSkills.length === 0 || !jobSkills || jobSkills.length === 0) {
+        return [];
+    }
+
+    const wanted = new Set(configSkills.map(skill => skillKey(skill, taxonomy)));
+    const seen = new Set();
+
+    return jobSkills.filter(skill => {
+        const key = skillKey(skill, taxonomy);
+        if (!wanted.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Skill fit: must-have coverage (70%) and nice-to-have coverage (30%)
+ * @param {Set<string>} jobKeys - Skill keys of the job
+ * @param {string[]} mustHave - Must-have skills
+ * @param {string[]} niceToHave - Other wanted skills
+ * @param {Object} taxonomy - See utils/skillTaxonomy
+ * @returns {Object|null} - { fit, matched, missing }, or null without skills configured
+ */
+function skillFit(jobKeys, mustHave, niceToHave, taxonomy) {
+    if (mustHave.length === 0 && niceToHave.length === 0) return null;
+
+    const found = skill => jobKeys.has(skillKey(skill, taxonomy));
+    const missing = mustHave.filter(skill => !found(skill));
+    const matched = [...mustHave, ...niceToHave].filter(found);
+
+    const mustFit = mustHave.length > 0 ? (mustHave.length - missing.length) / mustHave.length : null;
+    const niceMatched = niceToHave.filter(found).length;
+    const niceFit = niceToHave.length > 0
+        ? Math.min(1, niceMatched / Math.min(niceToHave.length, NICE_TO_HAVE_TARGET))
+        : null;
+
+    let fit = mustFit ?? niceFit;
+    if (mustFit !== null && niceFit !== null) {
+        fit = 0.7 * mustFit + 0.3 * niceFit;
+    }
+
+    return { fit, matched, missing };
+}
+
+/**
+ * Experience fit: 1 when the ranges overlap, minus a quarter per year of gap
+ * @param {Object} job - experienceMin / experienceMax in years
+ * @param {Object|null} experience - Config { min, max }
+ * @returns {Object|null}
+ */
+function experienceFit(job, experience) {
+    if (!experience) return null;
+    if (job.experienceMin == null && job.experienceMax == null) return { fit: UNKNOWN_FIT };
+
+    const jobMin = job.experienceMin ?? 0;
+    const jobMax = job.experienceMax ?? Infinity;
+    const min = experience.min ?? 0;
+    const max = experience.max ?? Infinity;
+
+    let gap = 0;
+    if (jobMin > max) gap = jobMin - max;
+    else if (jobMax < min) gap = min - jobMax;
+
+    return { fit: Math.max(0, 1 - gap / 4) };
+}
+
+/**
+ * Salary fit: share of the wanted minimum the job's top salary reaches
+ * @param {Object} job - salaryMin / salaryMax in LPA
+ * @param {number|null} minSalary - Wanted salary in LPA
+ * @returns {Object|null}
+ */
+function salaryFit(job, minSalary) {
+    if (!minSalary) return null;
+
+    const top = job.salaryMax ?? job.salaryMin;
+    if (top == null) return { fit: UNKNOWN_FIT };
+
+    return { fit: Math.min(1, top / minSalary) };
+}
+
+/**
+ * Location fit: 1 when the job is in any preferred location
+ * ("remote" also matches "work from home")
+ * @param {Object} job
+ * @param {string[]} locations - Preferred locations
+ * @returns {Object|null}
+ */
+function locationFit(job, locations) {
+    if (locations.length === 0) return null;
+
+    const location = (job.location || '').toLowerCase();
+    if (!location || location === 'not specified') return { fit: UNKNOWN_FIT };
+
+    const matched = locations.filter(preferred => {
+        const wanted = preferred.toLowerCase();
+        return location.includes(wanted) || (wanted === 'remote' && /work from home|wfh/.test(location));
+    });
+
+    return { fit: matched.length > 0 ? 1 : 0, matched };
+}
+
+/**
+ * Title fit: 1 when the title contains any of the keywords
+ * @param {Object} job
+ * @param {string[]} titleKeywords
+ * @returns {Object|null}
+ */
+function titleFit(job, titleKeywords) {
+    if (titleKeywords.length === 0) return null;
+
+    const title = (job.title || '').toLowerCase();
+    const matched = titleKeywords.filter(keyword => title.includes(keyword.toLowerCase()));
+
+    return { fit: matched.length > 0 ? 1 : 0, matched };
+}
+
+/**
+ * Score how well a job fits the configured preferences.
+ *
+ * Each component with a preference configured gets a fit between 0 and 1;
+ * the score is their weighted average on a 0-100 scale. Jobs missing a
+ * must-have skill are capped at MISSING_MUST_HAVE_CAP.
+ *
+ * @param {Object} job - Scraped or stored job (parsed salary/experience fields)
+ * @param {Object} config - Configuration with skills, experience, matching and skillTaxonomy
+ * @returns {{ matchedSkills: string[], matchScore: number|null, matchBreakdown: Object|null }}
+ */
+function scoreJob(job, config = {}) {
+    const matching = config.matching || {};
+    const taxonomy = getTaxonomy(config.skillTaxonomy);
+    const key = skill => skillKey(skill, taxonomy);
+    const jobSkills = [...new Set([...(job.skills || []), ...(job.keySkills || [])])];
+    const mustHave = matching.mustHaveSkills || [];
+    const mustHaveKeys = new Set(mustHave.map(key));
+    const niceToHave = (config.skills || []).filter(skill => !mustHaveKeys.has(key(skill)));
+    const weights = { ...DEFAULT_WEIGHTS, ...matching.weights };
+
+    const components = {
+        skills: skillFit(new Set(jobSkills.map(key)), mustHave, niceToHave, taxonomy),
+        experience: experienceFit(job, config.experience),
+        salary: salaryFit(job, matching.minSalary),
+        location: locationFit(job, matching.locations || []),
+        title: titleFit(job, matching.titleKeywords || [])
+    };
+
+    const matchedSkills = matchSkills(jobSkills, [...mustHave, ...niceToHave], taxonomy);
+    const breakdown = {};
+    let total = 0;
+    let totalWeight = 0;
+
+    for (const [name, component] of Object.entries(components)) {
+        if (!component || !weights[name]) continue;
+        const { fit, ...details } = component;
+        breakdown[name] = { score: Math.round(fit * 100), weight: weights[name], ...details };
+        total += fit * weights[name];
+        totalWeight += weights[name];
+    }
+
+    if (totalWeight === 0) {
+        return { matchedSkills, matchScore: null, matchBreakdown: null };
+    }
+
+    let matchScore = Math.round((total / totalWeight) * 100);
+    if (components.skills?.missing.length > 0) {
+        matchScore = Math.min(matchScore, MISSING_MUST_HAVE_CAP);
+    }
+
+    return { matchedSkills, matchScore, matchBreakdown: breakdown };
+}
+
+module.exports = { DEFAULT_WEIGHTS, skillKey, matchSkills, scoreJob };
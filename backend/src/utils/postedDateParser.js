@@ -0,0 +1,92 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Length of each relative unit and how precisely it pins down the posting date
+const UNITS = [
+    { pattern: /^(min(ute)?s?|mins?)$/, ms: MINUTE_MS, accuracy: 'exact' },
+    { pattern: /^(h(ou)?rs?|hours?)$/, ms: HOUR_MS, accuracy: 'exact' },
+    { pattern: /^days?$/, ms: DAY_MS, accuracy: 'day' },
+    { pattern: /^(weeks?|wks?)$/, ms: 7 * DAY_MS, accuracy: 'approximate' },
+    { pattern: /^months?$/, ms: 30 * DAY_MS, accuracy: 'approximate' }
+];
+
+/**
+ * Convert relative posting text into an absolute date.
+ *
+ * `postedAtAccuracy` tells how far the date can be trusted:
+ *   exact       - "Just now", "5 hours ago"
+ *   day         - "Today", "Yesterday", "3 days ago"
+ *   approximate - "2 weeks ago", "1 month ago"
+ *   atLeast     - "30+ days ago": the job was posted on or before `postedAt`
+ *   unknown     - unparseable text (`postedAt` is null)
+ *
+ * @param {string} text - Posting text from the card or detail page
+ * @param {Date|string} [reference] - When the text was scraped (default: now)
+ * @returns {{ postedAt: Date|null, postedAtAccuracy: string }}
+ */
+function parsePostedDate(text, reference = new Date()) {
+    const unknown = { postedAt: null, postedAtAccuracy: 'unknown' };
+    const base = new Date(reference);
+
+    if (!text || typeof text !== 'string' || Number.isNaN(base.getTime())) {
+        return unknown;
+    }
+
+    const value = text.toLowerCase().replace(/^posted\s*(on|:)?\s*/, '').trim();
+    const before = ms => new Date(base.getTime() - ms);
+
+    if (/just now|few (minutes|seconds)|moments? ago/.test(value)) {
+        return { postedAt: base, postedAtAccuracy: 'exact' };
+    }
+    if (/few hours/.test(value)) {
+        return { postedAt: before(3 * HOUR_MS), postedAtAccuracy: 'exact' };
+    }
+    if (/\btoday\b/.test(value)) {
+        return { postedAt: base, postedAtAccuracy: 'day' };
+    }
+    if (/\byesterday\b/.test(value)) {
+        return { postedAt: before(DAY_MS), postedAtAccuracy: 'day' };
+    }
+
+    const match = value.match(/(\d+)\s*(\+)?\s*([a-z]+)\s*(\+)?\s*ago/);
+    if (match) {
+        const [, amount, plusBefore, unitText, plusAfter] = match;
+        const unit = UNITS.find(u => u.pattern.test(unitText));
+        if (unit) {
+            return {
+                postedAt: before(parseInt(amount, 10) * unit.ms),
+                postedAtAccuracy: plusBefore || plusAfter ? 'atLeast' : unit.accuracy
+            };
+        }
+    }
+
+    // Absolute dates ("15 Mar 2025", "2025-03-15")
+    if (/\d{4}/.test(value)) {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+            return { postedAt: date, postedAtAccuracy: 'day' };
+        }
+    }
+
+    return unknown;
+}
+
+/**
+ * Posting date of a job: an exact postedAt read from Naukri's data is kept,
+ * otherwise the best available posting text (detail page first, then card)
+ * is parsed relative to when it was scraped
+ * @param {Object} job - Job data with jobPostedAt and/or postedDate, scrapedAt,
+ *                       and postedAt/postedAtAccuracy when already known
+ * @returns {{ postedAt: Date|null, postedAtAccuracy: string }}
+ */
+function parseJobPostedDate(job) {
+    if (job.postedAt && job.postedAtAccuracy === 'exact') {
+        return { postedAt: new Date(job.postedAt), postedAtAccuracy: 'exact' };
+    }
+    const reference = job.scrapedAt || new Date();
+    const detailed = parsePostedDate(job.jobPostedAt, reference);
+    return detailed.postedAt ? detailed : parsePostedDate(job.postedDate, reference);
+}
+
+module.exports = { parsePostedDate, parseJobPostedDate };
@@ -0,0 +1,39 @@
+/**
+ * Build MongoDB conditions that keep documents whose numeric range
+ * [minField, maxField] overlaps [min, max].
+ *
+ * Open-ended ranges ("Up to 10 LPA", "5+ years") are stored with a null
+ * bound, which is unbounded on that side. Documents with neither bound
+ * (unknown range) never match.
+ *
+ * @param {string} minField - Field holding the lower bound, e.g. "salaryMin"
+ * @param {string} maxField - Field holding the upper bound, e.g. "salaryMax"
+ * @param {number} [min] - Lower bound of the wanted range (NaN/undefined to skip)
+ * @param {number} [max] - Upper bound of the wanted range (NaN/undefined to skip)
+ * @returns {Object[]} - Conditions to combine with $and
+ */
+function buildRangeConditions(minField, maxField, min, max) {
+    const conditions = [];
+
+    if (Number.isFinite(min)) {
+        conditions.push({
+            $or: [
+                { [maxField]: { $gte: min } },
+                { [maxField]: null, [minField]: { $ne: null } }
+            ]
+        });
+    }
+
+    if (Number.isFinite(max)) {
+        conditions.push({
+            $or: [
+                { [minField]: { $lte: max } },
+                { [minField]: null, [maxField]: { $ne: null } }
+            ]
+        });
+    }
+
+    return conditions;
+}
+
+module.exports = { buildRangeConditions };
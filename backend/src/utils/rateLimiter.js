@@ -0,0 +1,36 @@
+/**
+ * Spaces out requests to the same host, however many callers share it.
+ * Each call to `wait` reserves the next free slot for the URL's host, so
+ * concurrent workers queue up behind each other instead of firing together.
+ * Requests to different hosts do not wait on each other.
+ */
+class DomainRateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minInterval] - Minimum gap (ms) between requests to one host
+     * @param {number} [options.jitter] - Extra random gap (ms, up to this value) added to each slot
+     */
+    constructor({ minInterval = 1500, jitter = 1000 } = {}) {
+        this.minInterval = minInterval;
+        this.jitter = jitter;
+        this.nextSlot = new Map();
+    }
+
+    /**
+     * Wait until a request to the URL's host may be sent
+     * @param {string} url
+     * @returns {Promise<void>}
+     */
+    async wait(url) {
+        const host = new URL(url).host;
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, slot + this.minInterval + Math.floor(Math.random() * (this.jitter + 1)));
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+}
+
+module.exports = DomainRateLimiter;
@@ -0,0 +1,148 @@
+// How a user-supplied text filter is turned into a pattern
+const MATCH_MODES = ['literal', 'prefix', 'regex'];
+
+// Longest pattern accepted in "regex" mode
+const MAX_PATTERN_LENGTH = 100;
+
+// Most unbounded quantifiers (*, +, {n,}) accepted in one pattern: each one can
+// multiply the work of a failing match, e.g. ".*.*.*.*=" is O(n^4)
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+// Quantifier at the start of a string; REPEAT is the subset that repeats a group more than once
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+const REPEAT_PATTERN = /^(?:[*+]|\{\d+(?:,\d*)?\})/;
+const UNBOUNDED_PATTERN = /^(?:[*+]|\{\d+,\})/;
+
+// Opening of a non-capturing, lookaround or named group: "(?:", "(?=", "(?!", "(?<=", "(?<!", "(?<name>"
+const GROUP_PREFIX_PATTERN = /^\(\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/;
+
+/**
+ * Build an error for an invalid query parameter (reported as 400 by the API)
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidQuery(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Why a pattern could make MongoDB backtrack for a very long time, if it can:
+ *   - a repeated group containing a quantifier or an alternation, e.g. "(a+)+",
+ *     "(\\w*)*", "(a|aa)+", "(a?){2,}" (exponential)
+ *   - more than MAX_UNBOUNDED_QUANTIFIERS unbounded quantifiers, e.g. ".*.*.*=" (polynomial)
+ *   - backreferences
+ * @param {string} pattern
+ * @returns {string|null} - null when the pattern is safe
+ */
+function findUnsafeConstruct(pattern) {
+    // Per open group: whether it contains a quantifier or an alternation
+    const groups = [{ ambiguous: false }];
+    let unbounded = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                return 'backreferences';
+            }
+            i += 1;
+        } else if (char === '[') {
+            // Skip the character class; quantifier characters inside it are literal
+            i += pattern[i + 1] === '^' ? 2 : 1;
+            if (pattern[i] === ']') i += 1;
+            while (i < pattern.length && pattern[i] !== ']') {
+                i += pattern[i] === '\\' ? 2 : 1;
+            }
+        } else if (char === '(') {
+            groups.push({ ambiguous: false });
+            i += (pattern.slice(i).match(GROUP_PREFIX_PATTERN)?.[0].length || 1) - 1;
+            continue;
+        } else if (char === '|') {
+            groups[groups.length - 1].ambiguous = true;
+            continue;
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { ambiguous: false };
+            if (group.ambiguous && REPEAT_PATTERN.test(pattern.slice(i + 1))) {
+                return 'nested quantifiers or alternation inside a repeated group';
+            }
+            if (group.ambiguous) {
+                groups[groups.length - 1].ambiguous = true;
+            }
+        }
+
+        // Quantifier of the atom that ends at i
+        const quantifier = pattern.slice(i + 1).match(QUANTIFIER_PATTERN)?.[0];
+        if (quantifier) {
+            groups[groups.length - 1].ambiguous = true;
+            if (UNBOUNDED_PATTERN.test(quantifier)) {
+                unbounded += 1;
+            }
+            i += quantifier.length;
+            // Lazy quantifier
+            if (pattern[i + 1] === '?') i += 1;
+        }
+    }
+
+    if (unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+        return `more than ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, +, {n,})`;
+    }
+    return null;
+}
+
+/**
+ * Turn user input into a case-insensitive RegExp.
+ *
+ *   literal - input is matched as plain text anywhere in the value (default)
+ *   prefix  - input is matched as plain text at the start of the value
+ *   regex   - input is a regular expression; rejected when it does not
+ *             compile, is longer than 100 characters, or could backtrack
+ *             for a very long time (see findUnsafeConstruct)
+ *
+ * @param {string} value - User input
+ * @param {string} [mode] - One of MATCH_MODES
+ * @param {Object} [options]
+ * @param {boolean} [options.whole] - Match the whole value instead of a substring (literal only)
+ * @param {string} [options.field] - Parameter name used in error messages
+ * @returns {RegExp}
+ * @throws {Error} error.code === 'INVALID_QUERY' for an unknown mode or a rejected pattern
+ */
+function buildMatcher(value, mode = 'literal', { whole = false, field = 'value' } = {}) {
+    if (!MATCH_MODES.includes(mode)) {
+        throw invalidQuery(`Invalid match mode "${mode}" (expected one of: ${MATCH_MODES.join(', ')})`);
+    }
+
+    if (mode === 'prefix') {
+        return new RegExp(`^${escapeRegex(value)}`, 'i');
+    }
+    if (mode === 'literal') {
+        return new RegExp(whole ? `^${escapeRegex(value)}$` : escapeRegex(value), 'i');
+    }
+
+    if (value.length > MAX_PATTERN_LENGTH) {
+        throw invalidQuery(`${field} pattern is too long (max ${MAX_PATTERN_LENGTH} characters)`);
+    }
+    const unsafe = findUnsafeConstruct(value);
+    if (unsafe) {
+        throw invalidQuery(`${field} pattern uses ${unsafe}, which can be very slow to match and is not allowed`);
+    }
+
+    try {
+        return new RegExp(value, 'i');
+    } catch (error) {
+        throw invalidQuery(`Invalid ${field} pattern: ${error.message}`);
+    }
+}
+
+module.exports = { MATCH_MODES, invalidQuery, escapeRegex, findUnsafeConstruct, buildMatcher };
@@ -0,0 +1,59 @@
+// Error messages of navigations that may succeed when tried again
+const TRANSIENT_ERROR_PATTERN = /timeout|timed out|net::ERR_(CONNECTION|NETWORK|INTERNET|TIMED_OUT|EMPTY_RESPONSE|ABORTED|NAME_NOT_RESOLVED|PROXY)|socket hang up|ECONNRESET|ECONNREFUSED|EAI_AGAIN/i;
+
+/**
+ * Whether an error looks temporary: a navigation timeout or a network failure
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    return error?.name === 'TimeoutError' || TRANSIENT_ERROR_PATTERN.test(error?.message || '');
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): baseDelay doubled each
+ * attempt, capped at maxDelay, with up to 25% random jitter
+ * @param {number} attempt
+ * @param {number} baseDelay - ms
+ * @param {number} maxDelay - ms
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(delay * (1 + Math.random() * 0.25));
+}
+
+/**
+ * Run `task`, retrying with exponential backoff while it fails with a
+ * transient error. Other errors, and the last transient one, are thrown.
+ * @param {Function} task - Called with the attempt number (0 for the first try), returns a promise
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first try
+ * @param {number} [options.baseDelay] - Delay (ms) before the first retry
+ * @param {number} [options.maxDelay] - Longest delay (ms) between tries
+ * @param {Function} [options.shouldRetry] - Whether an error is worth retrying (default: isTransientError)
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} - The task's result
+ */
+async function withRetry(task, {
+    retries = 2,
+    baseDelay = 2000,
+    maxDelay = 30000,
+    shouldRetry = isTransientError,
+    onRetry = () => {}
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt + 1, baseDelay, maxDelay);
+            onRetry(error, attempt + 1, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = { isTransientError, backoffDelay, withRetry };
@@ -0,0 +1,90 @@
+// Text that means no usable salary figure was given
+const UNDISCLOSED_PATTERN = /not disclosed|not mentioned|negotiable|competitive|as per (industry|company)|best in (the )?industry|unpaid/i;
+
+const CRORE_PATTERN = /\bcr(ore)?s?\b|\bcr\.?(?=\s|$)/i;
+const LAKH_PATTERN = /lakhs?|lacs?|\blpa\b|\bl\b/i;
+const MONTHLY_PATTERN = /\bpm\b|p\.\s?m\.?|per month|\/\s?month|\/\s?mo\b|monthly|a month/i;
+const UP_TO_PATTERN = /\b(up\s?to|upto|max(imum)?|below|under)\b/i;
+const FROM_PATTERN = /\+|\b(above|from|min(imum)?|starting|over)\b/i;
+
+/**
+ * Round to two decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a free-text salary into a numeric range in lakhs per annum (LPA).
+ *
+ * Handles ranges ("₹12-18 LPA", "3.5 - 6 Lacs P.A."), crores ("1-1.5 Cr"),
+ * absolute rupees ("₹8,00,000 - 12,00,000 P.A."), monthly figures
+ * ("50,000-70,000 per month", "40k PM") and open ranges ("Up to 10 LPA", "15+ LPA").
+ *
+ * @param {string} text - Salary text from the job card or detail page
+ * @returns {{ salaryMin: number|null, salaryMax: number|null, salaryDisclosed: boolean }}
+ */
+function parseSalary(text) {
+    const undisclosed = { salaryMin: null, salaryMax: null, salaryDisclosed: false };
+
+    if (!text || typeof text !== 'string' || UNDISCLOSED_PATTERN.test(text)) {
+        return undisclosed;
+    }
+
+    const matches = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/gi)];
+    if (matches.length === 0) {
+        return undisclosed;
+    }
+
+    const isCrore = CRORE_PATTERN.test(text);
+    const isLakh = LAKH_PATTERN.test(text);
+    const isMonthly = MONTHLY_PATTERN.test(text);
+
+    const values = matches.slice(0, 2).map(([, number, thousands]) => {
+        let amount = parseFloat(number.replace(/,/g, ''));
+        if (thousands) amount *= 1000;
+
+        let lpa;
+        if (isCrore) {
+            lpa = amount * 100;
+        } else if (isLakh || (!thousands && amount < 1000)) {
+            // Small bare numbers on Naukri are always lakhs ("₹12-18")
+            lpa = amount;
+        } else {
+            lpa = amount / 100000;
+        }
+
+        return isMonthly ? lpa * 12 : lpa;
+    }).filter(v => Number.isFinite(v) && v > 0);
+
+    if (values.length === 0) {
+        return undisclosed;
+    }
+
+    let salaryMin = round(Math.min(...values));
+    let salaryMax = round(Math.max(...values));
+
+    if (values.length === 1) {
+        if (UP_TO_PATTERN.test(text)) {
+            salaryMin = null;
+        } else if (FROM_PATTERN.test(text)) {
+            salaryMax = null;
+        }
+    }
+
+    return { salaryMin, salaryMax, salaryDisclosed: true };
+}
+
+/**
+ * Parse the best available salary text of a job (detail page first, then card)
+ * @param {Object} job - Job data with salaryOffered and/or salary
+ * @returns {{ salaryMin: number|null, salaryMax: number|null, salaryDisclosed: boolean }}
+ */
+function parseJobSalary(job) {
+    const detailed = parseSalary(job.salaryOffered);
+    return detailed.salaryDisclosed ? detailed : parseSalary(job.salary);
+}
+
+module.exports = { parseSalary, parseJobSalary };
@@ -0,0 +1,107 @@
+// Work modes and their Naukri `wfhType` values
+const WORK_MODES = {
+    office: '0',
+    remote: '2',
+    hybrid: '3'
+};
+
+// Posting ages (days) Naukri's `jobAge` filter accepts
+const FRESHNESS_DAYS = [1, 3, 7, 15, 30];
+
+// Salary bands (LPA) Naukri's `ctcFilter` accepts
+const SALARY_BANDS = ['0-3', '3-6', '6-10', '10-15', '15-25', '25-50', '50-75', '75-100'];
+
+// Company types and their Naukri `qbusinessSize` values
+const COMPANY_TYPES = {
+    'foreign-mnc': '213',
+    'indian-mnc': '211',
+    corporate: '62',
+    startup: '217',
+    others: '212'
+};
+
+// Result orders and their Naukri `sort` values (relevance is Naukri's default)
+const SEARCH_SORTS = {
+    relevance: null,
+    date: '1'
+};
+
+/**
+ * Search filters with every field present, in a stable shape for storing on jobs
+ * @param {Object} [filters] - { locations, workModes, freshnessDays, salaryBands, companyTypes, sortBy }
+ * @returns {{ locations: string[], workModes: string[], freshnessDays: number|null, salaryBands: string[], companyTypes: string[], sortBy: string }}
+ */
+function normalizeSearchFilters(filters = {}) {
+    return {
+        locations: filters.locations || [],
+        workModes: filters.workModes || [],
+        freshnessDays: filters.freshnessDays ?? null,
+        salaryBands: filters.salaryBands || [],
+        companyTypes: filters.companyTypes || [],
+        sortBy: filters.sortBy || 'relevance'
+    };
+}
+
+/**
+ * Naukri query parameters for search filters, in a fixed order.
+ * Multi-valued filters repeat their parameter once per value. Values
+ * Naukri does not accept are left out (config.json is validated on save,
+ * but can be edited by hand).
+ * @param {Object} [filters] - See normalizeSearchFilters
+ * @returns {Array<[string, string]>}
+ */
+function buildSearchParams(filters = {}) {
+    const { locations, workModes, freshnessDays, salaryBands, companyTypes, sortBy } = normalizeSearchFilters(filters);
+    const params = [];
+
+    if (locations.length > 0) {
+        params.push(['l', locations.join(', ')]);
+    }
+    for (const mode of workModes.filter(mode => Object.hasOwn(WORK_MODES, mode))) {
+        params.push(['wfhType', WORK_MODES[mode]]);
+    }
+    if (FRESHNESS_DAYS.includes(freshnessDays)) {
+        params.push(['jobAge', String(freshnessDays)]);
+    }
+    for (const band of salaryBands.filter(band => SALARY_BANDS.includes(band))) {
+        params.push(['ctcFilter', band.replace('-', 'to')]);
+    }
+    for (const type of companyTypes.filter(type => Object.hasOwn(COMPANY_TYPES, type))) {
+        params.push(['qbusinessSize', COMPANY_TYPES[type]]);
+    }
+    if (Object.hasOwn(SEARCH_SORTS, sortBy) && SEARCH_SORTS[sortBy]) {
+        params.push(['sort', SEARCH_SORTS[sortBy]]);
+    }
+
+    return params;
+}
+
+/**
+ * Short description of the active search filters for logs, e.g. "remote, hybrid · last 7 days"
+ * @param {Object} [filters] - See normalizeSearchFilters
+ * @returns {string} - Empty when no filter is active
+ */
+function describeSearchFilters(filters = {}) {
+    const { locations, workModes, freshnessDays, salaryBands, companyTypes, sortBy } = normalizeSearchFilters(filters);
+    const parts = [];
+
+    if (locations.length > 0) parts.push(locations.join(', '));
+    if (workModes.length > 0) parts.push(workModes.join(', '));
+    if (freshnessDays) parts.push(`last ${freshnessDays} day${freshnessDays === 1 ? '' : 's'}`);
+    if (salaryBands.length > 0) parts.push(`${salaryBands.join(', ')} LPA`);
+    if (companyTypes.length > 0) parts.push(companyTypes.join(', '));
+    if (sortBy !== 'relevance') parts.push(`sorted by ${sortBy}`);
+
+    return parts.join(' · ');
+}
+
+module.exports = {
+    WORK_MODES,
+    FRESHNESS_DAYS,
+    SALARY_BANDS,
+    COMPANY_TYPES,
+    SEARCH_SORTS,
+    normalizeSearchFilters,
+    buildSearchParams,
+    describeSearchFilters
+};
@@ -0,0 +1,173 @@
+// Skill categories, in display order
+const SKILL_CATEGORIES = ['language', 'framework', 'database', 'cloud', 'tool', 'other'];
+
+// Built-in skills: canonical name, category and alternative spellings.
+// Spellings that only differ in case, spaces, dots, dashes or underscores
+// ("NodeJS", "node js", "Node.js") need no alias.
+const DEFAULT_SKILLS = [
+    { name: 'JavaScript', category: 'language', aliases: ['js', 'es6', 'ecmascript'] },
+    { name: 'TypeScript', category: 'language', aliases: ['ts'] },
+    { name: 'Python', category: 'language', aliases: ['python3'] },
+    { name: 'Java', category: 'language', aliases: ['core java', 'java 8'] },
+    { name: 'Go', category: 'language', aliases: ['golang'] },
+    { name: 'C#', category: 'language', aliases: ['csharp', 'c sharp'] },
+    { name: 'C++', category: 'language', aliases: ['cpp'] },
+    { name: 'PHP', category: 'language', aliases: [] },
+    { name: 'Ruby', category: 'language', aliases: [] },
+    { name: 'Kotlin', category: 'language', aliases: [] },
+    { name: 'SQL', category: 'language', aliases: [] },
+    { name: 'HTML', category: 'language', aliases: ['html5'] },
+    { name: 'CSS', category: 'language', aliases: ['css3'] },
+    { name: 'Node.js', category: 'framework', aliases: ['node'] },
+    { name: 'Express.js', category: 'framework', aliases: ['express'] },
+    { name: 'React', category: 'framework', aliases: ['reactjs'] },
+    { name: 'React Native', category: 'framework', aliases: [] },
+    { name: 'Redux', category: 'framework', aliases: ['redux toolkit'] },
+    { name: 'Next.js', category: 'framework', aliases: ['next'] },
+    { name: 'Angular', category: 'framework', aliases: ['angular 2+'] },
+    { name: 'Vue.js', category: 'framework', aliases: ['vue'] },
+    { name: 'NestJS', category: 'framework', aliases: ['nest'] },
+    { name: 'Django', category: 'framework', aliases: [] },
+    { name: 'Flask', category: 'framework', aliases: [] },
+    { name: 'Spring Boot', category: 'framework', aliases: ['spring'] },
+    { name: '.NET', category: 'framework', aliases: ['dotnet', '.net core', 'asp.net'] },
+    { name: 'Laravel', category: 'framework', aliases: [] },
+    { name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind'] },
+    { name: 'MongoDB', category: 'database', aliases: ['mongo'] },
+    { name: 'MySQL', category: 'database', aliases: [] },
+    { name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'psql'] },
+    { name: 'Redis', category: 'database', aliases: [] },
+    { name: 'Elasticsearch', category: 'database', aliases: ['elastic'] },
+    { name: 'DynamoDB', category: 'database', aliases: [] },
+    { name: 'SQL Server', category: 'database', aliases: ['mssql', 'ms sql'] },
+    { name: 'Oracle', category: 'database', aliases: ['oracle db'] },
+    { name: 'AWS', category: 'cloud', aliases: ['amazon web services'] },
+    { name: 'Azure', category: 'cloud', aliases: ['microsoft azure'] },
+    { name: 'GCP', category: 'cloud', aliases: ['google cloud', 'google cloud platform'] },
+    { name: 'Firebase', category: 'cloud', aliases: [] },
+    { name: 'Docker', category: 'tool', aliases: [] },
+    { name: 'Kubernetes', category: 'tool', aliases: ['k8s'] },
+    { name: 'Git', category: 'tool', aliases: [] },
+    { name: 'Jenkins', category: 'tool', aliases: [] },
+    { name: 'CI/CD', category: 'tool', aliases: ['cicd', 'ci cd'] },
+    { name: 'Webpack', category: 'tool', aliases: [] },
+    { name: 'Jest', category: 'tool', aliases: [] },
+    { name: 'GraphQL', category: 'tool', aliases: [] },
+    { name: 'REST API', category: 'other', aliases: ['rest', 'restful', 'rest apis', 'restful api', 'restful apis'] },
+    { name: 'Microservices', category: 'other', aliases: ['microservice', 'microservices architecture'] }
+];
+
+/**
+ * Lookup key of a skill: lower case without spaces, dots, dashes or underscores
+ * @param {string} skill
+ * @returns {string}
+ */
+function compactSkill(skill) {
+    return String(skill).toLowerCase().replace(/[\s.\-_]+/g, '');
+}
+
+/**
+ * Build a taxonomy from the built-in skills plus custom entries.
+ * A custom entry with the name of a built-in skill replaces its category
+ * and adds its aliases; other custom entries are new skills.
+ *
+ * @param {Array<{ name: string, category?: string, aliases?: string[] }>} [custom] - config.skillTaxonomy
+ * @returns {{ entries: Object[], canonical: Function, category: Function, normalize: Function }}
+ */
+function createTaxonomy(custom = []) {
+    const byName = new Map();
+    for (const entry of [...DEFAULT_SKILLS, ...custom]) {
+        const key = compactSkill(entry.name);
+        const existing = byName.get(key);
+        byName.set(key, {
+            name: entry.name,
+            category: entry.category || existing?.category || 'other',
+            aliases: [...new Set([...(existing?.aliases || []), ...(entry.aliases || [])])]
+        });
+    }
+
+    const entries = [...byName.values()];
+    const lookup = new Map();
+    for (const entry of entries) {
+        lookup.set(compactSkill(entry.name), entry);
+    }
+    // Names win over aliases, so an alias never hides another skill
+    for (const entry of entries) {
+        for (const alias of entry.aliases) {
+            if (!lookup.has(compactSkill(alias))) lookup.set(compactSkill(alias), entry);
+        }
+    }
+
+    const find = skill => lookup.get(compactSkill(skill)) || null;
+
+    return {
+        entries,
+        /**
+         * Canonical name of a skill, or the trimmed input for unknown skills
+         * @param {string} skill
+         * @returns {string}
+         */
+        canonical: skill => find(skill)?.name || String(skill).trim(),
+        /**
+         * Category of a skill, or null for unknown skills
+         * @param {string} skill
+         * @returns {string|null}
+         */
+        category: skill => find(skill)?.category || null,
+        /**
+         * Canonical names for a list of skills, without duplicates or blanks
+         * @param {string[]} skills
+         * @returns {string[]}
+         */
+        normalize(skills) {
+            const seen = new Set();
+            const result = [];
+            for (const skill of skills || []) {
+                const name = this.canonical(skill);
+                const key = compactSkill(name);
+                if (!name || seen.has(key)) continue;
+                seen.add(key);
+                result.push(name);
+            }
+            return result;
+        }
+    };
+}
+
+// Last taxonomy built, so callers can ask for it per job without rebuilding it
+let cached = { key: null, taxonomy: null };
+
+/**
+ * Get the taxonomy for a custom skill list (built once per distinct list)
+ * @param {Object[]} [custom] - config.skillTaxonomy
+ * @returns {Object} - See createTaxonomy
+ */
+function getTaxonomy(custom = []) {
+    const key = JSON.stringify(custom || []);
+    if (cached.key !== key) {
+        cached = { key, taxonomy: createTaxonomy(custom || []) };
+    }
+    return cached.taxonomy;
+}
+
+/**
+ * Canonical skills and keySkills of a job
+ * @param {Object} job - Job with skills and keySkills
+ * @param {Object} taxonomy - See createTaxonomy
+ * @returns {{ skills: string[], keySkills: string[] }}
+ */
+function normalizeJobSkills(job, taxonomy) {
+    return {
+        skills: taxonomy.normalize(job.skills),
+        keySkills: taxonomy.normalize(job.keySkills)
+    };
+}
+
+module.exports = {
+    SKILL_CATEGORIES,
+    DEFAULT_SKILLS,
+    compactSkill,
+    createTaxonomy,
+    getTaxonomy,
+    normalizeJobSkills
+};
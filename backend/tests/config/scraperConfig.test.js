@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig } = require('../../src/config/scraperConfig');
+
+describe('validateConfig searchFilters', () => {
+    it('accepts known values', () => {
+        const input = { searchFilters: { workModes: ['remote'], freshnessDays: 7, salaryBands: ['6-10'], companyTypes: ['startup'], sortBy: 'date' } };
+
+        const { value, errors } = validateConfig(input);
+
+        assert.deepEqual(errors, {});
+        assert.deepEqual(value, input);
+    });
+
+    it('rejects unknown values', () => {
+        const { errors } = validateConfig({ searchFilters: { companyTypes: ['mnc'], freshnessDays: 5 } });
+
+        assert.deepEqual(Object.keys(errors).sort(), ['searchFilters.companyTypes', 'searchFilters.freshnessDays']);
+    });
+
+    it('rejects a sort order named after an Object property', () => {
+        for (const sortBy of ['constructor', 'toString', '__proto__']) {
+            const { errors } = validateConfig({ searchFilters: { sortBy } });
+
+            assert.ok(errors['searchFilters.sortBy'], sortBy);
+        }
+    });
+});
+
+describe('validateConfig selectors', () => {
+    it('accepts overrides of known groups and fields', () => {
+        const input = { selectors: { version: 2, searchResults: { card: ['article.job'] } } };
+
+        const { value, errors } = validateConfig(input);
+
+        assert.deepEqual(errors, {});
+        assert.deepEqual(value, input);
+    });
+
+    it('rejects groups and fields named after Object properties', () => {
+        const { errors } = validateConfig({
+            selectors: { constructor: { card: ['a'] }, searchResults: { toString: ['a'], hasOwnProperty: ['b'] } }
+        });
+
+        assert.deepEqual(Object.keys(errors).sort(), [
+            'selectors.constructor',
+            'selectors.searchResults.hasOwnProperty',
+            'selectors.searchResults.toString'
+        ]);
+    });
+});
+
+describe('validateConfig matching.weights', () => {
+    it('accepts known weights', () => {
+        const { value, errors } = validateConfig({ matching: { weights: { skills: 50, title: 10 } } });
+
+        assert.deepEqual(errors, {});
+        assert.deepEqual(value.matching.weights, { skills: 50, title: 10 });
+    });
+
+    it('rejects weights named after Object properties', () => {
+        for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+            const { errors } = validateConfig({ matching: { weights: { [name]: 10 } } });
+
+            assert.match(errors['matching.weights'], /Unknown weight/, name);
+        }
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../src/models/Job');
+const { updateDuplicate } = require('../../src/controllers/duplicateController');
+const { startMongo, stopMongo, clearDatabase } = require('../helpers/mongo');
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {Object}
+ */
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+/**
+ * Store a job with the fields a job needs
+ * @param {string} id
+ * @param {Object} [fields]
+ * @returns {Promise<Object>}
+ */
+function createJob(id, fields = {}) {
+    return Job.create({
+        title: `Developer ${id}`,
+        company: 'Acme',
+        jobUrl: `https://www.naukri.com/job-listings-${id}`,
+        ...fields
+    });
+}
+
+describe('updateDuplicate merge', () => {
+    let unavailable = null;
+
+    before(async () => {
+        unavailable = await startMongo();
+        if (!unavailable) await Job.init();
+    });
+
+    after(async () => {
+        if (!unavailable) await stopMongo();
+    });
+
+    beforeEach(async () => {
+        if (!unavailable) await clearDatabase();
+    });
+
+    it('rejects merging into the job itself or one of its duplicates with 400', async t => {
+        if (unavailable) return t.skip(unavailable);
+        const original = await createJob('1');
+        const repost = await createJob('2', { duplicateOf: original._id, duplicateScore: 0.9, duplicateStatus: 'probable' });
+
+        for (const into of [original._id, repost._id]) {
+            const res = mockResponse();
+            await updateDuplicate({ params: { id: String(original._id) }, body: { action: 'merge', into: String(into) } }, res);
+
+            assert.equal(res.statusCode, 400, String(into));
+            assert.equal(res.body.success, false);
+        }
+
+        const stored = await Job.findById(repost._id).lean();
+        assert.ok(stored.duplicateOf.equals(original._id));
+        assert.equal(stored.duplicateStatus, 'probable');
+    });
+
+    it('merges a duplicate into the job it duplicates', async t => {
+        if (unavailable) return t.skip(unavailable);
+        const original = await createJob('1');
+        const repost = await createJob('2', { duplicateOf: original._id, duplicateScore: 0.9, duplicateStatus: 'probable' });
+
+        const res = mockResponse();
+        await updateDuplicate({ params: { id: String(repost._id) }, body: { action: 'merge' } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.duplicateStatus, 'merged');
+        assert.ok(res.body.data.duplicateOf.equals(original._id));
+    });
+});
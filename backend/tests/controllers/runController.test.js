@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRuns } = require('../../src/controllers/runController');
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {Object}
+ */
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+describe('getRuns', () => {
+    it('rejects unknown trigger and status values with 400', async () => {
+        for (const query of [{ trigger: 'cron' }, { status: 'done' }, { status: 'constructor' }]) {
+            const res = mockResponse();
+            await getRuns({ query }, res);
+
+            assert.equal(res.statusCode, 400, JSON.stringify(query));
+            assert.equal(res.body.success, false);
+        }
+    });
+
+    it('rejects repeated or nested trigger and status values with 400', async () => {
+        for (const query of [{ trigger: ['cli', 'api'] }, { status: { $ne: 'running' } }]) {
+            const res = mockResponse();
+            await getRuns({ query }, res);
+
+            assert.equal(res.statusCode, 400, JSON.stringify(query));
+            assert.match(res.body.message, /must be one of/);
+        }
+    });
+});
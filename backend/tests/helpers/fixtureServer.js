@@ -0,0 +1,62 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * File under `root` serving a request path: the path itself, or the path
+ * with ".html" or ".json" added ("/nodejs-developer-jobs" → nodejs-developer-jobs.html)
+ * @param {string} root
+ * @param {string} pathname - URL path, without the query string
+ * @returns {string|null} - null when there is no such file
+ */
+function resolveFixture(root, pathname) {
+    const base = path.join(root, path.normalize(decodeURIComponent(pathname)));
+    if (!base.startsWith(root)) {
+        return null;
+    }
+    return [base, `${base}.html`, `${base}.json`]
+        .find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Serve saved pages and API responses from a directory laid out like the
+ * site's paths. Query strings are ignored and every method gets the file,
+ * so a POST to a saved API path answers with its saved response.
+ * @param {string} root - Directory with the fixtures
+ * @returns {Promise<{ origin: string, requests: string[], close: Function }>} - `requests` lists
+ *          "METHOD /path" of every request received
+ */
+function startFixtureServer(root) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        requests.push(`${req.method} ${pathname}`);
+
+        const file = resolveFixture(root, pathname);
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        fs.createReadStream(file).pipe(res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                origin: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startFixtureServer };
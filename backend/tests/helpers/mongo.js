@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+let server = null;
+
+/**
+ * Start an in-memory MongoDB server and connect mongoose to it.
+ * The server binary is downloaded on first use; where that is not possible
+ * the reason is returned so database tests can be skipped.
+ * @returns {Promise<string|null>} - Why the database is unavailable, or null once connected
+ */
+async function startMongo() {
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        server = await MongoMemoryServer.create();
+    } catch (error) {
+        return `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+    }
+    await mongoose.connect(server.getUri());
+    return null;
+}
+
+/**
+ * Disconnect mongoose and stop the in-memory server
+ * @returns {Promise<void>}
+ */
+async function stopMongo() {
+    await mongoose.disconnect();
+    if (server) {
+        await server.stop();
+        server = null;
+    }
+}
+
+/**
+ * Delete every document of every model
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+    await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+}
+
+module.exports = { startMongo, stopMongo, clearDatabase };
@@ -0,0 +1,38 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../src/models/Job');
+const { startMongo, stopMongo, clearDatabase } = require('../helpers/mongo');
+
+describe('Job.seedSearchKeywords', () => {
+    let unavailable = null;
+
+    before(async () => {
+        unavailable = await startMongo();
+        if (!unavailable) await Job.init();
+    });
+
+    after(async () => {
+        if (!unavailable) await stopMongo();
+    });
+
+    beforeEach(async () => {
+        if (!unavailable) await clearDatabase();
+    });
+
+    it('seeds searchKeywords of older jobs so keyword filters find them', async t => {
+        if (unavailable) return t.skip(unavailable);
+        // Written without the model so the jobs look like ones stored before searchKeywords existed
+        await Job.collection.insertMany([
+            { title: 'Developer 1', company: 'Acme', jobUrl: 'https://www.naukri.com/job-listings-1', searchKeyword: 'nodejs developer' },
+            { title: 'Developer 2', company: 'Acme', jobUrl: 'https://www.naukri.com/job-listings-2', searchKeyword: 'nodejs developer', searchKeywords: [] },
+            { title: 'Developer 3', company: 'Acme', jobUrl: 'https://www.naukri.com/job-listings-3', searchKeyword: 'nodejs developer', searchKeywords: ['react developer'] }
+        ]);
+
+        assert.equal(await Job.seedSearchKeywords(), 2);
+        assert.equal(await Job.seedSearchKeywords(), 0);
+
+        const jobs = await Job.find().sort({ jobUrl: 1 }).lean();
+        assert.deepEqual(jobs.map(job => job.searchKeywords), [['nodejs developer'], ['nodejs developer'], ['react developer']]);
+        assert.equal((await Job.findByKeyword('nodejs developer')).length, 2);
+    });
+});
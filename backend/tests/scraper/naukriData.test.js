@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapSearchResults, mapJobDetails, mapJobPosting } = require('../../src/scraper/naukriData');
+const { parseJobPostedDate } = require('../../src/utils/postedDateParser');
+
+const CREATED = 1760000000000;
+
+describe('Naukri data posting dates', () => {
+    it('keeps the search API createdDate as an exact postedAt, with relative text for display', () => {
+        const [job] = mapSearchResults({
+            jobDetails: [{ title: 'Node.js Developer', companyName: 'Acme', jdURL: '/job-listings-1001', createdDate: CREATED }]
+        }, 'nodejs developer');
+
+        assert.deepEqual(job.postedAt, new Date(CREATED));
+        assert.equal(job.postedAtAccuracy, 'exact');
+        assert.match(job.postedDate, /ago|Today/);
+    });
+
+    it('keeps the job API createdDate as an exact postedAt', () => {
+        const details = mapJobDetails({ jobDetails: { description: '<p>Node.js</p>', createdDate: String(CREATED) } });
+
+        assert.deepEqual(details.postedAt, new Date(CREATED));
+        assert.equal(details.postedAtAccuracy, 'exact');
+    });
+
+    it('keeps a JSON-LD datePosted with a time as an exact postedAt', () => {
+        const details = mapJobPosting({ '@type': 'JobPosting', description: 'Node.js', datePosted: '2025-10-12T09:30:00+05:30' });
+
+        assert.deepEqual(details.postedAt, new Date('2025-10-12T04:00:00Z'));
+        assert.equal(details.postedAtAccuracy, 'exact');
+    });
+
+    it('leaves a bare JSON-LD day and missing dates to the posting text', () => {
+        assert.equal('postedAt' in mapJobPosting({ '@type': 'JobPosting', description: 'Node.js', datePosted: '2025-10-12' }), false);
+        assert.equal('postedAt' in mapJobDetails({ jobDetails: { description: 'Node.js' } }), false);
+    });
+
+    it('is not re-derived from the relative text after scraping', () => {
+        const scrapedAt = new Date(CREATED + 3.5 * 86400000);
+        const details = mapJobDetails({ jobDetails: { description: 'Node.js', createdDate: CREATED } });
+        const job = { ...details, jobPostedAt: '3 days ago', postedDate: '3 Days Ago', scrapedAt };
+
+        assert.deepEqual(parseJobPostedDate(job), { postedAt: new Date(CREATED), postedAtAccuracy: 'exact' });
+        assert.equal(parseJobPostedDate({ jobPostedAt: '3 days ago', scrapedAt }).postedAtAccuracy, 'day');
+    });
+});
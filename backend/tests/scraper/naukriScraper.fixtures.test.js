@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const NaukriScraper = require('../../src/scraper/naukriScraper');
+const { startFixtureServer } = require('../helpers/fixtureServer');
+
+// Saved Naukri pages and API responses, laid out like the site's paths
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'naukri');
+
+// Selectors for the renamed job cards in golang-developer-jobs.html, as a config.json override
+const DRIFT_OVERRIDES = {
+    version: 2,
+    searchResults: {
+        card: ['article[class*="srpCard"]'],
+        title: ['a[class*="heading"]'],
+        link: ['a[class*="heading"]'],
+        company: ['[class*="org_"]'],
+        location: ['[class*="place_"]'],
+        experience: ['[class*="yrs_"]'],
+        salary: ['[class*="ctc_"]'],
+        postedDate: ['[class*="age_"]']
+    }
+};
+
+// No retries or request spacing: the fixtures answer at once
+const SCRAPE_OPTIONS = { detailConcurrency: 2, detailRequestInterval: 0 };
+
+/**
+ * Load a search page in the scraper's main tab and extract its job cards, as scrapeJobs does
+ * @param {NaukriScraper} scraper
+ * @param {string} keyword
+ * @returns {Promise<Object[]>}
+ */
+async function extractSearchPage(scraper, keyword) {
+    await scraper.gotoWithRetry(scraper.page, scraper.buildSearchUrl(keyword));
+    return scraper.extractJobCards(keyword);
+}
+
+describe('NaukriScraper against saved pages', () => {
+    const baseUrl = process.env.NAUKRI_BASE_URL;
+    let server = null;
+    let scraper = null;
+    let unavailable = null;
+
+    before(async () => {
+        server = await startFixtureServer(FIXTURES);
+        process.env.NAUKRI_BASE_URL = server.origin;
+
+        scraper = new NaukriScraper({ retry: { retries: 0 } });
+        try {
+            await scraper.initBrowser();
+        } catch (error) {
+            unavailable = `headless Chromium unavailable: ${error.message.split('\n')[0]}`;
+        }
+    });
+
+    after(async () => {
+        await scraper.closeBrowser().catch(() => {});
+        await server.close();
+        if (baseUrl === undefined) {
+            delete process.env.NAUKRI_BASE_URL;
+        } else {
+            process.env.NAUKRI_BASE_URL = baseUrl;
+        }
+    });
+
+    it('reads listings from the search API and details from the job API and JSON-LD', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const jobs = await scraper.scrapeJobs('nodejs developer', 1, SCRAPE_OPTIONS);
+
+        assert.equal(jobs.length, 2);
+        const [acme, globex] = jobs;
+        assert.deepEqual(acme.extraction, { listing: 'api', details: 'api' });
+        assert.equal(acme.title, 'Node.js Developer');
+        assert.equal(acme.company, 'Acme Technologies');
+        assert.equal(acme.location, 'Pune, Bengaluru');
+        assert.equal(acme.jobUrl, `${server.origin}/job-listings-nodejs-developer-acme-technologies-pune-2-to-5-years-1001`);
+        assert.equal(acme.description, 'Build REST APIs with Node.js & Express.');
+        assert.deepEqual([acme.experienceMin, acme.experienceMax], [2, 5]);
+        assert.deepEqual([acme.salaryMin, acme.salaryMax], [6, 10]);
+        assert.deepEqual(acme.skills, ['Node.js', 'Express.js', 'MongoDB', 'REST API']);
+        assert.deepEqual(acme.keySkills, ['Node.js', 'Express.js', 'MongoDB', 'Docker']);
+        assert.equal(acme.fullDescription, 'We are hiring a Node.js developer.\nDesign REST APIs\nOwn MongoDB schemas');
+        assert.deepEqual(acme.industryTypes, ['IT Services & Consulting']);
+        assert.equal(acme.totalVacancy, '4');
+        assert.deepEqual(acme.postedAt, new Date(1760000000000));
+        assert.equal(acme.postedAtAccuracy, 'exact');
+
+        assert.deepEqual(globex.extraction, { listing: 'api', details: 'embedded' });
+        assert.deepEqual([globex.experienceMin, globex.experienceMax], [0.5, 2]);
+        assert.equal(globex.salaryOffered, '8-12 Lacs PA');
+        assert.deepEqual([globex.salaryMin, globex.salaryMax], [8, 12]);
+        assert.deepEqual(globex.keySkills, ['Node.js', 'PostgreSQL', 'Kafka']);
+        assert.deepEqual(globex.industryTypes, ['FinTech / Payments']);
+        assert.equal(globex.totalVacancy, '2');
+        assert.deepEqual(globex.postedAt, new Date('2025-10-12T04:00:00Z'));
+        assert.equal(globex.postedAtAccuracy, 'exact');
+    });
+
+    it('reads listings from embedded state and details from the DOM', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const [job, ...rest] = await scraper.scrapeJobs('react developer', 1, SCRAPE_OPTIONS);
+
+        assert.equal(rest.length, 0);
+        assert.deepEqual(job.extraction, { listing: 'embedded', details: 'dom' });
+        assert.equal(job.company, 'Initech');
+        assert.deepEqual([job.experienceMin, job.experienceMax], [3, 6]);
+        assert.deepEqual([job.salaryMin, job.salaryMax], [12, 18]);
+        assert.match(job.fullDescription, /^Initech is looking for a React developer/);
+        assert.deepEqual(job.keySkills, ['React', 'Redux', 'TypeScript']);
+        assert.deepEqual(job.industryTypes, ['Software Product']);
+        assert.equal(job.totalVacancy, '3');
+        assert.equal(job.jobPostedAt, 'Posted: 1 day ago');
+    });
+
+    it('reads job cards from the DOM when the page has no JSON', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const jobs = await extractSearchPage(scraper, 'java developer');
+
+        assert.deepEqual(jobs.map(job => job.title), ['Java Developer', 'Java Lead']);
+        const [job] = jobs;
+        assert.deepEqual(job.extraction, { listing: 'dom', details: null });
+        assert.equal(job.company, 'Umbrella Corp');
+        assert.equal(job.location, 'Hyderabad');
+        assert.equal(job.experience, '4-8 Yrs');
+        assert.equal(job.salary, '15-25 Lacs PA');
+        assert.deepEqual(job.skills, ['Java', 'Spring Boot']);
+        assert.equal(job.description, 'Maintain our Spring Boot services.');
+        assert.equal(job.postedDate, '5 Days Ago');
+        assert.equal(job.jobUrl, `${server.origin}/job-listings-java-developer-umbrella-hyderabad-4-to-8-years-1004`);
+    });
+
+    it('finds no jobs on an empty results page', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const jobs = await scraper.scrapeJobs('no results', 1, SCRAPE_OPTIONS);
+
+        assert.deepEqual(jobs, []);
+    });
+
+    it('finds no jobs once the selectors drift, and reads them again with config overrides', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        assert.deepEqual(await extractSearchPage(scraper, 'golang developer'), []);
+
+        const overridden = new NaukriScraper({ selectors: DRIFT_OVERRIDES });
+        overridden.page = await scraper.browser.newPage();
+        try {
+            const [job] = await extractSearchPage(overridden, 'golang developer');
+
+            assert.equal(job.title, 'Golang Developer');
+            assert.equal(job.company, 'Hooli');
+            assert.equal(job.location, 'Bengaluru');
+            assert.equal(job.experience, '3-7 Yrs');
+            assert.equal(job.salary, '20-30 Lacs PA');
+            assert.equal(job.postedDate, '2 Days Ago');
+            assert.equal(job.jobUrl, `${server.origin}/job-listings-golang-developer-hooli-bengaluru-3-to-7-years-1006`);
+        } finally {
+            await overridden.page.close();
+        }
+    });
+
+    it('logs in through the login form', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const loggedIn = await scraper.login('user@example.com', 'secret');
+
+        assert.equal(loggedIn, true);
+        assert.ok(server.requests.includes('POST /central-login-services/v1/login'));
+    });
+});
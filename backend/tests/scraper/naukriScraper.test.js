@@ -0,0 +1,69 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const NaukriScraper = require('../../src/scraper/naukriScraper');
+
+describe('NaukriScraper.buildSearchUrl', () => {
+    const scraper = new NaukriScraper();
+    const baseUrl = process.env.NAUKRI_BASE_URL;
+
+    afterEach(() => {
+        if (baseUrl === undefined) {
+            delete process.env.NAUKRI_BASE_URL;
+        } else {
+            process.env.NAUKRI_BASE_URL = baseUrl;
+        }
+    });
+
+    it('builds the first page from the keyword', () => {
+        delete process.env.NAUKRI_BASE_URL;
+
+        assert.equal(scraper.buildSearchUrl('NodeJS Developer'), 'https://www.naukri.com/nodejs-developer-jobs?k=NodeJS%20Developer');
+    });
+
+    it('numbers later pages in the path', () => {
+        delete process.env.NAUKRI_BASE_URL;
+
+        assert.equal(scraper.buildSearchUrl('react developer', 3), 'https://www.naukri.com/react-developer-jobs-3?k=react%20developer');
+    });
+
+    it('adds the experience range', () => {
+        delete process.env.NAUKRI_BASE_URL;
+
+        assert.equal(
+            scraper.buildSearchUrl('react', 1, { min: 0, max: 5 }),
+            'https://www.naukri.com/react-jobs?k=react&niyoMinExp=0&niyoMaxExp=5'
+        );
+        assert.equal(scraper.buildSearchUrl('react', 1, { min: 2 }), 'https://www.naukri.com/react-jobs?k=react&niyoMinExp=2');
+    });
+
+    it('adds every search filter after the experience range, encoded', () => {
+        delete process.env.NAUKRI_BASE_URL;
+
+        const url = scraper.buildSearchUrl('node', 2, { min: 1, max: 4 }, {
+            locations: ['Pune', 'Navi Mumbai'],
+            workModes: ['remote', 'hybrid'],
+            freshnessDays: 15,
+            salaryBands: ['6-10', '10-15'],
+            companyTypes: ['foreign-mnc'],
+            sortBy: 'date'
+        });
+
+        assert.equal(url, 'https://www.naukri.com/node-jobs-2?k=node&niyoMinExp=1&niyoMaxExp=4'
+            + '&l=Pune%2C%20Navi%20Mumbai&wfhType=2&wfhType=3&jobAge=15'
+            + '&ctcFilter=6to10&ctcFilter=10to15&qbusinessSize=213&sort=1');
+    });
+
+    it('never adds undefined for unknown filter values', () => {
+        delete process.env.NAUKRI_BASE_URL;
+
+        const url = scraper.buildSearchUrl('node', 1, null, { companyTypes: ['mnc'], workModes: ['anywhere'] });
+
+        assert.equal(url, 'https://www.naukri.com/node-jobs?k=node');
+    });
+
+    it('uses NAUKRI_BASE_URL as the origin', () => {
+        process.env.NAUKRI_BASE_URL = 'http://localhost:8080/';
+
+        assert.equal(scraper.buildSearchUrl('node'), 'http://localhost:8080/node-jobs?k=node');
+    });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SELECTORS, getSelectors } = require('../../src/scraper/selectors');
+
+describe('getSelectors', () => {
+    it('replaces overridden fields and records them', () => {
+        const selectors = getSelectors({ version: 3, jobDetails: { keySkills: ['.skills a'] } });
+
+        assert.deepEqual(selectors.jobDetails.keySkills, ['.skills a']);
+        assert.deepEqual(selectors.jobDetails.description, DEFAULT_SELECTORS.jobDetails.description);
+        assert.deepEqual(selectors.overrides, ['jobDetails.keySkills']);
+        assert.equal(selectors.customVersion, 3);
+    });
+
+    it('ignores fields named after Object properties', () => {
+        const selectors = getSelectors({ searchResults: { constructor: ['a'], toString: ['b'] } });
+
+        assert.deepEqual(selectors.overrides, []);
+        assert.equal(Object.hasOwn(selectors.searchResults, 'constructor'), false);
+    });
+});
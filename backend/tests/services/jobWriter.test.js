@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../src/models/Job');
+const JobChange = require('../../src/models/JobChange');
+const { mapBulkOutcome, saveJobs } = require('../../src/services/jobWriter');
+const { startMongo, stopMongo, clearDatabase } = require('../helpers/mongo');
+
+/**
+ * Scraped job data with the fields a new job needs
+ * @param {string} id
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function scraped(id, fields = {}) {
+    return {
+        title: `Developer ${id}`,
+        company: `Company ${id}`,
+        jobUrl: `https://www.naukri.com/job-listings-${id}`,
+        searchKeyword: 'nodejs developer',
+        ...fields
+    };
+}
+
+describe('mapBulkOutcome', () => {
+    it('maps cast failures to the operations passed in', () => {
+        const castError = new Error('Cast to Number failed for value "abc"');
+        const outcome = { mongoose: { results: [null, castError, null] }, upsertedIds: {} };
+
+        const { upserted, failures } = mapBulkOutcome(3, outcome);
+
+        assert.deepEqual([...failures], [[1, castError.message]]);
+        assert.equal(upserted.size, 0);
+    });
+
+    it('maps driver indexes past the operations dropped by casting', () => {
+        // Operation 1 failed casting, so the driver saw [0, 2, 3] as [0, 1, 2]
+        const outcome = {
+            mongoose: { results: [null, new Error('cast'), null, null] },
+            writeErrors: [{ index: 1, errmsg: 'E11000 duplicate key' }],
+            upsertedIds: { 0: 'a', 2: 'b' }
+        };
+
+        const { upserted, failures } = mapBulkOutcome(4, outcome);
+
+        assert.deepEqual([...failures.keys()].sort(), [1, 2]);
+        assert.equal(failures.get(2), 'E11000 duplicate key');
+        assert.deepEqual([...upserted].sort(), [0, 3]);
+    });
+
+    it('reads the message of write errors without errmsg', () => {
+        const outcome = { writeErrors: [{ index: 0, message: 'Document failed validation' }], upsertedIds: {} };
+
+        const { failures } = mapBulkOutcome(1, outcome);
+
+        assert.equal(failures.get(0), 'Document failed validation');
+    });
+});
+
+describe('saveJobs', () => {
+    let unavailable = null;
+
+    before(async () => {
+        unavailable = await startMongo();
+        if (!unavailable) await Job.init();
+    });
+
+    after(async () => {
+        if (!unavailable) await stopMongo();
+    });
+
+    beforeEach(async () => {
+        if (!unavailable) await clearDatabase();
+    });
+
+    it('counts new jobs as inserted', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const summary = await saveJobs([scraped('1'), scraped('2')], { searchKeyword: 'nodejs developer' });
+
+        assert.equal(summary.inserted, 2);
+        assert.equal(summary.updated + summary.unchanged + summary.failed + summary.repeated, 0);
+        const job = await Job.findOne({ jobUrl: scraped('1').jobUrl }).lean();
+        assert.deepEqual(job.searchKeywords, ['nodejs developer']);
+        assert.deepEqual(job.profiles, ['default']);
+    });
+
+    it('counts changed jobs as updated and records their changes', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await saveJobs([scraped('1'), scraped('2')]);
+
+        const summary = await saveJobs([scraped('1', { title: 'Senior Developer 1' }), scraped('2')], { searchKeyword: 'nodejs developer' });
+
+        assert.equal(summary.updated, 1);
+        assert.equal(summary.unchanged, 1);
+        assert.equal(summary.inserted, 0);
+        const changes = await JobChange.find({ jobUrl: scraped('1').jobUrl }).lean();
+        assert.equal(changes.length, 1);
+        assert.deepEqual(changes[0].changes.map(change => change.field), ['title']);
+    });
+
+    it('counts jobs seen again without changes as unchanged', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await saveJobs([scraped('1')]);
+
+        const summary = await saveJobs([scraped('1')]);
+
+        assert.deepEqual(
+            { inserted: summary.inserted, updated: summary.updated, unchanged: summary.unchanged },
+            { inserted: 0, updated: 0, unchanged: 1 }
+        );
+    });
+
+    it('saves a jobUrl repeated within the scrape once', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const summary = await saveJobs([scraped('1'), scraped('1', { title: 'Last wins' }), scraped('2')]);
+
+        assert.equal(summary.repeated, 1);
+        assert.equal(summary.inserted, 2);
+        assert.equal((await Job.findOne({ jobUrl: scraped('1').jobUrl }).lean()).title, 'Last wins');
+    });
+
+    it('reports invalid jobs as failed without failing the rest', async t => {
+        if (unavailable) return t.skip(unavailable);
+
+        const summary = await saveJobs([scraped('1', { company: '' }), scraped('2'), { title: 'No URL' }]);
+
+        assert.equal(summary.failed, 2);
+        assert.equal(summary.inserted, 1);
+        assert.deepEqual(summary.errors.map(error => error.jobUrl), [null, scraped('1').jobUrl]);
+    });
+
+    it('reports a cast error against the job that caused it', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await saveJobs([scraped('1'), scraped('2'), scraped('3')]);
+
+        const summary = await saveJobs([
+            scraped('1', { title: 'Changed 1' }),
+            scraped('2', { salaryMin: 'not a number' }),
+            scraped('3', { title: 'Changed 3' })
+        ]);
+
+        assert.equal(summary.failed, 1);
+        assert.equal(summary.errors[0].jobUrl, scraped('2').jobUrl);
+        assert.equal(summary.updated, 2);
+        assert.equal((await Job.findOne({ jobUrl: scraped('3').jobUrl }).lean()).title, 'Changed 3');
+    });
+
+    it('keeps the keywords and profiles of a job inserted by another writer after the lookup', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await Job.create({ ...scraped('1'), searchKeywords: ['react developer'], profiles: ['frontend'] });
+
+        // The lookup misses the job, as if the other writer inserted it just after
+        const find = Job.find;
+        Job.find = function () {
+            Job.find = find;
+            return find.call(this, { _id: null });
+        };
+        const summary = await saveJobs([scraped('1')], { searchKeyword: 'nodejs developer' });
+
+        assert.equal(summary.failed, 0);
+        const job = await Job.findOne({ jobUrl: scraped('1').jobUrl }).lean();
+        assert.deepEqual(job.searchKeywords.sort(), ['nodejs developer', 'react developer']);
+        assert.deepEqual(job.profiles.sort(), ['default', 'frontend']);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ScrapeRun = require('../../src/models/ScrapeRun');
+const RunRecorder = require('../../src/services/runRecorder');
+const { startMongo, stopMongo, clearDatabase } = require('../helpers/mongo');
+
+/**
+ * Recorder over an unsaved run, for events that do not need the database
+ * @param {string[]} keywords
+ * @returns {RunRecorder}
+ */
+function memoryRecorder(keywords) {
+    const recorder = new RunRecorder(new ScrapeRun({
+        trigger: 'cli',
+        keywords,
+        keywordStats: keywords.map(keyword => ({ keyword }))
+    }));
+    clearInterval(recorder.heartbeat);
+    recorder.save = async () => {};
+    return recorder;
+}
+
+describe('RunRecorder keyword results', () => {
+    it('leaves a keyword that stopped early for a resume, from its checkpoint', async () => {
+        const recorder = memoryRecorder(['nodejs', 'react']);
+
+        await recorder.handle({ type: 'checkpoint', keyword: 'nodejs', pagesDone: 2, jobUrls: ['a'], results: { found: 20 } });
+        await recorder.handle({ type: 'keyword-complete', keyword: 'nodejs', results: { found: 20, incomplete: 'Stopped at page 3: timeout' } });
+        await recorder.handle({ type: 'checkpoint', keyword: 'react', pagesDone: 1, jobUrls: ['b'], results: { found: 10 } });
+        await recorder.handle({ type: 'keyword-complete', keyword: 'react', results: { found: 10 } });
+
+        assert.deepEqual(recorder.pendingKeywords, ['nodejs']);
+        assert.deepEqual(recorder.checkpointFor('nodejs'), { pagesDone: 2, jobUrls: ['a'], results: { found: 20 } });
+        assert.equal(recorder.checkpointFor('react'), null);
+        assert.equal(recorder.run.keywordStats[0].status, 'failed');
+    });
+
+    it('counts a resumed keyword once in the totals', async () => {
+        const recorder = memoryRecorder(['nodejs']);
+
+        await recorder.handle({ type: 'keyword-complete', keyword: 'nodejs', results: { found: 20, incomplete: 'Stopped at page 3' } });
+        await recorder.handle({ type: 'keyword-complete', keyword: 'nodejs', results: { found: 35 } });
+
+        assert.equal(recorder.run.totals.found, 35);
+        assert.equal(recorder.run.keywordStats[0].found, 35);
+    });
+});
+
+describe('RunRecorder.resume', () => {
+    let unavailable = null;
+
+    before(async () => {
+        unavailable = await startMongo();
+    });
+
+    after(async () => {
+        if (!unavailable) await stopMongo();
+    });
+
+    beforeEach(async () => {
+        if (!unavailable) await clearDatabase();
+    });
+
+    /**
+     * Store a run of the default profile with one unfinished keyword
+     * @param {Object} fields
+     * @returns {Promise<Object>}
+     */
+    function storeRun(fields) {
+        return ScrapeRun.create({
+            trigger: 'cli',
+            mode: 'config',
+            keywords: ['nodejs'],
+            keywordStats: [{ keyword: 'nodejs', status: 'pending' }],
+            ...fields
+        });
+    }
+
+    it('refuses a run another process is still running', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await storeRun({ status: 'running', heartbeatAt: new Date() });
+
+        await assert.rejects(RunRecorder.resume({ mode: 'config', profile: 'default' }), { code: 'RUN_IN_PROGRESS' });
+    });
+
+    it('resumes a running run whose process stopped refreshing it', async t => {
+        if (unavailable) return t.skip(unavailable);
+        const stored = await storeRun({ status: 'running', heartbeatAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+        const recorder = await RunRecorder.resume({ mode: 'config', profile: 'default' });
+        clearInterval(recorder.heartbeat);
+
+        assert.equal(recorder.id, stored.id);
+        assert.equal(recorder.run.resumedAt.length, 1);
+        assert.ok(recorder.run.heartbeatAt > stored.heartbeatAt);
+    });
+
+    it('resumes a failed run', async t => {
+        if (unavailable) return t.skip(unavailable);
+        await storeRun({ status: 'failed', finishedAt: new Date() });
+
+        const recorder = await RunRecorder.resume({ mode: 'config', profile: 'default' });
+        clearInterval(recorder.heartbeat);
+
+        assert.equal(recorder.run.status, 'running');
+        assert.deepEqual(recorder.pendingKeywords, ['nodejs']);
+    });
+});
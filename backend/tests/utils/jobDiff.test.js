@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeScraped } = require('../../src/utils/jobDiff');
+const { parseJobSalary } = require('../../src/utils/salaryParser');
+const { parseJobExperience } = require('../../src/utils/experienceParser');
+
+// A job stored by an earlier scrape with closed salary and experience ranges
+const STORED = {
+    title: 'Node.js Developer',
+    salary: '12-18 Lacs PA',
+    salaryMin: 12,
+    salaryMax: 18,
+    salaryDisclosed: true,
+    experience: '2-5 Yrs',
+    experienceMin: 2,
+    experienceMax: 5,
+    description: 'Build REST APIs',
+    application: { status: 'applied' }
+};
+
+/**
+ * Scraped job data with its salary and experience parsed, as the scraper produces it
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function scraped(fields) {
+    const job = { title: STORED.title, salary: STORED.salary, experience: STORED.experience, ...fields };
+    return { ...job, ...parseJobSalary(job), ...parseJobExperience(job) };
+}
+
+describe('mergeScraped', () => {
+    it('writes every field of a new job', () => {
+        const { update, changes } = mergeScraped(null, scraped({ description: '' }));
+
+        assert.equal(update.description, '');
+        assert.deepEqual(changes, []);
+    });
+
+    it('keeps stored values over empty scraped ones and never writes user fields', () => {
+        const { update } = mergeScraped(STORED, { ...scraped({ description: 'Not specified' }), application: null });
+
+        assert.equal('description' in update, false);
+        assert.equal('application' in update, false);
+    });
+
+    it('clears the old salaryMax when the salary becomes open-ended', () => {
+        const { update, changes } = mergeScraped(STORED, scraped({ salary: '15+ Lacs PA' }));
+
+        assert.deepEqual([update.salaryMin, update.salaryMax, update.salaryDisclosed], [15, null, true]);
+        assert.deepEqual(changes.find(change => change.field === 'salaryMax'), { field: 'salaryMax', from: 18, to: null });
+    });
+
+    it('clears the old salary bounds when the salary is no longer disclosed', () => {
+        const { update } = mergeScraped(STORED, scraped({ salary: 'Not disclosed' }));
+
+        assert.deepEqual([update.salaryMin, update.salaryMax, update.salaryDisclosed], [null, null, false]);
+    });
+
+    it('clears the old experienceMax when the experience becomes open-ended', () => {
+        const { update } = mergeScraped(STORED, scraped({ experience: '5+ years' }));
+
+        assert.deepEqual([update.experienceMin, update.experienceMax], [5, null]);
+    });
+
+    it('keeps the stored bounds when the source text was not collected', () => {
+        const { update } = mergeScraped(STORED, scraped({ salary: '', experience: 'Not specified' }));
+
+        for (const field of ['salary', 'salaryMin', 'salaryMax', 'salaryDisclosed', 'experience', 'experienceMin', 'experienceMax']) {
+            assert.equal(field in update, false, field);
+        }
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildJobQuery } = require('../../src/utils/jobQuery');
+
+/**
+ * Assert that a job query is rejected with a 400-style INVALID_QUERY error
+ * @param {Object} params
+ * @param {RegExp} [message]
+ */
+function assertInvalid(params, message) {
+    assert.throws(() => buildJobQuery(params), error => {
+        assert.equal(error.code, 'INVALID_QUERY');
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+describe('buildJobQuery text parameters', () => {
+    it('escapes literal input', () => {
+        const { filter } = buildJobQuery({ company: 'c++ (india)', includeHidden: 'true', includeExpired: 'true' });
+        assert.ok(filter.company.test('C++ (India) Pvt'));
+    });
+
+    it('rejects parameters Express parsed into arrays', () => {
+        for (const field of ['q', 'keyword', 'search', 'company', 'location', 'industry', 'profile', 'match', 'sortBy', 'order', 'skillsMode']) {
+            assertInvalid({ [field]: ['a', 'b'] }, new RegExp(`Invalid ${field}`));
+        }
+    });
+
+    it('rejects parameters Express parsed into objects', () => {
+        assertInvalid({ q: { x: '1' } }, /Invalid q/);
+        assertInvalid({ keyword: { $ne: '' } }, /Invalid keyword/);
+        assertInvalid({ company: { $regex: '.*' } }, /Invalid company/);
+    });
+
+    it('rejects bad regex patterns', () => {
+        assertInvalid({ match: 'regex', search: '(' }, /Invalid search pattern/);
+        assertInvalid({ match: 'regex', company: '(a|aa)+' }, /repeated group/);
+    });
+});
+
+describe('buildJobQuery sortBy', () => {
+    it('accepts every sort order', () => {
+        for (const sortBy of ['createdAt', 'scrapedAt', 'salary', 'postedAt', 'matchScore']) {
+            const { sort } = buildJobQuery({ sortBy, order: 'asc' });
+            assert.equal(typeof sort, 'object');
+        }
+        assert.deepEqual(buildJobQuery({ sortBy: 'createdAt', order: 'asc' }).sort, { createdAt: 1 });
+    });
+
+    it('sorts by relevance only with full-text search', () => {
+        assert.deepEqual(buildJobQuery({ sortBy: 'relevance' }).sort, { createdAt: -1 });
+        assert.deepEqual(buildJobQuery({ q: 'node' }).sort, { score: { $meta: 'textScore' }, createdAt: -1 });
+    });
+
+    it('rejects names inherited from Object.prototype', () => {
+        for (const sortBy of ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'valueOf']) {
+            assertInvalid({ sortBy }, /Invalid sortBy/);
+        }
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeRegex, findUnsafeConstruct, buildMatcher } = require('../../src/utils/regex');
+
+/**
+ * Assert that building a matcher fails with a 400-style INVALID_QUERY error
+ * @param {Function} build
+ * @param {RegExp} [message]
+ */
+function assertInvalid(build, message) {
+    assert.throws(build, error => {
+        assert.equal(error.code, 'INVALID_QUERY');
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+describe('escapeRegex', () => {
+    it('escapes every regex metacharacter', () => {
+        const input = '.*+?^${}()|[]\\';
+        assert.ok(new RegExp(`^${escapeRegex(input)}$`).test(input));
+    });
+});
+
+describe('buildMatcher in literal mode', () => {
+    it('matches input with metacharacters as plain text', () => {
+        assert.ok(buildMatcher('c++').test('Senior C++ Developer'));
+        assert.ok(!buildMatcher('c++').test('ccc'));
+        assert.ok(buildMatcher('(').test('Java (Spring)'));
+        assert.ok(buildMatcher('[').test('a [b'));
+        assert.ok(buildMatcher('.net').test('ASP.NET'));
+        assert.ok(!buildMatcher('.net').test('Xnet'));
+    });
+
+    it('matches the whole value when asked', () => {
+        const matcher = buildMatcher('node.js', 'literal', { whole: true });
+        assert.ok(matcher.test('Node.js'));
+        assert.ok(!matcher.test('node.js developer'));
+    });
+
+    it('treats pathological regex input as text', () => {
+        const matcher = buildMatcher('(a+)+$');
+        assert.ok(matcher.test('x(a+)+$'));
+        assert.ok(!matcher.test('aaaaaaaaaaaaaaaaaaaaaaaaaaaa!'));
+    });
+});
+
+describe('buildMatcher in prefix mode', () => {
+    it('anchors escaped input at the start', () => {
+        const matcher = buildMatcher('c++', 'prefix');
+        assert.ok(matcher.test('C++ Developer'));
+        assert.ok(!matcher.test('Senior C++'));
+    });
+});
+
+describe('buildMatcher in regex mode', () => {
+    it('accepts ordinary patterns', () => {
+        assert.ok(buildMatcher('^react.*developer$', 'regex').test('React Native Developer'));
+        assert.ok(buildMatcher('node(js)?', 'regex').test('NodeJS'));
+        assert.ok(buildMatcher('(?:node|react)\\s+developer', 'regex').test('react developer'));
+        assert.ok(buildMatcher('senior.*react.*dev', 'regex').test('Senior React Dev'));
+        assert.ok(buildMatcher('[*+](a)+', 'regex').test('+aaa'));
+    });
+
+    it('rejects patterns that do not compile', () => {
+        assertInvalid(() => buildMatcher('(', 'regex', { field: 'search' }), /Invalid search pattern/);
+        assertInvalid(() => buildMatcher('[a-', 'regex'));
+        assertInvalid(() => buildMatcher('a{2,1}', 'regex'));
+    });
+
+    it('rejects patterns longer than 100 characters', () => {
+        assertInvalid(() => buildMatcher('a'.repeat(101), 'regex'), /too long/);
+    });
+
+    it('rejects nested quantifiers', () => {
+        for (const pattern of ['(a+)+', '(\\w*)*', '(a+){2,}', '((ab)*c)+', '(a?){2,}', '(.*a){3}']) {
+            assertInvalid(() => buildMatcher(pattern, 'regex'), /repeated group/);
+        }
+    });
+
+    it('rejects alternation inside a repeated group', () => {
+        for (const pattern of ['(a|aa)+', '(a|aa){2,}', '(?:a|b)*', '(x|x)*y', '(?<word>a|ab)+']) {
+            assertInvalid(() => buildMatcher(pattern, 'regex'), /repeated group/);
+        }
+    });
+
+    it('rejects more than two unbounded quantifiers', () => {
+        for (const pattern of ['.*.*.*.*.*.*=', 'a.*b.*c.*d', '\\d+\\d+\\d+', 'a{1,}b{2,}c+']) {
+            assertInvalid(() => buildMatcher(pattern, 'regex'), /unbounded quantifiers/);
+        }
+    });
+
+    it('rejects backreferences', () => {
+        assertInvalid(() => buildMatcher('(a)\\1', 'regex'), /backreferences/);
+        assertInvalid(() => buildMatcher('(?<x>a)\\k<x>', 'regex'), /backreferences/);
+    });
+
+    it('does not mistake quantifier characters in classes or escapes for quantifiers', () => {
+        assert.equal(findUnsafeConstruct('[(]a|b[)]+'), null);
+        assert.equal(findUnsafeConstruct('c\\+\\+'), null);
+        assert.equal(findUnsafeConstruct('(c\\+)+'), null);
+        assert.equal(findUnsafeConstruct('[+*]{2}(ab)+'), null);
+    });
+
+    it('rejects unknown match modes', () => {
+        assertInvalid(() => buildMatcher('a', 'glob'), /Invalid match mode/);
+    });
+});
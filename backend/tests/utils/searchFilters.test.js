@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSearchParams, describeSearchFilters } = require('../../src/utils/searchFilters');
+
+describe('buildSearchParams', () => {
+    it('adds nothing without filters', () => {
+        assert.deepEqual(buildSearchParams(), []);
+        assert.deepEqual(buildSearchParams({ sortBy: 'relevance', freshnessDays: null }), []);
+    });
+
+    it('maps each filter to its Naukri parameter', () => {
+        assert.deepEqual(buildSearchParams({ locations: ['Pune', 'Mumbai'] }), [['l', 'Pune, Mumbai']]);
+        assert.deepEqual(buildSearchParams({ workModes: ['office', 'remote', 'hybrid'] }), [['wfhType', '0'], ['wfhType', '2'], ['wfhType', '3']]);
+        assert.deepEqual(buildSearchParams({ freshnessDays: 7 }), [['jobAge', '7']]);
+        assert.deepEqual(buildSearchParams({ salaryBands: ['3-6', '75-100'] }), [['ctcFilter', '3to6'], ['ctcFilter', '75to100']]);
+        assert.deepEqual(
+            buildSearchParams({ companyTypes: ['foreign-mnc', 'indian-mnc', 'corporate', 'startup', 'others'] }),
+            [['qbusinessSize', '213'], ['qbusinessSize', '211'], ['qbusinessSize', '62'], ['qbusinessSize', '217'], ['qbusinessSize', '212']]
+        );
+        assert.deepEqual(buildSearchParams({ sortBy: 'date' }), [['sort', '1']]);
+    });
+
+    it('orders combined filters the same way every time', () => {
+        const params = buildSearchParams({
+            sortBy: 'date',
+            companyTypes: ['startup'],
+            salaryBands: ['10-15'],
+            freshnessDays: 3,
+            workModes: ['remote'],
+            locations: ['Bengaluru']
+        });
+
+        assert.deepEqual(params, [
+            ['l', 'Bengaluru'],
+            ['wfhType', '2'],
+            ['jobAge', '3'],
+            ['ctcFilter', '10to15'],
+            ['qbusinessSize', '217'],
+            ['sort', '1']
+        ]);
+    });
+
+    it('leaves out values Naukri does not accept', () => {
+        const params = buildSearchParams({
+            workModes: ['remote', 'moon'],
+            freshnessDays: 5,
+            salaryBands: ['1-2', '6-10'],
+            companyTypes: ['mnc', 'constructor', 'startup'],
+            sortBy: 'toString'
+        });
+
+        assert.deepEqual(params, [['wfhType', '2'], ['ctcFilter', '6to10'], ['qbusinessSize', '217']]);
+        assert.ok(params.every(([, value]) => value !== undefined));
+    });
+});
+
+describe('describeSearchFilters', () => {
+    it('lists the active filters', () => {
+        const label = describeSearchFilters({ locations: ['Pune'], workModes: ['remote'], freshnessDays: 1, sortBy: 'date' });
+
+        assert.equal(label, 'Pune · remote · last 1 day · sorted by date');
+    });
+
+    it('is empty without filters', () => {
+        assert.equal(describeSearchFilters(), '');
+    });
+});
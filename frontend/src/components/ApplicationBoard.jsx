@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from 'react'
+import { HiOutlineCalendar } from 'react-icons/hi'
+import { fetchJobBoard, updateApplication } from '../services/api'
+import { getStatusInfo } from '../utils/application'
+import { formatSalary } from '../utils/format'
+import Loader from './Loader'
+
+// Kanban view of jobs by application status; drag a card to another column to move it
+export default function ApplicationBoard({ filters, onOpen }) {
+    const [columns, setColumns] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [dragOver, setDragOver] = useState(null)
+    const [error, setError] = useState(null)
+
+    const loadBoard = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const res = await fetchJobBoard(filters)
+            setColumns(res.data || [])
+        } catch (err) {
+            console.error('Failed to load board:', err)
+            setColumns([])
+        } finally {
+            setIsLoading(false)
+        }
+    }, [filters])
+
+    useEffect(() => {
+        loadBoard()
+    }, [loadBoard])
+
+    const moveJob = async (jobId, from, to) => {
+        if (from === to) return
+        const job = columns.find(c => c.status === from)?.jobs.find(j => j._id === jobId)
+        if (!job) return
+
+        // Move the card right away, then persist
+        setError(null)
+        setColumns(prev => prev.map(column => {
+            if (column.status === from) {
+                return { ...column, count: column.count - 1, jobs: column.jobs.filter(j => j._id !== jobId) }
+            }
+            if (column.status === to) {
+                return { ...column, count: column.count + 1, jobs: [job, ...column.jobs] }
+            }
+            return column
+        }))
+
+        try {
+            await updateApplication(jobId, { status: to })
+        } catch (err) {
+            setError(`Could not move "${job.title}": ${err.message}`)
+            loadBoard()
+        }
+    }
+
+    if (isLoading) {
+        return <Loader message="Loading board..." />
+    }
+
+    return (
+        <>
+            {error && <p className="form-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</p>}
+            <div className="board">
+                {columns.map(column => {
+                    const info = getStatusInfo(column.status)
+                    return (
+                        <div
+                            key={column.status}
+                            className={`board-column ${dragOver === column.status ? 'drag-over' : ''}`}
+                            onDragOver={(e) => {
+                                e.preventDefault()
+                                setDragOver(column.status)
+                            }}
+                            onDragLeave={() => setDragOver(null)}
+                            onDrop={(e) => {
+                                e.preventDefault()
+                                setDragOver(null)
+                                const { jobId, from } = JSON.parse(e.dataTransfer.getData('application/json'))
+                                moveJob(jobId, from, column.status)
+                            }}
+                        >
+                            <div className="board-column-header">
+                                <span className={`tag ${info.color}`}>{info.label}</span>
+                                <span className="board-column-count">{column.count}</span>
+                            </div>
+                            {column.jobs.map(job => (
+                                <div
+                                    key={job._id}
+                                    className="board-card"
+                                    draggable
+                                    onDragStart={(e) => e.dataTransfer.setData(
+                                        'application/json',
+                                        JSON.stringify({ jobId: job._id, from: column.status })
+                                    )}
+                                    onClick={() => onOpen(job._id)}
+                                >
+                                    <span className="table-job-title">{job.title}</span>
+                                    <span className="table-company">{job.company}</span>
+                                    <span className="board-card-meta">{formatSalary(job)}</span>
+                                    {job.application?.followUpAt && (
+                                        <span className="board-card-meta">
+                                            <HiOutlineCalendar /> Follow up {new Date(job.application.followUpAt).toLocaleDateString()}
+                                        </span>
+                                    )}
+                                </div>
+                            ))}
+                            {column.count > column.jobs.length && (
+                                <p className="board-column-count">+{column.count - column.jobs.length} more</p>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+        </>
+    )
+}
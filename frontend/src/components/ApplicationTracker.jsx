@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { HiOutlineClipboardCheck } from 'react-icons/hi'
+import { updateApplication } from '../services/api'
+import { APPLICATION_STATUSES, getStatusInfo } from '../utils/application'
+import { timeAgo } from '../utils/time'
+
+// Date input value (YYYY-MM-DD) for a stored date
+function toDateInput(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : ''
+}
+
+// Merge status changes and notes into one newest-first timeline
+function buildTimeline(application) {
+    const changes = (application.history || []).map((change, i) => ({
+        key: `change-${i}`,
+        at: change.changedAt,
+        text: `${getStatusInfo(change.from).label} → ${getStatusInfo(change.to).label}`,
+        note: change.note,
+        color: getStatusInfo(change.to).color
+    }))
+    // Notes attached to a status change are already shown with it
+    const attached = new Set(changes.map(c => `${c.at}|${c.note}`))
+    const notes = (application.notes || [])
+        .filter(note => !attached.has(`${note.createdAt}|${note.text}`))
+        .map(note => ({ key: note._id, at: note.createdAt, text: 'Note', note: note.text, color: 'info' }))
+
+    return [...changes, ...notes].sort((a, b) => new Date(b.at) - new Date(a.at))
+}
+
+export default function ApplicationTracker({ jobId, application, onChange }) {
+    const current = application || { status: 'new', followUpAt: null, notes: [], history: [] }
+    const [note, setNote] = useState('')
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+
+    const save = async (changes) => {
+        setIsSaving(true)
+        setError(null)
+        try {
+            const res = await updateApplication(jobId, changes)
+            onChange(res.data)
+            return true
+        } catch (err) {
+            setError(Object.values(err.errors || {})[0] || err.message)
+            return false
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const addNote = async () => {
+        if (await save({ note })) setNote('')
+    }
+
+    const timeline = buildTimeline(current)
+
+    return (
+        <div className="card">
+            <h3 className="card-title" style={{ marginBottom: 'var(--space-4)' }}>
+                <HiOutlineClipboardCheck style={{ verticalAlign: 'middle', marginRight: '6px' }} />Application
+            </h3>
+
+            <div className="form-group">
+                <label className="form-label">Status</label>
+                <select
+                    className="form-select"
+                    value={current.status}
+                    disabled={isSaving}
+                    onChange={(e) => save({ status: e.target.value, note: note || undefined }).then(ok => ok && setNote(''))}
+                >
+                    {APPLICATION_STATUSES.map(status => (
+                        <option key={status.value} value={status.value}>{status.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">Follow up on</label>
+                <input
+                    type="date"
+                    className="form-input"
+                    value={toDateInput(current.followUpAt)}
+                    disabled={isSaving}
+                    onChange={(e) => save({ followUpAt: e.target.value || null })}
+                />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">Note</label>
+                <textarea
+                    className="form-textarea"
+                    rows={3}
+                    placeholder="Recruiter contact, interview feedback..."
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                />
+                <button
+                    className="btn btn-ghost"
+                    style={{ marginTop: 'var(--space-2)' }}
+                    disabled={isSaving || !note.trim()}
+                    onClick={addNote}
+                >
+                    Add note
+                </button>
+                {error && <p className="form-error">{error}</p>}
+            </div>
+
+            {timeline.length > 0 && (
+                <div className="activity-feed">
+                    {timeline.map(item => (
+                        <div key={item.key} className="activity-item">
+                            <div className={`activity-dot ${item.color}`}></div>
+                            <div className="activity-content">
+                                <h4>{item.text}</h4>
+                                {item.note && <p style={{ color: 'var(--text-secondary)' }}>{item.note}</p>}
+                                <p>{timeAgo(item.at)}</p>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
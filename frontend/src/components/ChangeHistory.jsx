@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react'
+import { fetchJobHistory } from '../services/api'
+import { timeAgo } from '../utils/time'
+
+const FIELD_LABELS = {
+    title: 'Title',
+    company: 'Company',
+    location: 'Location',
+    experience: 'Experience',
+    salary: 'Salary',
+    salaryOffered: 'Salary offered',
+    salaryMin: 'Min salary (LPA)',
+    salaryMax: 'Max salary (LPA)',
+    skills: 'Skills',
+    keySkills: 'Key skills',
+    description: 'Description',
+    fullDescription: 'Full description',
+    industryTypes: 'Industry',
+    totalVacancy: 'Vacancies'
+}
+
+// Long text changes are summarised instead of shown in full
+const LONG_TEXT = 80
+
+// Describe one field change, e.g. "Salary: 5-8 Lacs → 6-9 Lacs" or "Key skills: +Docker −Jenkins"
+function describeChange({ field, from, to }) {
+    const label = FIELD_LABELS[field] || field
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+        const before = from || []
+        const after = to || []
+        const added = after.filter(item => !before.includes(item)).map(item => `+${item}`)
+        const removed = before.filter(item => !after.includes(item)).map(item => `−${item}`)
+        return `${label}: ${[...added, ...removed].join(' ') || 'reordered'}`
+    }
+
+    if (String(from ?? '').length > LONG_TEXT || String(to ?? '').length > LONG_TEXT) {
+        return `${label} updated`
+    }
+
+    return `${label}: ${from ?? '—'} → ${to ?? '—'}`
+}
+
+export default function ChangeHistory({ jobId }) {
+    const [history, setHistory] = useState([])
+
+    useEffect(() => {
+        fetchJobHistory(jobId)
+            .then(res => setHistory(res.data || []))
+            .catch(err => console.error('Failed to load job history:', err))
+    }, [jobId])
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <div className="job-detail-section" style={{ marginBottom: 0 }}>
+                <h3>Change History</h3>
+                {history.length === 0 ? (
+                    <p className="card-subtitle">No changes detected across re-scrapes.</p>
+                ) : (
+                    <div className="activity-feed">
+                        {history.map(entry => (
+                            <div key={entry._id} className="activity-item">
+                                <div className="activity-dot warning"></div>
+                                <div className="activity-content">
+                                    {entry.changes.map(change => (
+                                        <h4 key={change.field}>{describeChange(change)}</h4>
+                                    ))}
+                                    <p>{timeAgo(entry.detectedAt)} · {new Date(entry.detectedAt).toLocaleDateString()}</p>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
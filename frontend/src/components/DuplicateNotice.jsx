@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { HiOutlineDuplicate } from 'react-icons/hi'
+import { resolveDuplicate } from '../services/api'
+
+const STATUS_TEXT = {
+    probable: 'Probably a repost of',
+    merged: 'Merged into',
+    hidden: 'Hidden as a duplicate of'
+}
+
+// Duplicate links of a job: what it duplicates, and which jobs duplicate it
+export default function DuplicateNotice({ job, onChange }) {
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+    const duplicates = job.duplicates || []
+
+    if (!job.duplicateOf && job.duplicateStatus !== 'hidden' && duplicates.length === 0) return null
+
+    const act = async (action) => {
+        setIsSaving(true)
+        setError(null)
+        try {
+            const res = await resolveDuplicate(job._id, action)
+            // Keep the populated job we link to unless the link was removed
+            onChange({ ...res.data, duplicateOf: res.data.duplicateOf ? job.duplicateOf : null })
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <h3 className="card-title" style={{ marginBottom: 'var(--space-4)' }}>
+                <HiOutlineDuplicate style={{ verticalAlign: 'middle', marginRight: '6px' }} />Duplicates
+            </h3>
+
+            {job.duplicateOf && (
+                <p>
+                    {STATUS_TEXT[job.duplicateStatus]}{' '}
+                    <Link to={`/jobs/${job.duplicateOf._id}`}>{job.duplicateOf.title}</Link>
+                    {job.duplicateScore !== null && ` (${Math.round(job.duplicateScore * 100)}% similar)`}
+                </p>
+            )}
+            {!job.duplicateOf && job.duplicateStatus === 'hidden' && <p>Hidden from job lists.</p>}
+
+            <div style={{ display: 'flex', gap: 'var(--space-2)', marginTop: 'var(--space-3)' }}>
+                {job.duplicateStatus === 'probable' && (
+                    <>
+                        <button className="btn btn-primary" disabled={isSaving} onClick={() => act('merge')}>Merge</button>
+                        <button className="btn btn-ghost" disabled={isSaving} onClick={() => act('hide')}>Hide</button>
+                        <button className="btn btn-ghost" disabled={isSaving} onClick={() => act('dismiss')}>Not a duplicate</button>
+                    </>
+                )}
+                {['merged', 'hidden'].includes(job.duplicateStatus) && (
+                    <button className="btn btn-ghost" disabled={isSaving} onClick={() => act('restore')}>Restore</button>
+                )}
+            </div>
+            {error && <p className="form-error">{error}</p>}
+
+            {duplicates.length > 0 && (
+                <div style={{ marginTop: job.duplicateOf ? 'var(--space-4)' : 0 }}>
+                    <p className="card-subtitle">Also posted as:</p>
+                    <ul>
+                        {duplicates.map(duplicate => (
+                            <li key={duplicate._id}>
+                                <Link to={`/jobs/${duplicate._id}`}>{duplicate.title}</Link>
+                                {' '}<span className="tag neutral">{duplicate.duplicateStatus}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    )
+}
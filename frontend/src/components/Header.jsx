@@ -1,15 +1,18 @@
 import { useLocation } from 'react-router-dom'
-import { HiOutlineSearch, HiOutlineBell } from 'react-icons/hi'
+import { HiOutlineSearch, HiOutlineBell, HiOutlineUserGroup } from 'react-icons/hi'
+import useProfile from '../hooks/useProfile'
 
 const pageTitles = {
     '/': { title: 'Dashboard', breadcrumb: 'Overview' },
     '/jobs': { title: 'Jobs', breadcrumb: 'All Scraped Jobs' },
+    '/duplicates': { title: 'Duplicates', breadcrumb: 'Reposted Jobs' },
     '/analytics': { title: 'Analytics', breadcrumb: 'Insights & Charts' },
     '/settings': { title: 'Settings', breadcrumb: 'Configuration' },
 }
 
 export default function Header() {
     const location = useLocation()
+    const { profile, profiles, setProfile } = useProfile()
 
     // Handle job detail pages
     const isJobDetail = location.pathname.startsWith('/jobs/')
@@ -27,6 +30,21 @@ export default function Header() {
             </div>
 
             <div className="header-right">
+                {profiles.length > 1 && (
+                    <label className="header-profile" title="Search profile">
+                        <HiOutlineUserGroup className="header-profile-icon" />
+                        <select
+                            className="form-select"
+                            value={profile}
+                            onChange={e => setProfile(e.target.value)}
+                        >
+                            {profiles.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
                 <div className="header-search">
                     <HiOutlineSearch className="header-search-icon" />
                     <input type="text" placeholder="Search jobs, companies..." />
@@ -0,0 +1,47 @@
+import { scoreColor } from '../utils/format'
+
+const COMPONENT_LABELS = {
+    skills: 'Skills',
+    experience: 'Experience',
+    salary: 'Salary',
+    location: 'Location',
+    title: 'Title'
+}
+
+// What a component's score is based on, e.g. matched and missing skills
+function componentDetail(name, part) {
+    if (name === 'skills') {
+        const missing = part.missing?.length ? ` · missing must-have: ${part.missing.join(', ')}` : ''
+        return `${part.matched?.length ? part.matched.join(', ') : 'no wanted skills'}${missing}`
+    }
+    if (part.matched) return part.matched.length ? part.matched.join(', ') : 'no match'
+    return part.score === 50 ? 'not stated, neutral' : ''
+}
+
+// Match score of a job with the score and weight of each component
+export default function MatchBreakdown({ job }) {
+    if (job.matchScore === null || job.matchScore === undefined) return null
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--space-4)' }}>
+                <h3 className="card-title">Match Score</h3>
+                <span className={`tag ${scoreColor(job.matchScore)}`} style={{ fontSize: 'var(--font-md)', padding: '6px 14px' }}>
+                    {job.matchScore}/100
+                </span>
+            </div>
+            {Object.entries(job.matchBreakdown || {}).map(([name, part]) => (
+                <div key={name} style={{ marginBottom: 'var(--space-3)' }}>
+                    <div className="config-item" style={{ borderBottom: 'none', paddingBottom: 0 }}>
+                        <span className="config-item-label">{COMPONENT_LABELS[name] || name} · weight {part.weight}</span>
+                        <span className="config-item-value">{part.score}</span>
+                    </div>
+                    <div className="bar-chart-bar-wrapper" style={{ height: '6px', margin: '4px 0' }}>
+                        <div className={`bar-chart-bar ${part.score >= 75 ? 'secondary' : 'primary'}`} style={{ width: `${part.score}%`, minWidth: 0 }} />
+                    </div>
+                    <span style={{ fontSize: 'var(--font-xs)', color: 'var(--text-muted)' }}>{componentDetail(name, part)}</span>
+                </div>
+            ))}
+        </div>
+    )
+}
@@ -1,12 +1,18 @@
+import { useState, useEffect } from 'react'
 import { NavLink, useLocation } from 'react-router-dom'
 import {
     HiOutlineViewGrid,
     HiOutlineBriefcase,
+    HiOutlineDuplicate,
     HiOutlineChartBar,
     HiOutlineCog,
     HiOutlineSearch,
     HiOutlineLightningBolt
 } from 'react-icons/hi'
+import useScrapeRun from '../hooks/useScrapeRun'
+import useProfile, { DEFAULT_PROFILE } from '../hooks/useProfile'
+import { fetchRuns } from '../services/api'
+import { timeAgo } from '../utils/time'
 
 const navItems = [
     {
@@ -14,6 +20,7 @@ const navItems = [
         items: [
             { to: '/', icon: HiOutlineViewGrid, label: 'Dashboard' },
             { to: '/jobs', icon: HiOutlineBriefcase, label: 'Jobs' },
+            { to: '/duplicates', icon: HiOutlineDuplicate, label: 'Duplicates' },
             { to: '/analytics', icon: HiOutlineChartBar, label: 'Analytics' },
         ]
     },
@@ -25,8 +32,78 @@ const navItems = [
     }
 ]
 
+// Button label while a run of each mode is in progress
+const RUNNING_LABELS = {
+    verify: 'Checking...',
+    rematch: 'Rematching...'
+}
+
+function RunProgress({ run }) {
+    if (run.mode === 'verify') {
+        const { checked, total } = run.verify
+        return (
+            <div style={{ fontSize: 'var(--font-xs)', color: 'var(--text-secondary)', marginBottom: '8px', textAlign: 'left' }}>
+                <p>Checking postings {checked}/{total}</p>
+                <div className="bar-chart-bar-wrapper" style={{ height: '6px', margin: '6px 0' }}>
+                    <div className="bar-chart-bar primary" style={{ width: `${total > 0 ? Math.round((checked / total) * 100) : 0}%`, minWidth: 0 }} />
+                </div>
+                <p>{run.verify.active} active · {run.verify.expired + run.verify.removed + run.verify.closed} ended</p>
+            </div>
+        )
+    }
+
+    if (run.mode === 'rematch') {
+        const { processed, total } = run.rematch
+        return (
+            <div style={{ fontSize: 'var(--font-xs)', color: 'var(--text-secondary)', marginBottom: '8px', textAlign: 'left' }}>
+                <p>Rematching jobs {processed}/{total}</p>
+                <div className="bar-chart-bar-wrapper" style={{ height: '6px', margin: '6px 0' }}>
+                    <div className="bar-chart-bar secondary" style={{ width: `${total > 0 ? Math.round((processed / total) * 100) : 0}%`, minWidth: 0 }} />
+                </div>
+            </div>
+        )
+    }
+
+    const keywordIndex = run.keywords.findIndex(k => k.keyword === run.currentKeyword)
+    const active = run.keywords[keywordIndex]
+    const completed = run.keywords.filter(k => k.status === 'completed').length
+    const percent = run.keywords.length > 0 ? Math.round((completed / run.keywords.length) * 100) : 0
+
+    return (
+        <div style={{ fontSize: 'var(--font-xs)', color: 'var(--text-secondary)', marginBottom: '8px', textAlign: 'left' }}>
+            {active ? (
+                <p title={active.keyword}>
+                    Keyword {keywordIndex + 1}/{run.keywords.length} · page {active.pagesScraped}/{active.maxPages}
+                    {active.details && active.details.done < active.details.total && (
+                        <> · details {active.details.done}/{active.details.total}</>
+                    )}
+                </p>
+            ) : (
+                <p>Starting browser...</p>
+            )}
+            <div className="bar-chart-bar-wrapper" style={{ height: '6px', margin: '6px 0' }}>
+                <div className="bar-chart-bar primary" style={{ width: `${percent}%`, minWidth: 0 }} />
+            </div>
+            <p>
+                {run.totals.found} found · {run.totals.saved} new · {run.totals.updated} updated · {run.totals.matched} matched
+            </p>
+        </div>
+    )
+}
+
 export default function Sidebar() {
     const location = useLocation()
+    const { run, isRunning, error, start, verify } = useScrapeRun()
+    const { profile } = useProfile()
+    const [lastRun, setLastRun] = useState(null)
+
+    // Refresh the last recorded run on mount and whenever a run finishes
+    useEffect(() => {
+        if (isRunning) return
+        fetchRuns({ limit: 1 })
+            .then(res => setLastRun(res.data?.[0] || null))
+            .catch(() => setLastRun(null))
+    }, [isRunning])
 
     return (
         <aside className="sidebar">
@@ -71,11 +148,38 @@ export default function Sidebar() {
                     textAlign: 'center'
                 }}>
                     <HiOutlineSearch style={{ fontSize: '20px', color: 'var(--accent-primary)', marginBottom: '4px' }} />
-                    <p style={{ fontSize: 'var(--font-xs)', color: 'var(--text-secondary)', marginBottom: '8px' }}>
-                        Last scrape: 6h ago
-                    </p>
-                    <button className="btn btn-primary" style={{ width: '100%', justifyContent: 'center', fontSize: 'var(--font-xs)', padding: '6px 12px' }}>
-                        Run Scraper
+                    {isRunning ? (
+                        <RunProgress run={run} />
+                    ) : (
+                        <p style={{ fontSize: 'var(--font-xs)', color: 'var(--text-secondary)', marginBottom: '8px' }}>
+                            {run?.status === 'failed'
+                                ? `Last run failed: ${run.error}`
+                                : lastRun
+                                    ? `Last scrape: ${timeAgo(lastRun.finishedAt || lastRun.startedAt)} · ${lastRun.totals.found} found, ${lastRun.totals.saved} saved`
+                                    : 'No scrapes yet'}
+                        </p>
+                    )}
+                    {error && (
+                        <p style={{ fontSize: 'var(--font-xs)', color: 'var(--accent-danger)', marginBottom: '8px' }}>{error}</p>
+                    )}
+                    <button
+                        className="btn btn-primary"
+                        style={{ width: '100%', justifyContent: 'center', fontSize: 'var(--font-xs)', padding: '6px 12px' }}
+                        disabled={isRunning}
+                        onClick={() => start({ profile })}
+                    >
+                        {isRunning
+                            ? RUNNING_LABELS[run.mode] || 'Scraping...'
+                            : profile === DEFAULT_PROFILE ? 'Run Scraper' : `Run "${profile}"`}
+                    </button>
+                    <button
+                        className="btn btn-ghost"
+                        style={{ width: '100%', justifyContent: 'center', fontSize: 'var(--font-xs)', padding: '6px 12px', marginTop: '6px' }}
+                        disabled={isRunning}
+                        onClick={() => verify()}
+                        title="Revisit stored postings and mark expired ones"
+                    >
+                        Check for expired jobs
                     </button>
                 </div>
             </div>
@@ -1,633 +0,0 @@
-// Mock data matching the Job schema from the backend
-export const mockJobs = [
-    {
-        _id: '1',
-        title: 'Senior Node.js Developer',
-        company: 'TCS Digital',
-        location: 'Bangalore, Karnataka',
-        experience: '3-6 years',
-        salary: '₹12-18 LPA',
-        salaryOffered: '₹12-18 LPA',
-        skills: ['Node.js', 'Express', 'MongoDB', 'REST API'],
-        keySkills: ['Node.js', 'Express.js', 'MongoDB', 'Docker', 'AWS', 'Microservices'],
-        description: 'We are looking for an experienced Node.js developer to build scalable backend services.',
-        fullDescription: 'We are looking for an experienced Node.js developer to build scalable backend services and APIs.\n\nResponsibilities:\n• Design and implement RESTful APIs using Node.js and Express\n• Build efficient, testable, and reusable modules\n• Collaborate with front-end developers on integration\n• Optimize applications for maximum speed and scalability\n• Implement security and data protection best practices\n\nRequirements:\n• Strong proficiency in Node.js\n• Experience with Express.js framework\n• Understanding of MongoDB and Mongoose ODM\n• Familiarity with Docker and CI/CD pipelines\n• Experience with AWS services (EC2, S3, Lambda)',
-        jobUrl: 'https://www.naukri.com/job-listings-senior-nodejs-developer-tcs-bangalore-1',
-        postedDate: '2 days ago',
-        jobPostedAt: '2026-03-06',
-        industryTypes: ['IT Services', 'Consulting'],
-        totalVacancy: '5',
-        matchedSkills: ['Node.js', 'MongoDB', 'Express'],
-        experienceFilter: '3-6',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-06T10:30:00Z'
-    },
-    {
-        _id: '2',
-        title: 'React Frontend Developer',
-        company: 'Infosys',
-        location: 'Hyderabad, Telangana',
-        experience: '2-5 years',
-        salary: '₹10-16 LPA',
-        salaryOffered: '₹10-16 LPA',
-        skills: ['React', 'JavaScript', 'Redux', 'CSS'],
-        keySkills: ['React.js', 'Redux', 'TypeScript', 'Webpack', 'Jest', 'HTML5/CSS3'],
-        description: 'Join our team to build modern web applications using React.',
-        fullDescription: 'Join our team to build modern web applications using React.\n\nAs a React Frontend Developer, you will be responsible for developing high-quality web applications, collaborating with UX/UI designers, and working closely with the backend team to create seamless user experiences.\n\nKey Responsibilities:\n• Develop responsive and performant web applications using React\n• Implement state management using Redux or Context API\n• Write unit and integration tests using Jest and React Testing Library\n• Participate in code reviews and contribute to coding standards\n• Optimize application performance and loading times',
-        jobUrl: 'https://www.naukri.com/job-listings-react-frontend-developer-infosys-hyderabad-2',
-        postedDate: '1 day ago',
-        jobPostedAt: '2026-03-07',
-        industryTypes: ['IT Services', 'Software Product'],
-        totalVacancy: '3',
-        matchedSkills: ['React', 'JavaScript'],
-        experienceFilter: '2-5',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-07T08:15:00Z'
-    },
-    {
-        _id: '3',
-        title: 'MERN Stack Developer',
-        company: 'Wipro',
-        location: 'Pune, Maharashtra',
-        experience: '3-7 years',
-        salary: '₹14-22 LPA',
-        salaryOffered: '₹14-22 LPA',
-        skills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        keySkills: ['MongoDB', 'Express.js', 'React.js', 'Node.js', 'Git', 'Agile'],
-        description: 'Looking for a full-stack MERN developer for enterprise projects.',
-        fullDescription: 'Looking for a full-stack MERN developer for enterprise projects.\n\nWe need a talented MERN Stack Developer to help build and maintain our suite of web applications. You will work across the entire stack, from database design to frontend implementation.\n\nRequirements:\n• Proficiency in MongoDB, Express.js, React.js, and Node.js\n• Experience with RESTful APIs and WebSocket\n• Knowledge of Git version control\n• Understanding of Agile methodologies\n• Strong problem-solving skills',
-        jobUrl: 'https://www.naukri.com/job-listings-mern-stack-developer-wipro-pune-3',
-        postedDate: '3 days ago',
-        jobPostedAt: '2026-03-05',
-        industryTypes: ['IT Services'],
-        totalVacancy: '8',
-        matchedSkills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        experienceFilter: '3-7',
-        searchKeyword: 'mern stack developer',
-        scrapedAt: '2026-03-05T14:45:00Z'
-    },
-    {
-        _id: '4',
-        title: 'Full Stack JavaScript Developer',
-        company: 'Flipkart',
-        location: 'Bangalore, Karnataka',
-        experience: '4-8 years',
-        salary: '₹20-35 LPA',
-        salaryOffered: '₹20-35 LPA',
-        skills: ['JavaScript', 'Node.js', 'React', 'PostgreSQL'],
-        keySkills: ['JavaScript', 'TypeScript', 'Node.js', 'React.js', 'PostgreSQL', 'Redis', 'Kubernetes'],
-        description: 'Build next-gen e-commerce solutions with cutting-edge tech.',
-        fullDescription: 'Build next-gen e-commerce solutions at one of India\'s leading e-commerce companies.\n\nAs a Full Stack Developer at Flipkart, you will be working on high-traffic applications that serve millions of users daily. You\'ll be part of a team that values innovation and technical excellence.\n\nWhat you\'ll do:\n• Design and implement scalable full-stack solutions\n• Work with microservices architecture\n• Optimize applications for high performance under load\n• Mentor junior developers\n• Participate in architectural decisions',
-        jobUrl: 'https://www.naukri.com/job-listings-fullstack-js-developer-flipkart-bangalore-4',
-        postedDate: '5 hours ago',
-        jobPostedAt: '2026-03-08',
-        industryTypes: ['E-commerce', 'Internet'],
-        totalVacancy: '2',
-        matchedSkills: ['JavaScript', 'Node.js', 'React'],
-        experienceFilter: '4-8',
-        searchKeyword: 'full stack developer',
-        scrapedAt: '2026-03-08T12:00:00Z'
-    },
-    {
-        _id: '5',
-        title: 'Backend Engineer - Node.js',
-        company: 'Razorpay',
-        location: 'Bangalore, Karnataka',
-        experience: '2-5 years',
-        salary: '₹18-30 LPA',
-        salaryOffered: '₹18-30 LPA',
-        skills: ['Node.js', 'TypeScript', 'PostgreSQL', 'Redis'],
-        keySkills: ['Node.js', 'TypeScript', 'PostgreSQL', 'Redis', 'RabbitMQ', 'Docker'],
-        description: 'Join a leading fintech to build payment infrastructure.',
-        fullDescription: 'Join Razorpay, India\'s leading payment gateway, and build the payment infrastructure that powers millions of businesses.\n\nResponsibilities:\n• Build and maintain payment processing services\n• Design fault-tolerant and highly available systems\n• Write clean, well-tested code\n• Work with event-driven architecture\n• Collaborate with security teams on PCI compliance',
-        jobUrl: 'https://www.naukri.com/job-listings-backend-engineer-razorpay-bangalore-5',
-        postedDate: '1 day ago',
-        jobPostedAt: '2026-03-07',
-        industryTypes: ['Fintech', 'Internet'],
-        totalVacancy: '4',
-        matchedSkills: ['Node.js', 'TypeScript'],
-        experienceFilter: '2-5',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-07T09:30:00Z'
-    },
-    {
-        _id: '6',
-        title: 'React Native Developer',
-        company: 'Swiggy',
-        location: 'Bangalore, Karnataka',
-        experience: '3-6 years',
-        salary: '₹16-28 LPA',
-        salaryOffered: '₹16-28 LPA',
-        skills: ['React Native', 'JavaScript', 'Redux', 'TypeScript'],
-        keySkills: ['React Native', 'JavaScript', 'TypeScript', 'Redux', 'Firebase', 'GraphQL'],
-        description: 'Build cross-platform mobile apps for food delivery.',
-        fullDescription: 'Build cross-platform mobile apps for Swiggy\'s food delivery platform.\n\nWe are looking for a skilled React Native developer to join our mobile team. You will be responsible for building and maintaining our consumer-facing mobile applications.',
-        jobUrl: 'https://www.naukri.com/job-listings-react-native-developer-swiggy-bangalore-6',
-        postedDate: '4 days ago',
-        jobPostedAt: '2026-03-04',
-        industryTypes: ['Food Tech', 'Internet'],
-        totalVacancy: '3',
-        matchedSkills: ['React', 'JavaScript'],
-        experienceFilter: '3-6',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-04T16:20:00Z'
-    },
-    {
-        _id: '7',
-        title: 'Software Engineer - Full Stack',
-        company: 'Google India',
-        location: 'Gurugram, Haryana',
-        experience: '3-8 years',
-        salary: 'Not disclosed',
-        salaryOffered: 'Not disclosed',
-        skills: ['JavaScript', 'Python', 'React', 'Cloud'],
-        keySkills: ['JavaScript', 'Python', 'React', 'GCP', 'Kubernetes', 'CI/CD'],
-        description: 'Work on large-scale distributed systems at Google.',
-        fullDescription: 'Work on large-scale distributed systems at Google India. Join a team that builds products used by billions of people worldwide.\n\nRequired Qualifications:\n• BS/MS in Computer Science or equivalent\n• 3+ years of professional software development experience\n• Proficiency in one or more programming languages\n• Experience with distributed systems',
-        jobUrl: 'https://www.naukri.com/job-listings-software-engineer-google-gurugram-7',
-        postedDate: '6 hours ago',
-        jobPostedAt: '2026-03-08',
-        industryTypes: ['Internet', 'Technology'],
-        totalVacancy: '10',
-        matchedSkills: ['JavaScript', 'React'],
-        experienceFilter: '3-8',
-        searchKeyword: 'full stack developer',
-        scrapedAt: '2026-03-08T11:00:00Z'
-    },
-    {
-        _id: '8',
-        title: 'Node.js API Developer',
-        company: 'Paytm',
-        location: 'Noida, UP',
-        experience: '2-4 years',
-        salary: '₹10-18 LPA',
-        salaryOffered: '₹10-18 LPA',
-        skills: ['Node.js', 'Express', 'MongoDB', 'Redis'],
-        keySkills: ['Node.js', 'Express.js', 'MongoDB', 'Redis', 'GraphQL', 'Docker'],
-        description: 'Build APIs for India\'s largest digital payment platform.',
-        fullDescription: 'Build APIs for India\'s largest digital payment platform.\n\nJoin Paytm\'s backend engineering team and work on APIs that handle millions of transactions daily.',
-        jobUrl: 'https://www.naukri.com/job-listings-nodejs-api-developer-paytm-noida-8',
-        postedDate: '2 days ago',
-        jobPostedAt: '2026-03-06',
-        industryTypes: ['Fintech', 'E-commerce'],
-        totalVacancy: '6',
-        matchedSkills: ['Node.js', 'Express', 'MongoDB'],
-        experienceFilter: '2-4',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-06T13:00:00Z'
-    },
-    {
-        _id: '9',
-        title: 'Lead React Developer',
-        company: 'PhonePe',
-        location: 'Bangalore, Karnataka',
-        experience: '5-10 years',
-        salary: '₹25-40 LPA',
-        salaryOffered: '₹25-40 LPA',
-        skills: ['React', 'TypeScript', 'Redux', 'GraphQL'],
-        keySkills: ['React.js', 'TypeScript', 'Redux', 'GraphQL', 'Next.js', 'Web Performance'],
-        description: 'Lead the frontend team at a top fintech startup.',
-        fullDescription: 'Lead the frontend team at PhonePe and drive the technical direction of our consumer-facing web applications.\n\nAs a Lead React Developer, you will:\n• Lead a team of 6-8 frontend developers\n• Define frontend architecture and best practices\n• Drive adoption of new technologies\n• Ensure code quality through reviews and mentorship\n• Collaborate with product and design teams',
-        jobUrl: 'https://www.naukri.com/job-listings-lead-react-developer-phonepe-bangalore-9',
-        postedDate: '12 hours ago',
-        jobPostedAt: '2026-03-08',
-        industryTypes: ['Fintech', 'Internet'],
-        totalVacancy: '1',
-        matchedSkills: ['React', 'TypeScript'],
-        experienceFilter: '5-10',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-08T06:00:00Z'
-    },
-    {
-        _id: '10',
-        title: 'JavaScript Developer',
-        company: 'Accenture',
-        location: 'Mumbai, Maharashtra',
-        experience: '1-3 years',
-        salary: '₹6-10 LPA',
-        salaryOffered: '₹6-10 LPA',
-        skills: ['JavaScript', 'HTML', 'CSS', 'jQuery'],
-        keySkills: ['JavaScript', 'HTML5', 'CSS3', 'jQuery', 'Bootstrap', 'Git'],
-        description: 'Work on web applications for global clients.',
-        fullDescription: 'Work on web applications for global clients at Accenture.\n\nWe are hiring JavaScript developers for our digital transformation projects. You will work with international clients across various industries.',
-        jobUrl: 'https://www.naukri.com/job-listings-javascript-developer-accenture-mumbai-10',
-        postedDate: '5 days ago',
-        jobPostedAt: '2026-03-03',
-        industryTypes: ['IT Services', 'Consulting'],
-        totalVacancy: '15',
-        matchedSkills: ['JavaScript'],
-        experienceFilter: '1-3',
-        searchKeyword: 'full stack developer',
-        scrapedAt: '2026-03-03T11:30:00Z'
-    },
-    {
-        _id: '11',
-        title: 'MERN Full Stack Engineer',
-        company: 'Zomato',
-        location: 'Gurugram, Haryana',
-        experience: '3-6 years',
-        salary: '₹18-28 LPA',
-        salaryOffered: '₹18-28 LPA',
-        skills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        keySkills: ['MongoDB', 'Express.js', 'React.js', 'Node.js', 'AWS', 'Docker'],
-        description: 'Build the tech behind India\'s favorite food platform.',
-        fullDescription: 'Build the tech behind India\'s favorite food ordering and restaurant discovery platform.\n\nAs a MERN Stack Engineer at Zomato, you will work on features that are used by millions of users across India.',
-        jobUrl: 'https://www.naukri.com/job-listings-mern-fullstack-engineer-zomato-gurugram-11',
-        postedDate: '3 days ago',
-        jobPostedAt: '2026-03-05',
-        industryTypes: ['Food Tech', 'Internet'],
-        totalVacancy: '4',
-        matchedSkills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        experienceFilter: '3-6',
-        searchKeyword: 'mern stack developer',
-        scrapedAt: '2026-03-05T10:00:00Z'
-    },
-    {
-        _id: '12',
-        title: 'Senior Software Engineer',
-        company: 'Microsoft India',
-        location: 'Hyderabad, Telangana',
-        experience: '5-10 years',
-        salary: 'Not disclosed',
-        salaryOffered: 'Not disclosed',
-        skills: ['Node.js', 'TypeScript', 'Azure', 'React'],
-        keySkills: ['Node.js', 'TypeScript', 'Azure', 'React.js', 'C#', '.NET'],
-        description: 'Work on cloud-first solutions for enterprise customers.',
-        fullDescription: 'Work on cloud-first solutions for enterprise customers at Microsoft India Development Center.\n\nJoin a world-class engineering team and build products that empower every person and organization on the planet.',
-        jobUrl: 'https://www.naukri.com/job-listings-senior-software-engineer-microsoft-hyderabad-12',
-        postedDate: '1 day ago',
-        jobPostedAt: '2026-03-07',
-        industryTypes: ['Technology', 'Cloud Computing'],
-        totalVacancy: '3',
-        matchedSkills: ['Node.js', 'TypeScript', 'React'],
-        experienceFilter: '5-10',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-07T14:00:00Z'
-    },
-    {
-        _id: '13',
-        title: 'Frontend Engineer',
-        company: 'Freshworks',
-        location: 'Chennai, Tamil Nadu',
-        experience: '2-5 years',
-        salary: '₹12-20 LPA',
-        salaryOffered: '₹12-20 LPA',
-        skills: ['React', 'Vue.js', 'JavaScript', 'CSS'],
-        keySkills: ['React.js', 'Vue.js', 'JavaScript', 'CSS3', 'Webpack', 'Testing'],
-        description: 'Build enterprise SaaS products used globally.',
-        fullDescription: 'Build enterprise SaaS products at Freshworks that are used by 60,000+ businesses globally.\n\nWe are looking for passionate frontend engineers who love crafting beautiful user interfaces.',
-        jobUrl: 'https://www.naukri.com/job-listings-frontend-engineer-freshworks-chennai-13',
-        postedDate: '4 days ago',
-        jobPostedAt: '2026-03-04',
-        industryTypes: ['SaaS', 'Software Product'],
-        totalVacancy: '5',
-        matchedSkills: ['React', 'JavaScript'],
-        experienceFilter: '2-5',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-04T09:45:00Z'
-    },
-    {
-        _id: '14',
-        title: 'Node.js Microservices Developer',
-        company: 'Ola Cabs',
-        location: 'Bangalore, Karnataka',
-        experience: '3-7 years',
-        salary: '₹16-26 LPA',
-        salaryOffered: '₹16-26 LPA',
-        skills: ['Node.js', 'Kafka', 'Redis', 'Docker'],
-        keySkills: ['Node.js', 'Kafka', 'Redis', 'Docker', 'Kubernetes', 'gRPC'],
-        description: 'Build real-time microservices for ride-hailing.',
-        fullDescription: 'Build real-time microservices for India\'s leading ride-hailing platform.\n\nAt Ola, you will work on systems that handle millions of rides daily, building fault-tolerant and low-latency services.',
-        jobUrl: 'https://www.naukri.com/job-listings-nodejs-microservices-developer-ola-bangalore-14',
-        postedDate: '2 days ago',
-        jobPostedAt: '2026-03-06',
-        industryTypes: ['Transportation', 'Internet'],
-        totalVacancy: '3',
-        matchedSkills: ['Node.js'],
-        experienceFilter: '3-7',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-06T15:30:00Z'
-    },
-    {
-        _id: '15',
-        title: 'Full Stack Developer',
-        company: 'CRED',
-        location: 'Bangalore, Karnataka',
-        experience: '2-6 years',
-        salary: '₹20-35 LPA',
-        salaryOffered: '₹20-35 LPA',
-        skills: ['React', 'Node.js', 'PostgreSQL', 'TypeScript'],
-        keySkills: ['React.js', 'Node.js', 'PostgreSQL', 'TypeScript', 'GraphQL', 'AWS'],
-        description: 'Build products that reward good financial behavior.',
-        fullDescription: 'Build products that reward members for good financial behavior at CRED.\n\nJoin an elite engineering team at one of India\'s most admired startups.',
-        jobUrl: 'https://www.naukri.com/job-listings-fullstack-developer-cred-bangalore-15',
-        postedDate: '8 hours ago',
-        jobPostedAt: '2026-03-08',
-        industryTypes: ['Fintech', 'Internet'],
-        totalVacancy: '2',
-        matchedSkills: ['React', 'Node.js', 'TypeScript'],
-        experienceFilter: '2-6',
-        searchKeyword: 'full stack developer',
-        scrapedAt: '2026-03-08T10:00:00Z'
-    },
-    {
-        _id: '16',
-        title: 'MERN Developer',
-        company: 'Mindtree',
-        location: 'Bangalore, Karnataka',
-        experience: '2-5 years',
-        salary: '₹8-14 LPA',
-        salaryOffered: '₹8-14 LPA',
-        skills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        keySkills: ['MERN Stack', 'MongoDB', 'Express.js', 'React.js', 'Node.js', 'REST API'],
-        description: 'Join our digital engineering team.',
-        fullDescription: 'Join Mindtree\'s digital engineering team and work on exciting projects for global clients.\n\nWe are looking for MERN stack developers with hands-on experience building web applications.',
-        jobUrl: 'https://www.naukri.com/job-listings-mern-developer-mindtree-bangalore-16',
-        postedDate: '6 days ago',
-        jobPostedAt: '2026-03-02',
-        industryTypes: ['IT Services'],
-        totalVacancy: '10',
-        matchedSkills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        experienceFilter: '2-5',
-        searchKeyword: 'mern stack developer',
-        scrapedAt: '2026-03-02T12:00:00Z'
-    },
-    {
-        _id: '17',
-        title: 'React Developer',
-        company: 'HCL Technologies',
-        location: 'Noida, UP',
-        experience: '1-4 years',
-        salary: '₹6-12 LPA',
-        salaryOffered: '₹6-12 LPA',
-        skills: ['React', 'JavaScript', 'HTML', 'CSS'],
-        keySkills: ['React.js', 'JavaScript', 'HTML5', 'CSS3', 'Redux', 'Material UI'],
-        description: 'Frontend development for enterprise applications.',
-        fullDescription: 'Frontend development for enterprise applications at HCL Technologies.\n\nJoin our growing frontend team and work on applications used by Fortune 500 companies.',
-        jobUrl: 'https://www.naukri.com/job-listings-react-developer-hcl-noida-17',
-        postedDate: '3 days ago',
-        jobPostedAt: '2026-03-05',
-        industryTypes: ['IT Services'],
-        totalVacancy: '8',
-        matchedSkills: ['React', 'JavaScript'],
-        experienceFilter: '1-4',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-05T08:30:00Z'
-    },
-    {
-        _id: '18',
-        title: 'Senior Backend Developer',
-        company: 'Atlassian India',
-        location: 'Bangalore, Karnataka',
-        experience: '5-10 years',
-        salary: '₹30-50 LPA',
-        salaryOffered: '₹30-50 LPA',
-        skills: ['Node.js', 'Java', 'AWS', 'Microservices'],
-        keySkills: ['Node.js', 'Java', 'AWS', 'Microservices', 'GraphQL', 'PostgreSQL'],
-        description: 'Build collaboration tools used by millions of teams.',
-        fullDescription: 'Build collaboration tools used by millions of teams worldwide at Atlassian.\n\nJoin the team behind Jira, Confluence, and Trello. We are looking for senior backend engineers who are passionate about building developer tools.',
-        jobUrl: 'https://www.naukri.com/job-listings-senior-backend-developer-atlassian-bangalore-18',
-        postedDate: '1 day ago',
-        jobPostedAt: '2026-03-07',
-        industryTypes: ['SaaS', 'Software Product'],
-        totalVacancy: '2',
-        matchedSkills: ['Node.js'],
-        experienceFilter: '5-10',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-07T16:00:00Z'
-    },
-    {
-        _id: '19',
-        title: 'Full Stack Web Developer',
-        company: 'Tech Mahindra',
-        location: 'Pune, Maharashtra',
-        experience: '2-5 years',
-        salary: '₹8-15 LPA',
-        salaryOffered: '₹8-15 LPA',
-        skills: ['JavaScript', 'React', 'Node.js', 'MySQL'],
-        keySkills: ['JavaScript', 'React.js', 'Node.js', 'MySQL', 'HTML5', 'CSS3'],
-        description: 'Join our digital transformation projects.',
-        fullDescription: 'Join Tech Mahindra\'s digital transformation projects and work with cutting-edge technologies.\n\nWe are looking for full stack developers to build modern web solutions for our clients.',
-        jobUrl: 'https://www.naukri.com/job-listings-fullstack-web-developer-tech-mahindra-pune-19',
-        postedDate: '4 days ago',
-        jobPostedAt: '2026-03-04',
-        industryTypes: ['IT Services', 'Consulting'],
-        totalVacancy: '12',
-        matchedSkills: ['JavaScript', 'React', 'Node.js'],
-        experienceFilter: '2-5',
-        searchKeyword: 'full stack developer',
-        scrapedAt: '2026-03-04T13:00:00Z'
-    },
-    {
-        _id: '20',
-        title: 'MERN Stack Lead',
-        company: 'Cognizant',
-        location: 'Chennai, Tamil Nadu',
-        experience: '6-10 years',
-        salary: '₹18-30 LPA',
-        salaryOffered: '₹18-30 LPA',
-        skills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        keySkills: ['MERN Stack', 'Team Leadership', 'Architecture', 'AWS', 'CI/CD', 'Code Review'],
-        description: 'Lead a team of MERN developers on client projects.',
-        fullDescription: 'Lead a team of MERN stack developers on client projects at Cognizant.\n\nAs a MERN Stack Lead, you will be responsible for technical leadership, architecture decisions, and mentoring team members.',
-        jobUrl: 'https://www.naukri.com/job-listings-mern-stack-lead-cognizant-chennai-20',
-        postedDate: '2 days ago',
-        jobPostedAt: '2026-03-06',
-        industryTypes: ['IT Services', 'Consulting'],
-        totalVacancy: '2',
-        matchedSkills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        experienceFilter: '6-10',
-        searchKeyword: 'mern stack developer',
-        scrapedAt: '2026-03-06T11:00:00Z'
-    },
-    {
-        _id: '21',
-        title: 'Backend Developer (Node.js)',
-        company: 'Myntra',
-        location: 'Bangalore, Karnataka',
-        experience: '2-5 years',
-        salary: '₹15-25 LPA',
-        salaryOffered: '₹15-25 LPA',
-        skills: ['Node.js', 'Express', 'MongoDB', 'Kafka'],
-        keySkills: ['Node.js', 'Express.js', 'MongoDB', 'Kafka', 'Elasticsearch', 'Docker'],
-        description: 'Build e-commerce backend systems for fashion retail.',
-        fullDescription: 'Build e-commerce backend systems for India\'s biggest fashion platform.\n\nAt Myntra, you\'ll work on systems that handle flash sales, recommendation engines, and order management.',
-        jobUrl: 'https://www.naukri.com/job-listings-backend-developer-myntra-bangalore-21',
-        postedDate: '3 days ago',
-        jobPostedAt: '2026-03-05',
-        industryTypes: ['E-commerce', 'Fashion'],
-        totalVacancy: '3',
-        matchedSkills: ['Node.js', 'Express', 'MongoDB'],
-        experienceFilter: '2-5',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-05T17:00:00Z'
-    },
-    {
-        _id: '22',
-        title: 'React UI Engineer',
-        company: 'Dream11',
-        location: 'Mumbai, Maharashtra',
-        experience: '2-5 years',
-        salary: '₹18-30 LPA',
-        salaryOffered: '₹18-30 LPA',
-        skills: ['React', 'TypeScript', 'Next.js', 'CSS'],
-        keySkills: ['React.js', 'TypeScript', 'Next.js', 'Styled Components', 'Testing', 'Performance'],
-        description: 'Build sports tech user experiences.',
-        fullDescription: 'Build sports tech user experiences at Dream11, India\'s biggest fantasy sports platform.\n\nJoin our frontend team and create engaging interfaces for millions of cricket and sports fans.',
-        jobUrl: 'https://www.naukri.com/job-listings-react-ui-engineer-dream11-mumbai-22',
-        postedDate: '1 day ago',
-        jobPostedAt: '2026-03-07',
-        industryTypes: ['Sports Tech', 'Gaming'],
-        totalVacancy: '4',
-        matchedSkills: ['React', 'TypeScript'],
-        experienceFilter: '2-5',
-        searchKeyword: 'react developer',
-        scrapedAt: '2026-03-07T10:30:00Z'
-    },
-    {
-        _id: '23',
-        title: 'Junior Node.js Developer',
-        company: 'Capgemini',
-        location: 'Mumbai, Maharashtra',
-        experience: '0-2 years',
-        salary: '₹4-7 LPA',
-        salaryOffered: '₹4-7 LPA',
-        skills: ['Node.js', 'Express', 'JavaScript', 'SQL'],
-        keySkills: ['Node.js', 'Express.js', 'JavaScript', 'SQL', 'Git', 'REST API'],
-        description: 'Entry-level Node.js position for fresh talent.',
-        fullDescription: 'Entry-level Node.js position for fresh and early-career talent at Capgemini.\n\nGreat opportunity to start your career in backend development with industry training and mentorship.',
-        jobUrl: 'https://www.naukri.com/job-listings-junior-nodejs-developer-capgemini-mumbai-23',
-        postedDate: '5 days ago',
-        jobPostedAt: '2026-03-03',
-        industryTypes: ['IT Services', 'Consulting'],
-        totalVacancy: '20',
-        matchedSkills: ['Node.js', 'Express', 'JavaScript'],
-        experienceFilter: '0-2',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-03T09:00:00Z'
-    },
-    {
-        _id: '24',
-        title: 'Staff Engineer - Platform',
-        company: 'Zerodha',
-        location: 'Bangalore, Karnataka',
-        experience: '8-15 years',
-        salary: 'Not disclosed',
-        salaryOffered: 'Not disclosed',
-        skills: ['Node.js', 'Go', 'PostgreSQL', 'Redis'],
-        keySkills: ['Node.js', 'Go', 'PostgreSQL', 'Redis', 'Linux', 'System Design'],
-        description: 'Build trading platform infrastructure.',
-        fullDescription: 'Build trading platform infrastructure at India\'s largest stock broker.\n\nAs a Staff Engineer at Zerodha, you will work on low-latency systems that handle millions of trades daily.',
-        jobUrl: 'https://www.naukri.com/job-listings-staff-engineer-zerodha-bangalore-24',
-        postedDate: '6 hours ago',
-        jobPostedAt: '2026-03-08',
-        industryTypes: ['Fintech', 'Stock Broking'],
-        totalVacancy: '1',
-        matchedSkills: ['Node.js'],
-        experienceFilter: '8-15',
-        searchKeyword: 'nodejs developer',
-        scrapedAt: '2026-03-08T14:00:00Z'
-    },
-    {
-        _id: '25',
-        title: 'MERN Stack Developer',
-        company: 'Infosys BPM',
-        location: 'Mysuru, Karnataka',
-        experience: '1-4 years',
-        salary: '₹5-10 LPA',
-        salaryOffered: '₹5-10 LPA',
-        skills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        keySkills: ['MERN Stack', 'JavaScript', 'REST API', 'Git', 'Agile', 'AWS'],
-        description: 'Work on internal automation tools.',
-        fullDescription: 'Work on internal automation tools and client-facing applications at Infosys BPM.\n\nIdeal for developers with 1-4 years of MERN stack experience looking for a stable career.',
-        jobUrl: 'https://www.naukri.com/job-listings-mern-developer-infosys-bpm-mysuru-25',
-        postedDate: '7 days ago',
-        jobPostedAt: '2026-03-01',
-        industryTypes: ['IT Services', 'BPM'],
-        totalVacancy: '15',
-        matchedSkills: ['MongoDB', 'Express', 'React', 'Node.js'],
-        experienceFilter: '1-4',
-        searchKeyword: 'mern stack developer',
-        scrapedAt: '2026-03-01T14:30:00Z'
-    }
-];
-
-// Stats derived from mock data
-export const mockStats = {
-    totalJobs: mockJobs.length,
-    uniqueCompanies: [...new Set(mockJobs.map(j => j.company))].length,
-    keywordsSearched: [...new Set(mockJobs.map(j => j.searchKeyword))],
-    jobsWithMatchedSkills: mockJobs.filter(j => j.matchedSkills.length > 0).length,
-    totalVacancies: mockJobs.reduce((sum, j) => {
-        const v = parseInt(j.totalVacancy);
-        return sum + (isNaN(v) ? 0 : v);
-    }, 0)
-};
-
-// Aggregate data for charts
-export const jobsByKeyword = mockStats.keywordsSearched.map(kw => ({
-    keyword: kw,
-    count: mockJobs.filter(j => j.searchKeyword === kw).length
-})).sort((a, b) => b.count - a.count);
-
-export const topCompanies = (() => {
-    const counts = {};
-    mockJobs.forEach(j => { counts[j.company] = (counts[j.company] || 0) + 1; });
-    return Object.entries(counts)
-        .map(([company, count]) => ({ company, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 8);
-})();
-
-export const topSkills = (() => {
-    const counts = {};
-    mockJobs.forEach(j => {
-        j.keySkills.forEach(s => { counts[s] = (counts[s] || 0) + 1; });
-    });
-    return Object.entries(counts)
-        .map(([skill, count]) => ({ skill, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 10);
-})();
-
-export const jobsByLocation = (() => {
-    const counts = {};
-    mockJobs.forEach(j => {
-        const city = j.location.split(',')[0].trim();
-        counts[city] = (counts[city] || 0) + 1;
-    });
-    return Object.entries(counts)
-        .map(([location, count]) => ({ location, count }))
-        .sort((a, b) => b.count - a.count);
-})();
-
-export const jobsByIndustry = (() => {
-    const counts = {};
-    mockJobs.forEach(j => {
-        j.industryTypes.forEach(ind => { counts[ind] = (counts[ind] || 0) + 1; });
-    });
-    return Object.entries(counts)
-        .map(([industry, count]) => ({ industry, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 8);
-})();
-
-export const recentActivity = [
-    { type: 'scrape', message: 'Scraped 8 jobs for "nodejs developer"', time: '6 hours ago', color: 'primary' },
-    { type: 'scrape', message: 'Scraped 6 jobs for "react developer"', time: '6 hours ago', color: 'primary' },
-    { type: 'scrape', message: 'Scraped 5 jobs for "full stack developer"', time: '8 hours ago', color: 'secondary' },
-    { type: 'scrape', message: 'Scraped 6 jobs for "mern stack developer"', time: '8 hours ago', color: 'warning' },
-    { type: 'config', message: 'Config updated: added new keyword', time: '1 day ago', color: 'secondary' },
-];
-
-// Config data matching config.json
-export const mockConfig = {
-    keywords: ['nodejs developer', 'react developer', 'full stack developer', 'mern stack developer'],
-    skills: ['node.js', 'react', 'mongodb', 'express', 'javascript', 'typescript'],
-    experience: { min: 0, max: 5 },
-    scraping: {
-        pagesPerKeyword: 3,
-        delayBetweenKeywords: 5000,
-        scrapeJobDetails: true
-    }
-};
@@ -0,0 +1,73 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { fetchConfig } from '../services/api';
+
+export const DEFAULT_PROFILE = 'default';
+
+const STORAGE_KEY = 'naukri.profile';
+
+// Shared across components, so switching the profile in the header updates every page
+let state = {
+    profile: localStorage.getItem(STORAGE_KEY) || DEFAULT_PROFILE,
+    profiles: [DEFAULT_PROFILE],
+};
+const listeners = new Set();
+
+function emit(next) {
+    state = { ...state, ...next };
+    listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Switch the active search profile (remembered across reloads).
+ * @param {string} profile
+ */
+export function setProfile(profile) {
+    localStorage.setItem(STORAGE_KEY, profile);
+    emit({ profile });
+}
+
+/**
+ * Replace the list of profile names, e.g. after saving the config.
+ * Falls back to the default profile when the active one no longer exists.
+ * @param {string[]} names - Named profiles (without the default profile)
+ */
+export function setProfiles(names) {
+    const profiles = [DEFAULT_PROFILE, ...names];
+    if (!profiles.includes(state.profile)) setProfile(DEFAULT_PROFILE);
+    emit({ profiles });
+}
+
+/**
+ * Load the profile names from the config.
+ * @returns {Promise<void>}
+ */
+export async function loadProfiles() {
+    const res = await fetchConfig();
+    setProfiles((res.data.profiles || []).map(profile => profile.name));
+}
+
+let loaded = false;
+
+/**
+ * The active search profile and the names of all profiles.
+ * Pages pass `profile` to the API so jobs, scores and stats are scoped to it.
+ * @returns {{ profile: string, profiles: string[], setProfile: Function }}
+ */
+export default function useProfile() {
+    const current = useSyncExternalStore(subscribe, () => state);
+
+    useEffect(() => {
+        if (loaded) return;
+        loaded = true;
+        loadProfiles().catch(() => {
+            loaded = false;
+        });
+    }, []);
+
+    return { ...current, setProfile };
+}
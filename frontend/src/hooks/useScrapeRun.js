@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import { startScrapeRun, startVerifyRun, startRematchRun, fetchScrapeStatus } from '../services/api';
+
+/**
+ * Track the backend scrape run.
+ * Polls the status endpoint every `interval` ms while a run is in progress
+ * and exposes `start` (scrape), `verify` (check postings for expiry) and
+ * `rematch` (recompute match scores) functions for kicking off a new run.
+ */
+export default function useScrapeRun(interval = 2000) {
+    const [run, setRun] = useState(null);
+    const [error, setError] = useState(null);
+
+    const isRunning = run?.status === 'running';
+
+    useEffect(() => {
+        fetchScrapeStatus()
+            .then(res => setRun(res.data))
+            .catch(() => {});
+    }, []);
+
+    useEffect(() => {
+        if (!isRunning) return;
+        const timer = setInterval(() => {
+            fetchScrapeStatus()
+                .then(res => setRun(res.data))
+                .catch(err => setError(err.message));
+        }, interval);
+        return () => clearInterval(timer);
+    }, [isRunning, interval]);
+
+    const launch = useCallback(async (request) => {
+        setError(null);
+        try {
+            const res = await request();
+            setRun(res.data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    const start = useCallback(params => launch(() => startScrapeRun(params)), [launch]);
+    const verify = useCallback(params => launch(() => startVerifyRun(params)), [launch]);
+    const rematch = useCallback(() => launch(() => startRematchRun()), [launch]);
+
+    return { run, isRunning, error, start, verify, rematch };
+}
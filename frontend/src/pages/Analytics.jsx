@@ -1,12 +1,23 @@
+import { useState, useEffect } from 'react'
 import {
     HiOutlineBriefcase,
     HiOutlineOfficeBuilding,
     HiOutlineLocationMarker,
     HiOutlineChip
 } from 'react-icons/hi'
-import { jobsByKeyword, topCompanies, topSkills, jobsByLocation, jobsByIndustry, mockJobs } from '../data/mockData'
+import { fetchStats, fetchKeywords } from '../services/api'
+import Loader from '../components/Loader'
+import useProfile from '../hooks/useProfile'
+import { SKILL_CATEGORIES } from '../utils/skills'
+
+const STAT_SECTIONS = ['keywords', 'locations', 'companies', 'skills', 'salaries', 'industries']
+
+function EmptyChart() {
+    return <p className="card-subtitle">No data for the selected filters.</p>
+}
 
 function BarChart({ data, labelKey, valueKey, colorRotation = ['primary', 'secondary', 'warning', 'info'] }) {
+    if (data.length === 0) return <EmptyChart />
     const maxVal = Math.max(...data.map(d => d[valueKey]))
     return (
         <div className="bar-chart">
@@ -29,6 +40,7 @@ function BarChart({ data, labelKey, valueKey, colorRotation = ['primary', 'secon
 }
 
 function DonutChart({ data, labelKey, valueKey, colors }) {
+    if (data.length === 0) return <EmptyChart />
     const total = data.reduce((sum, d) => sum + d[valueKey], 0)
     let cumulativePercent = 0
 
@@ -80,20 +92,42 @@ function DonutChart({ data, labelKey, valueKey, colors }) {
 }
 
 export default function Analytics() {
-    const salaryRanges = (() => {
-        const ranges = { 'Not disclosed': 0, '< ₹10 LPA': 0, '₹10-20 LPA': 0, '₹20-30 LPA': 0, '₹30+ LPA': 0 }
-        mockJobs.forEach(j => {
-            if (j.salary === 'Not disclosed') { ranges['Not disclosed']++; return }
-            const match = j.salary.match(/₹(\d+)/)
-            if (!match) return
-            const min = parseInt(match[1])
-            if (min < 10) ranges['< ₹10 LPA']++
-            else if (min < 20) ranges['₹10-20 LPA']++
-            else if (min < 30) ranges['₹20-30 LPA']++
-            else ranges['₹30+ LPA']++
-        })
-        return Object.entries(ranges).map(([range, count]) => ({ range, count })).filter(r => r.count > 0)
-    })()
+    const { profile } = useProfile()
+    const [filters, setFilters] = useState({ from: '', to: '', keyword: '' })
+    const [keywords, setKeywords] = useState([])
+    const [totalJobs, setTotalJobs] = useState(0)
+    const [charts, setCharts] = useState(null)
+    const [skillCategory, setSkillCategory] = useState('')
+    const [isLoading, setIsLoading] = useState(true)
+
+    useEffect(() => {
+        fetchKeywords()
+            .then(res => setKeywords(res.data || []))
+            .catch(err => console.error('Failed to load keywords:', err))
+    }, [])
+
+    useEffect(() => {
+        setIsLoading(true)
+        Promise.all([
+            fetchStats('', { ...filters, profile }),
+            ...STAT_SECTIONS.map(section => fetchStats(section, {
+                ...filters,
+                profile,
+                category: section === 'skills' ? skillCategory : ''
+            }))
+        ])
+            .then(([overview, ...sections]) => {
+                setTotalJobs(overview.data.totalJobs)
+                setCharts(Object.fromEntries(STAT_SECTIONS.map((section, i) => [section, sections[i].data || []])))
+            })
+            .catch(err => {
+                console.error('Failed to load analytics:', err)
+                setCharts(null)
+            })
+            .finally(() => setIsLoading(false))
+    }, [filters, skillCategory, profile])
+
+    const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
 
     const donutColors = ['#6366f1', '#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6']
 
@@ -102,80 +136,140 @@ export default function Analytics() {
             <div className="page-header">
                 <div>
                     <h2>Analytics</h2>
-                    <p>Insights from {mockJobs.length} scraped jobs</p>
+                    <p>Insights from {totalJobs} scraped jobs</p>
                 </div>
             </div>
 
-            <div className="section-grid">
-                {/* Jobs by Keyword */}
-                <div className="card animate-in animate-in-delay-1">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title"><HiOutlineBriefcase style={{ verticalAlign: 'middle', marginRight: '8px' }} />Jobs by Keyword</h3>
-                            <p className="card-subtitle">Search term distribution</p>
-                        </div>
-                    </div>
-                    <BarChart data={jobsByKeyword} labelKey="keyword" valueKey="count" />
+            {/* Filters */}
+            <div className="filter-bar">
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label className="form-label">From</label>
+                    <input
+                        className="form-input"
+                        type="date"
+                        value={filters.from}
+                        onChange={e => updateFilter('from', e.target.value)}
+                    />
+                </div>
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label className="form-label">To</label>
+                    <input
+                        className="form-input"
+                        type="date"
+                        value={filters.to}
+                        onChange={e => updateFilter('to', e.target.value)}
+                    />
+                </div>
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label className="form-label">Keyword</label>
+                    <select
+                        className="form-select"
+                        style={{ minWidth: '180px' }}
+                        value={filters.keyword}
+                        onChange={e => updateFilter('keyword', e.target.value)}
+                    >
+                        <option value="">All Keywords</option>
+                        {keywords.map(kw => (
+                            <option key={kw} value={kw}>{kw}</option>
+                        ))}
+                    </select>
                 </div>
+            </div>
 
-                {/* Jobs by Location (Donut) */}
-                <div className="card animate-in animate-in-delay-2">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title"><HiOutlineLocationMarker style={{ verticalAlign: 'middle', marginRight: '8px' }} />Jobs by Location</h3>
-                            <p className="card-subtitle">Geographic distribution</p>
-                        </div>
-                    </div>
-                    <DonutChart data={jobsByLocation} labelKey="location" valueKey="count" colors={donutColors} />
+            {isLoading ? (
+                <Loader message="Crunching numbers..." />
+            ) : !charts ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">📊</div>
+                    <h3>Analytics Unavailable</h3>
+                    <p>Could not load statistics from the API.</p>
                 </div>
+            ) : (
+                <>
 
-                {/* Top Companies */}
-                <div className="card animate-in animate-in-delay-3">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title"><HiOutlineOfficeBuilding style={{ verticalAlign: 'middle', marginRight: '8px' }} />Top Companies</h3>
-                            <p className="card-subtitle">Companies with most listings</p>
+                    <div className="section-grid">
+                        {/* Jobs by Keyword */}
+                        <div className="card animate-in animate-in-delay-1">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title"><HiOutlineBriefcase style={{ verticalAlign: 'middle', marginRight: '8px' }} />Jobs by Keyword</h3>
+                                    <p className="card-subtitle">Search term distribution</p>
+                                </div>
+                            </div>
+                            <BarChart data={charts.keywords} labelKey="keyword" valueKey="count" />
                         </div>
-                    </div>
-                    <BarChart data={topCompanies} labelKey="company" valueKey="count" colorRotation={['info', 'primary', 'secondary', 'warning']} />
-                </div>
 
-                {/* Top Skills */}
-                <div className="card animate-in animate-in-delay-4">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title"><HiOutlineChip style={{ verticalAlign: 'middle', marginRight: '8px' }} />Top Skills</h3>
-                            <p className="card-subtitle">Most demanded skills</p>
+                        {/* Jobs by Location (Donut) */}
+                        <div className="card animate-in animate-in-delay-2">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title"><HiOutlineLocationMarker style={{ verticalAlign: 'middle', marginRight: '8px' }} />Jobs by Location</h3>
+                                    <p className="card-subtitle">Geographic distribution</p>
+                                </div>
+                            </div>
+                            <DonutChart data={charts.locations} labelKey="location" valueKey="count" colors={donutColors} />
+                        </div>
+
+                        {/* Top Companies */}
+                        <div className="card animate-in animate-in-delay-3">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title"><HiOutlineOfficeBuilding style={{ verticalAlign: 'middle', marginRight: '8px' }} />Top Companies</h3>
+                                    <p className="card-subtitle">Companies with most listings</p>
+                                </div>
+                            </div>
+                            <BarChart data={charts.companies} labelKey="company" valueKey="count" colorRotation={['info', 'primary', 'secondary', 'warning']} />
                         </div>
-                    </div>
-                    <BarChart data={topSkills} labelKey="skill" valueKey="count" colorRotation={['secondary', 'info', 'warning', 'primary']} />
-                </div>
-            </div>
 
-            {/* Full Width Charts */}
-            <div className="section-grid" style={{ gridTemplateColumns: '1fr 1fr', marginTop: 0 }}>
-                {/* Salary Distribution */}
-                <div className="card animate-in animate-in-delay-3">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title">💰 Salary Distribution</h3>
-                            <p className="card-subtitle">Salary ranges across listings</p>
+                        {/* Top Skills */}
+                        <div className="card animate-in animate-in-delay-4">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title"><HiOutlineChip style={{ verticalAlign: 'middle', marginRight: '8px' }} />Top Skills</h3>
+                                    <p className="card-subtitle">Most demanded skills, spelling variants combined</p>
+                                </div>
+                                <select
+                                    className="form-select"
+                                    style={{ width: 'auto' }}
+                                    value={skillCategory}
+                                    onChange={e => setSkillCategory(e.target.value)}
+                                >
+                                    <option value="">All categories</option>
+                                    {SKILL_CATEGORIES.map(category => (
+                                        <option key={category.value} value={category.value}>{category.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <BarChart data={charts.skills} labelKey="skill" valueKey="count" colorRotation={['secondary', 'info', 'warning', 'primary']} />
                         </div>
                     </div>
-                    <BarChart data={salaryRanges} labelKey="range" valueKey="count" colorRotation={['warning', 'secondary', 'primary', 'info']} />
-                </div>
 
-                {/* Industry Types */}
-                <div className="card animate-in animate-in-delay-4">
-                    <div className="card-header">
-                        <div>
-                            <h3 className="card-title">🏭 Industry Types</h3>
-                            <p className="card-subtitle">Job distribution by industry</p>
+                    {/* Full Width Charts */}
+                    <div className="section-grid" style={{ gridTemplateColumns: '1fr 1fr', marginTop: 0 }}>
+                        {/* Salary Distribution */}
+                        <div className="card animate-in animate-in-delay-3">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title">💰 Salary Distribution</h3>
+                                    <p className="card-subtitle">Salary ranges across listings</p>
+                                </div>
+                            </div>
+                            <BarChart data={charts.salaries} labelKey="range" valueKey="count" colorRotation={['warning', 'secondary', 'primary', 'info']} />
+                        </div>
+
+                        {/* Industry Types */}
+                        <div className="card animate-in animate-in-delay-4">
+                            <div className="card-header">
+                                <div>
+                                    <h3 className="card-title">🏭 Industry Types</h3>
+                                    <p className="card-subtitle">Job distribution by industry</p>
+                                </div>
+                            </div>
+                            <DonutChart data={charts.industries} labelKey="industry" valueKey="count" colors={donutColors} />
                         </div>
                     </div>
-                    <DonutChart data={jobsByIndustry} labelKey="industry" valueKey="count" colors={donutColors} />
-                </div>
-            </div>
+                </>
+            )}
         </div>
     )
 }
@@ -1,3 +1,4 @@
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
     HiOutlineBriefcase,
@@ -7,10 +8,74 @@ import {
     HiOutlineArrowSmUp,
     HiOutlineExternalLink
 } from 'react-icons/hi'
-import { mockJobs, mockStats, topSkills, recentActivity, jobsByKeyword } from '../data/mockData'
+import { fetchRuns, fetchJobs, fetchStats } from '../services/api'
+import Loader from '../components/Loader'
+import useProfile from '../hooks/useProfile'
+import { timeAgo } from '../utils/time'
+
+// Turn a ScrapeRun record into an activity feed entry
+function runToActivity(run) {
+    const { found, saved } = run.totals
+    const target = run.mode === 'keyword'
+        ? `"${run.keywords[0]}"`
+        : `${run.keywords.length} keywords`
+
+    if (run.status === 'running') {
+        return { message: `Scraping ${target}...`, color: 'warning' }
+    }
+    if (run.status === 'failed') {
+        const lastError = run.errorLog[run.errorLog.length - 1]
+        return { message: `Scrape of ${target} failed${lastError ? `: ${lastError.message}` : ''}`, color: 'danger' }
+    }
+    if (run.driftWarnings?.length > 0) {
+        const fields = run.driftWarnings.map(warning => warning.field).join(', ')
+        return { message: `Scraped ${found} jobs for ${target}, but ${fields} came back mostly empty (selectors may be outdated)`, color: 'danger' }
+    }
+    return {
+        message: `Scraped ${found} jobs for ${target} (${saved} new)`,
+        color: run.errorLog.length > 0 ? 'warning' : 'secondary'
+    }
+}
 
 export default function Dashboard() {
     const navigate = useNavigate()
+    const { profile } = useProfile()
+    const [recentRuns, setRecentRuns] = useState([])
+    const [stats, setStats] = useState(null)
+    const [recentJobs, setRecentJobs] = useState([])
+    const [jobsByKeyword, setJobsByKeyword] = useState([])
+    const [topSkills, setTopSkills] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+
+    useEffect(() => {
+        fetchRuns({ limit: 5 })
+            .then(res => setRecentRuns(res.data || []))
+            .catch(err => console.error('Failed to load runs:', err))
+    }, [])
+
+    useEffect(() => {
+        Promise.all([
+            fetchStats('', { profile }),
+            fetchStats('keywords', { profile }),
+            fetchStats('skills', { limit: 10, profile }),
+            fetchJobs({ page: 1, limit: 6, profile })
+        ])
+            .then(([overview, keywords, skills, jobs]) => {
+                setStats(overview.data)
+                setJobsByKeyword(keywords.data || [])
+                setTopSkills(skills.data || [])
+                setRecentJobs(jobs.data || [])
+            })
+            .catch(err => console.error('Failed to load dashboard stats:', err))
+            .finally(() => setIsLoading(false))
+    }, [profile])
+
+    if (isLoading) {
+        return <Loader message="Loading dashboard..." />
+    }
+
+    const totals = stats || { totalJobs: 0, uniqueCompanies: 0, keywordsSearched: [], jobsWithMatchedSkills: 0, jobsLast7Days: 0 }
+    const matchRate = totals.totalJobs > 0 ? Math.round((totals.jobsWithMatchedSkills / totals.totalJobs) * 100) : 0
 
     return (
         <div className="animate-in">
@@ -19,10 +84,10 @@ export default function Dashboard() {
                 <div className="stat-card accent-primary animate-in animate-in-delay-1">
                     <div className="stat-card-icon primary"><HiOutlineBriefcase /></div>
                     <div className="stat-card-content">
-                        <h3>{mockStats.totalJobs}</h3>
+                        <h3>{totals.totalJobs}</h3>
                         <p>Total Jobs Scraped</p>
                         <div className="stat-card-trend up">
-                            <HiOutlineArrowSmUp /> +12 this week
+                            <HiOutlineArrowSmUp /> +{totals.jobsLast7Days} this week
                         </div>
                     </div>
                 </div>
@@ -30,18 +95,15 @@ export default function Dashboard() {
                 <div className="stat-card accent-secondary animate-in animate-in-delay-2">
                     <div className="stat-card-icon secondary"><HiOutlineOfficeBuilding /></div>
                     <div className="stat-card-content">
-                        <h3>{mockStats.uniqueCompanies}</h3>
+                        <h3>{totals.uniqueCompanies}</h3>
                         <p>Unique Companies</p>
-                        <div className="stat-card-trend up">
-                            <HiOutlineArrowSmUp /> +5 new
-                        </div>
                     </div>
                 </div>
 
                 <div className="stat-card accent-warning animate-in animate-in-delay-3">
                     <div className="stat-card-icon warning"><HiOutlineTag /></div>
                     <div className="stat-card-content">
-                        <h3>{mockStats.keywordsSearched.length}</h3>
+                        <h3>{totals.keywordsSearched.length}</h3>
                         <p>Keywords Tracked</p>
                     </div>
                 </div>
@@ -49,10 +111,10 @@ export default function Dashboard() {
                 <div className="stat-card accent-info animate-in animate-in-delay-4">
                     <div className="stat-card-icon info"><HiOutlineBadgeCheck /></div>
                     <div className="stat-card-content">
-                        <h3>{mockStats.jobsWithMatchedSkills}</h3>
+                        <h3>{totals.jobsWithMatchedSkills}</h3>
                         <p>Skill Matches</p>
                         <div className="stat-card-trend up">
-                            <HiOutlineArrowSmUp /> 100% match rate
+                            <HiOutlineArrowSmUp /> {matchRate}% match rate
                         </div>
                     </div>
                 </div>
@@ -81,13 +143,13 @@ export default function Dashboard() {
                                 </tr>
                             </thead>
                             <tbody>
-                                {mockJobs.slice(0, 6).map(job => (
+                                {recentJobs.map(job => (
                                     <tr key={job._id} onClick={() => navigate(`/jobs/${job._id}`)}>
                                         <td>
                                             <span className="table-job-title">{job.title}</span>
                                             <span className="table-company">{job.company}</span>
                                         </td>
-                                        <td>{job.location.split(',')[0]}</td>
+                                        <td>{job.location?.split(',')[0]}</td>
                                         <td><span className="tag neutral">{job.postedDate}</span></td>
                                         <td>
                                             <HiOutlineExternalLink style={{ color: 'var(--text-muted)' }} />
@@ -139,15 +201,21 @@ export default function Dashboard() {
                             </div>
                         </div>
                         <div className="activity-feed">
-                            {recentActivity.map((item, i) => (
-                                <div key={i} className="activity-item">
-                                    <div className={`activity-dot ${item.color}`}></div>
-                                    <div className="activity-content">
-                                        <h4>{item.message}</h4>
-                                        <p>{item.time}</p>
+                            {recentRuns.length === 0 && (
+                                <p className="card-subtitle">No scrape runs recorded yet.</p>
+                            )}
+                            {recentRuns.map(run => {
+                                const item = runToActivity(run)
+                                return (
+                                    <div key={run._id} className="activity-item">
+                                        <div className={`activity-dot ${item.color}`}></div>
+                                        <div className="activity-content">
+                                            <h4>{item.message}</h4>
+                                            <p>{timeAgo(run.startedAt)} · {run.trigger}</p>
+                                        </div>
                                     </div>
-                                </div>
-                            ))}
+                                )
+                            })}
                         </div>
                     </div>
                 </div>
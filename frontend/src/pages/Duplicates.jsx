@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { HiOutlineRefresh, HiOutlineExternalLink } from 'react-icons/hi'
+import { fetchDuplicates, detectDuplicates, resolveDuplicate } from '../services/api'
+import Loader from '../components/Loader'
+import { formatSalary, formatPosted, jobKeywords } from '../utils/format'
+
+const TABS = [
+    { value: 'probable', label: 'To review' },
+    { value: 'merged', label: 'Merged' },
+    { value: 'hidden', label: 'Hidden' }
+]
+
+// Summary of one job in a duplicate group
+function JobSummary({ job, onOpen }) {
+    return (
+        <div className="duplicate-job" onClick={() => onOpen(job._id)}>
+            <span className="table-job-title">{job.title}</span>
+            <span className="table-company">{job.company} · {job.location}</span>
+            <span className="board-card-meta">
+                {formatSalary(job)} · Posted {formatPosted(job).date}
+                <a href={job.jobUrl} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()}>
+                    <HiOutlineExternalLink />
+                </a>
+            </span>
+            <div className="tags-list">
+                {jobKeywords(job).map(kw => (
+                    <span key={kw} className="tag primary">{kw}</span>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default function Duplicates() {
+    const navigate = useNavigate()
+    const [status, setStatus] = useState('probable')
+    const [groups, setGroups] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [isDetecting, setIsDetecting] = useState(false)
+    const [message, setMessage] = useState(null)
+    const [error, setError] = useState(null)
+
+    const loadGroups = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const res = await fetchDuplicates(status)
+            setGroups(res.data || [])
+        } catch (err) {
+            console.error('Failed to load duplicates:', err)
+            setGroups([])
+        } finally {
+            setIsLoading(false)
+        }
+    }, [status])
+
+    useEffect(() => {
+        loadGroups()
+    }, [loadGroups])
+
+    const runDetection = async () => {
+        setIsDetecting(true)
+        setError(null)
+        try {
+            const res = await detectDuplicates()
+            setMessage(`Checked ${res.data.checked} jobs: ${res.data.linked} newly linked, ${res.data.unlinked} unlinked`)
+            loadGroups()
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setIsDetecting(false)
+        }
+    }
+
+    const resolve = async (duplicate, action) => {
+        setError(null)
+        try {
+            await resolveDuplicate(duplicate._id, action)
+            // The job leaves this tab whatever the action
+            setGroups(prev => prev
+                .map(group => ({ ...group, duplicates: group.duplicates.filter(d => d._id !== duplicate._id) }))
+                .filter(group => group.duplicates.length > 0))
+        } catch (err) {
+            setError(`Could not update "${duplicate.title}": ${err.message}`)
+        }
+    }
+
+    const openJob = (id) => navigate(`/jobs/${id}`)
+
+    return (
+        <div className="animate-in">
+            <div className="page-header">
+                <div>
+                    <h2>Duplicates</h2>
+                    <p>Jobs reposted at the same company under a new URL</p>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--space-2)' }}>
+                    {TABS.map(tab => (
+                        <button
+                            key={tab.value}
+                            className={`btn ${status === tab.value ? 'btn-primary' : 'btn-ghost'}`}
+                            onClick={() => setStatus(tab.value)}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                    <button className="btn btn-ghost" disabled={isDetecting} onClick={runDetection}>
+                        <HiOutlineRefresh /> {isDetecting ? 'Detecting...' : 'Detect now'}
+                    </button>
+                </div>
+            </div>
+
+            {message && <p className="card-subtitle" style={{ marginBottom: 'var(--space-4)' }}>{message}</p>}
+            {error && <p className="form-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</p>}
+
+            {isLoading ? (
+                <Loader message="Loading duplicates..." />
+            ) : groups.length === 0 ? (
+                <div className="card">
+                    <div className="loader-container">
+                        <p className="loader-message">
+                            {status === 'probable' ? 'No probable duplicates to review.' : `No ${status} duplicates.`}
+                        </p>
+                    </div>
+                </div>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-4)' }}>
+                    {groups.map(group => (
+                        <div key={group.job._id} className="card duplicate-group">
+                            <div>
+                                <span className="tag secondary">Original</span>
+                                <JobSummary job={group.job} onOpen={openJob} />
+                            </div>
+                            {group.duplicates.map(duplicate => (
+                                <div key={duplicate._id} className="duplicate-row">
+                                    <div>
+                                        <span className="tag warning">{Math.round(duplicate.duplicateScore * 100)}% similar</span>
+                                        <JobSummary job={duplicate} onOpen={openJob} />
+                                    </div>
+                                    <div className="duplicate-actions">
+                                        {status === 'probable' ? (
+                                            <>
+                                                <button className="btn btn-primary" onClick={() => resolve(duplicate, 'merge')}>Merge</button>
+                                                <button className="btn btn-ghost" onClick={() => resolve(duplicate, 'hide')}>Hide</button>
+                                                <button className="btn btn-ghost" onClick={() => resolve(duplicate, 'dismiss')}>Not a duplicate</button>
+                                            </>
+                                        ) : (
+                                            <button className="btn btn-ghost" onClick={() => resolve(duplicate, 'restore')}>Restore</button>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
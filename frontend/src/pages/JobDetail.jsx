@@ -12,11 +12,20 @@ import {
     HiOutlineTag
 } from 'react-icons/hi'
 import { fetchJobById } from '../services/api'
+import useProfile from '../hooks/useProfile'
 import Loader from '../components/Loader'
+import ApplicationTracker from '../components/ApplicationTracker'
+import ChangeHistory from '../components/ChangeHistory'
+import DuplicateNotice from '../components/DuplicateNotice'
+import MatchBreakdown from '../components/MatchBreakdown'
+import { formatPosted, jobKeywords } from '../utils/format'
+import { getLifecycleInfo } from '../utils/lifecycle'
+import { describeSearchFilters } from '../utils/searchFilters'
 
 export default function JobDetail() {
     const { id } = useParams()
     const navigate = useNavigate()
+    const { profile } = useProfile()
 
     const [job, setJob] = useState(null)
     const [isLoading, setIsLoading] = useState(true)
@@ -25,11 +34,11 @@ export default function JobDetail() {
     useEffect(() => {
         setIsLoading(true)
         setError(null)
-        fetchJobById(id)
+        fetchJobById(id, profile)
             .then(res => setJob(res.data))
             .catch(err => setError(err.message))
             .finally(() => setIsLoading(false))
-    }, [id])
+    }, [id, profile])
 
     if (isLoading) {
         return <Loader message="Loading job details..." />
@@ -48,6 +57,8 @@ export default function JobDetail() {
         )
     }
 
+    const posted = formatPosted(job)
+
     return (
         <div className="job-detail animate-in">
             <div className="job-detail-back" onClick={() => navigate('/jobs')}>
@@ -88,6 +99,8 @@ export default function JobDetail() {
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 'var(--space-6)' }}>
                 {/* Main Content */}
                 <div>
+                    <DuplicateNotice job={job} onChange={changes => setJob(prev => ({ ...prev, ...changes }))} />
+
                     {/* Full Description */}
                     <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
                         <div className="job-detail-section" style={{ marginBottom: 0 }}>
@@ -96,6 +109,8 @@ export default function JobDetail() {
                         </div>
                     </div>
 
+                    <MatchBreakdown job={job} />
+
                     {/* Key Skills */}
                     <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
                         <div className="job-detail-section" style={{ marginBottom: 0 }}>
@@ -123,16 +138,27 @@ export default function JobDetail() {
                             )}
                         </div>
                     </div>
+
+                    {/* Changes detected on re-scrapes */}
+                    <ChangeHistory jobId={job._id} />
                 </div>
 
                 {/* Sidebar Info */}
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-6)' }}>
+                    <ApplicationTracker
+                        jobId={job._id}
+                        application={job.application}
+                        onChange={application => setJob(prev => ({ ...prev, application }))}
+                    />
+
                     {/* Job Info Card */}
                     <div className="card">
                         <h3 className="card-title" style={{ marginBottom: 'var(--space-4)' }}>Job Details</h3>
                         <div className="config-item">
                             <span className="config-item-label"><HiOutlineCalendar style={{ verticalAlign: 'middle', marginRight: '6px' }} />Posted</span>
-                            <span className="config-item-value">{job.postedDate}</span>
+                            <span className="config-item-value">
+                                {posted.date}{posted.age && ` (${posted.age})`}
+                            </span>
                         </div>
                         <div className="config-item">
                             <span className="config-item-label"><HiOutlineUsers style={{ verticalAlign: 'middle', marginRight: '6px' }} />Vacancies</span>
@@ -143,8 +169,12 @@ export default function JobDetail() {
                             <span className="config-item-value">{job.salaryOffered}</span>
                         </div>
                         <div className="config-item">
-                            <span className="config-item-label"><HiOutlineTag style={{ verticalAlign: 'middle', marginRight: '6px' }} />Keyword</span>
-                            <span className="tag primary">{job.searchKeyword}</span>
+                            <span className="config-item-label"><HiOutlineTag style={{ verticalAlign: 'middle', marginRight: '6px' }} />Keywords</span>
+                            <div className="tags-list" style={{ justifyContent: 'flex-end' }}>
+                                {jobKeywords(job).map(kw => (
+                                    <span key={kw} className="tag primary">{kw}</span>
+                                ))}
+                            </div>
                         </div>
                     </div>
 
@@ -163,6 +193,25 @@ export default function JobDetail() {
                     {/* Scraping Metadata */}
                     <div className="card">
                         <h3 className="card-title" style={{ marginBottom: 'var(--space-4)' }}>Scraping Info</h3>
+                        <div className="config-item">
+                            <span className="config-item-label">Posting</span>
+                            <span className={`tag ${getLifecycleInfo(job.lifecycleStatus).color}`}>
+                                {getLifecycleInfo(job.lifecycleStatus).label}
+                                {job.expiredAt && ` since ${new Date(job.expiredAt).toLocaleDateString()}`}
+                            </span>
+                        </div>
+                        <div className="config-item">
+                            <span className="config-item-label">Last Seen</span>
+                            <span className="config-item-value" style={{ fontSize: 'var(--font-xs)' }}>
+                                {job.lastSeenAt ? new Date(job.lastSeenAt).toLocaleString() : 'N/A'}
+                            </span>
+                        </div>
+                        <div className="config-item">
+                            <span className="config-item-label">Last Verified</span>
+                            <span className="config-item-value" style={{ fontSize: 'var(--font-xs)' }}>
+                                {job.lastVerifiedAt ? new Date(job.lastVerifiedAt).toLocaleString() : 'Never'}
+                            </span>
+                        </div>
                         <div className="config-item">
                             <span className="config-item-label">Scraped At</span>
                             <span className="config-item-value" style={{ fontSize: 'var(--font-xs)' }}>
@@ -173,6 +222,18 @@ export default function JobDetail() {
                             <span className="config-item-label">Experience Filter</span>
                             <span className="config-item-value">{job.experienceFilter || 'N/A'}</span>
                         </div>
+                        <div className="config-item">
+                            <span className="config-item-label">Search Filters</span>
+                            <span className="config-item-value">{describeSearchFilters(job.searchFilters) || 'None'}</span>
+                        </div>
+                        <div className="config-item">
+                            <span className="config-item-label">Extracted From</span>
+                            <span className="config-item-value">
+                                {job.extraction?.listing
+                                    ? `listing: ${job.extraction.listing} · details: ${job.extraction.details || 'not scraped'}`
+                                    : 'N/A'}
+                            </span>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -1,24 +1,104 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
     HiOutlineSearch,
     HiOutlineFilter,
     HiOutlineExternalLink,
     HiOutlineChevronLeft,
-    HiOutlineChevronRight
+    HiOutlineChevronRight,
+    HiOutlineViewList,
+    HiOutlineViewBoards
 } from 'react-icons/hi'
 import { fetchJobs, fetchKeywords } from '../services/api'
 import useDebounce from '../hooks/useDebounce'
+import useProfile from '../hooks/useProfile'
 import Loader from '../components/Loader'
+import ApplicationBoard from '../components/ApplicationBoard'
+import { getStatusInfo } from '../utils/application'
+import { formatSalary, formatPosted, jobKeywords, scoreColor } from '../utils/format'
+import { getLifecycleInfo } from '../utils/lifecycle'
+import { daysAgoIso } from '../utils/time'
 
 const ITEMS_PER_PAGE = 10
 
+// Sort options: value is "<sortBy>:<order>"
+const SORT_OPTIONS = [
+    { value: 'createdAt:desc', label: 'Newest first' },
+    { value: 'matchScore:desc', label: 'Match score: high to low' },
+    { value: 'matchScore:asc', label: 'Match score: low to high' },
+    { value: 'postedAt:desc', label: 'Recently posted' },
+    { value: 'postedAt:asc', label: 'Oldest postings' },
+    { value: 'salary:desc', label: 'Salary: high to low' },
+    { value: 'salary:asc', label: 'Salary: low to high' }
+]
+
+// "Posted within" options, in days
+const POSTED_WITHIN_OPTIONS = [
+    { value: '', label: 'Any time' },
+    { value: '1', label: 'Last 24 hours' },
+    { value: '3', label: 'Last 3 days' },
+    { value: '7', label: 'Last 7 days' },
+    { value: '15', label: 'Last 15 days' },
+    { value: '30', label: 'Last 30 days' }
+]
+
+// Absolute posting date with the job's age underneath
+function PostedDate({ job }) {
+    const { date, age } = formatPosted(job)
+    return (
+        <>
+            <span style={{ display: 'block' }}>{date}</span>
+            {age && <span className="table-company">{age}</span>}
+        </>
+    )
+}
+
+// Filters sent to GET /api/jobs (postedWithin is converted to postedSince)
+const DEFAULT_FILTERS = {
+    q: '',
+    keyword: '',
+    company: '',
+    location: '',
+    industry: '',
+    skills: '',
+    skillsMode: 'any',
+    matchedOnly: false,
+    minExp: '',
+    maxExp: '',
+    minSalary: '',
+    postedWithin: '',
+    includeHidden: false,
+    includeExpired: false
+}
+
+// Convert filter state into GET /api/jobs query params
+function toQueryParams(filters) {
+    const { postedWithin, skillsMode, matchedOnly, includeHidden, includeExpired, ...rest } = filters
+    return {
+        ...rest,
+        skillsMode: rest.skills ? skillsMode : '',
+        matchedOnly: matchedOnly ? 'true' : '',
+        includeHidden: includeHidden ? 'true' : '',
+        includeExpired: includeExpired ? 'true' : '',
+        postedSince: postedWithin ? daysAgoIso(Number(postedWithin)) : ''
+    }
+}
+
+// Number of panel filters that differ from their defaults
+function countActiveFilters(filters) {
+    const panelKeys = ['company', 'location', 'industry', 'skills', 'matchedOnly', 'minExp', 'maxExp', 'minSalary', 'postedWithin', 'includeHidden', 'includeExpired']
+    return panelKeys.filter(key => filters[key] !== DEFAULT_FILTERS[key]).length
+}
+
 export default function Jobs() {
     const navigate = useNavigate()
+    const { profile } = useProfile()
 
     // Filter state
-    const [search, setSearch] = useState('')
-    const [keywordFilter, setKeywordFilter] = useState('')
+    const [filters, setFilters] = useState(DEFAULT_FILTERS)
+    const [showFilters, setShowFilters] = useState(false)
+    const [view, setView] = useState('table')
+    const [sort, setSort] = useState(SORT_OPTIONS[0].value)
     const [currentPage, setCurrentPage] = useState(1)
 
     // Data state
@@ -27,8 +107,11 @@ export default function Jobs() {
     const [keywords, setKeywords] = useState([])
     const [isLoading, setIsLoading] = useState(true)
 
-    // Debounced search (500ms)
-    const debouncedSearch = useDebounce(search, 500)
+    // Debounced filters (500ms)
+    const debouncedFilters = useDebounce(filters, 500)
+    const queryParams = useMemo(() => ({ ...toQueryParams(debouncedFilters), profile }), [debouncedFilters, profile])
+
+    const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
 
     // Fetch unique keywords once for the dropdown
     useEffect(() => {
@@ -37,15 +120,17 @@ export default function Jobs() {
             .catch(err => console.error('Failed to load keywords:', err))
     }, [])
 
-    // Fetch jobs whenever page, debouncedSearch, or keyword filter changes
+    // Fetch jobs whenever page, filters or sort change
     const loadJobs = useCallback(async () => {
         setIsLoading(true)
         try {
+            const [sortBy, order] = sort.split(':')
             const res = await fetchJobs({
                 page: currentPage,
                 limit: ITEMS_PER_PAGE,
-                search: debouncedSearch,
-                keyword: keywordFilter
+                ...queryParams,
+                sortBy,
+                order
             })
             setJobs(res.data || [])
             setPagination(res.pagination || null)
@@ -56,19 +141,26 @@ export default function Jobs() {
         } finally {
             setIsLoading(false)
         }
-    }, [currentPage, debouncedSearch, keywordFilter])
+    }, [currentPage, queryParams, sort])
 
     useEffect(() => {
-        loadJobs()
-    }, [loadJobs])
+        if (view === 'table') loadJobs()
+    }, [loadJobs, view])
+
+    // "Best match" only exists while searching
+    useEffect(() => {
+        if (!filters.q && sort.startsWith('relevance')) setSort(SORT_OPTIONS[0].value)
+    }, [filters.q, sort])
 
     // Reset page when filters change
     useEffect(() => {
         setCurrentPage(1)
-    }, [debouncedSearch, keywordFilter])
+    }, [queryParams, sort])
 
     const totalPages = pagination?.totalPages || 1
     const totalJobs = pagination?.totalJobs || 0
+    const activeFilterCount = countActiveFilters(filters)
+    const sortOptions = filters.q ? [{ value: 'relevance:desc', label: 'Best match' }, ...SORT_OPTIONS] : SORT_OPTIONS
 
     // Generate pagination numbers with ellipsis
     const getPaginationGroup = () => {
@@ -92,11 +184,25 @@ export default function Jobs() {
             <div className="page-header">
                 <div>
                     <h2>All Jobs</h2>
-                    <p>{totalJobs} jobs found</p>
+                    <p>{view === 'table' ? `${totalJobs} jobs found` : 'Drag cards between columns to update their status'}</p>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--space-2)' }}>
+                    <button
+                        className={`btn ${view === 'table' ? 'btn-primary' : 'btn-ghost'}`}
+                        onClick={() => setView('table')}
+                    >
+                        <HiOutlineViewList /> Table
+                    </button>
+                    <button
+                        className={`btn ${view === 'board' ? 'btn-primary' : 'btn-ghost'}`}
+                        onClick={() => setView('board')}
+                    >
+                        <HiOutlineViewBoards /> Board
+                    </button>
+                    <button className="btn btn-ghost" onClick={() => setShowFilters(open => !open)}>
+                        <HiOutlineFilter /> Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+                    </button>
                 </div>
-                <button className="btn btn-primary">
-                    <HiOutlineFilter /> Export
-                </button>
             </div>
 
             {/* Filters */}
@@ -105,128 +211,319 @@ export default function Jobs() {
                     <HiOutlineSearch className="filter-search-icon" />
                     <input
                         type="text"
-                        placeholder="Search by title..."
-                        value={search}
-                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search titles, descriptions and skills..."
+                        value={filters.q}
+                        onChange={(e) => updateFilter('q', e.target.value)}
                     />
                 </div>
 
                 <select
                     className="form-select"
                     style={{ width: 'auto', minWidth: '180px' }}
-                    value={keywordFilter}
-                    onChange={(e) => setKeywordFilter(e.target.value)}
+                    value={filters.keyword}
+                    onChange={(e) => updateFilter('keyword', e.target.value)}
                 >
                     <option value="">All Keywords</option>
                     {keywords.map(kw => (
                         <option key={kw} value={kw}>{kw}</option>
                     ))}
                 </select>
+
+                {view === 'table' && (
+                    <select
+                        className="form-select"
+                        style={{ width: 'auto', minWidth: '180px' }}
+                        value={sort}
+                        onChange={(e) => setSort(e.target.value)}
+                    >
+                        {sortOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                )}
             </div>
 
-            {/* Jobs Table */}
-            <div className="card" style={{ padding: 0 }}>
-                {isLoading ? (
-                    <Loader message="Fetching jobs..." />
-                ) : jobs.length === 0 ? (
-                    <div className="loader-container">
-                        <p className="loader-message">No jobs found.</p>
+            {showFilters && (
+                <div className="card filter-panel">
+                    <div className="form-group">
+                        <label className="form-label">Company</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="e.g. Infosys"
+                            value={filters.company}
+                            onChange={(e) => updateFilter('company', e.target.value)}
+                        />
                     </div>
-                ) : (
-                    <div className="table-container">
-                        <table className="data-table">
-                            <thead>
-                                <tr>
-                                    <th>Position</th>
-                                    <th>Location</th>
-                                    <th>Experience</th>
-                                    <th>Search Keyword</th>
-                                    <th>Skills Match</th>
-                                    <th>Posted</th>
-                                    <th></th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                {jobs.map(job => (
-                                    <tr key={job._id} onClick={() => navigate(`/jobs/${job._id}`)}>
-                                        <td>
-                                            <span className="table-job-title">{job.title}</span>
-                                            <span className="table-company">{job.company}</span>
-                                        </td>
-                                        <td style={{ whiteSpace: 'nowrap' }}>{job.location?.split(',')[0]}</td>
-                                        <td><span className="tag neutral">{job.experience}</span></td>
-                                        <td>
-                                            <span className="tag primary">{job.searchKeyword}</span>
-                                        </td>
-                                        <td>
-                                            <div className="tags-list">
-                                                {(job.matchedSkills || []).slice(0, 3).map(s => (
-                                                    <span key={s} className="tag secondary">{s}</span>
-                                                ))}
-                                                {(job.matchedSkills || []).length > 3 && (
-                                                    <span className="tag neutral">+{job.matchedSkills.length - 3}</span>
-                                                )}
-                                            </div>
-                                        </td>
-                                        <td style={{ whiteSpace: 'nowrap', fontSize: 'var(--font-sm)', color: 'var(--text-muted)' }}>
-                                            {job.postedDate}
-                                        </td>
-                                        <td>
-                                            <a
-                                                href={job.jobUrl}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                onClick={(e) => e.stopPropagation()}
-                                                style={{ color: 'var(--text-muted)' }}
-                                            >
-                                                <HiOutlineExternalLink />
-                                            </a>
-                                        </td>
-                                    </tr>
-                                ))}
-                            </tbody>
-                        </table>
+
+                    <div className="form-group">
+                        <label className="form-label">Location</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="e.g. Bengaluru"
+                            value={filters.location}
+                            onChange={(e) => updateFilter('location', e.target.value)}
+                        />
                     </div>
-                )}
 
-                {/* Pagination */}
-                {!isLoading && totalPages > 1 && (
-                    <div className="pagination" style={{ padding: 'var(--space-4) var(--space-6)' }}>
-                        <span className="pagination-info">
-                            Showing {(currentPage - 1) * ITEMS_PER_PAGE + 1}–{Math.min(currentPage * ITEMS_PER_PAGE, totalJobs)} of {totalJobs}
-                        </span>
-                        <div className="pagination-controls">
-                            <button
-                                className="pagination-btn"
-                                disabled={currentPage === 1}
-                                onClick={() => setCurrentPage(p => p - 1)}
-                            >
-                                <HiOutlineChevronLeft />
-                            </button>
-                            {getPaginationGroup().map((item, index) => (
-                                item === '...' ? (
-                                    <span key={`ellipsis-${index}`} className="pagination-ellipsis">...</span>
-                                ) : (
-                                    <button
-                                        key={item}
-                                        className={`pagination-btn ${item === currentPage ? 'active' : ''}`}
-                                        onClick={() => setCurrentPage(item)}
-                                    >
-                                        {item}
-                                    </button>
-                                )
-                            ))}
-                            <button
-                                className="pagination-btn"
-                                disabled={currentPage === totalPages}
-                                onClick={() => setCurrentPage(p => p + 1)}
+                    <div className="form-group">
+                        <label className="form-label">Industry</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="e.g. IT Services"
+                            value={filters.industry}
+                            onChange={(e) => updateFilter('industry', e.target.value)}
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Skills</label>
+                        <div className="filter-range">
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder="React, Node.js"
+                                value={filters.skills}
+                                onChange={(e) => updateFilter('skills', e.target.value)}
+                            />
+                            <select
+                                className="form-select"
+                                style={{ width: 'auto' }}
+                                value={filters.skillsMode}
+                                onChange={(e) => updateFilter('skillsMode', e.target.value)}
                             >
-                                <HiOutlineChevronRight />
-                            </button>
+                                <option value="any">Any</option>
+                                <option value="all">All</option>
+                            </select>
                         </div>
                     </div>
-                )}
-            </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Experience (years)</label>
+                        <div className="filter-range">
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="0"
+                                max="30"
+                                placeholder="Min"
+                                value={filters.minExp}
+                                onChange={(e) => updateFilter('minExp', e.target.value)}
+                            />
+                            <span>–</span>
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="0"
+                                max="30"
+                                placeholder="Max"
+                                value={filters.maxExp}
+                                onChange={(e) => updateFilter('maxExp', e.target.value)}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Min salary (LPA)</label>
+                        <input
+                            type="number"
+                            className="form-input"
+                            min="0"
+                            placeholder="e.g. 12"
+                            value={filters.minSalary}
+                            onChange={(e) => updateFilter('minSalary', e.target.value)}
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Posted</label>
+                        <select
+                            className="form-select"
+                            value={filters.postedWithin}
+                            onChange={(e) => updateFilter('postedWithin', e.target.value)}
+                        >
+                            {POSTED_WITHIN_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group filter-panel-actions">
+                        <label className="filter-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={filters.matchedOnly}
+                                onChange={(e) => updateFilter('matchedOnly', e.target.checked)}
+                            />
+                            Only jobs matching my skills
+                        </label>
+                        <label className="filter-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={filters.includeHidden}
+                                onChange={(e) => updateFilter('includeHidden', e.target.checked)}
+                            />
+                            Show merged and hidden duplicates
+                        </label>
+                        <label className="filter-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={filters.includeExpired}
+                                onChange={(e) => updateFilter('includeExpired', e.target.checked)}
+                            />
+                            Show expired, removed and closed jobs
+                        </label>
+                        <button
+                            className="btn btn-ghost"
+                            disabled={activeFilterCount === 0}
+                            onClick={() => setFilters(prev => ({ ...DEFAULT_FILTERS, q: prev.q, keyword: prev.keyword }))}
+                        >
+                            Clear filters
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {view === 'board' && (
+                <ApplicationBoard filters={queryParams} onOpen={(id) => navigate(`/jobs/${id}`)} />
+            )}
+
+            {/* Jobs Table */}
+            {view === 'table' && (
+                <div className="card" style={{ padding: 0 }}>
+                    {isLoading ? (
+                        <Loader message="Fetching jobs..." />
+                    ) : jobs.length === 0 ? (
+                        <div className="loader-container">
+                            <p className="loader-message">No jobs found.</p>
+                        </div>
+                    ) : (
+                        <div className="table-container">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Position</th>
+                                        <th>Location</th>
+                                        <th>Experience</th>
+                                        <th>Salary</th>
+                                        <th>Search Keywords</th>
+                                        <th
+                                            style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+                                            title="Sort by match score"
+                                            onClick={() => setSort(sort === 'matchScore:desc' ? 'matchScore:asc' : 'matchScore:desc')}
+                                        >
+                                            Match {sort === 'matchScore:desc' ? '↓' : sort === 'matchScore:asc' ? '↑' : ''}
+                                        </th>
+                                        <th>Posted</th>
+                                        <th>Status</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {jobs.map(job => (
+                                        <tr key={job._id} onClick={() => navigate(`/jobs/${job._id}`)}>
+                                            <td>
+                                                <span className="table-job-title">{job.title}</span>
+                                                <span className="table-company">{job.company}</span>
+                                                {job.lifecycleStatus && job.lifecycleStatus !== 'active' && (
+                                                    <span className={`tag ${getLifecycleInfo(job.lifecycleStatus).color}`}>
+                                                        {getLifecycleInfo(job.lifecycleStatus).label}
+                                                    </span>
+                                                )}
+                                                {job.duplicateStatus === 'probable' && (
+                                                    <span className="tag warning" title="Probably a repost of another job">Possible duplicate</span>
+                                                )}
+                                            </td>
+                                            <td style={{ whiteSpace: 'nowrap' }}>{job.location?.split(',')[0]}</td>
+                                            <td><span className="tag neutral">{job.experience}</span></td>
+                                            <td style={{ whiteSpace: 'nowrap' }}>{formatSalary(job)}</td>
+                                            <td>
+                                                <div className="tags-list">
+                                                    {jobKeywords(job).map(kw => (
+                                                        <span key={kw} className="tag primary">{kw}</span>
+                                                    ))}
+                                                </div>
+                                            </td>
+                                            <td>
+                                                <div className="tags-list">
+                                                    {job.matchScore !== null && job.matchScore !== undefined && (
+                                                        <span className={`tag ${scoreColor(job.matchScore)}`} title="Match score">{job.matchScore}</span>
+                                                    )}
+                                                    {(job.matchedSkills || []).slice(0, 3).map(s => (
+                                                        <span key={s} className="tag secondary">{s}</span>
+                                                    ))}
+                                                    {(job.matchedSkills || []).length > 3 && (
+                                                        <span className="tag neutral">+{job.matchedSkills.length - 3}</span>
+                                                    )}
+                                                </div>
+                                            </td>
+                                            <td style={{ whiteSpace: 'nowrap', fontSize: 'var(--font-sm)', color: 'var(--text-muted)' }}>
+                                                <PostedDate job={job} />
+                                            </td>
+                                            <td>
+                                                <span className={`tag ${getStatusInfo(job.application?.status).color}`}>
+                                                    {getStatusInfo(job.application?.status).label}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                <a
+                                                    href={job.jobUrl}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    onClick={(e) => e.stopPropagation()}
+                                                    style={{ color: 'var(--text-muted)' }}
+                                                >
+                                                    <HiOutlineExternalLink />
+                                                </a>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {/* Pagination */}
+                    {!isLoading && totalPages > 1 && (
+                        <div className="pagination" style={{ padding: 'var(--space-4) var(--space-6)' }}>
+                            <span className="pagination-info">
+                                Showing {(currentPage - 1) * ITEMS_PER_PAGE + 1}–{Math.min(currentPage * ITEMS_PER_PAGE, totalJobs)} of {totalJobs}
+                            </span>
+                            <div className="pagination-controls">
+                                <button
+                                    className="pagination-btn"
+                                    disabled={currentPage === 1}
+                                    onClick={() => setCurrentPage(p => p - 1)}
+                                >
+                                    <HiOutlineChevronLeft />
+                                </button>
+                                {getPaginationGroup().map((item, index) => (
+                                    item === '...' ? (
+                                        <span key={`ellipsis-${index}`} className="pagination-ellipsis">...</span>
+                                    ) : (
+                                        <button
+                                            key={item}
+                                            className={`pagination-btn ${item === currentPage ? 'active' : ''}`}
+                                            onClick={() => setCurrentPage(item)}
+                                        >
+                                            {item}
+                                        </button>
+                                    )
+                                ))}
+                                <button
+                                    className="pagination-btn"
+                                    disabled={currentPage === totalPages}
+                                    onClick={() => setCurrentPage(p => p + 1)}
+                                >
+                                    <HiOutlineChevronRight />
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     )
 }
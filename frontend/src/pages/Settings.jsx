@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import {
     HiOutlineKey,
     HiOutlineChip,
@@ -6,41 +6,397 @@ import {
     HiOutlineAdjustments,
     HiOutlineSave,
     HiOutlinePlus,
-    HiOutlineX
+    HiOutlineX,
+    HiOutlineCalendar,
+    HiOutlineStar,
+    HiOutlineTag,
+    HiOutlineUserGroup,
+    HiOutlineTrash,
+    HiOutlineFilter
 } from 'react-icons/hi'
-import { mockConfig } from '../data/mockData'
+import { fetchConfig, updateConfig, fetchSchedule } from '../services/api'
+import Loader from '../components/Loader'
+import useScrapeRun from '../hooks/useScrapeRun'
+import useProfile, { DEFAULT_PROFILE, setProfiles } from '../hooks/useProfile'
+import { timeAgo } from '../utils/time'
+import { SKILL_CATEGORIES } from '../utils/skills'
+import { WORK_MODES, FRESHNESS_DAYS, SALARY_BANDS, COMPANY_TYPES, SEARCH_SORTS } from '../utils/searchFilters'
+
+function FieldError({ message }) {
+    return message ? <span className="form-error">{message}</span> : null
+}
+
+// Removable tags with an input for adding more
+function TagListEditor({ items, color, placeholder, onChange }) {
+    const [value, setValue] = useState('')
+
+    const add = () => {
+        const item = value.trim()
+        if (item && !items.some(existing => existing.toLowerCase() === item.toLowerCase())) {
+            onChange([...items, item])
+        }
+        setValue('')
+    }
+
+    return (
+        <>
+            {items.length > 0 && (
+                <div className="tags-list" style={{ marginBottom: 'var(--space-3)', gap: 'var(--space-2)' }}>
+                    {items.map(item => (
+                        <span key={item} className={`tag ${color}`} style={{ padding: '4px 10px', gap: '6px', display: 'inline-flex', alignItems: 'center' }}>
+                            {item}
+                            <HiOutlineX
+                                style={{ cursor: 'pointer', opacity: 0.7 }}
+                                onClick={() => onChange(items.filter(i => i !== item))}
+                            />
+                        </span>
+                    ))}
+                </div>
+            )}
+            <div style={{ display: 'flex', gap: 'var(--space-2)' }}>
+                <input
+                    className="form-input"
+                    type="text"
+                    placeholder={placeholder}
+                    value={value}
+                    onChange={e => setValue(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && add()}
+                    style={{ flex: 1 }}
+                />
+                <button className="btn btn-outline" onClick={add}>
+                    <HiOutlinePlus />
+                </button>
+            </div>
+        </>
+    )
+}
+
+// Checkboxes for a multi-valued search filter
+function CheckboxGroup({ options, selected, onChange }) {
+    const toggle = (value, checked) => {
+        onChange(checked ? [...selected, value] : selected.filter(item => item !== value))
+    }
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-2) var(--space-4)' }}>
+            {options.map(option => (
+                <label key={option.value} className="filter-checkbox">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(option.value)}
+                        onChange={e => toggle(option.value, e.target.checked)}
+                    />
+                    {option.label}
+                </label>
+            ))}
+        </div>
+    )
+}
+
+// Custom skill taxonomy entries: canonical name, category and aliases
+function SkillTaxonomyEditor({ entries, errors, onChange }) {
+    const [draft, setDraft] = useState({ name: '', category: 'framework', aliases: '' })
+
+    const add = () => {
+        const name = draft.name.trim()
+        if (!name) return
+        const aliases = draft.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+        onChange([...entries.filter(e => e.name.toLowerCase() !== name.toLowerCase()), { name, category: draft.category, aliases }])
+        setDraft(prev => ({ ...prev, name: '', aliases: '' }))
+    }
+
+    return (
+        <>
+            {entries.map((entry, i) => (
+                <div key={entry.name} className="config-item">
+                    <span className="config-item-label">
+                        {entry.name} <span className="tag neutral">{entry.category}</span>
+                        {entry.aliases.length > 0 && <span className="table-company">{entry.aliases.join(', ')}</span>}
+                        <FieldError message={errors[`skillTaxonomy.${i}.name`] || errors[`skillTaxonomy.${i}.category`] || errors[`skillTaxonomy.${i}.aliases`]} />
+                    </span>
+                    <HiOutlineX
+                        style={{ cursor: 'pointer', opacity: 0.7 }}
+                        onClick={() => onChange(entries.filter(e => e !== entry))}
+                    />
+                </div>
+            ))}
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: 'var(--space-2)', marginTop: 'var(--space-3)' }}>
+                <input
+                    className="form-input"
+                    type="text"
+                    placeholder="Skill name, e.g. Svelte"
+                    value={draft.name}
+                    onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                />
+                <select
+                    className="form-select"
+                    value={draft.category}
+                    onChange={e => setDraft(prev => ({ ...prev, category: e.target.value }))}
+                >
+                    {SKILL_CATEGORIES.map(category => (
+                        <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
+                </select>
+                <input
+                    className="form-input"
+                    type="text"
+                    placeholder="Aliases, comma-separated, e.g. sveltejs"
+                    value={draft.aliases}
+                    onChange={e => setDraft(prev => ({ ...prev, aliases: e.target.value }))}
+                    onKeyDown={e => e.key === 'Enter' && add()}
+                />
+                <button className="btn btn-outline" onClick={add}>
+                    <HiOutlinePlus />
+                </button>
+            </div>
+            <FieldError message={errors.skillTaxonomy} />
+        </>
+    )
+}
+
+// Preferences behind the match score (see config.matching)
+const DEFAULT_MATCHING = { mustHaveSkills: [], locations: [], titleKeywords: [], minSalary: null }
+
+// Naukri search filters besides experience and locations (see config.searchFilters)
+const DEFAULT_SEARCH_FILTERS = { workModes: [], freshnessDays: null, salaryBands: [], companyTypes: [], sortBy: 'relevance' }
+
+// Settings that skill matches and match scores are computed from
+function matchInputs(config) {
+    const profiles = config.profiles.map(({ name, skills, experience, matching }) => ({ name, skills, experience, matching }))
+    return JSON.stringify([config.skills, config.skillTaxonomy, config.experience, config.matching, profiles])
+}
+
+// Settings of a profile as edited on this page; named profiles inherit what they leave out
+function profileView(config, index) {
+    const defaults = {
+        keywords: config.keywords,
+        skills: config.skills,
+        experience: config.experience,
+        locations: config.locations,
+        searchFilters: config.searchFilters,
+        matching: config.matching,
+        pagesPerKeyword: config.scraping.pagesPerKeyword
+    }
+    const view = index >= 0 ? { ...defaults, ...config.profiles[index] } : defaults
+    return {
+        ...view,
+        experience: view.experience || { min: 0, max: 0 },
+        searchFilters: { ...DEFAULT_SEARCH_FILTERS, ...view.searchFilters },
+        matching: { ...DEFAULT_MATCHING, ...view.matching }
+    }
+}
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i
+
+// Named search profiles: pick the one to edit, add (copying the default profile) or delete
+function ProfileManager({ config, active, errors, onSelect, onChange }) {
+    const [name, setName] = useState('')
+    const [error, setError] = useState(null)
+
+    const add = () => {
+        const trimmed = name.trim()
+        if (!PROFILE_NAME_PATTERN.test(trimmed)) {
+            setError('Use letters, digits, "-" or "_" (up to 40 characters)')
+            return
+        }
+        if (trimmed === DEFAULT_PROFILE || config.profiles.some(p => p.name === trimmed)) {
+            setError(`A profile named "${trimmed}" already exists`)
+            return
+        }
+        onChange([...config.profiles, { name: trimmed, ...profileView(config, -1) }])
+        onSelect(trimmed)
+        setName('')
+        setError(null)
+    }
+
+    const remove = (profile) => {
+        onChange(config.profiles.filter(p => p !== profile))
+        if (active === profile.name) onSelect(DEFAULT_PROFILE)
+    }
+
+    return (
+        <>
+            {[{ name: DEFAULT_PROFILE }, ...config.profiles].map((profile, i) => (
+                <div key={profile.name} className="config-item">
+                    <label className="config-item-label" style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-2)', cursor: 'pointer' }}>
+                        <input
+                            type="radio"
+                            name="profile"
+                            checked={active === profile.name}
+                            onChange={() => onSelect(profile.name)}
+                        />
+                        {profile.name}
+                        {i > 0 && <FieldError message={errors[`profiles.${i - 1}.name`]} />}
+                    </label>
+                    {i > 0 && (
+                        <HiOutlineTrash
+                            style={{ cursor: 'pointer', opacity: 0.7 }}
+                            title="Delete profile"
+                            onClick={() => remove(profile)}
+                        />
+                    )}
+                </div>
+            ))}
+            <div style={{ display: 'flex', gap: 'var(--space-2)', marginTop: 'var(--space-3)' }}>
+                <input
+                    className="form-input"
+                    type="text"
+                    placeholder="New profile, e.g. backend-remote"
+                    value={name}
+                    onChange={e => setName(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && add()}
+                    style={{ flex: 1 }}
+                />
+                <button className="btn btn-outline" onClick={add}>
+                    <HiOutlinePlus />
+                </button>
+            </div>
+            <FieldError message={error || errors.profiles} />
+        </>
+    )
+}
 
 export default function Settings() {
-    const [config, setConfig] = useState(mockConfig)
+    const [config, setConfig] = useState(null)
     const [newKeyword, setNewKeyword] = useState('')
     const [newSkill, setNewSkill] = useState('')
+    const [isLoading, setIsLoading] = useState(true)
+    const [loadError, setLoadError] = useState(null)
+    const [isSaving, setIsSaving] = useState(false)
     const [saved, setSaved] = useState(false)
+    const [saveError, setSaveError] = useState(null)
+    const [errors, setErrors] = useState({})
+    const [schedule, setSchedule] = useState(null)
+    const [savedMatchInputs, setSavedMatchInputs] = useState(null)
+    const [rematchStarted, setRematchStarted] = useState(false)
+    const { run, isRunning, error: rematchError, rematch } = useScrapeRun()
+    const { profile, setProfile } = useProfile()
+    const rematchRun = rematchStarted && run?.mode === 'rematch' ? run : null
+
+    useEffect(() => {
+        fetchSchedule()
+            .then(res => setSchedule(res.data))
+            .catch(err => console.error('Failed to load schedule:', err))
+    }, [])
+
+    useEffect(() => {
+        fetchConfig()
+            .then(res => {
+                const loaded = {
+                    ...res.data,
+                    experience: res.data.experience || { min: 0, max: 0 },
+                    matching: { ...DEFAULT_MATCHING, ...res.data.matching },
+                    skillTaxonomy: res.data.skillTaxonomy || [],
+                    locations: res.data.locations || [],
+                    searchFilters: { ...DEFAULT_SEARCH_FILTERS, ...res.data.searchFilters },
+                    profiles: res.data.profiles || []
+                }
+                setConfig(loaded)
+                setSavedMatchInputs(matchInputs(loaded))
+            })
+            .catch(err => setLoadError(err.message))
+            .finally(() => setIsLoading(false))
+    }, [])
+
+    // The cards below edit the profile selected in the header
+    const profileIndex = config ? config.profiles.findIndex(p => p.name === profile) : -1
+    const view = config ? profileView(config, profileIndex) : null
+
+    // Error of a profile setting (named profiles report them as profiles.<index>.<field>)
+    const err = (field) => profileIndex >= 0
+        ? errors[`profiles.${profileIndex}.${field}`]
+        : errors[field === 'pagesPerKeyword' ? 'scraping.pagesPerKeyword' : field]
+
+    const updateTarget = (field, value) => {
+        setConfig(prev => {
+            const index = prev.profiles.findIndex(p => p.name === profile)
+            if (index >= 0) {
+                return { ...prev, profiles: prev.profiles.map((p, i) => i === index ? { ...p, [field]: value } : p) }
+            }
+            if (field === 'pagesPerKeyword') {
+                return { ...prev, scraping: { ...prev.scraping, pagesPerKeyword: value } }
+            }
+            return { ...prev, [field]: value }
+        })
+    }
 
     const addKeyword = () => {
-        if (newKeyword.trim() && !config.keywords.includes(newKeyword.trim())) {
-            setConfig(prev => ({ ...prev, keywords: [...prev.keywords, newKeyword.trim()] }))
+        if (newKeyword.trim() && !view.keywords.includes(newKeyword.trim())) {
+            updateTarget('keywords', [...view.keywords, newKeyword.trim()])
             setNewKeyword('')
         }
     }
 
     const removeKeyword = (kw) => {
-        setConfig(prev => ({ ...prev, keywords: prev.keywords.filter(k => k !== kw) }))
+        updateTarget('keywords', view.keywords.filter(k => k !== kw))
     }
 
     const addSkill = () => {
-        if (newSkill.trim() && !config.skills.includes(newSkill.trim())) {
-            setConfig(prev => ({ ...prev, skills: [...prev.skills, newSkill.trim()] }))
+        if (newSkill.trim() && !view.skills.includes(newSkill.trim())) {
+            updateTarget('skills', [...view.skills, newSkill.trim()])
             setNewSkill('')
         }
     }
 
     const removeSkill = (skill) => {
-        setConfig(prev => ({ ...prev, skills: prev.skills.filter(s => s !== skill) }))
+        updateTarget('skills', view.skills.filter(s => s !== skill))
+    }
+
+    const updateMatching = (field, value) => {
+        updateTarget('matching', { ...view.matching, [field]: value })
+    }
+
+    const updateSearchFilter = (field, value) => {
+        updateTarget('searchFilters', { ...view.searchFilters, [field]: value })
+    }
+
+    const handleSave = async () => {
+        setIsSaving(true)
+        setErrors({})
+        setSaveError(null)
+        try {
+            const res = await updateConfig({
+                keywords: config.keywords,
+                skills: config.skills,
+                skillTaxonomy: config.skillTaxonomy,
+                experience: config.experience,
+                locations: config.locations,
+                searchFilters: config.searchFilters,
+                matching: config.matching,
+                profiles: config.profiles,
+                scraping: config.scraping
+            })
+            setConfig(prev => ({ ...prev, ...res.data }))
+            setProfiles((res.data.profiles || []).map(p => p.name))
+            setSaved(true)
+            setTimeout(() => setSaved(false), 2000)
+
+            // Stored jobs were matched against the old settings
+            if (matchInputs(config) !== savedMatchInputs) {
+                setSavedMatchInputs(matchInputs(config))
+                setRematchStarted(true)
+                rematch()
+            }
+        } catch (err) {
+            setErrors(err.errors || {})
+            setSaveError(err.message)
+        } finally {
+            setIsSaving(false)
+        }
     }
 
-    const handleSave = () => {
-        setSaved(true)
-        setTimeout(() => setSaved(false), 2000)
+    if (isLoading) {
+        return <Loader message="Loading configuration..." />
+    }
+
+    if (loadError || !config) {
+        return (
+            <div className="empty-state">
+                <div className="empty-state-icon">⚙️</div>
+                <h3>Configuration Unavailable</h3>
+                <p>{loadError || 'Could not load config.json.'}</p>
+            </div>
+        )
     }
 
     return (
@@ -48,14 +404,53 @@ export default function Settings() {
             <div className="page-header">
                 <div>
                     <h2>Settings</h2>
-                    <p>Manage scraping configuration</p>
+                    <p>
+                        {profile === DEFAULT_PROFILE || profileIndex < 0
+                            ? 'Manage scraping configuration'
+                            : `Editing search profile "${profile}"`}
+                    </p>
                 </div>
-                <button className="btn btn-primary" onClick={handleSave}>
-                    <HiOutlineSave /> {saved ? 'Saved ✓' : 'Save Changes'}
+                <button className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                    <HiOutlineSave /> {isSaving ? 'Saving...' : saved ? 'Saved ✓' : 'Save Changes'}
                 </button>
             </div>
 
+            {rematchRun && (isRunning || rematchRun.status === 'completed') && (
+                <div className="card" style={{ marginBottom: 'var(--space-6)', fontSize: 'var(--font-sm)', color: 'var(--text-secondary)' }}>
+                    {isRunning
+                        ? `Updating skill matches and scores: ${rematchRun.rematch.processed}/${rematchRun.rematch.total} jobs...`
+                        : `Skill matches and scores updated for ${rematchRun.rematch.updated} of ${rematchRun.rematch.total} jobs.`}
+                </div>
+            )}
+            {rematchStarted && rematchError && (
+                <div className="card" style={{ marginBottom: 'var(--space-6)', color: 'var(--accent-warning)', fontSize: 'var(--font-sm)' }}>
+                    Match scores were not updated: {rematchError}. Run <code>naukri-scraper rematch</code> once it finishes.
+                </div>
+            )}
+
+            {saveError && (
+                <div className="card" style={{ marginBottom: 'var(--space-6)', color: 'var(--accent-danger)', fontSize: 'var(--font-sm)' }}>
+                    {saveError}
+                </div>
+            )}
+
             <div className="settings-grid">
+                {/* Search Profiles */}
+                <div className="settings-card animate-in animate-in-delay-1">
+                    <h3><HiOutlineUserGroup /> Search Profiles</h3>
+                    <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                        Each profile has its own keywords, skills, experience, locations and match preferences.
+                        The cards below edit the selected profile.
+                    </p>
+                    <ProfileManager
+                        config={config}
+                        active={profileIndex >= 0 ? profile : DEFAULT_PROFILE}
+                        errors={errors}
+                        onSelect={setProfile}
+                        onChange={profiles => setConfig(prev => ({ ...prev, profiles }))}
+                    />
+                </div>
+
                 {/* Keywords */}
                 <div className="settings-card animate-in animate-in-delay-1">
                     <h3><HiOutlineKey /> Search Keywords</h3>
@@ -63,7 +458,7 @@ export default function Settings() {
                         Keywords used for searching jobs on Naukri.com
                     </p>
                     <div className="tags-list" style={{ marginBottom: 'var(--space-4)', gap: 'var(--space-3)' }}>
-                        {config.keywords.map(kw => (
+                        {view.keywords.map(kw => (
                             <span key={kw} className="tag primary" style={{ padding: '6px 12px', gap: '6px', display: 'inline-flex', alignItems: 'center' }}>
                                 {kw}
                                 <HiOutlineX
@@ -87,6 +482,17 @@ export default function Settings() {
                             <HiOutlinePlus />
                         </button>
                     </div>
+                    <FieldError message={err('keywords')} />
+                    <div className="form-group" style={{ marginTop: 'var(--space-4)', marginBottom: 0 }}>
+                        <label className="form-label">Locations</label>
+                        <TagListEditor
+                            items={view.locations}
+                            color="info"
+                            placeholder="Search in cities, e.g. Pune..."
+                            onChange={items => updateTarget('locations', items)}
+                        />
+                        <FieldError message={err('locations')} />
+                    </div>
                 </div>
 
                 {/* Skills */}
@@ -96,7 +502,7 @@ export default function Settings() {
                         Skills used for matching against job listings
                     </p>
                     <div className="tags-list" style={{ marginBottom: 'var(--space-4)', gap: 'var(--space-3)' }}>
-                        {config.skills.map(skill => (
+                        {view.skills.map(skill => (
                             <span key={skill} className="tag secondary" style={{ padding: '6px 12px', gap: '6px', display: 'inline-flex', alignItems: 'center' }}>
                                 {skill}
                                 <HiOutlineX
@@ -120,6 +526,20 @@ export default function Settings() {
                             <HiOutlinePlus />
                         </button>
                     </div>
+                    <FieldError message={err('skills')} />
+                </div>
+
+                {/* Skill Taxonomy */}
+                <div className="settings-card animate-in animate-in-delay-2">
+                    <h3><HiOutlineTag /> Skill Names</h3>
+                    <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                        Common skills like Node.js or MongoDB are built in. Add skills or extra spellings here; scraped skills are renamed to these names.
+                    </p>
+                    <SkillTaxonomyEditor
+                        entries={config.skillTaxonomy}
+                        errors={errors}
+                        onChange={entries => setConfig(prev => ({ ...prev, skillTaxonomy: entries }))}
+                    />
                 </div>
 
                 {/* Experience Range */}
@@ -132,30 +552,26 @@ export default function Settings() {
                         <div className="form-group" style={{ marginBottom: 0 }}>
                             <label className="form-label">Minimum (years)</label>
                             <input
-                                className="form-input"
+                                className={`form-input ${err('experience.min') ? 'invalid' : ''}`}
                                 type="number"
                                 min="0"
                                 max="30"
-                                value={config.experience.min}
-                                onChange={e => setConfig(prev => ({
-                                    ...prev,
-                                    experience: { ...prev.experience, min: parseInt(e.target.value) || 0 }
-                                }))}
+                                value={view.experience.min}
+                                onChange={e => updateTarget('experience', { ...view.experience, min: parseInt(e.target.value) || 0 })}
                             />
+                            <FieldError message={err('experience.min')} />
                         </div>
                         <div className="form-group" style={{ marginBottom: 0 }}>
                             <label className="form-label">Maximum (years)</label>
                             <input
-                                className="form-input"
+                                className={`form-input ${err('experience.max') ? 'invalid' : ''}`}
                                 type="number"
                                 min="0"
                                 max="30"
-                                value={config.experience.max}
-                                onChange={e => setConfig(prev => ({
-                                    ...prev,
-                                    experience: { ...prev.experience, max: parseInt(e.target.value) || 0 }
-                                }))}
+                                value={view.experience.max}
+                                onChange={e => updateTarget('experience', { ...view.experience, max: parseInt(e.target.value) || 0 })}
                             />
+                            <FieldError message={err('experience.max')} />
                         </div>
                     </div>
                     <div style={{
@@ -166,7 +582,122 @@ export default function Settings() {
                         fontSize: 'var(--font-sm)',
                         color: 'var(--accent-info)'
                     }}>
-                        Currently filtering: {config.experience.min}–{config.experience.max} years
+                        Currently filtering: {view.experience.min}–{view.experience.max} years
+                    </div>
+                </div>
+
+                {/* Search Filters */}
+                <div className="settings-card animate-in animate-in-delay-3">
+                    <h3><HiOutlineFilter /> Search Filters</h3>
+                    <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                        Naukri filters applied to every search. Leave a filter empty to search everything.
+                    </p>
+                    <div className="form-group">
+                        <label className="form-label">Work mode</label>
+                        <CheckboxGroup
+                            options={WORK_MODES}
+                            selected={view.searchFilters.workModes}
+                            onChange={items => updateSearchFilter('workModes', items)}
+                        />
+                        <FieldError message={err('searchFilters.workModes')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Salary (LPA)</label>
+                        <CheckboxGroup
+                            options={SALARY_BANDS.map(band => ({ value: band, label: band }))}
+                            selected={view.searchFilters.salaryBands}
+                            onChange={items => updateSearchFilter('salaryBands', items)}
+                        />
+                        <FieldError message={err('searchFilters.salaryBands')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Company type</label>
+                        <CheckboxGroup
+                            options={COMPANY_TYPES}
+                            selected={view.searchFilters.companyTypes}
+                            onChange={items => updateSearchFilter('companyTypes', items)}
+                        />
+                        <FieldError message={err('searchFilters.companyTypes')} />
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--space-4)' }}>
+                        <div className="form-group" style={{ marginBottom: 0 }}>
+                            <label className="form-label">Posted within</label>
+                            <select
+                                className="form-select"
+                                value={view.searchFilters.freshnessDays ?? ''}
+                                onChange={e => updateSearchFilter('freshnessDays', e.target.value === '' ? null : parseInt(e.target.value))}
+                            >
+                                <option value="">Any time</option>
+                                {FRESHNESS_DAYS.map(days => (
+                                    <option key={days} value={days}>{days === 1 ? 'Last day' : `Last ${days} days`}</option>
+                                ))}
+                            </select>
+                            <FieldError message={err('searchFilters.freshnessDays')} />
+                        </div>
+                        <div className="form-group" style={{ marginBottom: 0 }}>
+                            <label className="form-label">Sort results by</label>
+                            <select
+                                className="form-select"
+                                value={view.searchFilters.sortBy}
+                                onChange={e => updateSearchFilter('sortBy', e.target.value)}
+                            >
+                                {SEARCH_SORTS.map(sort => (
+                                    <option key={sort.value} value={sort.value}>{sort.label}</option>
+                                ))}
+                            </select>
+                            <FieldError message={err('searchFilters.sortBy')} />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Match Scoring */}
+                <div className="settings-card animate-in animate-in-delay-3">
+                    <h3><HiOutlineStar /> Match Scoring</h3>
+                    <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                        Preferences used to score jobs from 0 to 100. Matching skills above count as nice-to-have.
+                    </p>
+                    <div className="form-group">
+                        <label className="form-label">Must-have skills</label>
+                        <TagListEditor
+                            items={view.matching.mustHaveSkills}
+                            color="danger"
+                            placeholder="Add must-have skill..."
+                            onChange={items => updateMatching('mustHaveSkills', items)}
+                        />
+                        <FieldError message={err('matching.mustHaveSkills')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Preferred locations</label>
+                        <TagListEditor
+                            items={view.matching.locations}
+                            color="info"
+                            placeholder="e.g. Bengaluru, Remote..."
+                            onChange={items => updateMatching('locations', items)}
+                        />
+                        <FieldError message={err('matching.locations')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Title keywords</label>
+                        <TagListEditor
+                            items={view.matching.titleKeywords}
+                            color="primary"
+                            placeholder="e.g. backend, senior..."
+                            onChange={items => updateMatching('titleKeywords', items)}
+                        />
+                        <FieldError message={err('matching.titleKeywords')} />
+                    </div>
+                    <div className="form-group" style={{ marginBottom: 0 }}>
+                        <label className="form-label">Minimum salary (LPA)</label>
+                        <input
+                            className={`form-input ${err('matching.minSalary') ? 'invalid' : ''}`}
+                            type="number"
+                            min="0"
+                            max="500"
+                            placeholder="No preference"
+                            value={view.matching.minSalary ?? ''}
+                            onChange={e => updateMatching('minSalary', e.target.value === '' ? null : parseFloat(e.target.value))}
+                        />
+                        <FieldError message={err('matching.minSalary')} />
                     </div>
                 </div>
 
@@ -179,21 +710,19 @@ export default function Settings() {
                     <div className="form-group">
                         <label className="form-label">Pages per keyword</label>
                         <input
-                            className="form-input"
+                            className={`form-input ${err('pagesPerKeyword') ? 'invalid' : ''}`}
                             type="number"
                             min="1"
                             max="20"
-                            value={config.scraping.pagesPerKeyword}
-                            onChange={e => setConfig(prev => ({
-                                ...prev,
-                                scraping: { ...prev.scraping, pagesPerKeyword: parseInt(e.target.value) || 1 }
-                            }))}
+                            value={view.pagesPerKeyword}
+                            onChange={e => updateTarget('pagesPerKeyword', parseInt(e.target.value) || 1)}
                         />
+                        <FieldError message={err('pagesPerKeyword')} />
                     </div>
                     <div className="form-group">
                         <label className="form-label">Delay between keywords (ms)</label>
                         <input
-                            className="form-input"
+                            className={`form-input ${errors['scraping.delayBetweenKeywords'] ? 'invalid' : ''}`}
                             type="number"
                             min="1000"
                             max="30000"
@@ -204,6 +733,84 @@ export default function Settings() {
                                 scraping: { ...prev.scraping, delayBetweenKeywords: parseInt(e.target.value) || 5000 }
                             }))}
                         />
+                        <FieldError message={errors['scraping.delayBetweenKeywords']} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Flag jobs as missing after (runs)</label>
+                        <input
+                            className={`form-input ${errors['scraping.missingAfterRuns'] ? 'invalid' : ''}`}
+                            type="number"
+                            min="1"
+                            max="50"
+                            value={config.scraping.missingAfterRuns ?? 3}
+                            onChange={e => setConfig(prev => ({
+                                ...prev,
+                                scraping: { ...prev.scraping, missingAfterRuns: parseInt(e.target.value) || 3 }
+                            }))}
+                        />
+                        <FieldError message={errors['scraping.missingAfterRuns']} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Job pages scraped at once</label>
+                        <input
+                            className={`form-input ${errors['scraping.detailConcurrency'] ? 'invalid' : ''}`}
+                            type="number"
+                            min="1"
+                            max="8"
+                            value={config.scraping.detailConcurrency ?? 3}
+                            onChange={e => setConfig(prev => ({
+                                ...prev,
+                                scraping: { ...prev.scraping, detailConcurrency: parseInt(e.target.value) || 1 }
+                            }))}
+                        />
+                        <FieldError message={errors['scraping.detailConcurrency']} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Minimum gap between job page requests (ms)</label>
+                        <input
+                            className={`form-input ${errors['scraping.detailRequestInterval'] ? 'invalid' : ''}`}
+                            type="number"
+                            min="0"
+                            max="30000"
+                            step="500"
+                            value={config.scraping.detailRequestInterval ?? 1500}
+                            onChange={e => setConfig(prev => ({
+                                ...prev,
+                                scraping: { ...prev.scraping, detailRequestInterval: parseInt(e.target.value) || 0 }
+                            }))}
+                        />
+                        <FieldError message={errors['scraping.detailRequestInterval']} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Retries after a page times out</label>
+                        <input
+                            className={`form-input ${errors['scraping.retries'] ? 'invalid' : ''}`}
+                            type="number"
+                            min="0"
+                            max="5"
+                            value={config.scraping.retries ?? 2}
+                            onChange={e => setConfig(prev => ({
+                                ...prev,
+                                scraping: { ...prev.scraping, retries: parseInt(e.target.value) || 0 }
+                            }))}
+                        />
+                        <FieldError message={errors['scraping.retries']} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Delay before the first retry (ms, doubles each retry)</label>
+                        <input
+                            className={`form-input ${errors['scraping.retryBaseDelay'] ? 'invalid' : ''}`}
+                            type="number"
+                            min="500"
+                            max="60000"
+                            step="500"
+                            value={config.scraping.retryBaseDelay ?? 2000}
+                            onChange={e => setConfig(prev => ({
+                                ...prev,
+                                scraping: { ...prev.scraping, retryBaseDelay: parseInt(e.target.value) || 500 }
+                            }))}
+                        />
+                        <FieldError message={errors['scraping.retryBaseDelay']} />
                     </div>
                     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
                         <span className="form-label" style={{ marginBottom: 0 }}>Scrape job details</span>
@@ -243,6 +850,39 @@ export default function Settings() {
                         </label>
                     </div>
                 </div>
+
+                {/* Schedule */}
+                {schedule && (
+                    <div className="settings-card animate-in animate-in-delay-4">
+                        <h3><HiOutlineCalendar /> Scheduled Scrapes</h3>
+                        <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                            {schedule.enabled
+                                ? `Cron schedule from config.json${schedule.timezone ? ` (${schedule.timezone})` : ''}${schedule.active ? '' : ' · run `naukri-scraper daemon` or set RUN_SCHEDULER=true to execute it'}`
+                                : 'Scheduling is disabled in config.json'}
+                        </p>
+                        {schedule.jobs.length === 0 && (
+                            <p style={{ fontSize: 'var(--font-sm)', color: 'var(--text-muted)' }}>No schedule entries.</p>
+                        )}
+                        {schedule.jobs.map(job => (
+                            <div key={job.name} className="config-item" style={{ alignItems: 'flex-start' }}>
+                                <div>
+                                    <span className="config-item-label">{job.name}</span>
+                                    <div style={{ fontSize: 'var(--font-xs)', color: 'var(--text-muted)', marginTop: '4px' }}>
+                                        <code>{job.cron}</code>{job.profile ? ` · ${job.profile}` : ''} · {job.keywords.length > 0 ? job.keywords.join(', ') : 'all keywords'}
+                                    </div>
+                                </div>
+                                <div style={{ textAlign: 'right', fontSize: 'var(--font-xs)' }}>
+                                    <div className="config-item-value">
+                                        Next: {job.nextRunAt ? new Date(job.nextRunAt).toLocaleString() : '—'}
+                                    </div>
+                                    <div style={{ color: 'var(--text-muted)', marginTop: '4px' }}>
+                                        Last: {job.lastRunAt ? `${timeAgo(job.lastRunAt)} (${job.lastStatus})` : 'never'}
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
         </div>
     )
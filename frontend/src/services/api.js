@@ -1,18 +1,35 @@
 const API_BASE = 'http://localhost:3000/api';
 
 /**
- * Fetch paginated jobs list with optional search and keyword filter.
+ * Fetch paginated jobs list with optional search, filters and sorting.
+ * Empty filter values are left out of the query string.
  * @param {Object} params
  * @param {number} params.page
  * @param {number} params.limit
- * @param {string} [params.search]
+ * @param {string} [params.profile] - Search profile whose jobs and match scores to return
+ * @param {string} [params.q] - Full-text search
+ * @param {string} [params.search] - Title contains (plain text)
  * @param {string} [params.keyword]
+ * @param {string} [params.company]
+ * @param {string} [params.location]
+ * @param {string} [params.industry]
+ * @param {string} [params.skills] - Comma-separated
+ * @param {string} [params.skillsMode] - 'any' | 'all'
+ * @param {string} [params.matchedOnly] - 'true' to only return skill matches
+ * @param {number} [params.minSalary] - LPA
+ * @param {number} [params.maxSalary] - LPA
+ * @param {number} [params.minExp] - Years
+ * @param {number} [params.maxExp] - Years
+ * @param {string} [params.postedSince] - ISO date
+ * @param {string} [params.sortBy] - 'createdAt' | 'scrapedAt' | 'salary' | 'postedAt' | 'relevance'
+ * @param {string} [params.order] - 'asc' | 'desc'
  * @returns {Promise<{ data: Array, pagination: Object }>}
  */
-export async function fetchJobs({ page = 1, limit = 10, search = '', keyword = '' } = {}) {
+export async function fetchJobs({ page = 1, limit = 10, ...filters } = {}) {
     const params = new URLSearchParams({ page, limit });
-    if (search) params.append('search', search);
-    if (keyword) params.append('keyword', keyword);
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) params.append(key, value);
+    });
 
     const res = await fetch(`${API_BASE}/jobs?${params}`);
     if (!res.ok) throw new Error('Failed to fetch jobs');
@@ -22,14 +39,27 @@ export async function fetchJobs({ page = 1, limit = 10, search = '', keyword = '
 /**
  * Fetch a single job by its ID.
  * @param {string} id
+ * @param {string} [profile] - Search profile whose match results to return
  * @returns {Promise<{ data: Object }>}
  */
-export async function fetchJobById(id) {
-    const res = await fetch(`${API_BASE}/jobs/${id}`);
+export async function fetchJobById(id, profile = '') {
+    const query = profile ? `?${new URLSearchParams({ profile })}` : '';
+    const res = await fetch(`${API_BASE}/jobs/${id}${query}`);
     if (!res.ok) throw new Error('Failed to fetch job');
     return res.json();
 }
 
+/**
+ * Fetch changes to a job's scraped fields detected on re-scrapes, newest first.
+ * @param {string} id
+ * @returns {Promise<{ data: Array<{ detectedAt: string, changes: Array<{ field: string, from: *, to: * }> }> }>}
+ */
+export async function fetchJobHistory(id) {
+    const res = await fetch(`${API_BASE}/jobs/${id}/history`);
+    if (!res.ok) throw new Error('Failed to fetch job history');
+    return res.json();
+}
+
 /**
  * Fetch unique search keywords for the filter dropdown.
  * @returns {Promise<{ data: string[] }>}
@@ -39,3 +69,233 @@ export async function fetchKeywords() {
     if (!res.ok) throw new Error('Failed to fetch keywords');
     return res.json();
 }
+
+/**
+ * Fetch jobs grouped into one board column per application status.
+ * Accepts the same filters as fetchJobs (without page/limit/sort).
+ * @param {Object} [filters]
+ * @returns {Promise<{ data: Array<{ status: string, count: number, jobs: Array }> }>}
+ */
+export async function fetchJobBoard(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) params.append(key, value);
+    });
+
+    const res = await fetch(`${API_BASE}/jobs/board?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch board');
+    return res.json();
+}
+
+/**
+ * Update a job's application status, follow-up date and/or add a note.
+ * On validation failure the thrown error carries per-field messages in `error.errors`.
+ * @param {string} id
+ * @param {Object} changes - { status, followUpAt, note }
+ * @returns {Promise<{ data: Object }>} - Updated application
+ */
+export async function updateApplication(id, changes) {
+    const res = await fetch(`${API_BASE}/jobs/${id}/application`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const error = new Error(body.message || 'Failed to update application');
+        error.errors = body.errors || {};
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Fetch duplicates grouped under the job they duplicate.
+ * @param {string} [status] - "probable" (default), "merged" or "hidden"
+ * @returns {Promise<{ data: Array<{ job: Object, duplicates: Array }> }>}
+ */
+export async function fetchDuplicates(status = 'probable') {
+    const res = await fetch(`${API_BASE}/jobs/duplicates?status=${status}`);
+    if (!res.ok) throw new Error('Failed to fetch duplicates');
+    return res.json();
+}
+
+/**
+ * Re-run duplicate detection over all stored jobs.
+ * @returns {Promise<{ data: { checked: number, linked: number, unlinked: number } }>}
+ */
+export async function detectDuplicates() {
+    const res = await fetch(`${API_BASE}/jobs/duplicates/detect`, { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to detect duplicates');
+    return res.json();
+}
+
+/**
+ * Merge, hide, dismiss or restore a duplicate.
+ * @param {string} id
+ * @param {string} action - merge | hide | dismiss | restore
+ * @param {string} [into] - Job to merge into (defaults to the linked job)
+ * @returns {Promise<{ data: { duplicateOf: string, duplicateStatus: string } }>}
+ */
+export async function resolveDuplicate(id, action, into) {
+    const res = await fetch(`${API_BASE}/jobs/${id}/duplicate`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, into })
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.message || 'Failed to update duplicate');
+    return body;
+}
+
+/**
+ * Fetch the scraper configuration (config.json).
+ * @returns {Promise<{ data: Object }>}
+ */
+export async function fetchConfig() {
+    const res = await fetch(`${API_BASE}/config`);
+    if (!res.ok) throw new Error('Failed to fetch config');
+    return res.json();
+}
+
+/**
+ * Save the scraper configuration.
+ * On validation failure the thrown error carries per-field messages in `error.errors`.
+ * @param {Object} config - { keywords, skills, skillTaxonomy, experience, locations, matching, profiles, scraping }
+ * @returns {Promise<{ data: Object }>}
+ */
+export async function updateConfig(config) {
+    const res = await fetch(`${API_BASE}/config`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(config)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const error = new Error(body.message || 'Failed to save config');
+        error.errors = body.errors || {};
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Start a background scrape run. Without a keyword every keyword of the profile is scraped.
+ * @param {Object} [params]
+ * @param {string} [params.profile] - Search profile (default: "default")
+ * @param {string} [params.keyword]
+ * @param {number} [params.pages]
+ * @param {boolean} [params.login]
+ * @returns {Promise<{ data: Object }>}
+ */
+export async function startScrapeRun(params = {}) {
+    const res = await fetch(`${API_BASE}/scraper/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.message || 'Failed to start scraper');
+    return body;
+}
+
+/**
+ * Start checking stored job postings for expiry in the background.
+ * Progress is reported by fetchScrapeStatus (mode: 'verify').
+ * @param {Object} [params] - { limit }
+ * @returns {Promise<{ data: Object }>} - Initial run status
+ */
+export async function startVerifyRun(params = {}) {
+    const res = await fetch(`${API_BASE}/scraper/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.message || 'Failed to start verification');
+    return body;
+}
+
+/**
+ * Recompute skill matches and match scores of all stored jobs in the background.
+ * Progress is reported by fetchScrapeStatus (mode: 'rematch').
+ * @returns {Promise<{ data: Object }>} - Initial run status
+ */
+export async function startRematchRun() {
+    const res = await fetch(`${API_BASE}/scraper/rematch`, { method: 'POST' });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.message || 'Failed to start rematch');
+    return body;
+}
+
+/**
+ * Fetch the status and progress of the current (or last) scrape run.
+ * @returns {Promise<{ data: Object|null }>}
+ */
+export async function fetchScrapeStatus() {
+    const res = await fetch(`${API_BASE}/scraper/status`);
+    if (!res.ok) throw new Error('Failed to fetch scraper status');
+    return res.json();
+}
+
+/**
+ * Fetch scrape run history, most recent first.
+ * @param {Object} params
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<{ data: Array, pagination: Object }>}
+ */
+export async function fetchRuns({ page = 1, limit = 10 } = {}) {
+    const params = new URLSearchParams({ page, limit });
+    const res = await fetch(`${API_BASE}/runs?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch runs');
+    return res.json();
+}
+
+/**
+ * Fetch a single scrape run by its ID.
+ * @param {string} id
+ * @returns {Promise<{ data: Object }>}
+ */
+export async function fetchRunById(id) {
+    const res = await fetch(`${API_BASE}/runs/${id}`);
+    if (!res.ok) throw new Error('Failed to fetch run');
+    return res.json();
+}
+
+/**
+ * Fetch scheduled scrapes with their next and last fire times.
+ * @returns {Promise<{ data: { enabled: boolean, active: boolean, timezone: string, jobs: Array } }>}
+ */
+export async function fetchSchedule() {
+    const res = await fetch(`${API_BASE}/schedule`);
+    if (!res.ok) throw new Error('Failed to fetch schedule');
+    return res.json();
+}
+
+/**
+ * Fetch aggregated job statistics.
+ * @param {string} [section] - '' for totals, or 'keywords' | 'companies' | 'skills' | 'locations' | 'industries' | 'salaries'
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - ISO date, scraped on/after
+ * @param {string} [filters.to] - ISO date, scraped on/before
+ * @param {string} [filters.keyword] - Search keyword
+ * @param {number} [filters.limit] - Max groups for top-N sections
+ * @param {string} [filters.category] - Skill category (skills section only)
+ * @param {string} [filters.profile] - Search profile
+ * @returns {Promise<{ data: Object|Array }>}
+ */
+export async function fetchStats(section = '', { from = '', to = '', keyword = '', limit, category = '', profile = '' } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (keyword) params.append('keyword', keyword);
+    if (limit) params.append('limit', limit);
+    if (category) params.append('category', category);
+    if (profile) params.append('profile', profile);
+
+    const path = section ? `stats/${section}` : 'stats';
+    const res = await fetch(`${API_BASE}/${path}?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch stats');
+    return res.json();
+}
@@ -0,0 +1,22 @@
+/**
+ * Application pipeline statuses, in board order, with their tag colour.
+ * Mirrors APPLICATION_STATUSES in the backend Job model.
+ */
+export const APPLICATION_STATUSES = [
+    { value: 'new', label: 'New', color: 'neutral' },
+    { value: 'saved', label: 'Saved', color: 'info' },
+    { value: 'applied', label: 'Applied', color: 'primary' },
+    { value: 'interviewing', label: 'Interviewing', color: 'warning' },
+    { value: 'offer', label: 'Offer', color: 'secondary' },
+    { value: 'rejected', label: 'Rejected', color: 'danger' },
+    { value: 'archived', label: 'Archived', color: 'neutral' }
+];
+
+/**
+ * Look up the display info for a status (jobs without one count as "new").
+ * @param {string} [status]
+ * @returns {{ value: string, label: string, color: string }}
+ */
+export function getStatusInfo(status) {
+    return APPLICATION_STATUSES.find(s => s.value === status) || APPLICATION_STATUSES[0];
+}
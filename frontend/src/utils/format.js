@@ -0,0 +1,53 @@
+import { daysSince } from './time';
+
+/**
+ * Format a job's parsed salary range (LPA) for display.
+ * Falls back to the raw salary text when the salary was not parsed.
+ * @param {Object} job
+ * @returns {string}
+ */
+export function formatSalary(job) {
+    if (!job.salaryDisclosed) return job.salaryOffered || job.salary || 'Not disclosed';
+    const { salaryMin: min, salaryMax: max } = job;
+    if (min !== null && max !== null) return min === max ? `₹${min} LPA` : `₹${min}-${max} LPA`;
+    if (min !== null) return `₹${min}+ LPA`;
+    return `Up to ₹${max} LPA`;
+}
+
+/**
+ * Format a job's derived posting date as an absolute date and an age.
+ * Falls back to the raw posting text when the date could not be parsed.
+ * "30+ days ago" style dates are lower bounds, so their age gets a "+".
+ * @param {Object} job
+ * @returns {{ date: string, age: string }}
+ */
+export function formatPosted(job) {
+    if (!job.postedAt) return { date: job.jobPostedAt || job.postedDate || 'Not specified', age: '' };
+    const days = daysSince(job.postedAt);
+    const plus = job.postedAtAccuracy === 'atLeast' ? '+' : '';
+    const date = new Date(job.postedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    const age = days === 0 && !plus ? 'today' : `${days}${plus} day${days === 1 && !plus ? '' : 's'} old`;
+    return { date, age };
+}
+
+/**
+ * Every search keyword that found a job.
+ * Jobs stored before keywords were collected only have searchKeyword.
+ * @param {Object} job
+ * @returns {string[]}
+ */
+export function jobKeywords(job) {
+    return job.searchKeywords?.length ? job.searchKeywords : [job.searchKeyword].filter(Boolean);
+}
+
+/**
+ * Tag colour for a 0-100 match score.
+ * @param {number|null} score
+ * @returns {string}
+ */
+export function scoreColor(score) {
+    if (score === null || score === undefined) return 'neutral';
+    if (score >= 75) return 'secondary';
+    if (score >= 50) return 'warning';
+    return 'danger';
+}
@@ -0,0 +1,20 @@
+/**
+ * Posting lifecycle statuses with their tag colour.
+ * Mirrors LIFECYCLE_STATUSES in the backend Job model.
+ */
+export const LIFECYCLE_STATUSES = [
+    { value: 'active', label: 'Active', color: 'secondary' },
+    { value: 'missing', label: 'Missing from search', color: 'warning' },
+    { value: 'expired', label: 'Expired', color: 'danger' },
+    { value: 'removed', label: 'Removed', color: 'danger' },
+    { value: 'closed', label: 'Closed', color: 'danger' }
+];
+
+/**
+ * Look up the display info for a lifecycle status (jobs without one count as "active").
+ * @param {string} [status]
+ * @returns {{ value: string, label: string, color: string }}
+ */
+export function getLifecycleInfo(status) {
+    return LIFECYCLE_STATUSES.find(s => s.value === status) || LIFECYCLE_STATUSES[0];
+}
@@ -0,0 +1,43 @@
+/**
+ * Naukri search filter options.
+ * Mirrors WORK_MODES, FRESHNESS_DAYS, SALARY_BANDS, COMPANY_TYPES and SEARCH_SORTS in the backend utils/searchFilters.
+ */
+export const WORK_MODES = [
+    { value: 'office', label: 'Office' },
+    { value: 'remote', label: 'Remote' },
+    { value: 'hybrid', label: 'Hybrid' }
+];
+
+export const FRESHNESS_DAYS = [1, 3, 7, 15, 30];
+
+export const SALARY_BANDS = ['0-3', '3-6', '6-10', '10-15', '15-25', '25-50', '50-75', '75-100'];
+
+export const COMPANY_TYPES = [
+    { value: 'foreign-mnc', label: 'Foreign MNC' },
+    { value: 'indian-mnc', label: 'Indian MNC' },
+    { value: 'corporate', label: 'Corporate' },
+    { value: 'startup', label: 'Startup' },
+    { value: 'others', label: 'Others' }
+];
+
+export const SEARCH_SORTS = [
+    { value: 'relevance', label: 'Relevance' },
+    { value: 'date', label: 'Date' }
+];
+
+/**
+ * Short description of a job's search filters, e.g. "Pune · remote · last 7 days".
+ * @param {Object|null} filters - job.searchFilters
+ * @returns {string} - Empty when no filter was active
+ */
+export function describeSearchFilters(filters) {
+    if (!filters) return '';
+    const parts = [];
+    if (filters.locations?.length) parts.push(filters.locations.join(', '));
+    if (filters.workModes?.length) parts.push(filters.workModes.join(', '));
+    if (filters.freshnessDays) parts.push(`last ${filters.freshnessDays} day${filters.freshnessDays === 1 ? '' : 's'}`);
+    if (filters.salaryBands?.length) parts.push(`${filters.salaryBands.join(', ')} LPA`);
+    if (filters.companyTypes?.length) parts.push(filters.companyTypes.join(', '));
+    if (filters.sortBy && filters.sortBy !== 'relevance') parts.push(`sorted by ${filters.sortBy}`);
+    return parts.join(' · ');
+}
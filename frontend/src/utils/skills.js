@@ -0,0 +1,12 @@
+/**
+ * Skill taxonomy categories.
+ * Mirrors SKILL_CATEGORIES in the backend skill taxonomy.
+ */
+export const SKILL_CATEGORIES = [
+    { value: 'language', label: 'Languages' },
+    { value: 'framework', label: 'Frameworks' },
+    { value: 'database', label: 'Databases' },
+    { value: 'cloud', label: 'Cloud' },
+    { value: 'tool', label: 'Tools' },
+    { value: 'other', label: 'Other' }
+];
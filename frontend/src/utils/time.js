@@ -0,0 +1,35 @@
+/**
+ * Format a date as a short relative age, e.g. "just now", "5m ago", "6h ago", "3d ago".
+ * @param {string|Date} date
+ * @returns {string}
+ */
+export function timeAgo(date) {
+    if (!date) return 'never';
+    const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+    if (seconds < 60) return 'just now';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days}d ago`;
+    return new Date(date).toLocaleDateString();
+}
+
+/**
+ * Whole days between a date and now.
+ * @param {string|Date} date
+ * @returns {number}
+ */
+export function daysSince(date) {
+    return Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 86400000));
+}
+
+/**
+ * ISO timestamp for a number of days before now (for "posted within" filters).
+ * @param {number} days
+ * @returns {string}
+ */
+export function daysAgoIso(days) {
+    return new Date(Date.now() - days * 86400000).toISOString();
+}